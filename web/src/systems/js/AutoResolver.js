@@ -0,0 +1,342 @@
+/**
+ * Auto Resolver - Simulates a contract engagement without the tactical map
+ * Both forces trade fire in rounds using the same damage, heat and ammo rules as manual combat
+ */
+import { CombatAI } from './CombatAI';
+import { MechDamage } from './MechDamage';
+import { MechHeat } from './MechHeat';
+import { PilotInjury } from './PilotInjury';
+import { PilotTraits } from './PilotTraits';
+import { WeaponsCatalog } from './WeaponsCatalog';
+
+export class AutoResolver {
+  static MAX_ROUNDS = 12;
+
+  static DEFAULT_RANGE = 6;
+
+  // Terrain keywords set the engagement range and a to-hit modifier for both sides
+  static TERRAIN_EFFECTS = [
+    ['Urban', { range: 3, toHit: 1 }],
+    ['forest', { range: 4, toHit: 1 }],
+    ['Jungle', { range: 3, toHit: 2 }],
+    ['Industrial', { range: 4, toHit: 1 }],
+    ['Mountainous', { range: 7, toHit: 1 }],
+    ['Badlands', { range: 7, toHit: 0 }],
+    ['Coastal', { range: 7, toHit: 0 }],
+    ['Arctic', { range: 6, toHit: 1 }],
+    ['Desert', { range: 9, toHit: 0 }],
+    ['plains', { range: 10, toHit: 0 }],
+    ['Natural cover', { toHit: 1 }],
+    ['Reduced sensor', { toHit: 1 }],
+  ];
+
+  // Special conditions that change the fight, playerToHit only hampers our side
+  static CONDITION_EFFECTS = {
+    'Night operations required': { toHit: 1 },
+    'Extreme weather conditions': { toHit: 1 },
+    'Electronic warfare environment': { playerToHit: 1 },
+    'Communications jamming expected': { playerToHit: 1 },
+    'Hostile air support possible': { airStrike: 5 },
+  };
+
+  static REINFORCEMENT_ROUND = 4;
+
+  // Mechs keep moving through an abstract round, so every shot takes the +1 for a target that moved 3-4 hexes
+  static TARGET_MOVEMENT_MODIFIER = 1;
+
+  /**
+   * Combine terrain and special condition effects for a contract
+   */
+  static getBattlefieldConditions(contract) {
+    const conditions = {
+      range: AutoResolver.DEFAULT_RANGE, toHit: 0, playerToHit: 0, airStrike: 0,
+    };
+    const terrain = [].concat(contract.terrain || []);
+
+    AutoResolver.TERRAIN_EFFECTS.forEach(([keyword, effect]) => {
+      if (terrain.some((description) => description.includes(keyword))) {
+        conditions.range = effect.range !== undefined ? effect.range : conditions.range;
+        conditions.toHit += effect.toHit;
+      }
+    });
+
+    (contract.specialConditions || []).forEach((condition) => {
+      const effect = AutoResolver.CONDITION_EFFECTS[condition] || {};
+      Object.entries(effect).forEach(([key, value]) => {
+        conditions[key] += value;
+      });
+    });
+
+    return conditions;
+  }
+
+  /**
+   * Number a weapon needs on 2d6 to hit at the engagement range, modifier covers heat and battlefield effects
+   */
+  static getTargetNumber(unit, weapon, range, modifier = 0) {
+    return unit.gunnery + WeaponsCatalog.getRangeModifier(weapon, range) + modifier
+      + AutoResolver.TARGET_MOVEMENT_MODIFIER;
+  }
+
+  /**
+   * Resolve an engagement between player and enemy combat units
+   * Units are damaged in place, the result mirrors CombatSystem.finishCombat with auto-resolve details
+   */
+  static resolve(contract, {
+    playerUnits, enemyUnits, reinforcements = [], random = Math.random,
+  }) {
+    const conditions = AutoResolver.getBattlefieldConditions(contract);
+    const sides = {
+      player: { units: playerUnits, ai: new CombatAI('regular'), toHit: conditions.toHit + conditions.playerToHit },
+      enemy: { units: [...enemyUnits], ai: CombatAI.forContract(contract), toHit: conditions.toHit },
+    };
+    const startingAmmo = new Map(playerUnits.map((unit) => [unit, { ...unit.ammo }]));
+    const withdrawn = new Set();
+    const report = [];
+
+    const isActive = (unit) => !unit.isDestroyed() && !withdrawn.has(unit);
+    const active = (side) => sides[side].units.filter(isActive);
+    const injure = (unit, amount, reason) => {
+      if (unit.isPlayer && unit.pilotId) {
+        unit.injurePilot(amount);
+        report.push(`${unit.pilotName} injured: ${reason}`);
+      }
+    };
+
+    let rounds = 0;
+    let outcome = null;
+
+    for (let round = 1; !outcome && round <= AutoResolver.MAX_ROUNDS; round += 1) {
+      rounds = round;
+
+      if (round === AutoResolver.REINFORCEMENT_ROUND && reinforcements.length > 0) {
+        sides.enemy.units.push(...reinforcements);
+        report.push(`Round ${round}: enemy reinforcements arrive (${reinforcements.length} mechs)`);
+      }
+
+      const damageTaken = new Map();
+      const shooters = [...active('player'), ...active('enemy')]
+        .map((unit) => ({
+          unit,
+          initiative: MechHeat.roll2d6(random) + (6 - unit.piloting)
+            + PilotTraits.getInitiativeBonus(unit, active(unit.isPlayer ? 'player' : 'enemy')),
+        }))
+        .sort((a, b) => b.initiative - a.initiative)
+        .map((entry) => entry.unit);
+
+      // Mechs that shut down in the last heat phase sit this round out
+      shooters.filter((unit) => isActive(unit) && !unit.hasStatusEffect('shutdown')).forEach((unit) => {
+        const side = sides[unit.isPlayer ? 'player' : 'enemy'];
+        const targets = active(unit.isPlayer ? 'enemy' : 'player');
+
+        if (targets.length === 0) {
+          return;
+        }
+
+        const target = AutoResolver.selectTarget(side.ai, targets, random);
+        const weapons = side.ai.selectWeapons(unit, conditions.range);
+        const fired = weapons.filter((weapon) => unit.useAmmo(weapon));
+        const heatEffects = unit.getHeatEffects();
+
+        fired.forEach((weapon) => {
+          const modifier = heatEffects.toHitModifier + side.toHit;
+          const targetNumber = AutoResolver.getTargetNumber(unit, weapon, conditions.range, modifier);
+
+          let roll = MechHeat.roll2d6(random);
+          if (roll < targetNumber && unit.useReroll()) {
+            roll = MechHeat.roll2d6(random);
+          }
+
+          if (roll < targetNumber) {
+            return;
+          }
+
+          WeaponsCatalog.getDamageClusters(weapon, MechHeat.roll2d6(random)).forEach((damage) => {
+            if (target.isDestroyed()) {
+              return;
+            }
+
+            const location = MechDamage.getHitLocation(MechHeat.roll2d6(random));
+            const result = target.takeDamage(damage, location, { random });
+            unit.damageDealt += result.armorDamage + result.structureDamage;
+            damageTaken.set(target, (damageTaken.get(target) || 0) + damage);
+
+            if (location === 'head') {
+              injure(target, 1, 'cockpit hit');
+            }
+          });
+        });
+
+        unit.addHeat(fired.reduce((total, weapon) => total + WeaponsCatalog.getHeat(weapon), 0));
+
+        if (target.isDestroyed()) {
+          unit.kills += 1;
+          report.push(`Round ${round}: ${unit.name} destroys ${target.name}`);
+          injure(target, 1, 'ejected from a destroyed mech');
+        }
+      });
+
+      // Air support strafes one of our mechs each round
+      if (conditions.airStrike > 0 && active('player').length > 0) {
+        const targets = active('player');
+        const target = targets[Math.floor(random() * targets.length)];
+        const location = MechDamage.getHitLocation(MechHeat.roll2d6(random));
+        target.takeDamage(conditions.airStrike, location, { random });
+        damageTaken.set(target, (damageTaken.get(target) || 0) + conditions.airStrike);
+        report.push(`Round ${round}: enemy air support strafes ${target.name}`);
+      }
+
+      // Heavy damage in one round forces a piloting roll to stay upright
+      damageTaken.forEach((damage, unit) => {
+        if (damage >= 20 && !unit.isDestroyed() && MechHeat.roll2d6(random) < unit.piloting + 3) {
+          injure(unit, 1, `${unit.mechName} fell under heavy fire`);
+        }
+      });
+
+      [...active('player'), ...active('enemy')].forEach((unit) => {
+        AutoResolver.resolveHeat(unit, random, {
+          explosion: (weapon) => {
+            report.push(`Round ${round}: ${unit.name}'s ${weapon} ammo explodes`);
+            injure(unit, 2, 'ammunition explosion');
+          },
+          shutdown: () => report.push(`Round ${round}: ${unit.name} shuts down from excess heat`),
+        });
+      });
+
+      // Damaged enemies pull back according to their archetype
+      active('enemy').filter((unit) => sides.enemy.ai.shouldRetreat(unit)).forEach((unit) => {
+        withdrawn.add(unit);
+        report.push(`Round ${round}: ${unit.name} withdraws from the field`);
+      });
+
+      outcome = AutoResolver.checkOutcome(sides, active);
+    }
+
+    // Time ran out, the side holding more of its force keeps the field
+    if (!outcome) {
+      const strength = (side) => active(side).length / sides[side].units.length;
+      outcome = strength('player') > strength('enemy') ? 'victory' : 'withdrawal';
+    }
+
+    const victory = outcome === 'victory';
+    const destroyedEnemies = sides.enemy.units.filter((unit) => unit.isDestroyed());
+
+    report.push(victory ? 'Enemy forces broken, the field is ours' : 'Our forces withdraw from the field');
+
+    return {
+      victory,
+      withdrawn: outcome === 'withdrawal',
+      autoResolved: true,
+      turns: rounds,
+      enemiesDestroyed: destroyedEnemies.length,
+      unitsLost: playerUnits.filter((unit) => unit.isDestroyed()).length,
+      playerUnits: playerUnits.map((unit) => unit.getStatusSummary()),
+      enemyUnits: sides.enemy.units.map((unit) => unit.getStatusSummary()),
+      damage: playerUnits.map((unit) => ({
+        mechId: unit.mechId,
+        ...MechDamage.getDamageSummary(unit.locations),
+      })),
+      ammoSpent: AutoResolver.getAmmoSpent(startingAmmo),
+      pilotInjuries: PilotInjury.getCombatInjuries(playerUnits),
+      // Wrecks can only be recovered from a field we hold
+      salvage: victory ? destroyedEnemies.map((unit) => ({
+        chassisId: unit.chassisId,
+        name: unit.mechName,
+        tonnage: unit.tonnage,
+      })) : [],
+      objectives: AutoResolver.resolveObjectives(contract, victory, playerUnits, random),
+      conditions,
+      report,
+    };
+  }
+
+  /**
+   * End-of-round heat phase with the shutdown and ammo explosion rolls CombatSystem makes each turn
+   * A unit that restarts comes back online, the callbacks report an explosion or a new shutdown
+   */
+  static resolveHeat(unit, random = Math.random, on = {}) {
+    unit.dissipateHeat();
+
+    const explosion = MechHeat.rollAmmoExplosion(unit.heat, unit.ammo, random);
+    if (explosion) {
+      const damage = WeaponsCatalog.getMaxDamage(explosion.weapon) * explosion.rounds;
+      unit.takeDamage(damage, unit.getEquipmentLocation(explosion.weapon), { internal: true, random });
+      if (on.explosion) on.explosion(explosion.weapon);
+    }
+
+    if (unit.isDestroyed()) {
+      return;
+    }
+
+    const shutdown = MechHeat.rollShutdown(unit.heat, random);
+    if (shutdown && !unit.hasStatusEffect('shutdown')) {
+      unit.addStatusEffect('shutdown');
+      if (on.shutdown) on.shutdown();
+    } else if (!shutdown && unit.hasStatusEffect('shutdown')) {
+      unit.removeStatusEffect('shutdown');
+    }
+  }
+
+  /**
+   * Archetypes that focus fire pick the most damaged target, the rest spread their fire
+   */
+  static selectTarget(ai, targets, random = Math.random) {
+    if (ai.profile.focusFire === 0) {
+      return targets[Math.floor(random() * targets.length)];
+    }
+
+    const damage = (unit) => {
+      const condition = unit.getCondition();
+      return 200 - condition.armor - condition.structure;
+    };
+
+    return targets.reduce((best, unit) => (damage(unit) > damage(best) ? unit : best));
+  }
+
+  /**
+   * Decide whether either side has broken
+   * A force breaks once half of it is gone and it is outnumbered
+   */
+  static checkOutcome(sides, active) {
+    const player = active('player').length;
+    const enemy = active('enemy').length;
+
+    if (enemy === 0) return 'victory';
+    if (player === 0) return 'defeat';
+
+    if (enemy <= sides.enemy.units.length / 2 && player > enemy) return 'victory';
+    if (player <= sides.player.units.length / 2 && enemy > player) return 'withdrawal';
+
+    return null;
+  }
+
+  /**
+   * Rounds fired per mech and weapon
+   */
+  static getAmmoSpent(startingAmmo) {
+    const spent = {};
+
+    startingAmmo.forEach((ammo, unit) => {
+      Object.entries(ammo).forEach(([weapon, rounds]) => {
+        const used = rounds - (unit.ammo[weapon] || 0);
+        if (used > 0) {
+          spent[unit.mechId] = { ...spent[unit.mechId], [weapon]: used };
+        }
+      });
+    });
+
+    return spent;
+  }
+
+  /**
+   * The primary objective follows the battle, the rest depend on how intact the force is
+   */
+  static resolveObjectives(contract, victory, playerUnits, random = Math.random) {
+    const surviving = playerUnits.filter((unit) => !unit.isDestroyed()).length / Math.max(1, playerUnits.length);
+
+    return (contract.objectives || []).map((objective, index) => ({
+      objective,
+      met: victory && (index === 0 || random() < surviving),
+    }));
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * Combat AI - Decision making for enemy units on the tactical battlefield
+ * Each opposition archetype tunes target selection, heat discipline, retreat and cover use
+ */
+import { HexGrid } from './HexGrid';
+import { MechMovement } from './MechMovement';
+import { WeaponsCatalog } from './WeaponsCatalog';
+
+export class CombatAI {
+  // focusFire: weight on finishing damaged targets, heatLimit: highest projected heat after firing,
+  // retreatThreshold: structure fraction that triggers a withdrawal, coverWeight: value placed on cover
+  static ARCHETYPES = {
+    militia: {
+      name: 'Militia',
+      focusFire: 0,
+      heatLimit: 30,
+      retreatThreshold: 0,
+      coverWeight: 0,
+      rangeDiscipline: 0,
+    },
+    raider: {
+      name: 'Raider',
+      focusFire: 1,
+      heatLimit: 18,
+      retreatThreshold: 0.5,
+      coverWeight: 1,
+      rangeDiscipline: 0.5,
+    },
+    regular: {
+      name: 'Regular',
+      focusFire: 0.5,
+      heatLimit: 14,
+      retreatThreshold: 0.25,
+      coverWeight: 1,
+      rangeDiscipline: 1,
+    },
+    elite: {
+      name: 'Elite',
+      focusFire: 1,
+      heatLimit: 9,
+      retreatThreshold: 0.3,
+      coverWeight: 2,
+      rangeDiscipline: 1.5,
+    },
+    commander: {
+      name: 'Expert Commander',
+      focusFire: 1.5,
+      heatLimit: 7,
+      retreatThreshold: 0.35,
+      coverWeight: 3,
+      rangeDiscipline: 2,
+    },
+  };
+
+  static DIFFICULTY_ARCHETYPES = {
+    Easy: 'militia',
+    Moderate: 'regular',
+    Hard: 'elite',
+    Extreme: 'commander',
+  };
+
+  // Opposition descriptions from ContractSystem.generateOpposition that override the difficulty default
+  static OPPOSITION_KEYWORDS = [
+    ['Expert tactical commanders', 'commander'],
+    ['Special forces', 'commander'],
+    ['Elite military', 'elite'],
+    ['Irregular raider', 'raider'],
+    ['Militia', 'militia'],
+  ];
+
+  constructor(archetype = 'regular') {
+    this.archetype = CombatAI.ARCHETYPES[archetype] ? archetype : 'regular';
+    this.profile = CombatAI.ARCHETYPES[this.archetype];
+  }
+
+  /**
+   * Pick the AI archetype for a contract's opposition and difficulty
+   */
+  static forContract(contract = {}) {
+    const opposition = contract.opposition || [];
+    const keyword = CombatAI.OPPOSITION_KEYWORDS
+      .find(([text]) => opposition.some((description) => description.includes(text)));
+
+    return new CombatAI(keyword ? keyword[1] : CombatAI.DIFFICULTY_ARCHETYPES[contract.difficulty]);
+  }
+
+  /**
+   * Plan a unit's movement mode, destination and target
+   * The battlefield view provides hexGrid, enemies and getReachableHexes(unit, mode)
+   */
+  planMovement(unit, battlefield) {
+    const enemies = battlefield.enemies.filter((enemy) => !enemy.isDestroyed());
+    const target = this.selectTarget(unit, enemies, battlefield.hexGrid);
+
+    if (!target) {
+      return {
+        mode: 'walk', destination: null, target: null, retreating: false,
+      };
+    }
+
+    const retreating = this.shouldRetreat(unit);
+    const mode = CombatAI.selectMovementMode(unit, target, battlefield.hexGrid, retreating);
+    let destination = null;
+
+    if (unit.canMove()) {
+      const candidates = [{ ...unit.position }, ...battlefield.getReachableHexes(unit, mode)];
+      let bestScore = -Infinity;
+
+      candidates.forEach((hex) => {
+        const score = retreating
+          ? this.scoreRetreatHex(hex, enemies, battlefield.hexGrid)
+          : this.scoreAttackHex(unit, hex, target, battlefield.hexGrid);
+
+        if (score > bestScore) {
+          bestScore = score;
+          destination = hex;
+        }
+      });
+
+      if (destination && destination.x === unit.position.x && destination.y === unit.position.y) {
+        destination = null;
+      }
+    }
+
+    return {
+      mode, destination: destination ? { x: destination.x, y: destination.y } : null, target, retreating,
+    };
+  }
+
+  /**
+   * Run to close long distances or escape, jump jets when they carry further
+   * Walking keeps the attack penalty down once in range
+   */
+  static selectMovementMode(unit, target, hexGrid, retreating = false) {
+    const distance = HexGrid.getDistance(unit.position, target.position);
+    const runMP = unit.getMovementPoints('run');
+
+    if (retreating) {
+      return unit.jumpMP > runMP ? 'jump' : 'run';
+    }
+
+    return distance - CombatAI.getPreferredRange(unit) > unit.getMovementPoints('walk') && runMP > 0 ? 'run' : 'walk';
+  }
+
+  /**
+   * Turn toward the target with leftover movement, then twist the torso the rest of the way
+   * Returns hexside steps for turn and twist, positive is clockwise
+   */
+  static planFacing(unit, target, hexGrid) {
+    if (unit.getArcTo(hexGrid, target.position) === 'front') {
+      return { turn: 0, twist: 0 };
+    }
+
+    const rotation = MechMovement.getRotation(unit.facing, hexGrid.getFacingToward(unit.position, target.position));
+    const turn = Math.sign(rotation) * Math.min(Math.abs(rotation), unit.movementPoints);
+    const remaining = rotation - turn;
+    const twist = Math.max(-MechMovement.MAX_TORSO_TWIST, Math.min(MechMovement.MAX_TORSO_TWIST, remaining));
+
+    return { turn, twist };
+  }
+
+  /**
+   * Score visible enemies: close targets first, damaged ones when the archetype focuses fire
+   */
+  selectTarget(unit, enemies, hexGrid) {
+    let best = null;
+    let bestScore = -Infinity;
+
+    enemies.forEach((enemy) => {
+      const condition = enemy.getCondition();
+      const damage = 1 - (condition.armor + condition.structure) / 200;
+      const distance = HexGrid.getDistance(unit.position, enemy.position);
+      const visible = hexGrid.getLineOfSight(unit.position, enemy.position).hasLineOfSight;
+
+      const score = -distance + this.profile.focusFire * 10 * damage + (visible ? 1 : 0);
+      if (score > bestScore) {
+        bestScore = score;
+        best = enemy;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Withdraw once internal structure drops below the archetype's threshold
+   */
+  shouldRetreat(unit) {
+    return this.profile.retreatThreshold > 0 && unit.getCondition().structure / 100 < this.profile.retreatThreshold;
+  }
+
+  /**
+   * Range where most of a unit's weapons fire without range penalties
+   */
+  static getPreferredRange(unit) {
+    const ranges = unit.getReadyWeapons().map((weapon) => WeaponsCatalog.get(weapon).shortRange).sort((a, b) => a - b);
+    return ranges.length > 0 ? Math.max(1, ranges[Math.floor(ranges.length / 2)]) : 1;
+  }
+
+  /**
+   * Score an attack position: keep line of sight, hold the preferred range and use cover
+   */
+  scoreAttackHex(unit, hex, target, hexGrid) {
+    const distance = HexGrid.getDistance(hex, target.position);
+    const lineOfSight = hexGrid.getLineOfSight(hex, target.position);
+    const cover = hexGrid.getLineOfSight(target.position, hex);
+
+    // Undisciplined units simply close the distance
+    const rangeScore = this.profile.rangeDiscipline > 0
+      ? -Math.abs(distance - CombatAI.getPreferredRange(unit)) * this.profile.rangeDiscipline
+      : -distance;
+
+    return rangeScore
+      + (lineOfSight.hasLineOfSight ? 3 : -5)
+      + (cover.hasLineOfSight ? cover.modifier : 0) * this.profile.coverWeight;
+  }
+
+  /**
+   * Score a retreat position: distance from every enemy and broken line of sight
+   */
+  scoreRetreatHex(hex, enemies, hexGrid) {
+    return enemies.reduce((score, enemy) => {
+      const lineOfSight = hexGrid.getLineOfSight(enemy.position, hex);
+      const cover = lineOfSight.hasLineOfSight ? lineOfSight.modifier : 4;
+
+      return score + HexGrid.getDistance(hex, enemy.position) + cover * this.profile.coverWeight;
+    }, 0);
+  }
+
+  /**
+   * Choose weapons to fire without pushing heat past the archetype's limit
+   * The most damage per point of heat is fired first, weapons out of arc can be left out by the caller
+   */
+  selectWeapons(unit, distance, weapons = unit.getReadyWeapons()) {
+    const available = weapons
+      .filter((weapon) => WeaponsCatalog.isInRange(weapon, distance))
+      .sort((a, b) => {
+        const efficiency = (weapon) => WeaponsCatalog.getMaxDamage(weapon) / (WeaponsCatalog.getHeat(weapon) + 1);
+        return efficiency(b) - efficiency(a);
+      });
+
+    const heatBudget = this.profile.heatLimit - unit.heat + unit.getDissipation();
+    let heat = 0;
+
+    return available.filter((weapon) => {
+      const weaponHeat = WeaponsCatalog.getHeat(weapon);
+      if (heat + weaponHeat > heatBudget) {
+        return false;
+      }
+
+      heat += weaponHeat;
+      return true;
+    });
+  }
+}
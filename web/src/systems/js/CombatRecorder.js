@@ -0,0 +1,139 @@
+/**
+ * Combat Recorder - Compact action log of a tactical battle
+ * Captures combat events through the EventBus wildcard listener for replays and bug reports
+ */
+export class CombatRecorder {
+  static VERSION = 1;
+
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.listenerId = null;
+    this.log = null;
+  }
+
+  /**
+   * Begin recording a battle
+   * Header: contractId, seed (combat stream state before the map was built), hexGrid and starting units
+   */
+  start({
+    contractId, seed, hexGrid, units,
+  }) {
+    this.stop();
+
+    this.log = {
+      version: CombatRecorder.VERSION,
+      contractId,
+      recordedAt: Date.now(),
+      seed,
+      width: hexGrid.width,
+      height: hexGrid.height,
+      terrain: hexGrid.serializeTerrain(),
+      units: units.map((unit) => CombatRecorder.toUnitEntry(unit.getStatusSummary())),
+      actions: [],
+    };
+
+    this.listenerId = this.eventBus.onAny(this.onEvent.bind(this));
+  }
+
+  /**
+   * Finish recording and return the log
+   */
+  finish({ victory, turns }) {
+    if (!this.log) {
+      return null;
+    }
+
+    this.log.actions.push({ t: 'end', victory, turns });
+
+    const { log } = this;
+    this.stop();
+    return log;
+  }
+
+  /**
+   * Stop listening and drop any partial recording
+   */
+  stop() {
+    if (this.listenerId) {
+      this.eventBus.offAny(this.listenerId);
+      this.listenerId = null;
+    }
+
+    this.log = null;
+  }
+
+  /**
+   * Convert combat events into compact log entries
+   */
+  onEvent(event, data = {}) {
+    const action = CombatRecorder.toAction(event, data);
+
+    if (action) {
+      this.log.actions.push(action);
+    }
+  }
+
+  /**
+   * Starting state of a unit from its status summary
+   */
+  static toUnitEntry(status) {
+    return {
+      id: status.id,
+      name: status.name,
+      isPlayer: status.isPlayer,
+      position: [status.position.x, status.position.y],
+      facing: status.facing,
+      armor: status.armor,
+      structure: status.structure,
+    };
+  }
+
+  static toAction(event, data) {
+    switch (event) {
+      case 'combat:turnStarted':
+        return { t: 'turn', turn: data.turn };
+      case 'combat:unitMoved':
+        return {
+          t: 'move', id: data.unit.id, to: [data.to.x, data.to.y], mp: data.cost, mode: data.mode, face: data.facing,
+        };
+      case 'combat:unitTurned':
+        return {
+          t: 'face', id: data.unit.id, face: data.facing, mp: data.cost,
+        };
+      case 'combat:attackResolved':
+        return {
+          t: 'attack',
+          id: data.attacker.id,
+          target: data.target.id,
+          side: data.attackDirection,
+          heat: data.heatGenerated,
+          // [weapon, to-hit number, roll, hit, [[location, damage], ...]]
+          shots: data.shots.map((shot) => [
+            shot.weapon,
+            shot.targetNumber,
+            shot.roll,
+            shot.hit ? 1 : 0,
+            shot.clusters.map((cluster) => [cluster.location, cluster.damage]),
+          ]),
+          armor: data.target.armor,
+          structure: data.target.structure,
+        };
+      case 'combat:heatResolved':
+        // [unit id, heat, shut down] plus [exploding bin, armor, structure] after an ammo explosion
+        return {
+          t: 'heat',
+          units: data.units.map((unit) => {
+            const { ammoExplosion, condition } = unit;
+            const entry = [unit.unitId, unit.heat, unit.shutdown ? 1 : 0];
+            return ammoExplosion ? [...entry, ammoExplosion.weapon, condition.armor, condition.structure] : entry;
+          }),
+        };
+      case 'combat:unitDestroyed':
+        return { t: 'destroyed', id: data.unit.id, by: data.destroyedBy };
+      case 'combat:reinforcementsArrived':
+        return { t: 'arrive', units: data.units.map((unit) => CombatRecorder.toUnitEntry(unit)) };
+      default:
+        return null;
+    }
+  }
+}
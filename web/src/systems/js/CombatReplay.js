@@ -0,0 +1,134 @@
+/**
+ * Combat Replay - Rebuilds battle frames from a CombatRecorder action log
+ * Frame 0 is the deployment, every recorded action produces the next frame
+ */
+import { MechDamage } from './MechDamage';
+import { MechMovement } from './MechMovement';
+
+export class CombatReplay {
+  constructor(log) {
+    this.log = log;
+    this.frames = CombatReplay.buildFrames(log);
+  }
+
+  get length() {
+    return this.frames.length;
+  }
+
+  /**
+   * Get a frame by step, clamped to the recording
+   */
+  getFrame(step) {
+    return this.frames[Math.max(0, Math.min(this.frames.length - 1, step))];
+  }
+
+  /**
+   * Fold the action log into unit states after each action
+   */
+  static buildFrames(log) {
+    let units = log.units.map((unit) => CombatReplay.toUnitState(unit));
+    let turn = 0;
+
+    const frames = [{
+      step: 0, turn, units, action: null, description: 'Deployment',
+    }];
+
+    log.actions.forEach((action, index) => {
+      units = units.map((unit) => ({ ...unit, position: { ...unit.position } }));
+      const byId = (id) => units.find((unit) => unit.id === id) || { name: id };
+
+      switch (action.t) {
+        case 'turn':
+          ({ turn } = action);
+          break;
+        case 'move':
+          Object.assign(byId(action.id), { position: { x: action.to[0], y: action.to[1] }, facing: action.face });
+          break;
+        case 'face':
+          byId(action.id).facing = action.face;
+          break;
+        case 'attack':
+          Object.assign(byId(action.target), { armor: action.armor, structure: action.structure });
+          byId(action.id).heat += action.heat;
+          break;
+        case 'heat':
+          action.units.forEach(([id, heat, shutdown, , armor, structure]) => {
+            Object.assign(byId(id), { heat, shutdown: !!shutdown });
+            if (armor !== undefined) {
+              Object.assign(byId(id), { armor, structure });
+            }
+          });
+          break;
+        case 'destroyed':
+          byId(action.id).destroyed = true;
+          break;
+        case 'arrive':
+          units.push(...action.units.map((unit) => CombatReplay.toUnitState(unit)));
+          break;
+        default:
+          break;
+      }
+
+      frames.push({
+        step: index + 1, turn, units, action, description: CombatReplay.describe(action, byId),
+      });
+    });
+
+    return frames;
+  }
+
+  /**
+   * Unit state as it enters the battle from a recorded unit entry
+   */
+  static toUnitState(unit) {
+    return {
+      id: unit.id,
+      name: unit.name,
+      isPlayer: unit.isPlayer,
+      position: { x: unit.position[0], y: unit.position[1] },
+      facing: unit.facing,
+      armor: unit.armor,
+      structure: unit.structure,
+      heat: 0,
+      shutdown: false,
+      destroyed: false,
+    };
+  }
+
+  /**
+   * Human readable line for an action
+   */
+  static describe(action, byId) {
+    switch (action.t) {
+      case 'turn':
+        return `Turn ${action.turn} begins`;
+      case 'move': {
+        const verb = MechMovement.MODES[action.mode] ? MechMovement.MODES[action.mode].verb : 'moves';
+        return `${byId(action.id).name} ${verb} to ${action.to[0]},${action.to[1]} (${action.mp} MP)`;
+      }
+      case 'face':
+        return `${byId(action.id).name} turns to face ${MechMovement.FACINGS[action.face]}`;
+      case 'attack': {
+        const hits = action.shots.filter((shot) => shot[3]);
+        const damage = hits.reduce((total, shot) => total + shot[4].reduce((sum, cluster) => sum + cluster[1], 0), 0);
+        const rolls = action.shots.map(([weapon, target, roll, hit, clusters]) => `${weapon} ${roll}/${target}+ ${hit ? clusters.map(([location, points]) => `${points} ${MechDamage.LOCATION_NAMES[location]}`).join(', ') : 'miss'}`);
+        const side = action.side && action.side !== 'front' ? ` (${action.side})` : '';
+        return `${byId(action.id).name} fires on ${byId(action.target).name}${side}: ${hits.length}/${action.shots.length} hits, ${damage} damage (${rolls.join('; ')})`;
+      }
+      case 'heat': {
+        const events = action.units
+          .filter(([, , shutdown, explosion]) => shutdown || explosion)
+          .map(([id, , shutdown, explosion]) => `${byId(id).name} ${explosion ? `${explosion} ammo explodes` : ''}${explosion && shutdown ? ', ' : ''}${shutdown ? 'shut down' : ''}`);
+        return `Heat phase${events.length > 0 ? `: ${events.join('; ')}` : ''}`;
+      }
+      case 'destroyed':
+        return `${byId(action.id).name} destroyed`;
+      case 'arrive':
+        return `Reinforcements arrive: ${action.units.map((unit) => unit.name).join(', ')}`;
+      case 'end':
+        return `${action.victory ? 'Victory' : 'Defeat'} after ${action.turns} turns`;
+      default:
+        return action.t;
+    }
+  }
+}
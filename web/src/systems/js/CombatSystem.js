@@ -3,13 +3,62 @@
  * Handles combat initialization, turn management, and battle resolution
  */
 import { Logger } from '../../utils/Logger.js';
+import { AutoResolver } from './AutoResolver';
+import { CombatAI } from './CombatAI';
+import { CombatRecorder } from './CombatRecorder';
+import { CombatReplay } from './CombatReplay';
+import { CombatUnit } from './CombatUnit';
+import { ContractCampaign } from './ContractCampaign';
+import { HexGrid } from './HexGrid';
+import { MechDamage } from './MechDamage';
+import { MechCatalog } from './MechCatalog';
+import { MechHeat } from './MechHeat';
+import { MechMovement } from './MechMovement';
+import { OpForGenerator } from './OpForGenerator';
+import { PilotInjury } from './PilotInjury';
+import { PilotTraits } from './PilotTraits';
+import { RandomService } from './RandomService';
+import { WeaponsCatalog } from './WeaponsCatalog';
 
 export class CombatSystem {
-  constructor(eventBus, gameState) {
+  constructor(eventBus, gameState, randomService = new RandomService()) {
     this.logger = new Logger('CombatSystem');
     this.eventBus = eventBus;
     this.gameState = gameState;
     this.isInitialized = false;
+
+    // Seeded streams for terrain and dice rolls, and for unit ids
+    this.random = randomService.stream('combat');
+    this.ids = randomService.stream('ids');
+
+    // Battlefield configuration
+    this.hexGrid = new HexGrid({ width: 20, height: 15, hexSize: 22 });
+    this.maxPlayerUnits = 4;
+
+    // Combat state
+    this.combatActive = false;
+    this.contractId = null;
+    this.currentTurn = 0;
+    this.currentPhase = 'deployment';
+    this.currentUnitIndex = 0;
+    this.playerUnits = [];
+    this.enemyUnits = [];
+    this.reinforcements = [];
+    this.turnOrder = [];
+    this.selectedUnit = null;
+    this.combatLog = [];
+
+    // Enemy AI and pacing (milliseconds)
+    this.ai = new CombatAI();
+    this.aiTurnDelay = 800;
+    this.aiTimer = 0;
+
+    // Action log recording and replay viewer
+    this.recorder = new CombatRecorder(eventBus);
+    this.lastReplay = null;
+    this.replay = null;
+    this.replayStep = 0;
+    this.replayGrid = null;
   }
 
   /**
@@ -41,7 +90,13 @@ export class CombatSystem {
     // Combat management events
     this.eventBus.on('combat:start', this.startCombat.bind(this));
     this.eventBus.on('combat:end', this.endCombat.bind(this));
+    this.eventBus.on('combat:autoResolve', this.onAutoResolve.bind(this));
     this.eventBus.on('combat:endTurn', this.endTurn.bind(this));
+    this.eventBus.on('combat:moveUnit', this.onMoveUnit.bind(this));
+    this.eventBus.on('combat:setMovementMode', this.onSetMovementMode.bind(this));
+    this.eventBus.on('combat:turnUnit', this.onTurnUnit.bind(this));
+    this.eventBus.on('combat:twistTorso', this.onTwistTorso.bind(this));
+    this.eventBus.on('combat:attackUnit', this.onAttackUnit.bind(this));
     
     // UI update events
     this.eventBus.on('screen:changed', this.onScreenChanged.bind(this));
@@ -61,32 +116,1161 @@ export class CombatSystem {
     window.exitCombat = () => {
       this.eventBus.emit('combat:end');
     };
+
+    // Movement mode, facing and torso twist for the active unit
+    window.setMovementMode = (mode) => {
+      this.eventBus.emit('combat:setMovementMode', { mode });
+    };
+
+    window.turnUnit = (steps) => {
+      this.eventBus.emit('combat:turnUnit', { steps });
+    };
+
+    window.twistTorso = (steps) => {
+      this.eventBus.emit('combat:twistTorso', { steps });
+    };
+
+    window.autoResolveContract = (contractId) => {
+      this.eventBus.emit('combat:autoResolve', { contractId });
+    };
+
+    window.closeAfterActionReport = () => {
+      CombatSystem.closeAfterActionReport();
+    };
+
+    // Replay viewer controls
+    window.openCombatReplay = (contractId) => {
+      this.openReplay(contractId);
+    };
+
+    window.stepCombatReplay = (delta) => {
+      this.setReplayStep(this.replayStep + delta);
+    };
+
+    window.scrubCombatReplay = (step) => {
+      this.setReplayStep(Number(step));
+    };
+
+    window.closeCombatReplay = () => {
+      this.closeReplay();
+    };
+
+    window.exportCombatReplay = () => {
+      this.exportReplay();
+    };
+  }
+
+  /**
+   * Start combat for a deployed contract
+   */
+  startCombat(data = {}) {
+    const { contractId } = data;
+    const activeContracts = this.gameState.get('activeContracts') || [];
+    const deployed = activeContracts.find((c) => c.id === contractId);
+
+    if (!deployed || !deployed.deployedForce) {
+      this.logger.warn(`Cannot start combat, no deployed contract found: ${contractId}`);
+      return false;
+    }
+
+    // Campaign contracts fight their current mission
+    const contract = ContractCampaign.getEngagement(deployed);
+    this.playerUnits = this.createPlayerUnits(contract.deployedForce, contract);
+    if (this.playerUnits.length === 0) {
+      this.logger.warn(`Cannot start combat, contract ${contractId} has no deployable mechs`);
+      return false;
+    }
+
+    // Stream position before the map is built lets a bug report reproduce the whole battle
+    const seed = this.random.state;
+    this.hexGrid.generateTerrain(this.random.next);
+    const opFor = this.getOpFor(contract);
+    this.enemyUnits = this.generateEnemyUnits(opFor);
+    this.reinforcements = this.generateEnemyUnits(opFor, { reinforcements: true });
+    this.ai = CombatAI.forContract(contract);
+    this.clearDeploymentZones();
+    this.contractId = contract.id;
+    this.combatActive = true;
+    this.currentTurn = 1;
+    this.currentPhase = 'deployment';
+    this.combatLog = [];
+    this.aiTimer = 0;
+
+    this.addLogEntry(`Deployment complete: ${contract.name} at ${contract.location}`, 'system');
+    this.addLogEntry(`Intelligence reports ${this.ai.profile.name.toLowerCase()} opposition`, 'system');
+
+    this.closeReplay();
+    this.recorder.start({
+      contractId: contract.id,
+      seed,
+      hexGrid: this.hexGrid,
+      units: [...this.playerUnits, ...this.enemyUnits],
+    });
+
+    this.calculateInitiative();
+    this.updateCombatState();
+
+    this.eventBus.emit('combat:started', {
+      contractId: this.contractId,
+      turn: this.currentTurn,
+      playerUnits: this.playerUnits.map((unit) => unit.getStatusSummary()),
+      enemyUnits: this.enemyUnits.map((unit) => unit.getStatusSummary()),
+    });
+
+    this.eventBus.emit('screen:show', 'tactical-combat');
+    this.logger.info(`Combat started for contract: ${contract.name}`);
+
+    this.startTurn();
+    return true;
+  }
+
+  /**
+   * Create player combat units from the deployed force
+   */
+  createPlayerUnits(deployedForce, contract = {}) {
+    const mechs = this.gameState.get('mechs') || [];
+    const pilots = this.gameState.get('pilots') || [];
+
+    const deployedMechs = (deployedForce.mechs || [])
+      .map((mechId) => mechs.find((mech) => mech.id === mechId))
+      .filter((mech) => mech && mech.status !== 'Destroyed')
+      .slice(0, this.maxPlayerUnits);
+
+    return deployedMechs.map((mech, index) => {
+      const pilotId = (deployedForce.pilots || [])[index];
+      const pilot = pilots.find((p) => p.id === pilotId) || null;
+
+      return new CombatUnit({
+        mech,
+        pilot,
+        isPlayer: true,
+        position: { x: 2 + index * 2, y: this.hexGrid.height - 2 },
+        facing: 0,
+        battlefield: { terrain: contract.terrain || [], specialConditions: contract.specialConditions || [] },
+      });
+    });
+  }
+
+  /**
+   * Enemy force roster for a contract, generated now for contracts offered without one
+   */
+  getOpFor(contract) {
+    return contract.opFor || OpForGenerator.generate(contract, {
+      factions: this.gameState.get('factions') || {},
+      year: this.gameState.get('time.year') || 3025,
+      random: this.random.next,
+    });
+  }
+
+  /**
+   * Generate opposing units from an enemy force roster
+   * Reinforcements are held back unless asked for
+   */
+  generateEnemyUnits(opFor, { reinforcements = false } = {}) {
+    const roster = opFor.units
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ entry }) => !!entry.reinforcement === reinforcements);
+
+    return roster.map(({ entry, index }, i) => new CombatUnit({
+      mech: {
+        ...MechCatalog.createMech(entry.chassisId),
+        id: this.ids.id('enemy'),
+      },
+      pilot: {
+        id: `enemy_pilot_${index}`,
+        name: entry.pilot.name,
+        gunnery: entry.pilot.gunnery,
+        piloting: entry.pilot.piloting,
+      },
+      isPlayer: false,
+      position: { x: 8 + i * 2 - roster.length, y: reinforcements ? 0 : 1 },
+      facing: 3,
+    }));
   }
 
   /**
-   * Start combat scenario
+   * Make sure every unit starts on passable, level ground
    */
-  startCombat(data) {
-    this.logger.info('Combat system - Start combat not yet implemented');
-    alert('Combat system not yet implemented. This will be a future feature.');
+  clearDeploymentZones() {
+    [...this.playerUnits, ...this.enemyUnits].forEach((unit) => {
+      this.hexGrid.setTerrain(unit.position, 'clear', 0);
+    });
+  }
+
+  /**
+   * Calculate initiative order for all active units
+   */
+  calculateInitiative() {
+    this.currentPhase = 'initiative';
+
+    const units = [...this.playerUnits, ...this.enemyUnits].filter((unit) => !unit.isDestroyed());
+    units.forEach((unit) => {
+      // Better pilots act first, with a small random factor and a lift from leaders in the lance
+      const allies = units.filter((ally) => ally.isPlayer === unit.isPlayer);
+      unit.initiative = 10 + (6 - unit.piloting) + this.randomInt(-2, 2) + PilotTraits.getInitiativeBonus(unit, allies);
+    });
+
+    this.turnOrder = units.sort((a, b) => b.initiative - a.initiative);
+    this.currentUnitIndex = 0;
+  }
+
+  /**
+   * Start a new combat turn
+   */
+  startTurn() {
+    this.addLogEntry(`--- Turn ${this.currentTurn} ---`, 'system');
+
+    this.eventBus.emit('combat:turnStarted', {
+      contractId: this.contractId,
+      turn: this.currentTurn,
+      turnOrder: this.turnOrder.map((unit) => unit.id),
+    });
+
+    if (this.turnOrder.length > 0) {
+      this.activateUnit(this.turnOrder[this.currentUnitIndex]);
+    }
+  }
+
+  /**
+   * Activate a unit for its movement and combat phases
+   */
+  activateUnit(unit) {
+    this.selectedUnit = unit;
+    this.currentPhase = 'movement';
+    this.aiTimer = 0;
+    unit.startTurn();
+
+    this.eventBus.emit('combat:unitActivated', {
+      unit: unit.getStatusSummary(),
+      turn: this.currentTurn,
+    });
+
+    this.updateCombatState();
+    this.renderCombatUI();
+  }
+
+  /**
+   * End the active unit's activation (player "End Turn" button)
+   */
+  endTurn() {
+    if (!this.combatActive || !this.selectedUnit) {
+      return;
+    }
+
+    if (!this.selectedUnit.isPlayer) {
+      this.logger.debug('Ignoring end turn request during enemy activation');
+      return;
+    }
+
+    this.endUnitActivation();
+  }
+
+  /**
+   * Finish current unit activation and move to the next unit
+   */
+  endUnitActivation() {
+    if (!this.combatActive) {
+      return;
+    }
+
+    if (this.selectedUnit) {
+      this.selectedUnit.endTurn();
+    }
+
+    if (this.checkVictoryConditions()) {
+      return;
+    }
+
+    // Skip units destroyed earlier in the turn
+    do {
+      this.currentUnitIndex += 1;
+    } while (this.currentUnitIndex < this.turnOrder.length && this.turnOrder[this.currentUnitIndex].isDestroyed());
+
+    if (this.currentUnitIndex >= this.turnOrder.length) {
+      this.endCombatTurn();
+    } else {
+      this.activateUnit(this.turnOrder[this.currentUnitIndex]);
+    }
+  }
+
+  /**
+   * Finish the turn after every unit has acted
+   */
+  endCombatTurn() {
+    this.currentPhase = 'heat';
+    this.resolveHeatPhase();
+
+    this.currentPhase = 'endTurn';
+    this.eventBus.emit('combat:turnEnded', {
+      contractId: this.contractId,
+      turn: this.currentTurn,
+    });
+
+    // Ammo explosions can end the battle
+    if (this.checkVictoryConditions()) {
+      return;
+    }
+
+    this.currentTurn += 1;
+    if (this.currentTurn === AutoResolver.REINFORCEMENT_ROUND) {
+      this.deployReinforcements();
+    }
+
+    this.calculateInitiative();
+    this.startTurn();
+  }
+
+  /**
+   * Bring held-back enemy reinforcements onto the enemy map edge
+   * Same turn auto-resolve brings them in, so both modes face the force the intel reported
+   */
+  deployReinforcements() {
+    if (this.reinforcements.length === 0) {
+      return;
+    }
+
+    const arrivals = this.reinforcements;
+    this.reinforcements = [];
+
+    arrivals.forEach((unit) => {
+      const hex = { ...unit.position };
+      while (this.getUnitAt(hex) && hex.x < this.hexGrid.width - 1) {
+        hex.x += 1;
+      }
+
+      unit.position = hex;
+      this.hexGrid.setTerrain(hex, 'clear', 0);
+      this.enemyUnits.push(unit);
+    });
+
+    this.addLogEntry(`Enemy reinforcements arrive (${arrivals.length} mechs)`, 'system');
+    this.eventBus.emit('combat:reinforcementsArrived', {
+      contractId: this.contractId,
+      turn: this.currentTurn,
+      units: arrivals.map((unit) => unit.getStatusSummary()),
+    });
+  }
+
+  /**
+   * Dissipate heat and roll shutdown and ammo explosion checks for every unit
+   */
+  resolveHeatPhase() {
+    const results = [];
+
+    [...this.playerUnits, ...this.enemyUnits].filter((unit) => !unit.isDestroyed()).forEach((unit) => {
+      const inWater = this.hexGrid.getTerrain(unit.position).type === 'water';
+      const result = {
+        unitId: unit.id,
+        dissipated: unit.dissipateHeat({ inWater }),
+        heat: 0,
+        shutdown: false,
+        restarted: false,
+        ammoExplosion: null,
+      };
+
+      const explosion = MechHeat.rollAmmoExplosion(unit.heat, unit.ammo, this.random.next);
+      if (explosion) {
+        this.resolveAmmoExplosion(unit, explosion);
+        result.ammoExplosion = explosion;
+        result.condition = unit.getCondition();
+      }
+
+      if (!unit.isDestroyed()) {
+        const shutdown = MechHeat.rollShutdown(unit.heat, this.random.next);
+
+        if (unit.hasStatusEffect('shutdown') && !shutdown) {
+          unit.removeStatusEffect('shutdown');
+          result.restarted = true;
+          this.addLogEntry(`${unit.name} restarts its reactor`, 'heat');
+        } else if (!unit.hasStatusEffect('shutdown') && shutdown) {
+          unit.addStatusEffect('shutdown');
+          this.addLogEntry(`${unit.name} shuts down from excess heat!`, 'heat');
+        }
+      }
+
+      result.heat = unit.heat;
+      result.shutdown = unit.hasStatusEffect('shutdown');
+      results.push(result);
+    });
+
+    this.eventBus.emit('combat:heatResolved', {
+      contractId: this.contractId,
+      turn: this.currentTurn,
+      units: results,
+    });
+
+    return results;
+  }
+
+  /**
+   * Detonate an ammo bin inside a unit, the blast ignores armor
+   */
+  resolveAmmoExplosion(unit, explosion) {
+    const location = unit.getEquipmentLocation(explosion.weapon);
+    const damage = WeaponsCatalog.getMaxDamage(explosion.weapon) * explosion.rounds;
+
+    unit.takeDamage(damage, location, { internal: true, random: this.random.next });
+    this.addLogEntry(`${unit.name}'s ${explosion.weapon} ammo explodes for ${damage} damage!`, 'critical');
+
+    // The blast feeds back through the neurohelmet
+    unit.injurePilot(2);
+
+    if (unit.isDestroyed()) {
+      this.onUnitDestroyed(unit, null);
+    }
+  }
+
+  /**
+   * Handle player movement requests
+   */
+  onMoveUnit(data = {}) {
+    const unit = this.selectedUnit;
+    if (!this.combatActive || !unit || !unit.isPlayer) {
+      return false;
+    }
+
+    return this.moveUnit(unit, data.position);
+  }
+
+  /**
+   * Handle player movement mode, turn and torso twist requests
+   */
+  onSetMovementMode(data = {}) {
+    const unit = this.selectedUnit;
+    if (!this.combatActive || !unit || !unit.isPlayer) {
+      return false;
+    }
+
+    if (!unit.setMovementMode(data.mode)) {
+      this.logger.debug(`${unit.name} cannot ${data.mode} now`);
+      return false;
+    }
+
+    this.renderCombatUI();
+    return true;
+  }
+
+  onTurnUnit(data = {}) {
+    const unit = this.selectedUnit;
+    if (!this.combatActive || !unit || !unit.isPlayer) {
+      return false;
+    }
+
+    return this.turnUnit(unit, data.steps);
+  }
+
+  onTwistTorso(data = {}) {
+    const unit = this.selectedUnit;
+    if (!this.combatActive || !unit || !unit.isPlayer) {
+      return false;
+    }
+
+    return this.twistTorso(unit, data.steps);
+  }
+
+  /**
+   * Handle player attack requests
+   */
+  onAttackUnit(data = {}) {
+    const attacker = this.selectedUnit;
+    if (!this.combatActive || !attacker || !attacker.isPlayer) {
+      return false;
+    }
+
+    const target = this.enemyUnits.find((unit) => unit.id === data.targetId);
+    if (!target || target.isDestroyed()) {
+      return false;
+    }
+
+    return this.attackUnit(attacker, target);
+  }
+
+  /**
+   * Move a unit to a reachable hex
+   */
+  moveUnit(unit, position) {
+    if (!position || !unit.canMove()) {
+      return false;
+    }
+
+    const route = this.findRoute(unit, position);
+    if (!route) {
+      this.logger.debug(`${unit.name} cannot reach ${position.x},${position.y}`);
+      return false;
+    }
+
+    // Units end their move facing the direction of the last step
+    const from = { ...unit.position };
+    const facing = this.hexGrid.getFacingToward(route.path[route.path.length - 2], position);
+    const mode = unit.movementMode;
+    unit.moveTo({ x: position.x, y: position.y }, route.cost, route.path.length - 1, facing);
+    unit.addHeat(MechMovement.getMovementHeat(mode, unit.hexesMoved));
+    this.currentPhase = 'combat';
+
+    this.addLogEntry(`${unit.name} ${MechMovement.MODES[mode].verb} ${unit.hexesMoved} hexes (${route.cost} MP)`, 'movement');
+    this.eventBus.emit('combat:unitMoved', {
+      unit: unit.getStatusSummary(),
+      from,
+      to: { ...unit.position },
+      path: route.path,
+      cost: route.cost,
+      mode,
+      facing,
+    });
+
+    this.renderCombatUI();
+    return true;
+  }
+
+  /**
+   * Find a route within the unit's movement points
+   * Jumping flies straight over terrain, one MP per hex
+   */
+  findRoute(unit, position) {
+    const isBlocked = (hex) => !!this.getUnitAt(hex);
+
+    if (unit.movementMode !== 'jump') {
+      return this.hexGrid.findPath(unit.position, position, { maxCost: unit.movementPoints, isBlocked });
+    }
+
+    const cost = HexGrid.getDistance(unit.position, position);
+    if (cost === 0 || cost > unit.movementPoints || !this.hexGrid.isValid(position) || isBlocked(position)) {
+      return null;
+    }
+
+    return { path: HexGrid.getLine(unit.position, position), cost };
+  }
+
+  /**
+   * Turn a unit in place by a number of hexsides
+   */
+  turnUnit(unit, steps) {
+    if (!unit.turn(steps)) {
+      return false;
+    }
+
+    this.addLogEntry(`${unit.name} turns to face ${MechMovement.FACINGS[unit.facing]}`, 'movement');
+    this.eventBus.emit('combat:unitTurned', {
+      unit: unit.getStatusSummary(),
+      facing: unit.facing,
+      cost: Math.abs(steps),
+    });
+
+    this.renderCombatUI();
+    return true;
+  }
+
+  /**
+   * Twist a unit's torso to bring its weapons to bear
+   */
+  twistTorso(unit, steps) {
+    if (!unit.twistTorso(steps)) {
+      return false;
+    }
+
+    this.eventBus.emit('combat:torsoTwisted', {
+      unit: unit.getStatusSummary(),
+      torsoTwist: unit.torsoTwist,
+    });
+
+    this.renderCombatUI();
+    return true;
+  }
+
+  /**
+   * Resolve an attack from one unit against another
+   * Fires every ready weapon in range unless a weapon selection is given
+   */
+  attackUnit(attacker, target, weapons = null) {
+    if (!attacker.canAct() || target.isDestroyed()) {
+      return false;
+    }
+
+    const distance = HexGrid.getDistance(attacker.position, target.position);
+    const lineOfSight = this.hexGrid.getLineOfSight(attacker.position, target.position);
+    if (!lineOfSight.hasLineOfSight) {
+      this.logger.debug(`${attacker.name} has no line of sight to ${target.name}`);
+      return false;
+    }
+
+    let weaponsInRange = attacker.getReadyWeaponsInArc(this.hexGrid, target.position)
+      .filter((weapon) => WeaponsCatalog.isInRange(weapon, distance));
+    if (weapons) {
+      const selection = [...weapons];
+      weaponsInRange = weaponsInRange.filter((weapon) => {
+        const index = selection.indexOf(weapon);
+        if (index === -1) {
+          return false;
+        }
+
+        selection.splice(index, 1);
+        return true;
+      });
+    }
+
+    if (weaponsInRange.length === 0) {
+      this.logger.debug(`${target.name} is out of range or arc for ${attacker.name}`);
+      return false;
+    }
+
+    // The side of the target facing the attacker picks the hit table and rear armor
+    const attackDirection = target.getArcTo(this.hexGrid, attacker.position);
+
+    this.currentPhase = 'combat';
+    attacker.hasActed = true;
+
+    // Weapons sharing an ammo bin can run it dry mid-volley
+    const firedWeapons = weaponsInRange.filter((weapon) => attacker.useAmmo(weapon));
+    const heatGenerated = firedWeapons.reduce((total, weapon) => total + WeaponsCatalog.getHeat(weapon), 0);
+
+    let totalDamage = 0;
+    const shots = firedWeapons.map((weapon) => {
+      const targetNumber = CombatSystem.calculateToHit(attacker, target, distance, weapon, lineOfSight);
+      let roll = this.rollDice(2);
+
+      // Lucky pilots get another go at a missed shot
+      if (roll < targetNumber && attacker.useReroll()) {
+        roll = this.rollDice(2);
+        this.addLogEntry(`${attacker.pilotName} gets a second chance at the ${weapon} shot`, attacker.isPlayer ? 'player' : 'enemy');
+      }
+
+      const hit = roll >= targetNumber;
+
+      const shot = {
+        weapon,
+        targetNumber,
+        roll,
+        hit,
+        damage: 0,
+        location: null,
+        clusters: [],
+        criticalHits: [],
+        destroyedLocations: [],
+      };
+
+      if (hit) {
+        // Missile volleys land in clusters that each roll a hit location
+        WeaponsCatalog.getDamageClusters(weapon, this.rollDice(2)).forEach((damage) => {
+          if (target.isDestroyed()) {
+            return;
+          }
+
+          const location = MechDamage.getHitLocation(this.rollDice(2), attackDirection);
+          const result = target.takeDamage(damage, location, { rear: attackDirection === 'rear', random: this.random.next });
+          totalDamage += result.armorDamage + result.structureDamage;
+
+          // Every hit to the cockpit wounds the pilot
+          if (location === 'head' && target.injurePilot(1)) {
+            this.addLogEntry(`${target.pilotName} is wounded by a cockpit hit`, 'critical');
+          }
+
+          shot.location = shot.location || location;
+          shot.damage += damage;
+          shot.clusters.push({ location, damage });
+          shot.criticalHits.push(...result.criticalHits);
+          shot.destroyedLocations.push(...result.destroyedLocations);
+        });
+      }
+
+      return shot;
+    });
+
+    attacker.damageDealt += totalDamage;
+    attacker.addHeat(heatGenerated);
+
+    const hits = shots.filter((shot) => shot.hit).length;
+    const flank = attackDirection === 'front' ? '' : ` (${attackDirection} ${attackDirection === 'rear' ? 'arc' : 'side'})`;
+    this.addLogEntry(`${attacker.name} fires on ${target.name}${flank}: ${hits}/${shots.length} hits, ${totalDamage} damage`, attacker.isPlayer ? 'player' : 'enemy');
+
+    shots.filter((shot) => shot.location).forEach((shot) => {
+      shot.criticalHits.forEach((critical) => {
+        this.addLogEntry(`Critical hit! ${target.name} loses ${critical.item} (${MechDamage.LOCATION_NAMES[critical.location]})`, 'critical');
+      });
+      shot.destroyedLocations.forEach((location) => {
+        this.addLogEntry(`${target.name}'s ${MechDamage.LOCATION_NAMES[location]} destroyed`, 'critical');
+      });
+    });
+
+    this.eventBus.emit('combat:attackResolved', {
+      attacker: attacker.getStatusSummary(),
+      target: target.getStatusSummary(),
+      distance,
+      lineOfSight,
+      attackDirection,
+      shots,
+      totalDamage,
+      heatGenerated,
+    });
+
+    if (target.isDestroyed()) {
+      this.onUnitDestroyed(target, attacker);
+    }
+
+    // Attacking ends the unit's activation
+    this.endUnitActivation();
+    this.renderCombatUI();
+    return true;
+  }
+
+  /**
+   * Calculate 2d6 target number for a weapon attack
+   */
+  static calculateToHit(attacker, target, distance, weapon, lineOfSight = null) {
+    let targetNumber = attacker.gunnery;
+
+    // Range bands: short, medium (+2), long (+4) and minimum range
+    targetNumber += WeaponsCatalog.getRangeModifier(weapon, distance) || 0;
+
+    // Attacker movement: walking, running or jumping
+    targetNumber += attacker.getAttackerMovementModifier();
+
+    // Overheated targeting systems
+    targetNumber += attacker.getHeatEffects().toHitModifier;
+
+    // Target movement modifier, shut down mechs are sitting ducks
+    targetNumber += CombatSystem.getTargetMovementModifier(target.hexesMoved);
+    if (target.hasMoved && target.movementMode === 'jump') {
+      targetNumber += MechMovement.JUMP_TARGET_MODIFIER;
+    }
+    if (target.hasStatusEffect('shutdown')) {
+      targetNumber -= 4;
+    }
+
+    // Intervening woods, target hex woods and partial cover
+    if (lineOfSight) {
+      targetNumber += lineOfSight.modifier;
+    }
+
+    return targetNumber;
+  }
+
+  /**
+   * Get to-hit modifier for the distance a target moved
+   */
+  static getTargetMovementModifier(hexesMoved) {
+    if (hexesMoved >= 10) return 4;
+    if (hexesMoved >= 7) return 3;
+    if (hexesMoved >= 5) return 2;
+    if (hexesMoved >= 3) return 1;
+    return 0;
+  }
+
+  /**
+   * Handle a unit being destroyed
+   */
+  onUnitDestroyed(unit, destroyedBy) {
+    if (destroyedBy) {
+      destroyedBy.kills += 1;
+    }
+
+    // Ejecting from a dying mech is rarely a soft landing
+    unit.injurePilot(1);
+    this.addLogEntry(`${unit.name} destroyed!`, 'destroyed');
+
+    this.eventBus.emit('combat:unitDestroyed', {
+      unit: unit.getStatusSummary(),
+      destroyedBy: destroyedBy ? destroyedBy.id : null,
+      contractId: this.contractId,
+    });
+
+    if (!unit.isPlayer) {
+      const contract = this.getActiveContract();
+      this.eventBus.emit('combat:enemyDestroyed', {
+        enemyFaction: contract ? contract.enemyFaction : null,
+        location: contract ? contract.location : null,
+        unit: unit.getStatusSummary(),
+      });
+    }
   }
 
   /**
-   * End current combat
+   * Check whether either side has been wiped out
+   */
+  checkVictoryConditions() {
+    const activePlayers = this.playerUnits.filter((unit) => !unit.isDestroyed());
+    const activeEnemies = this.enemyUnits.filter((unit) => !unit.isDestroyed());
+
+    if (activePlayers.length === 0) {
+      this.finishCombat(false);
+      return true;
+    }
+
+    if (activeEnemies.length === 0) {
+      this.finishCombat(true);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Conclude combat and record the result on the contract
+   */
+  finishCombat(victory, options = {}) {
+    if (!this.combatActive) {
+      return null;
+    }
+
+    this.combatActive = false;
+    this.currentPhase = 'ended';
+    this.selectedUnit = null;
+
+    const result = {
+      victory,
+      withdrawn: !!options.withdrawn,
+      turns: this.currentTurn,
+      enemiesDestroyed: this.enemyUnits.filter((unit) => unit.isDestroyed()).length,
+      unitsLost: this.playerUnits.filter((unit) => unit.isDestroyed()).length,
+      playerUnits: this.playerUnits.map((unit) => unit.getStatusSummary()),
+      enemyUnits: this.enemyUnits.map((unit) => unit.getStatusSummary()),
+      pilotInjuries: PilotInjury.getCombatInjuries(this.playerUnits),
+    };
+
+    // The action log is stored with the contract record
+    const replay = this.recorder.finish({ victory, turns: this.currentTurn });
+    this.lastReplay = replay;
+
+    if (this.gameState.get('activeContracts')) {
+      this.gameState.updateArrayItem('activeContracts', (c) => c.id === this.contractId, { combatResult: result, replay });
+    }
+
+    this.persistUnitDamage();
+    this.applyPilotInjuries(result.pilotInjuries);
+
+    this.addLogEntry(victory ? 'Victory! Enemy forces eliminated.' : 'Defeat. Our forces have been driven from the field.', 'system');
+    this.updateCombatState();
+
+    this.eventBus.emit('combat:ended', {
+      contractId: this.contractId,
+      ...result,
+    });
+
+    this.renderCombatUI();
+    this.logger.info(`Combat ended: ${victory ? 'victory' : 'defeat'} after ${this.currentTurn} turns`);
+
+    return result;
+  }
+
+  /**
+   * Write battle damage back to the roster mechs
+   */
+  persistUnitDamage(units = this.playerUnits) {
+    units.forEach((unit) => {
+      const condition = unit.getCondition();
+      const damage = MechDamage.getDamageSummary(unit.locations);
+      const updates = {
+        locations: MechDamage.cloneLocations(unit.locations),
+        armor: condition.armor,
+        structure: condition.structure,
+        ammo: { ...unit.ammo },
+        heat: 0,
+      };
+
+      if (unit.isDestroyed()) {
+        updates.status = 'Destroyed';
+      } else if (damage.structurePoints > 0 || damage.destroyedEquipment > 0) {
+        updates.status = 'Repair Needed';
+      }
+
+      this.gameState.updateArrayItem('mechs', (mech) => mech.id === unit.mechId, updates);
+    });
+  }
+
+  /**
+   * Handle auto-resolve requests for an active contract
+   */
+  onAutoResolve(data = {}) {
+    this.autoResolveContract(data.contractId);
+  }
+
+  /**
+   * Simulate a deployed contract's engagement instead of fighting it on the map
+   * Results go through the same persistence and combat:ended pipeline as manual combat
+   */
+  autoResolveContract(contractId) {
+    if (this.combatActive) {
+      this.logger.warn('Cannot auto-resolve while a tactical engagement is in progress');
+      return null;
+    }
+
+    const activeContracts = this.gameState.get('activeContracts') || [];
+    const deployed = activeContracts.find((c) => c.id === contractId);
+
+    if (!deployed || !deployed.deployedForce) {
+      this.logger.warn(`Cannot auto-resolve, no deployed contract found: ${contractId}`);
+      return null;
+    }
+
+    const contract = ContractCampaign.getEngagement(deployed);
+    const playerUnits = this.createPlayerUnits(contract.deployedForce, contract);
+    if (playerUnits.length === 0) {
+      this.logger.warn(`Cannot auto-resolve, contract ${contractId} has no deployable mechs`);
+      return null;
+    }
+
+    const opFor = this.getOpFor(contract);
+    const result = AutoResolver.resolve(contract, {
+      playerUnits,
+      enemyUnits: this.generateEnemyUnits(opFor),
+      reinforcements: this.generateEnemyUnits(opFor, { reinforcements: true }),
+      random: this.random.next,
+    });
+
+    this.gameState.updateArrayItem('activeContracts', (c) => c.id === contractId, { combatResult: result });
+    this.persistUnitDamage(playerUnits);
+    this.applyPilotInjuries(result.pilotInjuries);
+
+    result.enemyUnits.filter((unit) => unit.destroyed).forEach((unit) => {
+      this.eventBus.emit('combat:enemyDestroyed', {
+        enemyFaction: contract.enemyFaction || null,
+        location: contract.location,
+        unit,
+      });
+    });
+
+    this.eventBus.emit('combat:ended', {
+      contractId,
+      ...result,
+    });
+
+    this.showAfterActionReport(contract, result);
+    this.logger.info(`Contract auto-resolved: ${result.victory ? 'victory' : 'defeat'} after ${result.turns} rounds`);
+
+    return result;
+  }
+
+  /**
+   * Record pilot injuries from an engagement on the roster
+   */
+  applyPilotInjuries(pilotInjuries = []) {
+    pilotInjuries.forEach(({ pilotId, injuries }) => {
+      const pilot = (this.gameState.get('pilots') || []).find((p) => p.id === pilotId);
+      if (!pilot || pilot.status === 'KIA') {
+        return;
+      }
+
+      const { died, permanentInjury, updates } = PilotInjury.applyHits(pilot, injuries, this.random.next);
+      this.gameState.updateArrayItem('pilots', (p) => p.id === pilotId, updates);
+
+      if (died) {
+        this.gameState.set('statistics.pilotDeaths', (this.gameState.get('statistics.pilotDeaths') || 0) + 1);
+      }
+
+      this.eventBus.emit('pilot:injured', {
+        pilotId, hits: injuries, injuries: updates.injuries, died, permanentInjury,
+      });
+      this.logger.info(`${pilot.name} ${died ? 'died of their wounds' : `took ${injuries} hit${injuries > 1 ? 's' : ''}`}`);
+    });
+  }
+
+  isPilotKilled(pilotId) {
+    return (this.gameState.get('pilots') || []).some((pilot) => pilot.id === pilotId && pilot.status === 'KIA');
+  }
+
+  /**
+   * Show the after-action report for an auto-resolved engagement
+   */
+  showAfterActionReport(contract, result) {
+    CombatSystem.closeAfterActionReport();
+
+    const damageLines = result.playerUnits.map((unit) => {
+      const damaged = Object.entries(unit.locations)
+        .filter(([, data]) => data.armor < data.maxArmor || data.structure < data.maxStructure)
+        .map(([location, data]) => (
+          `${MechDamage.LOCATION_NAMES[location]} ${Math.max(0, data.armor)}/${Math.max(0, data.structure)}`
+        ));
+
+      return `${unit.name}: ${unit.destroyed ? 'DESTROYED' : damaged.join(', ') || 'undamaged'}`;
+    });
+
+    const ammoLines = Object.entries(result.ammoSpent).flatMap(([mechId, weapons]) => {
+      const unit = result.playerUnits.find((u) => u.mechId === mechId);
+      return Object.entries(weapons)
+        .map(([weapon, rounds]) => `${unit ? unit.name : mechId}: ${rounds} ${weapon} rounds`);
+    });
+
+    const sections = [
+      ['Damage', damageLines],
+      ['Ammunition Expended', ammoLines],
+      ['Pilot Injuries', result.pilotInjuries.map((p) => `${p.name}: ${p.injuries} hit${p.injuries > 1 ? 's' : ''}${this.isPilotKilled(p.pilotId) ? ' (killed)' : ''}`)],
+      ['Salvage Recovered', result.salvage.map((s) => `${s.name} (${s.tonnage} tons)`)],
+      ['Objectives', result.objectives.map((o) => `${o.met ? '✓' : '✗'} ${o.objective}`)],
+    ];
+
+    const reportHTML = `
+      <div id="after-action-overlay" class="modal-overlay" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.8); z-index: 1000; display: flex; justify-content: center; align-items: center;">
+        <div class="after-action-report" style="background: #2a2a2a; border: 2px solid #555; border-radius: 8px; max-width: 90%; max-height: 90%; overflow-y: auto; padding: 20px; color: white;">
+          <h2 style="color: #fff; margin-bottom: 10px;">After-Action Report - ${contract.name}</h2>
+          <p class="after-action-result" style="color: ${result.victory ? '#4a7c59' : '#c0392b'}; font-weight: bold;">${result.victory ? 'VICTORY' : 'DEFEAT'} after ${result.turns} rounds</p>
+          <p style="color: #ccc;">Enemies destroyed: ${result.enemiesDestroyed}/${result.enemyUnits.length} — Mechs lost: ${result.unitsLost}</p>
+          ${sections.map(([title, lines]) => CombatSystem.generateReportSection(title, lines)).join('')}
+          <button onclick="closeAfterActionReport()" style="background: #4a7c59; color: white; border: none; padding: 8px 16px; cursor: pointer;">Close</button>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', reportHTML);
+  }
+
+  /**
+   * Generate HTML for one section of the after-action report
+   */
+  static generateReportSection(title, lines) {
+    return `
+      <div class="after-action-section" style="margin-bottom: 15px;">
+        <h3 style="color: #fff; margin-bottom: 5px;">${title}</h3>
+        <ul style="color: #ccc; margin: 0; padding-left: 20px;">
+          ${(lines.length > 0 ? lines : ['None']).map((line) => `<li>${line}</li>`).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Close the after-action report
+   */
+  static closeAfterActionReport() {
+    const overlay = document.getElementById('after-action-overlay');
+    if (overlay) {
+      overlay.remove();
+    }
+  }
+
+  /**
+   * End current combat (player leaves the battlefield)
    */
   endCombat(data) {
-    this.logger.info('Combat system - End combat not yet implemented');
+    if (this.combatActive) {
+      this.finishCombat(false, { withdrawn: true });
+    }
     
     // Return to previous screen (likely star-map or company-overview)
     this.eventBus.emit('screen:show', 'company-overview');
   }
 
   /**
-   * End current turn
+   * Run the active enemy unit's turn using the contract's AI archetype
+   */
+  processAITurn(unit) {
+    const plan = this.ai.planMovement(unit, this.getBattlefieldView(unit));
+
+    if (plan.destination) {
+      unit.setMovementMode(plan.mode);
+      this.moveUnit(unit, plan.destination);
+    }
+
+    if (plan.retreating) {
+      this.addLogEntry(`${unit.name} is falling back`, 'enemy');
+    }
+
+    // attackUnit ends the activation when the attack goes ahead
+    if (plan.target && unit.canAct()) {
+      const facing = CombatAI.planFacing(unit, plan.target, this.hexGrid);
+      if (facing.turn !== 0) {
+        this.turnUnit(unit, facing.turn);
+      }
+      if (facing.twist !== 0) {
+        this.twistTorso(unit, facing.twist);
+      }
+
+      const distance = HexGrid.getDistance(unit.position, plan.target.position);
+      const inArc = unit.getReadyWeaponsInArc(this.hexGrid, plan.target.position);
+      const weapons = this.ai.selectWeapons(unit, distance, inArc);
+
+      if (weapons.length > 0 && this.attackUnit(unit, plan.target, weapons)) {
+        return;
+      }
+    }
+
+    this.endUnitActivation();
+  }
+
+  /**
+   * Battlefield as seen by the AI for one unit
+   */
+  getBattlefieldView(unit) {
+    return {
+      hexGrid: this.hexGrid,
+      allies: unit.isPlayer ? this.playerUnits : this.enemyUnits,
+      enemies: unit.isPlayer ? this.enemyUnits : this.playerUnits,
+      getReachableHexes: (reachableUnit, mode) => this.getReachableHexes(reachableUnit, mode),
+    };
+  }
+
+  /**
+   * Get all hexes a unit can reach with its remaining movement points
+   * A different mode can be previewed before the unit commits to it
+   */
+  getReachableHexes(unit, mode = unit.movementMode) {
+    const points = mode === unit.movementMode ? unit.movementPoints : unit.getMovementPoints(mode);
+    const isBlocked = (hex) => !!this.getUnitAt(hex);
+
+    if (mode === 'jump') {
+      return this.hexGrid.getHexesInRange(unit.position, points)
+        .filter((hex) => (hex.x !== unit.position.x || hex.y !== unit.position.y) && !isBlocked(hex));
+    }
+
+    return this.hexGrid.getReachableHexes(unit.position, points, { isBlocked });
+  }
+
+  /**
+   * Get the living unit occupying a hex
+   */
+  getUnitAt(position) {
+    const isAt = (unit) => unit.position.x === position.x && unit.position.y === position.y;
+    return [...this.playerUnits, ...this.enemyUnits].find((unit) => !unit.isDestroyed() && isAt(unit)) || null;
+  }
+
+  /**
+   * Get contract record for current combat
+   */
+  getActiveContract() {
+    const activeContracts = this.gameState.get('activeContracts') || [];
+    return activeContracts.find((c) => c.id === this.contractId) || null;
+  }
+
+  /**
+   * Mirror combat progress into game state
+   */
+  updateCombatState() {
+    this.gameState.set('combat', {
+      isActive: this.combatActive,
+      contractId: this.contractId,
+      turn: this.currentTurn,
+      phase: this.currentPhase,
+      currentUnit: this.selectedUnit ? this.selectedUnit.id : null,
+      battlefield: {
+        width: this.hexGrid.width,
+        height: this.hexGrid.height,
+      },
+    });
+  }
+
+  /**
+   * Roll a number of six-sided dice
+   */
+  rollDice(count) {
+    return this.random.roll(count);
+  }
+
+  /**
+   * Random integer between min and max (inclusive)
+   */
+  randomInt(min, max) {
+    return this.random.int(min, max);
+  }
+
+  /**
+   * Add an entry to the combat log
    */
-  endTurn(data) {
-    this.logger.info('Combat system - End turn not yet implemented');
-    alert('Turn management not yet implemented.');
+  addLogEntry(message, type = 'info') {
+    this.combatLog.push({ turn: this.currentTurn, message, type });
+
+    const combatLog = document.getElementById('combat-log');
+    if (combatLog) {
+      combatLog.insertAdjacentHTML('beforeend', `<div class="log-entry log-${type}">${message}</div>`);
+      combatLog.scrollTop = combatLog.scrollHeight;
+    }
   }
 
   /**
@@ -106,42 +1290,360 @@ export class CombatSystem {
   initializeCombatUI() {
     const combatLog = document.getElementById('combat-log');
     if (combatLog) {
-      combatLog.innerHTML = `
-        <div class="log-entry">Combat system initialized...</div>
-        <div class="log-entry">Tactical combat features will be implemented in a future update.</div>
-        <div class="log-entry">Current focus is on company management and contract system.</div>
-      `;
+      combatLog.innerHTML = this.combatLog.length > 0
+        ? this.combatLog.map((entry) => `<div class="log-entry log-${entry.type}">${entry.message}</div>`).join('')
+        : '<div class="log-entry">No active engagement. Accept a contract to deploy your lance.</div>';
+    }
+
+    const canvas = document.getElementById('battlefield');
+    if (canvas && !canvas.dataset.combatBound) {
+      canvas.addEventListener('click', this.onBattlefieldClick.bind(this));
+      canvas.dataset.combatBound = 'true';
+    }
+
+    this.renderCombatUI();
+  }
+
+  /**
+   * Handle clicks on the battlefield canvas
+   */
+  onBattlefieldClick(event) {
+    if (!this.combatActive || !this.selectedUnit || !this.selectedUnit.isPlayer) {
+      return;
+    }
+
+    // Account for the canvas being scaled by CSS
+    const canvas = event.target;
+    const rect = canvas.getBoundingClientRect();
+    const hex = this.hexGrid.pixelToHex(
+      (event.clientX - rect.left) * (canvas.width / rect.width),
+      (event.clientY - rect.top) * (canvas.height / rect.height),
+    );
+    if (!hex) {
+      return;
     }
     
+    const clickedUnit = this.getUnitAt(hex);
+    if (clickedUnit && !clickedUnit.isPlayer) {
+      this.eventBus.emit('combat:attackUnit', { targetId: clickedUnit.id });
+    } else if (!clickedUnit) {
+      this.eventBus.emit('combat:moveUnit', { position: hex });
+    }
+  }
+
+  /**
+   * Find a stored action log: the given contract, else the most recent battle
+   */
+  findReplay(contractId = null) {
+    const contracts = [...(this.gameState.get('activeContracts') || []), ...(this.gameState.get('contractHistory') || [])];
+
+    if (contractId) {
+      const contract = contracts.find((c) => c.id === contractId);
+      return contract ? contract.replay || null : null;
+    }
+
+    return this.lastReplay || [...contracts].reverse().map((c) => c.replay).find(Boolean) || null;
+  }
+
+  /**
+   * Open the replay viewer on the tactical-combat screen
+   */
+  openReplay(contractId = null) {
+    if (this.combatActive) {
+      this.logger.warn('Cannot open a replay during an engagement');
+      return false;
+    }
+
+    const log = this.findReplay(contractId);
+    if (!log) {
+      this.logger.warn(`No combat replay recorded${contractId ? ` for ${contractId}` : ''}`);
+      return false;
+    }
+
+    this.replay = new CombatReplay(log);
+    this.replayGrid = new HexGrid({ width: log.width, height: log.height, hexSize: this.hexGrid.hexSize });
+    this.replayGrid.loadTerrain(log.terrain);
+    this.replayStep = 0;
+
+    const panel = document.getElementById('replay-panel');
+    if (panel) {
+      panel.style.display = '';
+    }
+
+    const scrub = document.getElementById('replay-scrub');
+    if (scrub) {
+      scrub.max = this.replay.length - 1;
+    }
+
+    this.renderCombatUI();
+    return true;
+  }
+
+  /**
+   * Jump to a replay step
+   */
+  setReplayStep(step) {
+    if (!this.replay) {
+      return;
+    }
+
+    this.replayStep = this.replay.getFrame(step).step;
+    this.renderCombatUI();
+  }
+
+  /**
+   * Leave the replay viewer
+   */
+  closeReplay() {
+    this.replay = null;
+    this.replayGrid = null;
+
+    const panel = document.getElementById('replay-panel');
+    if (panel) {
+      panel.style.display = 'none';
+    }
+
+    this.renderCombatUI();
+  }
+
+  /**
+   * Serialize the open (or latest) action log for a bug report
+   */
+  exportReplay() {
+    const log = this.replay ? this.replay.log : this.findReplay();
+    if (!log) {
+      return null;
+    }
+
+    const json = JSON.stringify(log);
+    if (typeof navigator !== 'undefined' && navigator.clipboard) {
+      navigator.clipboard.writeText(json).catch((error) => this.logger.warn('Could not copy replay:', error));
+    }
+
+    this.logger.info(`Combat replay exported (${json.length} bytes)`);
+    return json;
+  }
+
+  /**
+   * Render the current replay frame
+   */
+  renderReplay() {
+    const frame = this.replay.getFrame(this.replayStep);
+
+    const turnNumber = document.getElementById('turn-number');
+    if (turnNumber) {
+      turnNumber.textContent = frame.turn;
+    }
+
+    const scrub = document.getElementById('replay-scrub');
+    if (scrub) {
+      scrub.value = frame.step;
+    }
+
+    const stepLabel = document.getElementById('replay-step');
+    if (stepLabel) {
+      stepLabel.textContent = `Step ${frame.step}/${this.replay.length - 1}: ${frame.description}`;
+    }
+
+    const canvas = document.getElementById('battlefield');
+    const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx) {
+      return;
+    }
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    this.drawTerrain(ctx, this.replayGrid);
+
+    const actor = frame.action ? frame.action.id : null;
+    frame.units.filter((unit) => !unit.destroyed).forEach((unit) => {
+      CombatSystem.drawUnitMarker(ctx, this.replayGrid, unit, unit.id === actor);
+    });
+  }
+
+  /**
+   * Render battlefield, turn info and unit details
+   */
+  renderCombatUI() {
+    if (this.replay) {
+      this.renderReplay();
+      return;
+    }
+
+    const turnNumber = document.getElementById('turn-number');
+    if (turnNumber) {
+      turnNumber.textContent = this.currentTurn;
+    }
+
+    const currentUnit = document.getElementById('current-unit');
+    if (currentUnit) {
+      currentUnit.textContent = this.selectedUnit ? this.selectedUnit.name : '-';
+    }
+
+    this.updateUnitDetails();
+    this.drawBattlefield();
+  }
+
+  /**
+   * Update unit details panel for the active unit
+   */
+  updateUnitDetails() {
     const unitDetails = document.getElementById('unit-details');
-    if (unitDetails) {
-      unitDetails.innerHTML = `
-        <p>Combat system placeholder</p>
-        <p>This will handle:</p>
-        <ul>
-          <li>Turn-based tactical combat</li>
-          <li>Unit movement and positioning</li>
-          <li>Weapon systems and damage</li>
-          <li>Heat management</li>
-          <li>Pilot skills and experience</li>
-        </ul>
-      `;
+    if (!unitDetails) {
+      return;
+    }
+
+    const unit = this.selectedUnit;
+    if (!unit) {
+      unitDetails.innerHTML = '<p>No unit active</p>';
+      return;
     }
+
+    const status = unit.getStatusSummary();
+    const locationLines = MechDamage.LOCATIONS.map((location) => {
+      const data = unit.locations[location];
+      const condition = data.structure > 0 ? `${data.armor}/${data.structure}` : 'Destroyed';
+      return `<div class="stat-line"><span>${MechDamage.LOCATION_NAMES[location]}:</span><span>${condition}</span></div>`;
+    });
+
+    unitDetails.innerHTML = `
+      <div class="stat-line"><span>Side:</span><span>${unit.isPlayer ? 'Player' : 'Enemy'}</span></div>
+      <div class="stat-line"><span>Class:</span><span>${unit.weightClass} (${unit.tonnage}t)</span></div>
+      <div class="stat-line"><span>Pilot:</span><span>G${unit.gunnery} / P${unit.piloting}</span></div>
+      <div class="stat-line"><span>Armor:</span><span>${status.armor}%</span></div>
+      <div class="stat-line"><span>Structure:</span><span>${status.structure}%</span></div>
+      <div class="stat-line"><span>Heat:</span><span>${status.heat}/${status.maxHeat} (${status.heatSinks} sinks)</span></div>
+      ${unit.hasStatusEffect('shutdown') ? '<div class="stat-line"><span>Reactor:</span><span>SHUTDOWN</span></div>' : ''}
+      <div class="stat-line"><span>Movement:</span><span>${status.movement}/${unit.getMovementPoints()} (${MechMovement.MODES[unit.movementMode].name})</span></div>
+      <div class="stat-line"><span>Walk/Run/Jump:</span><span>${unit.getMovementPoints('walk')}/${unit.getMovementPoints('run')}/${unit.jumpMP}</span></div>
+      <div class="stat-line"><span>Facing:</span><span>${MechMovement.FACINGS[unit.facing]}${unit.torsoTwist ? ` (torso ${MechMovement.FACINGS[unit.getTorsoFacing()]})` : ''}</span></div>
+      <div class="stat-line"><span>Phase:</span><span>${this.currentPhase}</span></div>
+      <p>${unit.getOperationalWeapons().join(', ') || 'No operational weapons'}</p>
+      ${locationLines.join('')}
+    `;
+  }
+
+  /**
+   * Draw battlefield grid and units
+   */
+  drawBattlefield() {
+    const canvas = document.getElementById('battlefield');
+    if (!canvas || !canvas.getContext) {
+      return;
+    }
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      return;
+    }
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Movement range for the active player unit
+    const { selectedUnit } = this;
+    const reachable = this.combatActive && selectedUnit && selectedUnit.isPlayer && selectedUnit.canMove()
+      ? this.getReachableHexes(selectedUnit)
+      : [];
+
+    this.drawTerrain(ctx, this.hexGrid, reachable);
+
+    [...this.playerUnits, ...this.enemyUnits].filter((unit) => !unit.isDestroyed()).forEach((unit) => {
+      CombatSystem.drawUnitMarker(ctx, this.hexGrid, unit, unit === this.selectedUnit);
+    });
+  }
+
+  /**
+   * Draw terrain hexes, highlighting reachable hexes
+   */
+  drawTerrain(ctx, grid, reachable = []) {
+    for (let x = 0; x < grid.width; x++) {
+      for (let y = 0; y < grid.height; y++) {
+        const hex = { x, y };
+        const terrain = grid.getTerrain(hex);
+
+        this.traceHex(ctx, hex, grid);
+        ctx.fillStyle = terrain.color;
+        ctx.fill();
+
+        // Darken low ground, lighten high ground
+        if (terrain.elevation > 0) {
+          ctx.fillStyle = `rgba(255, 255, 255, ${terrain.elevation * 0.08})`;
+          ctx.fill();
+        }
+
+        if (reachable.some((r) => r.x === x && r.y === y)) {
+          ctx.fillStyle = 'rgba(0, 255, 0, 0.25)';
+          ctx.fill();
+        }
+
+        ctx.strokeStyle = '#1a2a1a';
+        ctx.stroke();
+      }
+    }
+  }
+
+  /**
+   * Draw a unit marker with a facing tick, highlighted units get a yellow ring
+   */
+  static drawUnitMarker(ctx, grid, unit, highlighted = false) {
+    const center = grid.hexToPixel(unit.position);
+
+    ctx.fillStyle = unit.isPlayer ? '#4a90e2' : '#e24a4a';
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, grid.hexSize * 0.5, 0, Math.PI * 2);
+    ctx.fill();
+
+    if (unit.facing !== undefined) {
+      const angle = (unit.facing * 60 - 90) * Math.PI / 180;
+      ctx.strokeStyle = '#ffffff';
+      ctx.beginPath();
+      ctx.moveTo(center.x, center.y);
+      ctx.lineTo(center.x + Math.cos(angle) * grid.hexSize * 0.8, center.y + Math.sin(angle) * grid.hexSize * 0.8);
+      ctx.stroke();
+    }
+
+    if (highlighted) {
+      ctx.strokeStyle = '#ffff00';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, grid.hexSize * 0.5, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+  }
+
+  /**
+   * Trace a hex outline as the current canvas path
+   */
+  traceHex(ctx, hex, grid = this.hexGrid) {
+    const corners = grid.getHexCorners(hex);
+
+    ctx.beginPath();
+    ctx.moveTo(corners[0].x, corners[0].y);
+    corners.slice(1).forEach((corner) => ctx.lineTo(corner.x, corner.y));
+    ctx.closePath();
   }
 
   /**
    * System update method (called by game loop)
    */
   update(deltaTime) {
-    // Combat system updates will be implemented here
-    // This will handle real-time combat mechanics when implemented
+    if (!this.combatActive || !this.selectedUnit || this.selectedUnit.isPlayer) {
+      return;
+    }
+
+    // Give enemy units a short "thinking" delay so the player can follow along
+    this.aiTimer += deltaTime;
+    if (this.aiTimer >= this.aiTurnDelay) {
+      this.aiTimer = 0;
+      this.processAITurn(this.selectedUnit);
+    }
   }
 
   /**
    * Handle system start
    */
   async start() {
-    this.logger.debug('CombatSystem started (placeholder)');
+    this.logger.debug('CombatSystem started');
   }
 
   /**
@@ -155,6 +1657,16 @@ export class CombatSystem {
    * Handle state loaded
    */
   onStateLoaded(gameState) {
+    // Battles are not persisted mid-fight, reset any stale combat state
+    this.combatActive = false;
+    this.selectedUnit = null;
+    this.playerUnits = [];
+    this.enemyUnits = [];
+    this.reinforcements = [];
+    this.turnOrder = [];
+    this.recorder.stop();
+    this.lastReplay = null;
+    this.replay = null;
     this.logger.debug('CombatSystem state loaded');
   }
 
@@ -162,7 +1674,8 @@ export class CombatSystem {
    * Shutdown the combat system
    */
   async shutdown() {
+    this.combatActive = false;
     this.isInitialized = false;
     this.logger.info('CombatSystem shutdown complete');
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,437 @@
+/**
+ * Combat Unit - Runtime representation of a mech on the tactical battlefield
+ * Wraps a roster mech and its pilot with movement, action and damage state
+ */
+import { MechCatalog } from './MechCatalog';
+import { MechDamage } from './MechDamage';
+import { MechHeat } from './MechHeat';
+import { MechMovement } from './MechMovement';
+import { PilotInjury } from './PilotInjury';
+import { PilotMorale } from './PilotMorale';
+import { PilotTraits } from './PilotTraits';
+import { WeaponsCatalog } from './WeaponsCatalog';
+
+export class CombatUnit {
+  constructor({
+    mech, pilot = null, isPlayer = false, position = { x: 0, y: 0 }, facing = 0, battlefield = {},
+  }) {
+    this.id = mech.id;
+    this.mechId = mech.id;
+    this.pilotId = pilot ? pilot.id : null;
+    this.mechName = mech.name;
+    this.chassisId = mech.chassisId || null;
+    this.pilotName = pilot ? pilot.name : null;
+    this.name = pilot ? `${mech.name} (${pilot.name})` : mech.name;
+    this.isPlayer = isPlayer;
+    this.position = { ...position };
+    this.facing = facing;
+    this.torsoTwist = 0;
+
+    // Chassis data
+    this.tonnage = mech.tonnage || 50;
+    this.weightClass = mech.mechClass || MechCatalog.getWeightClass(this.tonnage);
+    this.weapons = CombatUnit.getWeaponList(mech);
+    this.loadout = mech.loadout
+      ? Object.fromEntries(Object.entries(mech.loadout).map(([location, items]) => [location, [...items]]))
+      : MechDamage.distributeWeapons(this.weapons);
+
+    // Traits and the specialties that suit this mech and battlefield
+    this.traitEffects = PilotTraits.getEffects(pilot, { mechClass: this.weightClass, ...battlefield });
+    this.rerolls = this.traitEffects.rerolls;
+
+    // Pilot skills (lower is better, unpiloted units fight as green crews), poor morale makes every roll harder
+    const moralePenalty = pilot ? PilotMorale.getCombatModifier(pilot) : 0;
+    this.gunnery = pilot ? pilot.gunnery + moralePenalty + this.traitEffects.toHit : 5;
+    this.piloting = pilot ? pilot.piloting + moralePenalty + this.traitEffects.piloting : 6;
+
+    // Per-location armor and structure carried over from the roster
+    this.locations = MechDamage.cloneLocations(MechDamage.migrateMech(mech).locations);
+
+    // Heat and ammunition tracking
+    this.heat = mech.heat || 0;
+    this.maxHeat = MechHeat.MAX_HEAT;
+    this.heatSinks = mech.heatSinks || MechHeat.DEFAULT_HEAT_SINKS;
+    this.ammo = mech.ammo ? { ...mech.ammo } : WeaponsCatalog.getDefaultAmmo(this.weapons);
+
+    // Turn state
+    this.walkMP = mech.walkMP || mech.movement || CombatUnit.getDefaultMovement(this.weightClass);
+    this.jumpMP = mech.jumpMP || 0;
+    this.maxMovementPoints = this.walkMP;
+    this.movementMode = 'walk';
+    this.movementPoints = 0;
+    this.hexesMoved = 0;
+    this.hasMoved = false;
+    this.hasTurned = false;
+    this.hasActed = false;
+    this.initiative = 0;
+    this.statusEffects = [];
+
+    // Battle statistics
+    this.kills = 0;
+    this.damageDealt = 0;
+    this.damageTaken = 0;
+    this.pilotHits = 0;
+  }
+
+  /**
+   * Get default walking movement points for a weight class
+   */
+  static getDefaultMovement(weightClass) {
+    const movement = {
+      Light: 6,
+      Medium: 5,
+      Heavy: 4,
+      Assault: 3,
+    };
+
+    return movement[weightClass] || 4;
+  }
+
+  /**
+   * Build a flat list of catalog weapon names from a mech's loadout or weapons list
+   */
+  static getWeaponList(mech) {
+    if (mech.loadout) {
+      return WeaponsCatalog.parseWeaponList(Object.values(mech.loadout).flat());
+    }
+
+    return WeaponsCatalog.parseWeaponList(mech.weapons);
+  }
+
+  /**
+   * Prepare unit for its activation
+   */
+  startTurn() {
+    this.movementMode = 'walk';
+    this.movementPoints = this.getMovementPoints('walk');
+    this.torsoTwist = 0;
+    this.hexesMoved = 0;
+    this.hasMoved = false;
+    this.hasTurned = false;
+    this.hasActed = false;
+  }
+
+  /**
+   * Finish unit activation
+   */
+  endTurn() {
+    this.movementPoints = 0;
+  }
+
+  /**
+   * Check if unit can still move this turn
+   */
+  canMove() {
+    return !this.isDestroyed() && !this.hasMoved && !this.hasActed
+      && this.movementPoints > 0 && !this.hasStatusEffect('shutdown');
+  }
+
+  /**
+   * Check if unit can still attack this turn
+   */
+  canAct() {
+    return !this.isDestroyed() && !this.hasActed && !this.hasStatusEffect('shutdown');
+  }
+
+  /**
+   * Movement points available in a mode this turn
+   */
+  getMovementPoints(mode = this.movementMode) {
+    return MechMovement.getMovementPoints(mode, {
+      walkMP: this.walkMP,
+      jumpMP: this.jumpMP,
+      heatPenalty: this.getHeatEffects().movementPenalty,
+    });
+  }
+
+  /**
+   * Choose walk, run or jump before the unit moves or turns
+   */
+  setMovementMode(mode) {
+    if (!MechMovement.MODES[mode] || this.isDestroyed() || this.hasMoved || this.hasTurned || this.hasActed
+      || this.hasStatusEffect('shutdown') || this.getMovementPoints(mode) <= 0) {
+      return false;
+    }
+
+    this.movementMode = mode;
+    this.movementPoints = this.getMovementPoints(mode);
+    return true;
+  }
+
+  /**
+   * Move unit to a new position
+   * Cost is in movement points, hexes is the path length for to-hit modifiers
+   */
+  moveTo(position, cost, hexes = cost, facing = this.facing) {
+    if (!this.canMove() || cost > this.movementPoints) {
+      return false;
+    }
+
+    this.position = { ...position };
+    this.facing = facing;
+    this.movementPoints -= cost;
+    this.hexesMoved += hexes;
+    this.hasMoved = true;
+
+    return true;
+  }
+
+  /**
+   * Turn in place, each hexside costs one movement point
+   */
+  turn(steps) {
+    const cost = Math.abs(steps);
+    if (cost === 0 || this.isDestroyed() || this.hasActed || this.hasStatusEffect('shutdown') || cost > this.movementPoints) {
+      return false;
+    }
+
+    this.facing = MechMovement.rotate(this.facing, steps);
+    this.movementPoints -= cost;
+    this.hasTurned = true;
+    return true;
+  }
+
+  /**
+   * Twist the torso one hexside left or right of the legs for this turn's attack
+   */
+  twistTorso(steps) {
+    if (!this.canAct() || Math.abs(this.torsoTwist + steps) > MechMovement.MAX_TORSO_TWIST) {
+      return false;
+    }
+
+    this.torsoTwist += steps;
+    return true;
+  }
+
+  getTorsoFacing() {
+    return MechMovement.rotate(this.facing, this.torsoTwist);
+  }
+
+  /**
+   * To-hit penalty for attacking after moving or turning this turn
+   */
+  getAttackerMovementModifier() {
+    return this.hasMoved || this.hasTurned ? MechMovement.getAttackerModifier(this.movementMode) : 0;
+  }
+
+  /**
+   * Arc of this unit a position lies in, by leg facing unless another facing is given
+   */
+  getArcTo(hexGrid, position, facing = this.facing) {
+    return MechMovement.getArc(hexGrid.getBearing(this.position, position), facing);
+  }
+
+  /**
+   * Total remaining armor and structure points
+   */
+  get armor() {
+    return Object.values(this.locations)
+      .reduce((total, data) => total + Math.max(0, data.armor) + Math.max(0, data.rearArmor || 0), 0);
+  }
+
+  get structure() {
+    return Object.values(this.locations).reduce((total, data) => total + Math.max(0, data.structure), 0);
+  }
+
+  /**
+   * Get weapons that have not been lost to critical hits or destroyed locations
+   */
+  getOperationalWeapons() {
+    return MechDamage.getOperationalWeapons(this.locations, this.loadout);
+  }
+
+  /**
+   * Get operational weapons that still have ammunition to fire
+   */
+  getReadyWeapons() {
+    return this.getOperationalWeapons().filter((weapon) => this.isLoaded(weapon));
+  }
+
+  /**
+   * Get ready weapons whose mounts bear on a position
+   * Torso and arm mounts follow the torso twist, leg mounts the leg facing
+   */
+  getReadyWeaponsInArc(hexGrid, position) {
+    const torsoArc = this.getArcTo(hexGrid, position, this.getTorsoFacing());
+    const legArc = this.getArcTo(hexGrid, position);
+
+    return MechDamage.LOCATIONS
+      .filter((location) => {
+        const arc = MechMovement.LEG_LOCATIONS.includes(location) ? legArc : torsoArc;
+        return MechMovement.canFireInto(location, arc);
+      })
+      .flatMap((location) => MechDamage.getOperationalEquipment(this.locations, location, this.loadout))
+      .filter((weapon) => this.isLoaded(weapon));
+  }
+
+  /**
+   * Energy weapons never run dry
+   */
+  isLoaded(weapon) {
+    return !WeaponsCatalog.usesAmmo(weapon) || this.ammo[weapon] > 0;
+  }
+
+  /**
+   * Spend one round for a weapon, energy weapons always fire
+   */
+  useAmmo(weapon) {
+    if (!WeaponsCatalog.usesAmmo(weapon)) {
+      return true;
+    }
+
+    if (!(this.ammo[weapon] > 0)) {
+      return false;
+    }
+
+    this.ammo[weapon] -= 1;
+    return true;
+  }
+
+  /**
+   * Find the location an item is mounted in
+   */
+  getEquipmentLocation(item) {
+    return MechDamage.LOCATIONS.find((location) => (this.loadout[location] || []).includes(item)) || 'centerTorso';
+  }
+
+  /**
+   * Add heat from movement or weapons fire
+   */
+  addHeat(amount) {
+    this.heat = Math.min(MechHeat.HEAT_CAP, this.heat + amount);
+  }
+
+  /**
+   * Heat the unit's sinks can shed in one turn
+   */
+  getDissipation(options = {}) {
+    return MechHeat.getDissipation(this.heatSinks, options);
+  }
+
+  /**
+   * Sink heat at the end of the turn, returns the amount dissipated
+   */
+  dissipateHeat(options = {}) {
+    const dissipated = Math.min(this.heat, this.getDissipation(options));
+    this.heat -= dissipated;
+    return dissipated;
+  }
+
+  /**
+   * Get movement and to-hit penalties for the current heat level
+   */
+  getHeatEffects() {
+    return MechHeat.getHeatEffects(this.heat);
+  }
+
+  /**
+   * Apply damage to a hit location, armor first, then internal structure
+   */
+  takeDamage(amount, location = 'centerTorso', options = {}) {
+    const result = MechDamage.applyDamage(this.locations, location, amount, {
+      ...options,
+      loadout: this.loadout,
+    });
+
+    this.damageTaken += result.armorDamage + result.structureDamage;
+
+    return result;
+  }
+
+  /**
+   * Wound the pilot, each hit is a penalty on every gunnery and piloting roll for the rest of the fight
+   */
+  injurePilot(hits = 1) {
+    if (!this.pilotId) {
+      return 0;
+    }
+
+    const penalty = PilotInjury.getWoundPenalty(this.pilotHits + hits) - PilotInjury.getWoundPenalty(this.pilotHits);
+    this.pilotHits = Math.min(PilotInjury.MAX_HITS, this.pilotHits + hits);
+    this.gunnery += penalty;
+    this.piloting += penalty;
+
+    return this.pilotHits;
+  }
+
+  /**
+   * Spend one of the pilot's rerolls on a missed shot
+   */
+  useReroll() {
+    if (this.rerolls <= 0) {
+      return false;
+    }
+
+    this.rerolls -= 1;
+    return true;
+  }
+
+  /**
+   * Check if unit has been destroyed
+   */
+  isDestroyed() {
+    return MechDamage.isDestroyed(this.locations);
+  }
+
+  /**
+   * Status effect helpers
+   */
+  addStatusEffect(effect) {
+    if (!this.statusEffects.includes(effect)) {
+      this.statusEffects.push(effect);
+    }
+  }
+
+  removeStatusEffect(effect) {
+    this.statusEffects = this.statusEffects.filter((existing) => existing !== effect);
+  }
+
+  hasStatusEffect(effect) {
+    return this.statusEffects.includes(effect);
+  }
+
+  /**
+   * Get remaining armor and structure as roster percentages
+   */
+  getCondition() {
+    return MechDamage.getCondition(this.locations);
+  }
+
+  /**
+   * Get unit status summary for UI and event payloads
+   */
+  getStatusSummary() {
+    const condition = this.getCondition();
+
+    return {
+      id: this.id,
+      name: this.name,
+      mechId: this.mechId,
+      chassisId: this.chassisId,
+      pilotId: this.pilotId,
+      isPlayer: this.isPlayer,
+      position: { ...this.position },
+      facing: this.facing,
+      torsoTwist: this.torsoTwist,
+      armor: condition.armor,
+      structure: condition.structure,
+      locations: MechDamage.cloneLocations(this.locations),
+      heat: this.heat,
+      maxHeat: this.maxHeat,
+      heatSinks: this.heatSinks,
+      ammo: { ...this.ammo },
+      movement: this.movementPoints,
+      maxMovement: this.maxMovementPoints,
+      movementMode: this.movementMode,
+      jumpMP: this.jumpMP,
+      canMove: this.canMove(),
+      canAct: this.canAct(),
+      destroyed: this.isDestroyed(),
+      statusEffects: [...this.statusEffects],
+      kills: this.kills,
+      pilotHits: this.pilotHits,
+      damageDealt: this.damageDealt,
+      damageTaken: this.damageTaken,
+    };
+  }
+}
@@ -3,15 +3,27 @@
  * Handles finances, reputation, time progression, and company management
  */
 import { Logger } from '../../utils/Logger.js';
+import { ContractNegotiation } from './ContractNegotiation';
+import { GameClock } from './GameClock';
+import { RandomService } from './RandomService';
 
 export class CompanySystem {
-  constructor(eventBus, gameState) {
+  constructor(
+    eventBus,
+    gameState,
+    randomService = new RandomService(),
+    gameClock = new GameClock(eventBus, gameState),
+  ) {
     this.logger = new Logger('CompanySystem');
     this.eventBus = eventBus;
     this.gameState = gameState;
     this.isInitialized = false;
-    this.monthlyExpensesTimer = 0;
-    this.monthlyInterval = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+
+    // Seeded stream for random company events
+    this.random = randomService.stream('events');
+    this.clock = gameClock;
+
+    this.expenseIntervalDays = 30;
   }
 
   /**
@@ -42,13 +54,17 @@ export class CompanySystem {
   setupEventListeners() {
     // Company management events
     this.eventBus.on('company:advanceTime', this.advanceTime.bind(this));
+    this.eventBus.on('company:expensesDue', this.onExpensesDue.bind(this));
     this.eventBus.on('company:payExpenses', this.payMonthlyExpenses.bind(this));
     this.eventBus.on('company:updateFinances', this.updateFinancialDisplay.bind(this));
     
     // Game events that affect company
     this.eventBus.on('pilot:hired', this.onPilotHired.bind(this));
     this.eventBus.on('pilot:fired', this.onPilotFired.bind(this));
+    this.eventBus.on('contract:accepted', this.onContractAccepted.bind(this));
     this.eventBus.on('contract:completed', this.onContractCompleted.bind(this));
+    this.eventBus.on('contract:breached', this.onContractBreached.bind(this));
+    this.eventBus.on('contract:missionCompleted', this.onMissionCompleted.bind(this));
     
     // UI update events
     this.eventBus.on('gameState:changed', this.onGameStateChanged.bind(this));
@@ -83,7 +99,7 @@ export class CompanySystem {
     const companyData = {
       name: "Wolf's Dragoons",
       callsign: "Alpha Company",
-      established: Date.now(),
+      established: this.clock.today(),
       funds: 500000,
       rating: 'Green',
       reputation: {}, // Will be initialized by FactionSystem
@@ -109,7 +125,14 @@ export class CompanySystem {
         mechsLost: 0,
         totalEarnings: 0,
         totalExpenses: 0,
-        timeInService: 0
+        timeInService: 0,
+        salvageItems: 0,
+        salvageValue: 0,
+        mechsSalvaged: 0,
+      },
+      parts: {
+        weapons: {},
+        armor: 0,
       },
       progression: {
         experience: 0,
@@ -404,9 +427,9 @@ export class CompanySystem {
               
               <div class="time-service" style="background: #333; padding: 15px; border-radius: 5px;">
                 <h3 style="color: #ffd93d; margin-bottom: 10px;">Service Record</h3>
-                <div class="stat-line"><span>Established:</span><span>${new Date(company.established).toLocaleDateString()}</span></div>
+                <div class="stat-line"><span>Established:</span><span>${GameClock.formatDate(GameClock.fromDayNumber(company.established))}</span></div>
                 <div class="stat-line"><span>Current Date:</span><span>${time.month}/${time.day}/${time.year}</span></div>
-                <div class="stat-line"><span>Time in Service:</span><span>${Math.floor((Date.now() - company.established) / (30 * 24 * 60 * 60 * 1000))} months</span></div>
+                <div class="stat-line"><span>Time in Service:</span><span>${Math.floor((this.clock.today() - company.established) / 30)} months</span></div>
               </div>
             </div>
           </div>
@@ -446,29 +469,11 @@ export class CompanySystem {
    */
   advanceTime(data) {
     const { days = 7 } = data;
-    const currentTime = this.gameState.get('time') || { day: 1, month: 1, year: 3025 };
-    
-    // Calculate new date
-    let newDay = currentTime.day + days;
-    let newMonth = currentTime.month;
-    let newYear = currentTime.year;
-    
-    // Handle month overflow
-    const daysInMonth = this.getDaysInMonth(newMonth, newYear);
-    while (newDay > daysInMonth) {
-      newDay -= daysInMonth;
-      newMonth++;
-      
-      if (newMonth > 12) {
-        newMonth = 1;
-        newYear++;
-      }
-    }
     
-    const newTime = { day: newDay, month: newMonth, year: newYear };
+    this.scheduleExpenses();
     
-    // Update game state
-    this.gameState.set('time', newTime);
+    // The clock moves a day at a time and fires scheduled events as they fall due
+    const { previousTime: currentTime, newTime } = this.clock.advance(days);
     
     // Process time-based events
     this.processTimeAdvancement(days);
@@ -482,24 +487,30 @@ export class CompanySystem {
       daysAdvanced: days 
     });
     
-    this.logger.info(`Time advanced by ${days} days to ${this.formatDate(newTime)}`);
+    this.logger.info(`Time advanced by ${days} days to ${GameClock.formatDate(newTime)}`);
+  }
+
+  /**
+   * Book the next payday unless one is already on the calendar
+   */
+  scheduleExpenses() {
+    if (this.clock.getScheduled('company:expensesDue').length === 0) {
+      this.clock.scheduleIn('company:expensesDue', this.expenseIntervalDays);
+    }
+  }
+
+  /**
+   * Pay expenses on the scheduled day and book the next payday
+   */
+  onExpensesDue() {
+    this.payMonthlyExpenses();
+    this.scheduleExpenses();
   }
 
   /**
    * Process events that occur when time advances
    */
   processTimeAdvancement(days) {
-    // Check if a month has passed for monthly expenses
-    this.monthlyExpensesTimer += days * 24 * 60 * 60 * 1000; // Convert to milliseconds
-    
-    if (this.monthlyExpensesTimer >= this.monthlyInterval) {
-      this.payMonthlyExpenses();
-      this.monthlyExpensesTimer = 0;
-    }
-    
-    // Process contract time limits
-    this.processContractTimeouts(days);
-    
     // Update pilot/mech maintenance
     this.processMaintenanceEvents(days);
     
@@ -595,31 +606,17 @@ export class CompanySystem {
     }
   }
 
-  /**
-   * Process contract timeouts
-   */
-  processContractTimeouts(days) {
-    // This will be expanded when active contract system is implemented
-    const contracts = this.gameState.get('contracts') || [];
-    const now = Date.now();
-    
-    contracts.forEach(contract => {
-      if (contract.timeLimit && now > contract.timeLimit) {
-        this.logger.debug(`Contract expired: ${contract.name}`);
-      }
-    });
-  }
-
   /**
    * Process maintenance events
    */
   processMaintenanceEvents(days) {
     // Check for mechs needing maintenance
     const mechs = this.gameState.get('mechs') || [];
+    const today = this.clock.today();
     
     mechs.forEach(mech => {
       if (mech.lastMaintenance) {
-        const daysSinceMaintenance = (Date.now() - mech.lastMaintenance) / (24 * 60 * 60 * 1000);
+        const daysSinceMaintenance = today - mech.lastMaintenance;
         
         if (daysSinceMaintenance > 30) { // Monthly maintenance required
           this.logger.info(`Mech ${mech.name} requires maintenance`);
@@ -634,7 +631,7 @@ export class CompanySystem {
    */
   processRandomEvents(days) {
     // Small chance of random events each week
-    if (days >= 7 && Math.random() < 0.1) {
+    if (days >= 7 && this.random.next() < 0.1) {
       this.generateRandomEvent();
     }
   }
@@ -648,7 +645,7 @@ export class CompanySystem {
         name: 'Generous Benefactor',
         description: 'A wealthy patron impressed by your recent work has made a donation to your company.',
         effect: () => {
-          const bonus = 50000 + Math.floor(Math.random() * 100000);
+          const bonus = 50000 + Math.floor(this.random.next() * 100000);
           const currentFunds = this.gameState.get('company.funds');
           this.gameState.set('company.funds', currentFunds + bonus);
           return `Received ${bonus.toLocaleString()} C-Bills bonus!`;
@@ -658,7 +655,7 @@ export class CompanySystem {
         name: 'Equipment Malfunction',
         description: 'A major equipment failure has occurred, requiring emergency repairs.',
         effect: () => {
-          const cost = 20000 + Math.floor(Math.random() * 50000);
+          const cost = 20000 + Math.floor(this.random.next() * 50000);
           const currentFunds = this.gameState.get('company.funds');
           this.gameState.set('company.funds', Math.max(0, currentFunds - cost));
           return `Emergency repair costs: ${cost.toLocaleString()} C-Bills`;
@@ -668,7 +665,7 @@ export class CompanySystem {
         name: 'Reputation Boost',
         description: 'Word of your professionalism has spread, improving your standing.',
         effect: () => {
-          const repBonus = 5 + Math.floor(Math.random() * 10);
+          const repBonus = 5 + Math.floor(this.random.next() * 10);
           const reputation = this.gameState.get('company.reputation');
           this.gameState.set('company.reputation.Mercenary', reputation.Mercenary + repBonus);
           return `Mercenary reputation increased by ${repBonus}!`;
@@ -676,7 +673,7 @@ export class CompanySystem {
       }
     ];
     
-    const event = events[Math.floor(Math.random() * events.length)];
+    const event = events[Math.floor(this.random.next() * events.length)];
     const result = event.effect();
     
     this.eventBus.emit('company:randomEvent', { event, result });
@@ -727,8 +724,18 @@ export class CompanySystem {
    * Handle contract completion
    */
   onContractCompleted(data) {
-    const { contract, success, payment, bonuses } = data;
-    
+    const {
+      contract, success, payment, bonuses, combatResult, outcome,
+    } = data;
+    const breached = outcome === 'Breached';
+    
+    // Negotiated support coverage is owed for the deployment unless the company broke the contract
+    const support = breached ? 0 : ContractNegotiation.getSupportPayment(contract, this.calculateTotalExpenses());
+    if (support > 0) {
+      this.gameState.set('company.funds', this.gameState.get('company.funds') + support);
+      this.logger.info(`${contract.employer} covered ${support.toLocaleString()} C-Bills of support costs`);
+    }
+
     if (success) {
       // Add payment to company funds
       const totalPayment = payment + (bonuses || 0);
@@ -745,30 +752,82 @@ export class CompanySystem {
       
       // Update statistics
       const stats = this.gameState.get('statistics');
-      this.gameState.update({
-        'statistics.contractsCompleted': stats.contractsCompleted + 1,
-        'statistics.totalEarnings': stats.totalEarnings + totalPayment
-      });
+      this.gameState.set('statistics.contractsCompleted', stats.contractsCompleted + 1);
+      this.gameState.set('statistics.totalEarnings', stats.totalEarnings + totalPayment);
       
       this.logger.info(`Contract completed: ${contract.name}, payment: ${totalPayment.toLocaleString()} C-Bills`);
     } else {
-      // Handle failed contract
+      // Handle failed contract, campaigns still pay for the missions completed
       const stats = this.gameState.get('statistics');
       this.gameState.set('statistics.contractsFailed', stats.contractsFailed + 1);
       
-      // Apply reputation penalties
-      Object.keys(this.gameState.get('company.reputation')).forEach(faction => {
-        const currentRep = this.gameState.get(`company.reputation.${faction}`) || 0;
-        this.gameState.set(`company.reputation.${faction}`, currentRep - 5);
-      });
+      if (payment > 0) {
+        this.gameState.set('company.funds', this.gameState.get('company.funds') + payment);
+        this.gameState.set('statistics.totalEarnings', stats.totalEarnings + payment);
+      }
+
+      // Apply reputation penalties, breaches carry their own through FactionSystem
+      if (!breached) {
+        Object.keys(this.gameState.get('company.reputation')).forEach((faction) => {
+          const currentRep = this.gameState.get(`company.reputation.${faction}`) || 0;
+          this.gameState.set(`company.reputation.${faction}`, currentRep - 5);
+        });
+      }
       
       this.logger.warn(`Contract failed: ${contract.name}`);
     }
     
+    // Mechs lost in the engagement count whether or not the contract paid out
+    if (combatResult && combatResult.unitsLost > 0) {
+      const stats = this.gameState.get('statistics');
+      this.gameState.set('statistics.mechsLost', stats.mechsLost + combatResult.unitsLost);
+    }
+
     this.updateFinancialDisplay();
     this.updateCompanyRating();
   }
 
+  /**
+   * Bank the employer's signing advance
+   */
+  onContractAccepted(data) {
+    const { advance = 0 } = data;
+
+    if (advance > 0) {
+      const stats = this.gameState.get('statistics');
+      this.gameState.set('company.funds', this.gameState.get('company.funds') + advance);
+      this.gameState.set('statistics.totalEarnings', stats.totalEarnings + advance);
+      this.updateFinancialDisplay();
+    }
+  }
+
+  /**
+   * Repay the signing advance forfeited by a breach
+   */
+  onContractBreached(data) {
+    const { contract, penalties } = data;
+
+    if (penalties.forfeitedAdvance > 0) {
+      const stats = this.gameState.get('statistics');
+      this.gameState.set('company.funds', this.gameState.get('company.funds') - penalties.forfeitedAdvance);
+      this.gameState.set('statistics.totalEarnings', stats.totalEarnings - penalties.forfeitedAdvance);
+      this.logger.warn(`Advance of ${penalties.forfeitedAdvance.toLocaleString()} C-Bills returned to ${contract.employer}`);
+      this.updateFinancialDisplay();
+    }
+  }
+
+  /**
+   * Count mechs lost in each campaign mission
+   */
+  onMissionCompleted(data) {
+    const { combatResult } = data;
+
+    if (combatResult && combatResult.unitsLost > 0) {
+      const stats = this.gameState.get('statistics');
+      this.gameState.set('statistics.mechsLost', stats.mechsLost + combatResult.unitsLost);
+    }
+  }
+
   /**
    * Update company rating based on reputation and performance
    */
@@ -838,37 +897,10 @@ export class CompanySystem {
     const dateElement = document.getElementById('current-date');
     
     if (dateElement && time) {
-      dateElement.textContent = this.formatDate(time);
+      dateElement.textContent = GameClock.formatDate(time);
     }
   }
 
-  /**
-   * Format date for display
-   */
-  formatDate(time) {
-    const months = [
-      'January', 'February', 'March', 'April', 'May', 'June',
-      'July', 'August', 'September', 'October', 'November', 'December'
-    ];
-    
-    return `${months[time.month - 1]} ${time.day}, ${time.year}`;
-  }
-
-  /**
-   * Get days in month
-   */
-  getDaysInMonth(month, year) {
-    // BattleTech uses standard Earth calendar
-    const daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-    
-    // Handle leap years
-    if (month === 2 && ((year % 4 === 0 && year % 100 !== 0) || year % 400 === 0)) {
-      return 29;
-    }
-    
-    return daysInMonth[month - 1];
-  }
-
   /**
    * Handle game state changes
    */
@@ -932,9 +964,6 @@ export class CompanySystem {
    * Handle state loaded
    */
   onStateLoaded(gameState) {
-    // Reset timers
-    this.monthlyExpensesTimer = 0;
-    
     // Update displays
     this.updateFinancialDisplay();
     this.updateTimeDisplay();
@@ -946,7 +975,6 @@ export class CompanySystem {
    * Shutdown the company system
    */
   async shutdown() {
-    this.monthlyExpensesTimer = 0;
     this.isInitialized = false;
     this.logger.info('CompanySystem shutdown complete');
   }
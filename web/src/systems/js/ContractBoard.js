@@ -0,0 +1,138 @@
+/**
+ * Contract Board - Filtering, sorting and force checks for the available contracts list
+ * Stateless rules shared by the star map board, the comparison view and contract acceptance
+ */
+import { ContractNegotiation } from './ContractNegotiation';
+
+export class ContractBoard {
+  static DEFAULT_FILTERS = {
+    employer: '',
+    type: '',
+    difficulty: '',
+    location: '',
+    minSalvage: 0, // percent
+    minPayment: 0,
+    fitsRoster: false,
+  };
+
+  // Best offers first, except deadlines where the soonest to lapse leads
+  static SORTS = {
+    pay: { name: 'Pay', compare: (a, b) => b.payment - a.payment },
+    payPerDay: { name: 'Pay per Day', compare: (a, b) => ContractBoard.getPayPerDay(b) - ContractBoard.getPayPerDay(a) },
+    deadline: { name: 'Deadline', compare: (a, b) => (a.expiresDay || 0) - (b.expiresDay || 0) },
+  };
+
+  static MAX_COMPARE = 3;
+
+  static getPayPerDay(contract) {
+    return Math.round(contract.payment / Math.max(1, contract.duration));
+  }
+
+  /**
+   * Distinct values on the board for each choice filter
+   */
+  static getOptions(contracts) {
+    const distinct = (key) => [...new Set(contracts.map((contract) => contract[key]))].sort();
+
+    return {
+      employer: distinct('employer'),
+      type: distinct('type'),
+      difficulty: distinct('difficulty'),
+      location: distinct('location'),
+    };
+  }
+
+  /**
+   * Set a contract's requirements against the force the company can field
+   * Returns each check with what is required, what is available and whether it is met
+   */
+  static assessForce(contract, force) {
+    const { mechs, pilots } = force;
+    const weightLimit = ContractNegotiation.getWeightLimit(contract);
+    const fieldedTonnage = ContractBoard.getTonnage(ContractBoard.getLightestMechs(contract, mechs));
+
+    return [
+      {
+        key: 'mechs',
+        name: 'Mechs',
+        required: contract.requirements.minMechs,
+        available: mechs.length,
+        met: mechs.length >= contract.requirements.minMechs,
+      },
+      {
+        key: 'pilots',
+        name: 'Pilots',
+        required: contract.requirements.minMechs,
+        available: pilots.length,
+        met: pilots.length >= contract.requirements.minMechs,
+      },
+      {
+        key: 'tonnage',
+        name: 'Tonnage',
+        required: weightLimit,
+        available: fieldedTonnage,
+        met: fieldedTonnage <= weightLimit,
+      },
+    ];
+  }
+
+  /**
+   * The lightest mechs that still meet the contract's minimum, the smallest force that can take it
+   */
+  static getLightestMechs(contract, mechs) {
+    return [...mechs].sort((a, b) => a.tonnage - b.tonnage).slice(0, contract.requirements.minMechs);
+  }
+
+  /**
+   * Mechs fielded on the contract in roster order, the lightest minimum first
+   * and then any others that fit under the weight limit up to the maximum
+   */
+  static selectMechs(contract, mechs) {
+    const weightLimit = ContractNegotiation.getWeightLimit(contract);
+    const fielded = ContractBoard.getLightestMechs(contract, mechs);
+    let tonnage = ContractBoard.getTonnage(fielded);
+
+    mechs.forEach((mech) => {
+      const fits = tonnage + mech.tonnage <= weightLimit;
+      if (!fielded.includes(mech) && fielded.length < contract.requirements.maxMechs && fits) {
+        fielded.push(mech);
+        tonnage += mech.tonnage;
+      }
+    });
+
+    return mechs.filter((mech) => fielded.includes(mech));
+  }
+
+  static getTonnage(mechs) {
+    return mechs.reduce((total, mech) => total + mech.tonnage, 0);
+  }
+
+  static fitsForce(contract, force) {
+    return ContractBoard.assessForce(contract, force).every((check) => check.met);
+  }
+
+  /**
+   * Contracts matching every active filter
+   */
+  static filter(contracts, filters, force) {
+    const active = { ...ContractBoard.DEFAULT_FILTERS, ...filters };
+
+    return contracts.filter((contract) => (
+      (!active.employer || contract.employer === active.employer)
+      && (!active.type || contract.type === active.type)
+      && (!active.difficulty || contract.difficulty === active.difficulty)
+      && (!active.location || contract.location === active.location)
+      && Math.round(contract.rewards.salvage * 100) >= active.minSalvage
+      && contract.payment >= active.minPayment
+      && (!active.fitsRoster || ContractBoard.fitsForce(contract, force))
+    ));
+  }
+
+  /**
+   * Sorted copy of the contracts, an unknown key keeps board order
+   */
+  static sort(contracts, sortKey) {
+    const sort = ContractBoard.SORTS[sortKey];
+    return sort ? [...contracts].sort(sort.compare) : [...contracts];
+  }
+}
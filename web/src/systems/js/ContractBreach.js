@@ -0,0 +1,69 @@
+/**
+ * Contract Breach - Penalties for abandoning or failing to honour a contract
+ * Stateless rules for the signing advance, reputation loss and employer blacklists
+ */
+export class ContractBreach {
+  // Share of the payment the employer advances when the contract is signed
+  static ADVANCE_SHARE = 0.25;
+
+  // Reputation lost with the employer, as a multiple of the reputation the contract would have earned
+  static REPUTATION_MULTIPLIER = 2;
+
+  static MIN_REPUTATION_LOSS = 10;
+
+  // Days the employer refuses to offer new contracts
+  static BLACKLIST_DAYS = {
+    Easy: 60,
+    Moderate: 90,
+    Hard: 120,
+    Extreme: 180,
+  };
+
+  static REASONS = {
+    withdrawn: 'Withdrew from the contract',
+    forces_lost: 'Could no longer field the minimum force',
+    deadline: 'Contract term ran out before the objectives were met',
+  };
+
+  /**
+   * Advance paid on signing
+   */
+  static getAdvance(contract) {
+    return Math.round(contract.payment * ContractBreach.ADVANCE_SHARE);
+  }
+
+  /**
+   * Penalties the contract's terms impose on a breach
+   */
+  static getPenalties(contract) {
+    const reputation = (contract.rewards && contract.rewards.reputation) || {};
+    const reputationReward = reputation[contract.employer] || 0;
+
+    return {
+      forfeitedAdvance: contract.advancePaid || 0,
+      reputationLoss: Math.max(
+        ContractBreach.MIN_REPUTATION_LOSS,
+        reputationReward * ContractBreach.REPUTATION_MULTIPLIER,
+      ),
+      blacklistDays: ContractBreach.BLACKLIST_DAYS[contract.difficulty] || ContractBreach.BLACKLIST_DAYS.Moderate,
+    };
+  }
+
+  /**
+   * Check whether the company can still field the contract's minimum force
+   * Mechs on this contract and free mechs count, destroyed ones do not
+   */
+  static hasLostMinimumForce(contract, mechs) {
+    const remaining = mechs.filter((mech) => mech.status !== 'Destroyed'
+      && (!mech.deployment || mech.deployment === contract.id)).length;
+
+    return remaining < contract.requirements.minMechs;
+  }
+
+  /**
+   * Check whether an employer still refuses the company on a day
+   */
+  static isBlacklisted(blacklist, employer, today) {
+    return (blacklist[employer] || -Infinity) > today;
+  }
+}
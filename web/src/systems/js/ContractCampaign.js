@@ -0,0 +1,220 @@
+/**
+ * Contract Campaign - Multi-mission contracts spread over the contract duration
+ * Stateless rules for planning missions, recording results and proportional payouts
+ */
+export class ContractCampaign {
+  static DIFFICULTIES = ['Easy', 'Moderate', 'Hard', 'Extreme'];
+
+  // Long contracts that expand into a campaign, by mission template
+  static CAMPAIGN_TYPES = {
+    'Planetary Assault': 'assault',
+    'Counter-Offensive': 'assault',
+    'Regime Change': 'assault',
+    Interdiction: 'assault',
+    Garrison: 'defense',
+    'Base Security': 'defense',
+    'Facility Defense': 'defense',
+    'Border Patrol': 'defense',
+    'Supply Line Security': 'defense',
+  };
+
+  // Missions are drawn in order, the finale always closes the campaign
+  // A failed mission turns the next one into the recovery mission
+  static TEMPLATES = {
+    assault: {
+      missions: [
+        { name: 'Secure the Landing Zone', objective: 'Clear defenders from the drop zone' },
+        { name: 'Break the Defensive Line', objective: 'Destroy forward defensive positions' },
+        { name: 'Cut the Supply Lines', objective: 'Destroy enemy supply convoys' },
+        { name: 'Seize the Spaceport', objective: 'Capture the spaceport intact' },
+      ],
+      finale: { name: 'Assault the Capital', objective: 'Defeat the planetary defense force' },
+      recovery: { name: 'Regroup and Counterattack', objective: 'Retake the ground lost in the last engagement' },
+    },
+    defense: {
+      missions: [
+        { name: 'Repel the Probing Raid', objective: 'Drive off the enemy reconnaissance force' },
+        { name: 'Defend the Supply Depot', objective: 'Keep the depot out of enemy hands' },
+        { name: 'Intercept the Raiders', objective: 'Destroy the raiding lance before it withdraws' },
+        { name: 'Hold the Perimeter', objective: 'Prevent any breach of the defensive perimeter' },
+      ],
+      finale: { name: 'Break the Siege', objective: 'Defeat the main enemy assault' },
+      recovery: { name: 'Retake the Perimeter', objective: 'Recapture the positions overrun in the last attack' },
+    },
+  };
+
+  static DAYS_PER_MISSION = 30;
+
+  static MIN_MISSIONS = 2;
+
+  static MAX_MISSIONS = 5;
+
+  // One failed mission can be recovered from, a second (or losing the finale) ends the campaign
+  static MAX_FAILURES = 1;
+
+  static SETBACK_CONDITION = 'Enemy reinforcements inbound';
+
+  /**
+   * Check whether a contract plays out as a campaign
+   */
+  static isCampaign(contract) {
+    return Array.isArray(contract.missions) || !!ContractCampaign.CAMPAIGN_TYPES[contract.type];
+  }
+
+  /**
+   * Plan the missions for a campaign contract, one per month of duration
+   * Missions start on day 0 and are spaced evenly, leaving downtime between them
+   */
+  static plan(contract, { random = Math.random } = {}) {
+    const templates = ContractCampaign.TEMPLATES[ContractCampaign.CAMPAIGN_TYPES[contract.type] || 'defense'];
+    const count = Math.max(ContractCampaign.MIN_MISSIONS, Math.min(
+      ContractCampaign.MAX_MISSIONS,
+      Math.round(contract.duration / ContractCampaign.DAYS_PER_MISSION) + 1,
+    ));
+
+    // Skip into the mission list so shorter campaigns do not always open the same way
+    const offset = Math.floor(random() * Math.max(1, templates.missions.length - count + 2));
+    const steps = [
+      ...Array.from({ length: count - 1 }, (_, i) => templates.missions[(offset + i) % templates.missions.length]),
+      templates.finale,
+    ];
+
+    return steps.map((step, index) => ({
+      index,
+      name: step.name,
+      objective: step.objective,
+      day: Math.round(index * contract.duration / count),
+      difficulty: contract.difficulty,
+      specialConditions: [...(contract.specialConditions || [])],
+      status: 'Pending',
+      result: null,
+    }));
+  }
+
+  /**
+   * Get the mission the contract is currently on
+   */
+  static getCurrentMission(contract) {
+    if (!Array.isArray(contract.missions)) {
+      return null;
+    }
+
+    return contract.missions[contract.currentMission || 0] || null;
+  }
+
+  /**
+   * Contract as seen by combat for the current mission
+   */
+  static getEngagement(contract) {
+    const mission = ContractCampaign.getCurrentMission(contract);
+    if (!mission) {
+      return contract;
+    }
+
+    return {
+      ...contract,
+      name: `${contract.name}: ${mission.name}`,
+      difficulty: mission.difficulty,
+      objectives: [mission.objective],
+      specialConditions: mission.specialConditions,
+      opFor: mission.opFor || contract.opFor,
+    };
+  }
+
+  /**
+   * Record the current mission's result
+   * Returns the contract's updated campaign fields, a failure escalates every later mission
+   */
+  static recordResult(contract, success, result = null) {
+    const index = contract.currentMission || 0;
+    const failures = (contract.failures || 0) + (success ? 0 : 1);
+
+    const missions = contract.missions.map((mission) => {
+      if (mission.index === index) {
+        return { ...mission, status: success ? 'Completed' : 'Failed', result };
+      }
+
+      if (success || mission.index < index) {
+        return mission;
+      }
+
+      return ContractCampaign.applySetback(contract, mission, mission.index === index + 1);
+    });
+
+    // Missions never reached are called off once the campaign ends
+    const finished = failures > ContractCampaign.MAX_FAILURES || index >= missions.length - 1;
+
+    return {
+      missions: finished
+        ? missions.map((mission) => (mission.status === 'Pending' ? { ...mission, status: 'Cancelled' } : mission))
+        : missions,
+      failures,
+      currentMission: finished ? index : index + 1,
+      finished,
+    };
+  }
+
+  /**
+   * Harden a later mission after a defeat, the next one becomes the recovery mission
+   */
+  static applySetback(contract, mission, isNext) {
+    const templates = ContractCampaign.TEMPLATES[ContractCampaign.CAMPAIGN_TYPES[contract.type] || 'defense'];
+    const level = ContractCampaign.DIFFICULTIES.indexOf(mission.difficulty);
+    const difficulty = level === -1
+      ? mission.difficulty
+      : ContractCampaign.DIFFICULTIES[Math.min(ContractCampaign.DIFFICULTIES.length - 1, level + 1)];
+    const isFinale = mission.index === contract.missions.length - 1;
+    const recovery = isNext && !isFinale ? templates.recovery : {};
+
+    return {
+      ...mission,
+      ...recovery,
+      difficulty,
+      specialConditions: [...new Set([...mission.specialConditions, ContractCampaign.SETBACK_CONDITION])],
+      escalated: true,
+    };
+  }
+
+  /**
+   * Days of downtime before the next mission
+   */
+  static getDowntime(contract) {
+    const next = ContractCampaign.getCurrentMission(contract);
+    const previous = contract.missions[(contract.currentMission || 0) - 1];
+
+    return next && previous ? next.day - previous.day : 0;
+  }
+
+  /**
+   * A campaign succeeds when the finale is won without too many setbacks
+   */
+  static isSuccessful(contract) {
+    const finale = contract.missions[contract.missions.length - 1];
+    return finale.status === 'Completed' && (contract.failures || 0) <= ContractCampaign.MAX_FAILURES;
+  }
+
+  /**
+   * Payment for the missions completed so far
+   */
+  static getPayout(contract) {
+    const completed = contract.missions.filter((mission) => mission.status === 'Completed').length;
+    return Math.round(contract.payment * completed / contract.missions.length);
+  }
+
+  /**
+   * Rate a finished campaign by how many missions went to plan
+   */
+  static ratePerformance(contract) {
+    if (!ContractCampaign.isSuccessful(contract)) {
+      return null;
+    }
+
+    if (contract.failures > 0) {
+      return 'poor';
+    }
+
+    const unitsLost = (mission) => (mission.result && mission.result.unitsLost) || 0;
+    const losses = contract.missions.reduce((total, mission) => total + unitsLost(mission), 0);
+    return losses === 0 ? 'excellent' : 'good';
+  }
+}
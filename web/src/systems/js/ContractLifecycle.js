@@ -0,0 +1,100 @@
+/**
+ * Contract Lifecycle - Active contract states driven by in-game time
+ * Accepted -> In Transit -> Deployed -> Completed / Failed / Breached
+ */
+import { GameClock } from './GameClock';
+
+export class ContractLifecycle {
+  static ACCEPTED = 'Accepted';
+
+  static IN_TRANSIT = 'In Transit';
+
+  static DEPLOYED = 'Deployed';
+
+  static COMPLETED = 'Completed';
+
+  static FAILED = 'Failed';
+
+  static BREACHED = 'Breached';
+
+  static TRANSITIONS = {
+    Accepted: ['In Transit', 'Breached'],
+    'In Transit': ['Deployed', 'Breached'],
+    Deployed: ['Completed', 'Failed', 'Breached'],
+    Completed: [],
+    Failed: [],
+    Breached: [],
+  };
+
+  // Dropships lift a day after signing, travel time comes from the contract
+  static DEPARTURE_DAYS = 1;
+
+  static DEFAULT_TRANSIT_DAYS = 7;
+
+  /**
+   * Absolute day number for an in-game date
+   */
+  static getDayNumber(time) {
+    return GameClock.getDayNumber(time);
+  }
+
+  static canTransition(from, to) {
+    return (ContractLifecycle.TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Check whether a contract still ties up the company
+   */
+  static isActive(status) {
+    return ContractLifecycle.TRANSITIONS[status] ? ContractLifecycle.TRANSITIONS[status].length > 0 : false;
+  }
+
+  /**
+   * Schedule departure, arrival and the end of the contract from the day it was signed
+   */
+  static schedule(contract, today) {
+    const departureDay = today + ContractLifecycle.DEPARTURE_DAYS;
+    const arrivalDay = departureDay + (contract.transitDays || ContractLifecycle.DEFAULT_TRANSIT_DAYS);
+
+    return {
+      acceptedDay: today,
+      departureDay,
+      arrivalDay,
+      endDay: arrivalDay + contract.duration,
+    };
+  }
+
+  /**
+   * States a contract passes through by a given day, in order
+   * A contract still deployed when its term runs out is in breach
+   */
+  static getTransitions(contract, today) {
+    const transitions = [];
+    let { status } = contract;
+
+    if (status === ContractLifecycle.ACCEPTED && today >= contract.departureDay) {
+      status = ContractLifecycle.IN_TRANSIT;
+      transitions.push(status);
+    }
+
+    if (status === ContractLifecycle.IN_TRANSIT && today >= contract.arrivalDay) {
+      status = ContractLifecycle.DEPLOYED;
+      transitions.push(status);
+    }
+
+    if (status === ContractLifecycle.DEPLOYED && today > contract.endDay) {
+      transitions.push(ContractLifecycle.BREACHED);
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Day a deployed contract's next engagement can be fought
+   * Campaign missions follow their plan, anything else is ready on arrival
+   */
+  static getEngagementDay(contract) {
+    const mission = Array.isArray(contract.missions) ? contract.missions[contract.currentMission || 0] : null;
+    return contract.arrivalDay + (mission ? mission.day : 0);
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Contract Negotiation - Points-buy trade of contract terms before acceptance
+ * Stateless rules for negotiation points, term shifts and the resulting contract
+ */
+export class ContractNegotiation {
+  // Each term moves in steps, raising a term costs a point per step and lowering one refunds it
+  static TERMS = {
+    payment: { name: 'Base Pay', min: -4, max: 4 },
+    salvage: { name: 'Salvage Rights', min: -4, max: 4 },
+    support: { name: 'Support Coverage', min: 0, max: 4 },
+    command: { name: 'Command Rights', min: -1, max: 2 },
+  };
+
+  static PAYMENT_STEP = 0.05;
+
+  static SALVAGE_STEP = 0.05;
+
+  static MAX_SALVAGE = 0.8;
+
+  static SUPPORT_STEP = 0.25;
+
+  // Contracts start under house command, integrated command hands engagements to the employer
+  // weightAllowance: multiplier on the contract's tonnage limit
+  static COMMAND_RIGHTS = [
+    { name: 'Integrated', weightAllowance: 1, autoResolveOnly: true },
+    { name: 'House', weightAllowance: 1, autoResolveOnly: false },
+    { name: 'Liaison', weightAllowance: 1.1, autoResolveOnly: false },
+    { name: 'Independent', weightAllowance: 1.25, autoResolveOnly: false },
+  ];
+
+  static DEFAULT_COMMAND = 1;
+
+  static BASE_POINTS = 3;
+
+  // Employers this far below neutral withdraw the offer rather than haggle
+  static WALK_AWAY_STANDING = -40;
+
+  /**
+   * Negotiation points from the company's mercenary reputation and standing with the employer
+   */
+  static getPoints({ mercenaryReputation = 0, employerStanding = 0 }) {
+    return Math.max(0, ContractNegotiation.BASE_POINTS
+      + Math.floor(mercenaryReputation / 25) + Math.floor(employerStanding / 20));
+  }
+
+  /**
+   * Check whether an employer will come to the table at all
+   */
+  static willNegotiate(employerStanding) {
+    return employerStanding > ContractNegotiation.WALK_AWAY_STANDING;
+  }
+
+  /**
+   * Net points spent on a set of term shifts
+   */
+  static getCost(shifts) {
+    return Object.values(shifts).reduce((total, steps) => total + steps, 0);
+  }
+
+  /**
+   * Check a set of shifts against the terms and the points available
+   * Returns the reason they are invalid, or null
+   */
+  static validate(contract, shifts, points) {
+    const term = Object.keys(shifts).find((key) => !ContractNegotiation.TERMS[key]);
+    if (term) {
+      return `Unknown contract term: ${term}`;
+    }
+
+    const outOfRange = Object.entries(shifts)
+      .find(([key, steps]) => steps < ContractNegotiation.TERMS[key].min || steps > ContractNegotiation.TERMS[key].max);
+    if (outOfRange) {
+      return `${ContractNegotiation.TERMS[outOfRange[0]].name} cannot move that far`;
+    }
+
+    const salvage = contract.rewards.salvage + (shifts.salvage || 0) * ContractNegotiation.SALVAGE_STEP;
+    if (salvage < 0 || salvage > ContractNegotiation.MAX_SALVAGE + 1e-9) {
+      return `Salvage rights must stay between 0% and ${ContractNegotiation.MAX_SALVAGE * 100}%`;
+    }
+
+    if (ContractNegotiation.getCost(shifts) > points) {
+      return `Not enough negotiation points (${points} available)`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the contract as agreed, shifts are applied to the employer's opening offer
+   */
+  static applyTerms(contract, shifts) {
+    const payment = Math.round(contract.payment * (1 + (shifts.payment || 0) * ContractNegotiation.PAYMENT_STEP));
+    const salvageShare = contract.rewards.salvage + (shifts.salvage || 0) * ContractNegotiation.SALVAGE_STEP;
+    const salvage = Math.round(salvageShare * 100) / 100;
+
+    return {
+      ...contract,
+      payment,
+      rewards: { ...contract.rewards, payment, salvage },
+      terms: {
+        support: (shifts.support || 0) * ContractNegotiation.SUPPORT_STEP,
+        command: ContractNegotiation.COMMAND_RIGHTS[ContractNegotiation.DEFAULT_COMMAND + (shifts.command || 0)].name,
+      },
+      negotiated: true,
+    };
+  }
+
+  /**
+   * Command rights a contract was signed under
+   */
+  static getCommandRights(contract) {
+    const name = contract.terms && contract.terms.command;
+    return ContractNegotiation.COMMAND_RIGHTS.find((rights) => rights.name === name)
+      || ContractNegotiation.COMMAND_RIGHTS[ContractNegotiation.DEFAULT_COMMAND];
+  }
+
+  /**
+   * Tonnage the company may field under the contract's command rights
+   */
+  static getWeightLimit(contract) {
+    const { weightAllowance } = ContractNegotiation.getCommandRights(contract);
+    return Math.round(contract.requirements.weightLimit * weightAllowance);
+  }
+
+  /**
+   * Transport and support costs the employer covers over the contract
+   */
+  static getSupportPayment(contract, monthlyExpenses) {
+    const coverage = (contract.terms && contract.terms.support) || 0;
+    return Math.round(monthlyExpenses * (contract.duration / 30) * coverage);
+  }
+}
@@ -3,14 +3,44 @@
  * Handles all contract-related game mechanics and UI interactions
  */
 import { Logger } from '../../utils/Logger.js';
+import { ContractBoard } from './ContractBoard';
+import { ContractBreach } from './ContractBreach';
+import { ContractCampaign } from './ContractCampaign';
+import { ContractLifecycle } from './ContractLifecycle';
+import { ContractNegotiation } from './ContractNegotiation';
+import { GameClock } from './GameClock';
+import { LanceBuilder } from './LanceBuilder';
+import { OpForGenerator } from './OpForGenerator';
+import { PilotInjury } from './PilotInjury';
+import { RandomService } from './RandomService';
 
 export class ContractSystem {
-  constructor(eventBus, gameState) {
+  constructor(
+    eventBus,
+    gameState,
+    randomService = new RandomService(),
+    gameClock = new GameClock(eventBus, gameState),
+  ) {
     this.logger = new Logger('ContractSystem');
     this.eventBus = eventBus;
     this.gameState = gameState;
     this.isInitialized = false;
+
+    // Seeded streams for contract generation and contract ids
+    this.random = randomService.stream('contracts');
+    this.ids = randomService.stream('ids');
+    this.clock = gameClock;
+
     this.selectedContract = null;
+    this.negotiation = null;
+
+    // Mechs and pilots being picked for a contract before it is accepted
+    this.lanceBuilder = null;
+
+    // Board view settings and the offers picked for side-by-side comparison
+    this.boardFilters = { ...ContractBoard.DEFAULT_FILTERS };
+    this.boardSort = '';
+    this.comparison = [];
   }
 
   /**
@@ -41,10 +71,17 @@ export class ContractSystem {
   setupEventListeners() {
     // Contract management events
     this.eventBus.on('contract:select', this.selectContract.bind(this));
-    this.eventBus.on('contract:accept', this.acceptContract.bind(this));
+    this.eventBus.on('contract:accept', (data) => this.acceptContract(data.contractId, data.lance));
     this.eventBus.on('contract:complete', this.completeContract.bind(this));
     this.eventBus.on('contract:refresh', this.refreshContracts.bind(this));
     
+    // Combat outcome events
+    this.eventBus.on('combat:ended', this.onCombatEnded.bind(this));
+
+    // Active contracts move through their lifecycle as in-game time passes
+    this.eventBus.on('company:timeAdvanced', this.onTimeAdvanced.bind(this));
+    this.eventBus.on('contract:offerExpired', this.expireOffer.bind(this));
+
     // UI update events
     this.eventBus.on('gameState:changed', this.onGameStateChanged.bind(this));
     this.eventBus.on('screen:changed', this.onScreenChanged.bind(this));
@@ -67,11 +104,80 @@ export class ContractSystem {
     
     // Make contract action functions globally available
     window.acceptContract = (contractId) => {
-      this.acceptContract(contractId);
+      this.openLanceBuilder(contractId);
+    };
+
+    window.toggleLanceMech = (mechId) => {
+      this.toggleLanceMech(mechId);
+    };
+
+    window.setLancePilot = (mechId, pilotId) => {
+      this.setLancePilot(mechId, pilotId);
+    };
+
+    window.confirmLance = () => {
+      this.confirmLance();
+    };
+
+    window.cancelLanceBuilder = () => {
+      this.cancelLanceBuilder();
+    };
+
+    window.saveLancePreset = () => {
+      const input = document.getElementById('lance-preset-name');
+      this.saveLancePreset(input ? input.value : '');
+    };
+
+    window.applyLancePreset = (presetId) => {
+      this.applyLancePreset(presetId);
+    };
+
+    window.deleteLancePreset = (presetId) => {
+      this.deleteLancePreset(presetId);
     };
     
+    window.engageContract = (contractId) => {
+      this.engageContract(contractId);
+    };
+
+    window.withdrawContract = (contractId) => {
+      this.withdrawFromContract(contractId);
+    };
+
     window.negotiateContract = (contractId) => {
-      alert('Contract negotiation system not yet implemented. This will allow you to negotiate terms and conditions.');
+      this.openNegotiation(contractId);
+    };
+
+    window.adjustContractTerm = (term, steps) => {
+      this.adjustTerm(term, steps);
+    };
+
+    window.confirmNegotiation = () => {
+      this.confirmNegotiation();
+    };
+
+    window.cancelNegotiation = () => {
+      this.cancelNegotiation();
+    };
+
+    window.setContractFilter = (key, value) => {
+      this.setBoardFilter(key, value);
+    };
+
+    window.setContractSort = (sortKey) => {
+      this.setBoardSort(sortKey);
+    };
+
+    window.toggleContractComparison = (contractId) => {
+      this.toggleComparison(contractId);
+    };
+
+    window.showContractComparison = () => {
+      this.showComparison();
+    };
+
+    window.clearContractComparison = () => {
+      this.clearComparison();
     };
   }
 
@@ -101,7 +207,7 @@ export class ContractSystem {
           reputation: { 'Federated Suns': 5 }
         },
         location: 'Broken Wheel',
-        timeLimit: Date.now() + (7 * 24 * 60 * 60 * 1000) // Available for 7 days
+        expiresDay: this.clock.today() + 7, // Available for 7 days
       },
       {
         id: this.generateContractId(),
@@ -124,7 +230,7 @@ export class ContractSystem {
           reputation: { 'Local Government': 10, 'Mercenary': 5 }
         },
         location: 'Sheratan',
-        timeLimit: Date.now() + (10 * 24 * 60 * 60 * 1000) // Available for 10 days
+        expiresDay: this.clock.today() + 10, // Available for 10 days
       }
     ];
     
@@ -141,6 +247,8 @@ export class ContractSystem {
     if (index >= 0 && index < contracts.length) {
       const contract = contracts[index];
       this.selectedContract = contract;
+      this.negotiation = null;
+      this.lanceBuilder = null;
       
       // Update game state
       this.gameState.set('selectedContract', contract.id, { silent: true });
@@ -161,7 +269,7 @@ export class ContractSystem {
   updateContractDetails(contract) {
     const detailsElement = document.getElementById('contract-details');
     if (detailsElement) {
-      const daysRemaining = Math.ceil((contract.timeLimit - Date.now()) / (24 * 60 * 60 * 1000));
+      const daysRemaining = this.clock.daysUntil(contract.expiresDay);
       
       detailsElement.innerHTML = `
         <h3>${contract.name}</h3>
@@ -172,6 +280,7 @@ export class ContractSystem {
           <div class="stat-line"><span>Difficulty:</span><span>${contract.difficulty}</span></div>
           <div class="stat-line"><span>Duration:</span><span>${contract.duration} days</span></div>
           <div class="stat-line"><span>Location:</span><span>${contract.location}</span></div>
+          <div class="stat-line"><span>Transit:</span><span>${contract.transitDays || ContractLifecycle.DEFAULT_TRANSIT_DAYS} days</span></div>
           <div class="stat-line"><span>Available:</span><span>${daysRemaining} days remaining</span></div>
         </div>
         
@@ -183,9 +292,13 @@ export class ContractSystem {
         <div class="contract-requirements">
           <h4>Requirements</h4>
           <div class="stat-line"><span>Mechs:</span><span>${contract.requirements.minMechs}-${contract.requirements.maxMechs} units</span></div>
-          <div class="stat-line"><span>Weight Limit:</span><span>${contract.requirements.weightLimit} tons</span></div>
+          <div class="stat-line"><span>Weight Limit:</span><span>${ContractNegotiation.getWeightLimit(contract)} tons</span></div>
         </div>
         
+        ${ContractSystem.renderEnemyIntel(contract)}
+        
+        ${ContractSystem.renderCampaignPlan(contract)}
+        
         <div class="contract-risks">
           <h4>Risk Assessment</h4>
           <ul>
@@ -196,33 +309,427 @@ export class ContractSystem {
         <div class="contract-rewards">
           <h4>Compensation</h4>
           <div class="stat-line"><span>Base Payment:</span><span>${contract.rewards.payment.toLocaleString()} C-Bills</span></div>
-          <div class="stat-line"><span>Salvage Rights:</span><span>${(contract.rewards.salvage * 100)}%</span></div>
+          <div class="stat-line"><span>Salvage Rights:</span><span>${Math.round(contract.rewards.salvage * 100)}%</span></div>
+          ${contract.terms ? `<div class="stat-line"><span>Support Coverage:</span><span>${contract.terms.support * 100}%</span></div>
+          <div class="stat-line"><span>Command Rights:</span><span>${contract.terms.command}</span></div>` : ''}
           ${Object.entries(contract.rewards.reputation).map(([faction, rep]) => 
             `<div class="stat-line"><span>${faction}:</span><span>+${rep} reputation</span></div>`
           ).join('')}
         </div>
         
+        <div class="contract-breach">
+          <h4>Breach Terms</h4>
+          <div class="stat-line"><span>Signing Advance:</span><span>${ContractBreach.getAdvance(contract).toLocaleString()} C-Bills (forfeit on breach)</span></div>
+          <div class="stat-line"><span>Reputation Loss:</span><span>-${ContractBreach.getPenalties(contract).reputationLoss} with ${contract.employer}</span></div>
+          <div class="stat-line"><span>Blacklist:</span><span>${ContractBreach.getPenalties(contract).blacklistDays} days</span></div>
+        </div>
+        
         <div class="contract-actions">
           <button class="btn btn-primary" onclick="acceptContract('${contract.id}')">Accept Contract</button>
-          <button class="btn btn-secondary" onclick="negotiateContract('${contract.id}')">Negotiate Terms</button>
+          <button class="btn btn-secondary" onclick="negotiateContract('${contract.id}')" ${contract.negotiated ? 'disabled' : ''}>${contract.negotiated ? 'Terms Agreed' : 'Negotiate Terms'}</button>
         </div>
       `;
     }
   }
 
+  /**
+   * Open negotiations on an available contract
+   * Employers who think poorly of the company withdraw the offer instead
+   */
+  openNegotiation(contractId) {
+    const contract = this.getContractById(contractId);
+    if (!contract) {
+      this.logger.warn(`Contract not found: ${contractId}`);
+      return null;
+    }
+
+    if (contract.negotiated) {
+      alert('Terms for this contract have already been agreed.');
+      return null;
+    }
+
+    const reputation = this.gameState.get('company.reputation') || {};
+    const employerStanding = reputation[contract.employer] || 0;
+
+    if (!ContractNegotiation.willNegotiate(employerStanding)) {
+      this.gameState.removeFromArray('contracts', (c) => c.id === contractId);
+      this.selectedContract = null;
+      this.gameState.set('selectedContract', null, { silent: true });
+
+      this.eventBus.emit('contract:withdrawn', { contract, reason: 'employer_standing' });
+      alert(`${contract.employer} refuses to negotiate with your company and has withdrawn the offer.`);
+      return null;
+    }
+
+    this.negotiation = {
+      contractId,
+      points: ContractNegotiation.getPoints({ mercenaryReputation: reputation.Mercenary || 0, employerStanding }),
+      shifts: {
+        payment: 0, salvage: 0, support: 0, command: 0,
+      },
+    };
+
+    this.renderNegotiation(contract);
+    this.eventBus.emit('contract:negotiationStarted', { contract, points: this.negotiation.points });
+
+    return this.negotiation;
+  }
+
+  /**
+   * Shift one contract term by a number of steps
+   */
+  adjustTerm(term, steps) {
+    const contract = this.negotiation && this.getContractById(this.negotiation.contractId);
+    if (!contract) {
+      return false;
+    }
+
+    const shifts = { ...this.negotiation.shifts, [term]: (this.negotiation.shifts[term] || 0) + steps };
+    const problem = ContractNegotiation.validate(contract, shifts, this.negotiation.points);
+    if (problem) {
+      this.logger.debug(`Term change rejected: ${problem}`);
+      return false;
+    }
+
+    this.negotiation.shifts = shifts;
+    this.renderNegotiation(contract);
+    return true;
+  }
+
+  /**
+   * Sign the negotiated terms into the contract
+   */
+  confirmNegotiation() {
+    const contract = this.negotiation && this.getContractById(this.negotiation.contractId);
+    if (!contract) {
+      return null;
+    }
+
+    const { shifts, points } = this.negotiation;
+    const problem = ContractNegotiation.validate(contract, shifts, points);
+    if (problem) {
+      alert(problem);
+      return null;
+    }
+
+    const agreed = ContractNegotiation.applyTerms(contract, shifts);
+    this.gameState.updateArrayItem('contracts', (c) => c.id === contract.id, agreed);
+    this.negotiation = null;
+    this.selectedContract = agreed;
+    this.updateContractDetails(agreed);
+
+    this.eventBus.emit('contract:negotiated', { contract: agreed, shifts });
+    this.logger.info(`Contract terms agreed: ${agreed.name}`);
+
+    return agreed;
+  }
+
+  /**
+   * Walk away from the table, keeping the employer's original offer
+   */
+  cancelNegotiation() {
+    const contract = this.negotiation && this.getContractById(this.negotiation.contractId);
+    this.negotiation = null;
+
+    if (contract) {
+      this.updateContractDetails(contract);
+    }
+  }
+
+  /**
+   * Render the negotiation table for a contract
+   */
+  renderNegotiation(contract) {
+    const detailsElement = document.getElementById('contract-details');
+    if (!detailsElement) {
+      return;
+    }
+
+    const { points, shifts } = this.negotiation;
+    const offer = ContractNegotiation.applyTerms(contract, shifts);
+    const values = {
+      payment: `${offer.payment.toLocaleString()} C-Bills`,
+      salvage: `${Math.round(offer.rewards.salvage * 100)}%`,
+      support: `${offer.terms.support * 100}%`,
+      command: offer.terms.command,
+    };
+
+    detailsElement.innerHTML = `
+      <h3>Negotiating: ${contract.name}</h3>
+      <p>${contract.employer} will move on terms for ${points} negotiation points. Giving ground on one term frees points for another.</p>
+      <div class="stat-line"><span>Points Remaining:</span><span>${points - ContractNegotiation.getCost(shifts)}</span></div>
+      
+      <div class="contract-negotiation">
+        ${Object.entries(ContractNegotiation.TERMS).map(([term, data]) => `<div class="stat-line">
+          <span>${data.name}:</span>
+          <span>
+            <button class="btn btn-sm" onclick="adjustContractTerm('${term}', -1)">-</button>
+            ${values[term]}
+            <button class="btn btn-sm" onclick="adjustContractTerm('${term}', 1)">+</button>
+          </span>
+        </div>`).join('')}
+      </div>
+      
+      <div class="contract-actions">
+        <button class="btn btn-primary" onclick="confirmNegotiation()">Agree Terms</button>
+        <button class="btn btn-secondary" onclick="cancelNegotiation()">Cancel</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Open the lance builder for a contract, starting from the default pick
+   */
+  openLanceBuilder(contractId) {
+    const contract = this.getContractById(contractId);
+    if (!contract) {
+      this.logger.warn(`Contract not found: ${contractId}`);
+      return null;
+    }
+
+    this.negotiation = null;
+    this.lanceBuilder = {
+      contractId,
+      slots: LanceBuilder.fromForce(this.selectDeployedForce(contract)),
+    };
+
+    this.renderLanceBuilder(contract);
+    return this.lanceBuilder;
+  }
+
+  /**
+   * Add a mech to the lance with the first free pilot, or take it out
+   */
+  toggleLanceMech(mechId) {
+    if (!this.lanceBuilder) return false;
+
+    const { slots } = this.lanceBuilder;
+    if (slots.some((slot) => slot.mechId === mechId)) {
+      this.lanceBuilder.slots = slots.filter((slot) => slot.mechId !== mechId);
+    } else {
+      const roster = this.getDeployableForces(this.lanceBuilder.contractId);
+      const freePilot = roster.pilots.find((pilot) => !slots.some((slot) => slot.pilotId === pilot.id));
+      this.lanceBuilder.slots = [...slots, { mechId, pilotId: freePilot ? freePilot.id : null }];
+    }
+
+    this.refreshLanceBuilder();
+    return true;
+  }
+
+  /**
+   * Put a pilot in a mech, taking them out of any other mech in the lance
+   */
+  setLancePilot(mechId, pilotId) {
+    if (!this.lanceBuilder) return false;
+
+    const assigned = pilotId || null;
+    this.lanceBuilder.slots = this.lanceBuilder.slots.map((slot) => {
+      if (slot.mechId === mechId) return { ...slot, pilotId: assigned };
+      return assigned && slot.pilotId === assigned ? { ...slot, pilotId: null } : slot;
+    });
+
+    this.refreshLanceBuilder();
+    return true;
+  }
+
+  /**
+   * Accept the contract with the lance as built
+   */
+  confirmLance() {
+    if (!this.lanceBuilder) return false;
+
+    const { contractId, slots } = this.lanceBuilder;
+    const accepted = this.acceptContract(contractId, LanceBuilder.toForce(slots));
+    if (accepted) {
+      this.lanceBuilder = null;
+    }
+
+    return accepted;
+  }
+
+  cancelLanceBuilder() {
+    const contract = this.lanceBuilder && this.getContractById(this.lanceBuilder.contractId);
+    this.lanceBuilder = null;
+
+    if (contract) {
+      this.updateContractDetails(contract);
+    }
+  }
+
+  /**
+   * Save the current lance under a name, replacing a preset of the same name
+   */
+  saveLancePreset(name) {
+    const presetName = (name || '').trim();
+    if (!this.lanceBuilder || !presetName || this.lanceBuilder.slots.length === 0) {
+      return null;
+    }
+
+    const preset = LanceBuilder.createPreset(this.ids.id('preset'), presetName, this.lanceBuilder.slots);
+    const presets = (this.gameState.get('lancePresets') || []).filter((p) => p.name !== presetName);
+    this.gameState.set('lancePresets', [...presets, preset]);
+
+    this.eventBus.emit('contract:lancePresetSaved', { preset });
+    this.refreshLanceBuilder();
+    return preset;
+  }
+
+  /**
+   * Load a preset into the builder, dropping units no longer free to deploy
+   */
+  applyLancePreset(presetId) {
+    const preset = (this.gameState.get('lancePresets') || []).find((p) => p.id === presetId);
+    const contract = this.lanceBuilder && this.getContractById(this.lanceBuilder.contractId);
+    if (!preset || !contract) return false;
+
+    this.lanceBuilder.slots = LanceBuilder.applyPreset(preset, this.getDeployableForces(contract.id), contract);
+    this.renderLanceBuilder(contract);
+    return true;
+  }
+
+  deleteLancePreset(presetId) {
+    this.gameState.set('lancePresets', (this.gameState.get('lancePresets') || []).filter((p) => p.id !== presetId));
+    this.refreshLanceBuilder();
+  }
+
+  refreshLanceBuilder() {
+    const contract = this.lanceBuilder && this.getContractById(this.lanceBuilder.contractId);
+    if (contract) {
+      this.renderLanceBuilder(contract);
+    }
+  }
+
+  /**
+   * Render the lance builder with live requirement checks and the projected matchup
+   */
+  renderLanceBuilder(contract) {
+    const detailsElement = document.getElementById('contract-details');
+    if (!detailsElement) {
+      return;
+    }
+
+    const { slots } = this.lanceBuilder;
+    const roster = this.getDeployableForces(contract.id);
+    const checks = LanceBuilder.getChecks(contract, slots, roster);
+    const matchup = LanceBuilder.getMatchup(contract, slots, roster);
+    const presets = this.gameState.get('lancePresets') || [];
+
+    const renderPilotSelect = (slot) => `<select onchange="setLancePilot('${slot.mechId}', this.value)">
+              <option value="">No pilot</option>
+              ${roster.pilots.map((pilot) => `<option value="${pilot.id}" ${pilot.id === slot.pilotId ? 'selected' : ''}>${pilot.name} (${pilot.gunnery}/${pilot.piloting})</option>`).join('')}
+            </select>`;
+    const renderRosterRow = (mech) => {
+      const slot = slots.find((s) => s.mechId === mech.id);
+      return `<tr>
+            <td><input type="checkbox" ${slot ? 'checked' : ''} onchange="toggleLanceMech('${mech.id}')"></td>
+            <td>${mech.name}</td>
+            <td>${mech.tonnage}</td>
+            <td>${(mech.battleValue || 0).toLocaleString()}</td>
+            <td>${slot ? renderPilotSelect(slot) : '-'}</td>
+          </tr>`;
+    };
+
+    detailsElement.innerHTML = `
+      <h3>Build Lance: ${contract.name}</h3>
+      
+      <table class="contract-comparison lance-roster">
+        <tr><th></th><th>Mech</th><th>Tons</th><th>BV</th><th>Pilot</th></tr>
+        ${roster.mechs.map(renderRosterRow).join('')}
+      </table>
+      
+      <div class="lance-checks">
+        <h4>Requirements</h4>
+        ${checks.map((check) => `<div class="stat-line"><span>${check.name}:</span><span class="${check.met ? 'requirement-met' : 'requirement-unmet'}">${check.detail}</span></div>`).join('')}
+      </div>
+      
+      <div class="lance-matchup">
+        <h4>Projected Matchup</h4>
+        <div class="stat-line"><span>Lance Battle Value:</span><span>${matchup.lance.toLocaleString()}</span></div>
+        <div class="stat-line"><span>Expected Opposition:</span><span>${matchup.opposition ? `~${matchup.opposition.toLocaleString()}` : 'Unknown'}</span></div>
+        <div class="stat-line"><span>Assessment:</span><span>${matchup.assessment}${matchup.ratio !== null ? ` (${matchup.ratio}x)` : ''}</span></div>
+      </div>
+      
+      <div class="lance-presets">
+        <h4>Saved Lances</h4>
+        ${presets.map((preset) => `<div class="stat-line">
+          <span>${preset.name} (${preset.slots.length} mechs)</span>
+          <span>
+            <button class="btn btn-sm" onclick="applyLancePreset('${preset.id}')">Load</button>
+            <button class="btn btn-sm" onclick="deleteLancePreset('${preset.id}')">Delete</button>
+          </span>
+        </div>`).join('')}
+        <div class="stat-line">
+          <input type="text" id="lance-preset-name" placeholder="Lance name">
+          <button class="btn btn-sm" onclick="saveLancePreset()">Save Lance</button>
+        </div>
+      </div>
+      
+      <div class="contract-actions">
+        <button class="btn btn-primary" onclick="confirmLance()" ${checks.every((check) => check.met) ? '' : 'disabled'}>Deploy Lance</button>
+        <button class="btn btn-secondary" onclick="cancelLanceBuilder()">Cancel</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render pre-acceptance intel on the expected enemy force
+   */
+  static renderEnemyIntel(contract) {
+    if (!contract.opFor) {
+      return '';
+    }
+
+    const intel = OpForGenerator.getIntelReport(contract.opFor);
+
+    return `<div class="contract-intel">
+          <h4>Enemy Intelligence</h4>
+          <div class="stat-line"><span>Faction:</span><span>${intel.faction}</span></div>
+          <div class="stat-line"><span>Estimated Force:</span><span>${intel.estimatedUnits} mechs</span></div>
+          <div class="stat-line"><span>Weight Classes:</span><span>${intel.weightClasses.join(', ')}</span></div>
+          <div class="stat-line"><span>Battle Value:</span><span>~${intel.estimatedBattleValue.toLocaleString()}</span></div>
+        </div>`;
+  }
+
+  /**
+   * Render the planned missions of a campaign contract
+   */
+  static renderCampaignPlan(contract) {
+    if (!Array.isArray(contract.missions)) {
+      return '';
+    }
+
+    return `<div class="contract-campaign">
+          <h4>Campaign - ${contract.missions.length} Missions</h4>
+          ${contract.missions.map((mission) => `<div class="stat-line"><span>Day ${mission.day}: ${mission.name}</span><span>${mission.status}</span></div>`).join('')}
+          <p>Payment is made per mission completed. Losing a mission strengthens the enemy for the rest of the campaign.</p>
+        </div>`;
+  }
+
   /**
    * Update contracts list display
    */
   updateContractsList() {
     const contracts = this.gameState.get('contracts') || [];
     const contractList = document.getElementById('contract-list');
+    const filtersElement = document.getElementById('contract-filters');
+
+    if (filtersElement) {
+      filtersElement.innerHTML = this.renderBoardFilters(contracts);
+    }
     
     if (contractList) {
-      contractList.innerHTML = contracts.map((contract, index) => {
-        const daysRemaining = Math.ceil((contract.timeLimit - Date.now()) / (24 * 60 * 60 * 1000));
+      const force = this.getDeployableForces();
+      const shown = this.getBoardContracts();
+
+      contractList.innerHTML = shown.length === 0 ? '<p>No contracts match the current filters.</p>' : shown.map((contract) => {
+        // Selection works on the board's own order, which filters and sorting don't change
+        const index = contracts.indexOf(contract);
+        const daysRemaining = this.clock.daysUntil(contract.expiresDay);
         const difficultyClass = this.getDifficultyClass(contract.difficulty);
+        const shortfall = ContractBoard.assessForce(contract, force).filter((check) => !check.met);
+        const compared = this.comparison.includes(contract.id);
         
-        return `<div class="contract-entry ${difficultyClass}" onclick="selectContract(${index})">
+        return `<div class="contract-entry ${difficultyClass}${compared ? ' selected' : ''}" onclick="selectContract(${index})">
           <div class="contract-header">
             <div class="contract-name">${contract.name}</div>
             <div class="contract-payment">${contract.payment.toLocaleString()} C-Bills</div>
@@ -230,10 +737,214 @@ export class ContractSystem {
           <div class="contract-summary">
             <span class="contract-employer">${contract.employer}</span> | 
             <span class="contract-difficulty">${contract.difficulty}</span> | 
-            <span class="contract-duration">${contract.duration} days</span>
+            <span class="contract-duration">${contract.duration} days</span> | 
+            <span class="contract-rate">${ContractBoard.getPayPerDay(contract).toLocaleString()}/day</span>${contract.missions ? ` | 
+            <span class="contract-missions">${contract.missions.length} missions</span>` : ''}
           </div>
           <div class="contract-location">${contract.location}</div>
           <div class="contract-expiry">Expires in ${daysRemaining} days</div>
+          ${shortfall.length > 0 ? `<div class="contract-shortfall">Cannot field: ${shortfall.map((check) => check.name).join(', ')}</div>` : ''}
+          <button class="btn btn-sm" onclick="event.stopPropagation(); toggleContractComparison('${contract.id}')">${compared ? 'Remove from Comparison' : 'Compare'}</button>
+        </div>`;
+      }).join('');
+    }
+  }
+
+  /**
+   * Available contracts passing the board filters, in the chosen order
+   */
+  getBoardContracts() {
+    const contracts = this.gameState.get('contracts') || [];
+    const filtered = ContractBoard.filter(contracts, this.boardFilters, this.getDeployableForces());
+
+    return ContractBoard.sort(filtered, this.boardSort);
+  }
+
+  /**
+   * Set one board filter, number and checkbox inputs arrive as strings and booleans
+   */
+  setBoardFilter(key, value) {
+    if (!(key in ContractBoard.DEFAULT_FILTERS)) {
+      this.logger.warn(`Unknown contract filter: ${key}`);
+      return;
+    }
+
+    const defaultValue = ContractBoard.DEFAULT_FILTERS[key];
+    this.boardFilters[key] = typeof defaultValue === 'number' ? (Number(value) || 0) : value;
+    this.updateContractsList();
+  }
+
+  setBoardSort(sortKey) {
+    this.boardSort = ContractBoard.SORTS[sortKey] ? sortKey : '';
+    this.updateContractsList();
+  }
+
+  /**
+   * Add or remove an offer from the comparison, up to the comparison limit
+   */
+  toggleComparison(contractId) {
+    if (this.comparison.includes(contractId)) {
+      this.comparison = this.comparison.filter((id) => id !== contractId);
+    } else if (this.comparison.length >= ContractBoard.MAX_COMPARE) {
+      alert(`Compare up to ${ContractBoard.MAX_COMPARE} contracts at a time.`);
+      return false;
+    } else {
+      this.comparison = [...this.comparison, contractId];
+    }
+
+    this.updateContractsList();
+    return true;
+  }
+
+  /**
+   * Offers picked for comparison that are still on the board
+   */
+  getComparedContracts() {
+    return this.comparison.map((id) => this.getContractById(id)).filter(Boolean);
+  }
+
+  showComparison() {
+    const contracts = this.getComparedContracts();
+    if (contracts.length < 2) {
+      alert('Pick at least two contracts to compare.');
+      return false;
+    }
+
+    this.selectedContract = null;
+    this.negotiation = null;
+    this.lanceBuilder = null;
+    this.renderComparison(contracts);
+    return true;
+  }
+
+  clearComparison() {
+    this.comparison = [];
+    this.updateContractsList();
+
+    const detailsElement = document.getElementById('contract-details');
+    if (detailsElement) {
+      detailsElement.innerHTML = '<h3>Select a Contract</h3><p>Choose a contract from the list to view mission details and requirements.</p>';
+    }
+  }
+
+  /**
+   * Filter and sort controls for the board, choices come from the offers on it
+   */
+  renderBoardFilters(contracts) {
+    const options = ContractBoard.getOptions(contracts);
+    const filters = this.boardFilters;
+    const labels = {
+      employer: 'All employers', type: 'All types', difficulty: 'Any difficulty', location: 'All locations',
+    };
+    const compared = this.getComparedContracts().length;
+
+    return `<div class="contract-filters">
+      ${Object.entries(labels).map(([key, label]) => `<select onchange="setContractFilter('${key}', this.value)">
+        <option value="">${label}</option>
+        ${options[key].map((value) => `<option value="${value}"${filters[key] === value ? ' selected' : ''}>${value}</option>`).join('')}
+      </select>`).join('')}
+      <label>Min Salvage % <input type="number" min="0" max="100" step="5" value="${filters.minSalvage}" onchange="setContractFilter('minSalvage', this.value)"></label>
+      <label>Min Pay <input type="number" min="0" step="10000" value="${filters.minPayment}" onchange="setContractFilter('minPayment', this.value)"></label>
+      <label><input type="checkbox"${filters.fitsRoster ? ' checked' : ''} onchange="setContractFilter('fitsRoster', this.checked)"> Fits current roster</label>
+      <select onchange="setContractSort(this.value)">
+        <option value="">Board order</option>
+        ${Object.entries(ContractBoard.SORTS).map(([key, sort]) => `<option value="${key}"${this.boardSort === key ? ' selected' : ''}>Sort by ${sort.name}</option>`).join('')}
+      </select>
+      ${compared > 0 ? `<button class="btn btn-sm" onclick="showContractComparison()">Compare (${compared})</button>
+      <button class="btn btn-sm" onclick="clearContractComparison()">Clear</button>` : ''}
+    </div>`;
+  }
+
+  /**
+   * Side-by-side terms and requirements against the force the company can field
+   */
+  renderComparison(contracts) {
+    const detailsElement = document.getElementById('contract-details');
+    if (!detailsElement) {
+      return;
+    }
+
+    const force = this.getDeployableForces();
+    const blacklist = this.gameState.get('employerBlacklist') || {};
+    const today = this.getToday();
+    const rows = [
+      ['Employer', (contract) => contract.employer],
+      ['Type', (contract) => contract.type],
+      ['Difficulty', (contract) => contract.difficulty],
+      ['Location', (contract) => contract.location],
+      ['Payment', (contract) => `${contract.payment.toLocaleString()} C-Bills`],
+      ['Pay per Day', (contract) => `${ContractBoard.getPayPerDay(contract).toLocaleString()} C-Bills`],
+      ['Salvage', (contract) => `${Math.round(contract.rewards.salvage * 100)}%`],
+      ['Duration', (contract) => `${contract.duration} days`],
+      ['Transit', (contract) => `${contract.transitDays || ContractLifecycle.DEFAULT_TRANSIT_DAYS} days`],
+      ['Expires', (contract) => `${this.clock.daysUntil(contract.expiresDay)} days`],
+      ['Mech Slots', (contract) => `${contract.requirements.minMechs}-${contract.requirements.maxMechs}`],
+    ];
+    const assessments = contracts.map((contract) => ContractBoard.assessForce(contract, force));
+    const verdict = (contract, checks) => {
+      if (ContractBreach.isBlacklisted(blacklist, contract.employer, today)) {
+        return 'Employer will not sign';
+      }
+      const failed = checks.filter((check) => !check.met);
+      return failed.length === 0 ? 'Can accept' : `Short on ${failed.map((check) => check.name.toLowerCase()).join(', ')}`;
+    };
+    const requirementCells = (row) => assessments.map((checks) => {
+      const {
+        key, required, available, met,
+      } = checks[row];
+      const text = key === 'tonnage' ? `${available} / ${required} t limit` : `${available} of ${required} needed`;
+      return `<td class="${met ? 'requirement-met' : 'requirement-unmet'}">${text}</td>`;
+    }).join('');
+
+    detailsElement.innerHTML = `
+      <h3>Contract Comparison</h3>
+      <table class="contract-comparison">
+        <tr><th></th>${contracts.map((contract) => `<th>${contract.name}</th>`).join('')}</tr>
+        ${rows.map(([label, value]) => `<tr><td>${label}</td>${contracts.map((contract) => `<td>${value(contract)}</td>`).join('')}</tr>`).join('')}
+        ${assessments[0].map((check, row) => `<tr><td>${check.name}</td>${requirementCells(row)}</tr>`).join('')}
+        <tr><td>Verdict</td>${contracts.map((contract, column) => `<td>${verdict(contract, assessments[column])}</td>`).join('')}</tr>
+      </table>
+      
+      <div class="contract-actions">
+        ${contracts.map((contract) => `<button class="btn btn-sm" onclick="selectContract(${(this.gameState.get('contracts') || []).indexOf(contract)})">${contract.name}</button>`).join('')}
+        <button class="btn btn-secondary" onclick="clearContractComparison()">Clear Comparison</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Update active contracts display with lifecycle state and campaign progress
+   */
+  updateActiveContractsList() {
+    const activeContracts = this.gameState.get('activeContracts') || [];
+    const activeList = document.getElementById('active-contracts');
+
+    if (activeList) {
+      const today = this.getToday();
+
+      activeList.innerHTML = activeContracts.length === 0 ? '<p>No active contracts.</p>' : activeContracts.map((contract) => {
+        const mission = ContractCampaign.getCurrentMission(contract);
+        const completed = mission ? contract.missions.filter((m) => m.status === 'Completed').length : 0;
+        const wait = Math.max(0, ContractLifecycle.getEngagementDay(contract) - today);
+        const schedule = contract.status === ContractLifecycle.DEPLOYED
+          ? `${Math.max(0, contract.endDay - today)} days left on contract`
+          : `Arrives at ${contract.location} in ${Math.max(0, contract.arrivalDay - today)} days`;
+
+        return `<div class="contract-entry ${this.getDifficultyClass(contract.difficulty)}">
+          <div class="contract-header">
+            <div class="contract-name">${contract.name}</div>
+            <div class="contract-payment">${contract.status}</div>
+          </div>
+          ${mission ? `<div class="contract-summary">
+            Mission ${mission.index + 1}/${contract.missions.length}: ${mission.name} | 
+            ${completed} completed, ${contract.failures || 0} failed
+          </div>` : ''}
+          <div class="contract-location">${schedule}</div>
+          ${contract.status === ContractLifecycle.DEPLOYED ? `<div class="contract-expiry">
+            ${wait > 0 ? `${wait} days downtime before ${mission.difficulty} mission` : 'Ready to engage'}
+            <button class="btn btn-sm btn-primary" onclick="engageContract('${contract.id}')">${mission ? 'Launch Mission' : 'Engage'}</button>
+          </div>` : ''}
+          <button class="btn btn-sm btn-secondary" onclick="withdrawContract('${contract.id}')">Withdraw</button>
         </div>`;
       }).join('');
     }
@@ -261,11 +972,16 @@ export class ContractSystem {
     // Generate new contracts based on company reputation and current date
     const newContracts = this.generateContracts();
     
-    // Update game state
+    // Update game state, offers leave the board when their expiry day comes round
+    this.clock.cancel((entry) => entry.event === 'contract:offerExpired');
+    newContracts.forEach((contract) => {
+      this.clock.schedule('contract:offerExpired', contract.expiresDay, { contractId: contract.id });
+    });
     this.gameState.set('contracts', newContracts);
     
     // Clear current selection
     this.selectedContract = null;
+    this.comparison = [];
     this.gameState.set('selectedContract', null);
     
     this.eventBus.emit('contract:refreshed', { contracts: newContracts });
@@ -281,12 +997,12 @@ export class ContractSystem {
     const currentDate = this.gameState.get('time') || { year: 3025, month: 1, day: 1 };
     
     const contractTypes = this.getAvailableContractTypes(companyRating, reputation);
-    const numContracts = Math.floor(Math.random() * 4) + 2; // 2-5 contracts
+    const numContracts = Math.floor(this.random.next() * 4) + 2; // 2-5 contracts
     
     const contracts = [];
     
     for (let i = 0; i < numContracts; i++) {
-      const contractType = contractTypes[Math.floor(Math.random() * contractTypes.length)];
+      const contractType = contractTypes[Math.floor(this.random.next() * contractTypes.length)];
       const contract = this.generateContract(contractType, companyRating, reputation);
       contracts.push(contract);
     }
@@ -345,16 +1061,16 @@ export class ContractSystem {
    * Generate a single contract
    */
   generateContract(type, companyRating, reputation) {
-    const employers = this.getEmployers();
+    const employers = this.getOfferingEmployers();
     const locations = this.getLocations();
     
-    const employer = employers[Math.floor(Math.random() * employers.length)];
-    const location = locations[Math.floor(Math.random() * locations.length)];
+    const employer = employers[Math.floor(this.random.next() * employers.length)];
+    const location = locations[Math.floor(this.random.next() * locations.length)];
     
     const basePayment = this.calculateBasePayment(type, companyRating);
     const difficulty = this.determineDifficulty(type, companyRating);
     
-    return {
+    const contract = {
       id: this.generateContractId(),
       name: this.generateContractName(type, location),
       employer,
@@ -367,12 +1083,56 @@ export class ContractSystem {
       risks: this.generateRisks(type, difficulty),
       rewards: this.generateRewards(basePayment, type, employer),
       location,
-      timeLimit: Date.now() + (Math.floor(Math.random() * 14 + 7) * 24 * 60 * 60 * 1000), // 7-21 days
+      expiresDay: this.clock.today() + Math.floor(this.random.next() * 14 + 7), // 7-21 days on the board
+      transitDays: Math.floor(this.random.next() * 10) + 3, // 3-12 days by dropship
       objectives: this.generateObjectives(type, difficulty),
       opposition: this.generateOpposition(type, difficulty),
       terrain: this.generateTerrain(location),
       specialConditions: this.generateSpecialConditions(type, difficulty)
     };
+
+    contract.opFor = this.generateOpFor(contract);
+    contract.enemyFaction = contract.opFor.faction;
+
+    if (ContractCampaign.isCampaign(contract)) {
+      contract.missions = this.planCampaign(contract);
+    }
+
+    return contract;
+  }
+
+  /**
+   * Expand a long contract into its campaign missions
+   * The opening mission faces the briefed enemy force, later ones bring their own
+   */
+  planCampaign(contract) {
+    return ContractCampaign.plan(contract, { random: this.random.next }).map((mission) => ({
+      ...mission,
+      opFor: mission.index === 0 && contract.opFor ? contract.opFor : this.generateOpFor({ ...contract, ...mission }),
+    }));
+  }
+
+  /**
+   * Build the enemy force roster from the employer's enemies
+   */
+  generateOpFor(contract) {
+    return OpForGenerator.generate(contract, {
+      factions: this.gameState.get('factions') || {},
+      year: this.gameState.get('time.year') || 3025,
+      random: this.random.next,
+    });
+  }
+
+  /**
+   * Employers willing to offer the company work, blacklisted ones sit out until their ban lapses
+   */
+  getOfferingEmployers() {
+    const blacklist = this.gameState.get('employerBlacklist') || {};
+    const today = this.getToday();
+    const employers = this.getEmployers()
+      .filter((employer) => !ContractBreach.isBlacklisted(blacklist, employer, today));
+
+    return employers.length > 0 ? employers : this.getEmployers();
   }
 
   /**
@@ -492,7 +1252,7 @@ export class ContractSystem {
     
     const base = baseRates[type] || 100000;
     const multiplier = ratingMultiplier[rating] || 1.0;
-    const variance = 0.8 + Math.random() * 0.4; // ±20% variance
+    const variance = 0.8 + this.random.next() * 0.4; // ±20% variance
     
     return Math.round(base * multiplier * variance);
   }
@@ -505,12 +1265,12 @@ export class ContractSystem {
     
     // Green companies get easier contracts
     if (rating === 'Green') {
-      return difficulties[Math.floor(Math.random() * 2)]; // Easy or Moderate
+      return difficulties[Math.floor(this.random.next() * 2)]; // Easy or Moderate
     }
     
     // Higher rated companies get access to harder contracts
     const maxDifficulty = rating === 'Elite' ? 4 : rating === 'Veteran' ? 3 : 2;
-    return difficulties[Math.floor(Math.random() * maxDifficulty)];
+    return difficulties[Math.floor(this.random.next() * maxDifficulty)];
   }
 
   /**
@@ -539,7 +1299,7 @@ export class ContractSystem {
     };
     
     const risks = riskPools[difficulty] || riskPools['Moderate'];
-    const numRisks = Math.floor(Math.random() * 3) + 1; // 1-3 risks
+    const numRisks = Math.floor(this.random.next() * 3) + 1; // 1-3 risks
     
     return risks.slice(0, numRisks);
   }
@@ -598,18 +1358,18 @@ export class ContractSystem {
       baseRepGain = 8;
     }
     
-    const repVariance = Math.floor(Math.random() * 6) - 2; // -2 to +3 variance
+    const repVariance = Math.floor(this.random.next() * 6) - 2; // -2 to +3 variance
     const finalRep = Math.max(1, baseRepGain + repVariance);
     
     // Some contracts offer bonus rewards
     const bonusRewards = {};
     
     if (type === 'Technology Recovery') {
-      bonusRewards.techBonus = Math.floor(Math.random() * 50000) + 25000;
+      bonusRewards.techBonus = Math.floor(this.random.next() * 50000) + 25000;
     }
     
     if (type === 'Training Exercise') {
-      bonusRewards.pilotXP = Math.floor(Math.random() * 500) + 200;
+      bonusRewards.pilotXP = Math.floor(this.random.next() * 500) + 200;
     }
     
     if (['VIP Protection', 'Assassination'].includes(type)) {
@@ -639,7 +1399,7 @@ export class ContractSystem {
     };
     
     const templates = nameTemplates[type] || [`${type} - ${location}`];
-    return templates[Math.floor(Math.random() * templates.length)];
+    return templates[Math.floor(this.random.next() * templates.length)];
   }
 
   /**
@@ -695,45 +1455,45 @@ export class ContractSystem {
   calculateDuration(type) {
     const durations = {
       // Short-term contracts (1-10 days)
-      'Extraction': 1 + Math.floor(Math.random() * 4), // 1-5 days
-      'Assassination': 1 + Math.floor(Math.random() * 3), // 1-4 days
-      'Sabotage': 2 + Math.floor(Math.random() * 5), // 2-7 days
-      'Strike Mission': 1 + Math.floor(Math.random() * 6), // 1-7 days
-      'Objective Raid': 2 + Math.floor(Math.random() * 6), // 2-8 days
-      'Technology Theft': 3 + Math.floor(Math.random() * 5), // 3-8 days
-      'Black Ops': 1 + Math.floor(Math.random() * 7), // 1-8 days
+      Extraction: 1 + Math.floor(this.random.next() * 4), // 1-5 days
+      Assassination: 1 + Math.floor(this.random.next() * 3), // 1-4 days
+      Sabotage: 2 + Math.floor(this.random.next() * 5), // 2-7 days
+      'Strike Mission': 1 + Math.floor(this.random.next() * 6), // 1-7 days
+      'Objective Raid': 2 + Math.floor(this.random.next() * 6), // 2-8 days
+      'Technology Theft': 3 + Math.floor(this.random.next() * 5), // 3-8 days
+      'Black Ops': 1 + Math.floor(this.random.next() * 7), // 1-8 days
       
       // Medium-term contracts (7-30 days)
-      'Raid': 5 + Math.floor(Math.random() * 10), // 5-15 days
-      'Search and Destroy': 10 + Math.floor(Math.random() * 15), // 10-25 days
-      'Anti-Piracy': 14 + Math.floor(Math.random() * 14), // 14-28 days
-      'Recon': 7 + Math.floor(Math.random() * 16), // 7-23 days
-      'Deep Recon': 14 + Math.floor(Math.random() * 21), // 14-35 days
-      'VIP Protection': 3 + Math.floor(Math.random() * 25), // 3-28 days
-      'Escort': 5 + Math.floor(Math.random() * 20), // 5-25 days
-      'Counter-Intelligence': 10 + Math.floor(Math.random() * 25), // 10-35 days
-      'Special Operations': 7 + Math.floor(Math.random() * 18), // 7-25 days
-      'Technology Recovery': 5 + Math.floor(Math.random() * 15), // 5-20 days
-      'Covert Operations': 10 + Math.floor(Math.random() * 20), // 10-30 days
+      Raid: 5 + Math.floor(this.random.next() * 10), // 5-15 days
+      'Search and Destroy': 10 + Math.floor(this.random.next() * 15), // 10-25 days
+      'Anti-Piracy': 14 + Math.floor(this.random.next() * 14), // 14-28 days
+      Recon: 7 + Math.floor(this.random.next() * 16), // 7-23 days
+      'Deep Recon': 14 + Math.floor(this.random.next() * 21), // 14-35 days
+      'VIP Protection': 3 + Math.floor(this.random.next() * 25), // 3-28 days
+      Escort: 5 + Math.floor(this.random.next() * 20), // 5-25 days
+      'Counter-Intelligence': 10 + Math.floor(this.random.next() * 25), // 10-35 days
+      'Special Operations': 7 + Math.floor(this.random.next() * 18), // 7-25 days
+      'Technology Recovery': 5 + Math.floor(this.random.next() * 15), // 5-20 days
+      'Covert Operations': 10 + Math.floor(this.random.next() * 20), // 10-30 days
       
       // Long-term contracts (30-180 days)
-      'Garrison': 30 + Math.floor(Math.random() * 60), // 30-90 days
-      'Patrol': 21 + Math.floor(Math.random() * 30), // 21-51 days
-      'Border Patrol': 45 + Math.floor(Math.random() * 45), // 45-90 days
-      'Facility Defense': 30 + Math.floor(Math.random() * 90), // 30-120 days
-      'Base Security': 60 + Math.floor(Math.random() * 60), // 60-120 days
-      'Supply Line Security': 30 + Math.floor(Math.random() * 60), // 30-90 days
-      'Training Exercise': 14 + Math.floor(Math.random() * 21), // 14-35 days
-      'Equipment Testing': 21 + Math.floor(Math.random() * 30), // 21-51 days
+      Garrison: 30 + Math.floor(this.random.next() * 60), // 30-90 days
+      Patrol: 21 + Math.floor(this.random.next() * 30), // 21-51 days
+      'Border Patrol': 45 + Math.floor(this.random.next() * 45), // 45-90 days
+      'Facility Defense': 30 + Math.floor(this.random.next() * 90), // 30-120 days
+      'Base Security': 60 + Math.floor(this.random.next() * 60), // 60-120 days
+      'Supply Line Security': 30 + Math.floor(this.random.next() * 60), // 30-90 days
+      'Training Exercise': 14 + Math.floor(this.random.next() * 21), // 14-35 days
+      'Equipment Testing': 21 + Math.floor(this.random.next() * 30), // 21-51 days
       
       // Campaign-length contracts (60-300 days)
-      'Planetary Assault': 60 + Math.floor(Math.random() * 120), // 60-180 days
-      'Counter-Offensive': 45 + Math.floor(Math.random() * 90), // 45-135 days
-      'Strategic Strike': 30 + Math.floor(Math.random() * 60), // 30-90 days
-      'Regime Change': 120 + Math.floor(Math.random() * 180), // 120-300 days
-      'Interdiction': 45 + Math.floor(Math.random() * 75), // 45-120 days
-      'Experimental Weapons Testing': 90 + Math.floor(Math.random() * 90), // 90-180 days
-      'Classified Missions': 30 + Math.floor(Math.random() * 150) // 30-180 days
+      'Planetary Assault': 60 + Math.floor(this.random.next() * 120), // 60-180 days
+      'Counter-Offensive': 45 + Math.floor(this.random.next() * 90), // 45-135 days
+      'Strategic Strike': 30 + Math.floor(this.random.next() * 60), // 30-90 days
+      'Regime Change': 120 + Math.floor(this.random.next() * 180), // 120-300 days
+      Interdiction: 45 + Math.floor(this.random.next() * 75), // 45-120 days
+      'Experimental Weapons Testing': 90 + Math.floor(this.random.next() * 90), // 90-180 days
+      'Classified Missions': 30 + Math.floor(this.random.next() * 150), // 30-180 days
     };
     
     return durations[type] || 21;
@@ -867,7 +1627,7 @@ export class ContractSystem {
       'Agricultural plains with open terrain'
     ];
     
-    const selectedTerrain = terrainTypes[Math.floor(Math.random() * terrainTypes.length)];
+    const selectedTerrain = terrainTypes[Math.floor(this.random.next() * terrainTypes.length)];
     
     // Add location-specific terrain details
     const terrainModifiers = [
@@ -880,7 +1640,7 @@ export class ContractSystem {
       'Extreme weather conditions possible'
     ];
     
-    const modifier = terrainModifiers[Math.floor(Math.random() * terrainModifiers.length)];
+    const modifier = terrainModifiers[Math.floor(this.random.next() * terrainModifiers.length)];
     
     return [selectedTerrain, modifier];
   }
@@ -911,12 +1671,17 @@ export class ContractSystem {
     ];
     
     // Select 1-3 conditions based on difficulty
-    const numConditions = difficulty === 'Extreme' ? 3 : 
-                         difficulty === 'Hard' ? 2 : 
-                         Math.random() < 0.6 ? 1 : 0;
+    let numConditions;
+    if (difficulty === 'Extreme') {
+      numConditions = 3;
+    } else if (difficulty === 'Hard') {
+      numConditions = 2;
+    } else {
+      numConditions = this.random.next() < 0.6 ? 1 : 0;
+    }
     
     for (let i = 0; i < numConditions; i++) {
-      const condition = possibleConditions[Math.floor(Math.random() * possibleConditions.length)];
+      const condition = possibleConditions[Math.floor(this.random.next() * possibleConditions.length)];
       if (!conditions.includes(condition)) {
         conditions.push(condition);
       }
@@ -926,56 +1691,61 @@ export class ContractSystem {
   }
 
   /**
-   * Accept a contract
+   * Accept a contract, sending the given lance or the default pick
    */
-  acceptContract(contractId) {
+  acceptContract(contractId, lance = null) {
     const contract = this.getContractById(contractId);
     if (!contract) {
       this.logger.warn(`Contract not found: ${contractId}`);
-      return;
+      return false;
     }
     
-    // Validate company can fulfill contract requirements
-    const mechs = this.gameState.get('mechs') || [];
-    const availableMechs = mechs.filter(mech => mech.status === 'Ready');
-    const pilots = this.gameState.get('pilots') || [];
-    const availablePilots = pilots.filter(pilot => pilot.status === 'Active' && !pilot.mechAssignment);
-    
-    // Check mech requirements
-    if (availableMechs.length < contract.requirements.minMechs) {
-      alert(`Insufficient mechs available.\nRequired: ${contract.requirements.minMechs}\nAvailable: ${availableMechs.length}\n\nPurchase additional mechs or repair damaged units.`);
-      return;
+    if (ContractBreach.isBlacklisted(this.gameState.get('employerBlacklist') || {}, contract.employer, this.getToday())) {
+      alert(`${contract.employer} will not sign with your company until your breach of contract is forgotten.`);
+      return false;
     }
-    
-    // Check pilot requirements
-    if (availablePilots.length < contract.requirements.minMechs) {
-      alert(`Insufficient pilots available.\nRequired: ${contract.requirements.minMechs}\nAvailable: ${availablePilots.length}\n\nHire additional pilots or wait for injured pilots to recover.`);
-      return;
+
+    // Wounded pilots stay in the medical bay, whether hand-picked or assigned by default
+    const deployedForce = lance || this.selectDeployedForce(contract);
+    const injured = (this.gameState.get('pilots') || [])
+      .filter((pilot) => deployedForce.pilots.includes(pilot.id) && PilotInjury.isInjured(pilot));
+    if (injured.length > 0) {
+      alert(`${injured.map((pilot) => pilot.name).join(', ')} cannot deploy while recovering from injuries.`);
+      return false;
     }
-    
-    // Check weight limit
-    const totalTonnage = availableMechs.slice(0, contract.requirements.maxMechs).reduce((total, mech) => total + mech.tonnage, 0);
-    if (totalTonnage > contract.requirements.weightLimit) {
-      alert(`Force exceeds weight limit.\nLimit: ${contract.requirements.weightLimit} tons\nCurrent: ${totalTonnage} tons\n\nAdjust your force composition.`);
-      return;
+
+    // Validate company can fulfill contract requirements, a chosen lance is checked as built
+    const problem = lance
+      ? LanceBuilder.getProblem(contract, LanceBuilder.fromForce(lance), this.getDeployableForces(contract.id))
+      : this.checkDeploymentRequirements(contract);
+    if (problem) {
+      alert(problem);
+      return false;
     }
     
-    // Move contract to active contracts
+    // Long contracts play out as a campaign of missions
+    const campaign = ContractCampaign.isCampaign(contract)
+      ? { missions: contract.missions || this.planCampaign(contract), currentMission: 0, failures: 0 }
+      : {};
+
+    // Move contract to active contracts, scheduled from today's in-game date
+    const schedule = ContractLifecycle.schedule(contract, this.getToday());
+    const advance = ContractBreach.getAdvance(contract);
     const activeContracts = this.gameState.get('activeContracts') || [];
     activeContracts.push({
       ...contract,
-      status: 'Active',
-      startDate: Date.now(),
-      endDate: Date.now() + (contract.duration * 24 * 60 * 60 * 1000),
-      deployedForce: {
-        mechs: availableMechs.slice(0, Math.min(contract.requirements.maxMechs, availableMechs.length)).map(m => m.id),
-        pilots: availablePilots.slice(0, Math.min(contract.requirements.maxMechs, availablePilots.length)).map(p => p.id)
-      }
+      ...campaign,
+      ...schedule,
+      status: ContractLifecycle.ACCEPTED,
+      advancePaid: advance,
+      deployedForce,
     });
     
     // Remove from available contracts
     this.gameState.removeFromArray('contracts', c => c.id === contractId);
+    this.clock.cancel((entry) => entry.event === 'contract:offerExpired' && entry.data.contractId === contractId);
     this.gameState.set('activeContracts', activeContracts);
+    this.assignForce(contractId, deployedForce);
     
     // Update company reputation and advance time slightly
     const currentRep = this.gameState.get('company.reputation') || {};
@@ -985,7 +1755,7 @@ export class ContractSystem {
     });
     this.gameState.set('company.reputation', currentRep);
     
-    this.eventBus.emit('contract:accepted', { contract });
+    this.eventBus.emit('contract:accepted', { contract, advance });
     this.logger.info(`Contract accepted: ${contract.name}`);
     
     const deploymentInfo = `
@@ -993,15 +1763,445 @@ Contract: ${contract.name}
 Employer: ${contract.employer}
 Location: ${contract.location}
 Duration: ${contract.duration} days
-Payment: ${contract.payment.toLocaleString()} C-Bills
-Salvage Rights: ${(contract.rewards.salvage * 100)}%
+Payment: ${contract.payment.toLocaleString()} C-Bills (${advance.toLocaleString()} advanced on signing)
+Salvage Rights: ${Math.round(contract.rewards.salvage * 100)}%
+Command Rights: ${ContractNegotiation.getCommandRights(contract).name}
 
-Your unit will deploy in 24 hours.
+Your dropship departs in ${ContractLifecycle.DEPARTURE_DAYS} day and reaches ${contract.location} after ${schedule.arrivalDay - schedule.departureDay} days in transit.
 
-Objectives:
-${contract.objectives.map(obj => '• ' + obj).join('\n')}`;
+${campaign.missions ? 'Campaign' : 'Objectives'}:
+${campaign.missions
+    ? campaign.missions.map((mission) => `• Day ${mission.day}: ${mission.name}`).join('\n')
+    : contract.objectives.map((obj) => `• ${obj}`).join('\n')}`;
     
     alert(deploymentInfo);
+    return true;
+  }
+
+  /**
+   * Current in-game day number
+   */
+  getToday() {
+    return this.clock.today();
+  }
+
+  /**
+   * Move active contracts along as in-game time passes
+   */
+  onTimeAdvanced() {
+    const today = this.getToday();
+
+    (this.gameState.get('activeContracts') || []).forEach((contract) => {
+      ContractLifecycle.getTransitions(contract, today)
+        .forEach((status) => this.transitionContract(contract.id, status));
+    });
+
+    this.updateActiveContractsList();
+  }
+
+  /**
+   * Move an active contract to its next lifecycle state
+   * A breach ends the contract on the spot
+   */
+  transitionContract(contractId, status) {
+    const contract = (this.gameState.get('activeContracts') || []).find((c) => c.id === contractId);
+    if (!contract || !ContractLifecycle.canTransition(contract.status, status)) {
+      this.logger.warn(`Invalid contract transition for ${contractId}: ${contract ? contract.status : 'none'} -> ${status}`);
+      return false;
+    }
+
+    if (status === ContractLifecycle.BREACHED) {
+      return this.breachContract(contractId, 'deadline');
+    }
+
+    this.gameState.updateArrayItem('activeContracts', (c) => c.id === contractId, { status });
+    this.eventBus.emit('contract:statusChanged', { contract: { ...contract, status }, from: contract.status, to: status });
+    this.logger.info(`Contract ${contract.name}: ${contract.status} -> ${status}`);
+
+    if (status === ContractLifecycle.DEPLOYED) {
+      alert(`Your unit has made planetfall on ${contract.location} for ${contract.name}.\n\nEngage from the active contracts list before the contract runs out in ${contract.duration} days.`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Pull out of an active contract, accepting the breach penalties
+   */
+  withdrawFromContract(contractId) {
+    const contract = (this.gameState.get('activeContracts') || []).find((c) => c.id === contractId);
+    if (!contract) {
+      this.logger.warn(`Active contract not found: ${contractId}`);
+      return false;
+    }
+
+    const penalties = ContractBreach.getPenalties(contract);
+    if (!window.confirm(`Withdraw from ${contract.name}?
+
+This is a breach of contract:
+• Forfeit the ${penalties.forfeitedAdvance.toLocaleString()} C-Bill advance
+• Lose ${penalties.reputationLoss} reputation with ${contract.employer} and its allies
+• No contracts from ${contract.employer} for ${penalties.blacklistDays} days`)) {
+      return false;
+    }
+
+    return this.breachContract(contractId, 'withdrawn');
+  }
+
+  /**
+   * End an active contract in breach and apply the penalties its terms set
+   * Reputation and the advance are settled by the faction and company systems
+   */
+  breachContract(contractId, reason) {
+    const contract = (this.gameState.get('activeContracts') || []).find((c) => c.id === contractId);
+    if (!contract) {
+      this.logger.warn(`Active contract not found: ${contractId}`);
+      return false;
+    }
+
+    const penalties = ContractBreach.getPenalties(contract);
+
+    // The employer stops offering work and pulls anything already on the board
+    const blacklist = this.gameState.get('employerBlacklist') || {};
+    this.gameState.set('employerBlacklist', { ...blacklist, [contract.employer]: this.getToday() + penalties.blacklistDays });
+    this.gameState.set('contracts', (this.gameState.get('contracts') || []).filter((c) => c.employer !== contract.employer));
+
+    this.eventBus.emit('contract:breached', { contract, reason, penalties });
+    this.completeContract({ contractId, success: false, outcome: ContractLifecycle.BREACHED });
+    this.logger.warn(`Contract breached (${reason}): ${contract.name}`);
+
+    alert(`BREACH OF CONTRACT: ${contract.name}
+
+${ContractBreach.REASONS[reason] || reason}.
+
+• ${penalties.forfeitedAdvance.toLocaleString()} C-Bill advance forfeited
+• -${penalties.reputationLoss} reputation with ${contract.employer}
+• ${contract.employer} will not hire your company for ${penalties.blacklistDays} days`);
+
+    return true;
+  }
+
+  /**
+   * Get ready mechs and active pilots that are free to deploy
+   * Units already committed to the given contract count as free for it
+   */
+  getDeployableForces(contractId = null) {
+    const mechs = this.gameState.get('mechs') || [];
+    const pilots = this.gameState.get('pilots') || [];
+    const isFree = (item) => !item.deployment || item.deployment === contractId;
+
+    return {
+      mechs: mechs.filter((mech) => mech.status === 'Ready' && isFree(mech)),
+      pilots: pilots.filter((pilot) => pilot.status === 'Active' && !pilot.mechAssignment && isFree(pilot)),
+    };
+  }
+
+  /**
+   * Lock mechs and pilots to a contract so they cannot be sold, fired or sent elsewhere
+   */
+  assignForce(contractId, deployedForce) {
+    deployedForce.mechs.forEach((mechId) => {
+      this.gameState.updateArrayItem('mechs', (mech) => mech.id === mechId, { deployment: contractId });
+    });
+    deployedForce.pilots.forEach((pilotId) => {
+      this.gameState.updateArrayItem('pilots', (pilot) => pilot.id === pilotId, { deployment: contractId });
+    });
+  }
+
+  /**
+   * Return a contract's mechs and pilots to the company
+   */
+  releaseForce(contractId) {
+    ['mechs', 'pilots'].forEach((path) => {
+      (this.gameState.get(path) || []).filter((item) => item.deployment === contractId).forEach((item) => {
+        this.gameState.updateArrayItem(path, (entry) => entry.id === item.id, { deployment: null });
+      });
+    });
+  }
+
+  /**
+   * Check the company can field a force for a contract
+   * Returns the reason it cannot, or null
+   */
+  checkDeploymentRequirements(contract) {
+    // The board shows the same checks, command rights can loosen the weight limit
+    const checks = ContractBoard.assessForce(contract, this.getDeployableForces(contract.id));
+    const failed = checks.find((check) => !check.met);
+    if (!failed) {
+      return null;
+    }
+
+    const { required, available } = failed;
+    switch (failed.key) {
+      case 'mechs':
+        return `Insufficient mechs available.\nRequired: ${required}\nAvailable: ${available}\n\nPurchase additional mechs or repair damaged units.`;
+      case 'pilots':
+        return `Insufficient pilots available.\nRequired: ${required}\nAvailable: ${available}\n\nHire additional pilots or wait for injured pilots to recover.`;
+      default:
+        return `Force exceeds weight limit.\nLimit: ${required} tons\nCurrent: ${available} tons\n\nAdjust your force composition.`;
+    }
+  }
+
+  /**
+   * Pick the mechs and pilots sent on a contract
+   */
+  selectDeployedForce(contract) {
+    const { mechs, pilots } = this.getDeployableForces(contract.id);
+    // Stay under the weight limit the deployment check was made against
+    const fielded = ContractBoard.selectMechs(contract, mechs);
+
+    return {
+      mechs: fielded.map((m) => m.id),
+      pilots: pilots.slice(0, fielded.length).map((p) => p.id),
+    };
+  }
+
+  /**
+   * Send the deployed force into the contract's next engagement
+   */
+  deployForCombat(contractId) {
+    const contract = (this.gameState.get('activeContracts') || []).find((c) => c.id === contractId);
+
+    // Under integrated command the employer's officers run the engagement
+    if (contract && ContractNegotiation.getCommandRights(contract).autoResolveOnly) {
+      this.eventBus.emit('combat:autoResolve', { contractId });
+      return;
+    }
+
+    // Command the engagement on the tactical map or let the lance commanders handle it
+    if (window.confirm('Command this engagement in person?\n\nCancel to auto-resolve and receive an after-action report.')) {
+      this.eventBus.emit('combat:start', { contractId });
+    } else {
+      this.eventBus.emit('combat:autoResolve', { contractId });
+    }
+  }
+
+  /**
+   * Take a deployed contract into its next engagement
+   * Later campaign missions wait out their downtime, and the force is picked again
+   * so repaired mechs and fresh pilots can rotate in
+   */
+  engageContract(contractId) {
+    const contract = (this.gameState.get('activeContracts') || []).find((c) => c.id === contractId);
+    if (!contract || contract.status !== ContractLifecycle.DEPLOYED) {
+      this.logger.warn(`Contract is not deployed: ${contractId}`);
+      return false;
+    }
+
+    const rotate = Array.isArray(contract.missions) && (contract.currentMission || 0) > 0;
+    if (rotate) {
+      const problem = this.checkDeploymentRequirements(contract);
+      if (problem) {
+        alert(problem);
+        return false;
+      }
+    }
+
+    const downtime = Math.max(0, ContractLifecycle.getEngagementDay(contract) - this.getToday());
+    if (downtime > 0) {
+      this.eventBus.emit('company:advanceTime', { days: downtime });
+    }
+
+    // The calendar moving on can end the contract before the drop
+    const current = (this.gameState.get('activeContracts') || []).find((c) => c.id === contractId);
+    if (!current || current.status !== ContractLifecycle.DEPLOYED) {
+      this.logger.warn(`Contract ended during downtime, engagement cancelled: ${contractId}`);
+      return false;
+    }
+
+    // The new lance goes in with full bins
+    if (rotate) {
+      const deployedForce = this.selectDeployedForce(current);
+      this.releaseForce(contractId);
+      this.assignForce(contractId, deployedForce);
+      this.eventBus.emit('mech:rearm', { mechIds: deployedForce.mechs });
+      this.gameState.updateArrayItem('activeContracts', (c) => c.id === contractId, { deployedForce });
+
+      const mission = ContractCampaign.getCurrentMission(current);
+      this.eventBus.emit('contract:missionLaunched', { contract: current, mission, downtime });
+      this.logger.info(`Mission launched: ${current.name}, ${mission.name}`);
+    }
+
+    this.deployForCombat(contractId);
+    return true;
+  }
+
+  /**
+   * Handle the end of a tactical engagement
+   */
+  onCombatEnded(data) {
+    const { contractId, victory } = data;
+    const contract = (this.gameState.get('activeContracts') || []).find((c) => c.id === contractId);
+
+    if (contract && Array.isArray(contract.missions)) {
+      this.resolveMission(contract, victory, data);
+      return;
+    }
+
+    this.completeContract({
+      contractId,
+      success: victory,
+      combatResult: data,
+    });
+  }
+
+  /**
+   * Record a campaign mission and stand the force down until the next one
+   * A defeat sends stronger enemy forces to every mission still to come
+   */
+  resolveMission(contract, success, combatResult = {}) {
+    const index = contract.currentMission || 0;
+    const outcome = ContractCampaign.recordResult(contract, success, {
+      victory: !!success,
+      turns: combatResult.turns || 0,
+      enemiesDestroyed: combatResult.enemiesDestroyed || 0,
+      unitsLost: combatResult.unitsLost || 0,
+      autoResolved: !!combatResult.autoResolved,
+    });
+
+    const missions = success ? outcome.missions : outcome.missions.map((mission) => (mission.status === 'Pending'
+      ? { ...mission, opFor: this.generateOpFor({ ...contract, ...mission }) }
+      : mission));
+    const updates = {
+      missions,
+      failures: outcome.failures,
+      currentMission: outcome.currentMission,
+    };
+    const updated = { ...contract, ...updates };
+
+    this.gameState.updateArrayItem('activeContracts', (c) => c.id === contract.id, updates);
+
+    const mission = missions[index];
+    const nextMission = outcome.finished ? null : ContractCampaign.getCurrentMission(updated);
+    const downtime = outcome.finished ? 0 : ContractCampaign.getDowntime(updated);
+
+    this.eventBus.emit('contract:missionCompleted', {
+      contract: updated,
+      mission,
+      success,
+      combatResult,
+      nextMission,
+      downtime,
+    });
+
+    this.logger.info(`Mission ${success ? 'completed' : 'failed'}: ${contract.name}, ${mission.name}`);
+
+    if (outcome.finished) {
+      this.completeContract({ contractId: contract.id, success: ContractCampaign.isSuccessful(updated) });
+      return;
+    }
+
+    if (ContractBreach.hasLostMinimumForce(contract, this.gameState.get('mechs') || [])) {
+      this.breachContract(contract.id, 'forces_lost');
+      return;
+    }
+
+    alert(`${mission.name}: ${success ? 'MISSION COMPLETE' : 'MISSION FAILED'}
+
+Next mission: ${nextMission.name}${nextMission.escalated ? ' (enemy reinforced)' : ''}
+Downtime: ${downtime} days to repair, rearm and rotate pilots.
+
+Launch the mission from the active contracts list when your lance is ready.`);
+
+    this.updateActiveContractsList();
+  }
+
+  /**
+   * Complete an active contract and report the outcome
+   */
+  completeContract(data) {
+    const { contractId, success, combatResult } = data;
+    const outcome = data.outcome || (success ? ContractLifecycle.COMPLETED : ContractLifecycle.FAILED);
+    const activeContracts = this.gameState.get('activeContracts') || [];
+    const contract = activeContracts.find((c) => c.id === contractId);
+
+    if (!contract) {
+      this.logger.warn(`Active contract not found: ${contractId}`);
+      return;
+    }
+
+    this.gameState.removeFromArray('activeContracts', (c) => c.id === contractId);
+    this.releaseForce(contractId);
+    this.updateActiveContractsList();
+
+    // Keep the finished contract, with its combat replay, in the company history
+    const history = this.gameState.get('contractHistory') || [];
+    this.gameState.set('contractHistory', [...history, {
+      ...contract,
+      status: outcome,
+      completedAt: this.getToday(),
+    }]);
+
+    if (Array.isArray(contract.missions)) {
+      this.completeCampaign(contract, success, outcome);
+      return;
+    }
+
+    const objectives = (combatResult && combatResult.objectives) || [];
+    const performance = success ? ContractSystem.ratePerformance(contract, combatResult) : null;
+
+    // Each secondary objective met pays a 5% bonus
+    const secondaryMet = objectives.slice(1).filter((objective) => objective.met).length;
+    const bonuses = success ? Math.round(contract.payment * 0.05 * secondaryMet) : 0;
+
+    this.eventBus.emit('contract:completed', {
+      contract,
+      success,
+      outcome,
+      payment: success ? contract.payment - (contract.advancePaid || 0) : 0,
+      bonuses,
+      performance,
+      objectives,
+      salvage: (combatResult && combatResult.salvage) || [],
+      combatResult: combatResult || null,
+    });
+
+    this.logger.info(`Contract ${success ? 'completed' : 'failed'}: ${contract.name}`);
+  }
+
+  /**
+   * Report a finished campaign, paid for each mission completed unless it ended in breach
+   * Engagement results and salvage were handled as each mission ended
+   */
+  completeCampaign(contract, success, outcome) {
+    const payout = outcome === ContractLifecycle.BREACHED ? 0 : ContractCampaign.getPayout(contract);
+
+    this.eventBus.emit('contract:completed', {
+      contract,
+      success,
+      outcome,
+      payment: Math.max(0, payout - (contract.advancePaid || 0)),
+      bonuses: 0,
+      performance: ContractCampaign.ratePerformance(contract),
+      objectives: contract.missions.map((mission) => ({
+        objective: mission.objective,
+        met: mission.status === 'Completed',
+      })),
+      salvage: [],
+      combatResult: null,
+    });
+
+    this.logger.info(`Campaign ${success ? 'completed' : 'failed'}: ${contract.name}`);
+  }
+
+  /**
+   * Rate a successful contract from the engagement results
+   * Flawless victories are excellent, heavy losses or missed objectives are poor
+   */
+  static ratePerformance(contract, combatResult) {
+    if (!combatResult) {
+      return 'good';
+    }
+
+    const deployed = (combatResult.playerUnits || []).length || 1;
+    const objectives = combatResult.objectives || [];
+    const objectivesMet = objectives.filter((objective) => objective.met).length;
+
+    if (combatResult.unitsLost >= deployed / 2 || objectivesMet < objectives.length / 2) {
+      return 'poor';
+    }
+
+    return combatResult.unitsLost === 0 ? 'excellent' : 'good';
   }
 
   /**
@@ -1014,6 +2214,10 @@ ${contract.objectives.map(obj => '• ' + obj).join('\n')}`;
     if (path === 'contracts' || path.startsWith('contracts.')) {
       this.updateContractsList();
     }
+
+    if (path === 'activeContracts' || path.startsWith('activeContracts.')) {
+      this.updateActiveContractsList();
+    }
   }
 
   /**
@@ -1025,6 +2229,7 @@ ${contract.objectives.map(obj => '• ' + obj).join('\n')}`;
     // Update contracts when entering star map
     if (to === 'star-map') {
       this.updateContractsList();
+      this.updateActiveContractsList();
       
       // Clear contract details if no contract selected
       if (!this.selectedContract) {
@@ -1043,7 +2248,7 @@ ${contract.objectives.map(obj => '• ' + obj).join('\n')}`;
    * Generate unique contract ID
    */
   generateContractId() {
-    return `contract_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return this.ids.id('contract');
   }
 
   /**
@@ -1055,28 +2260,33 @@ ${contract.objectives.map(obj => '• ' + obj).join('\n')}`;
   }
 
   /**
-   * Remove expired contracts
+   * Take an offer off the board when its expiry day comes round
    */
-  removeExpiredContracts() {
-    const now = Date.now();
-    const contracts = this.gameState.get('contracts') || [];
-    const validContracts = contracts.filter(contract => contract.timeLimit > now);
-    
-    if (validContracts.length !== contracts.length) {
-      this.gameState.set('contracts', validContracts);
-      this.logger.info(`Removed ${contracts.length - validContracts.length} expired contracts`);
+  expireOffer(data) {
+    const { contractId } = data;
+    const contract = this.gameState.removeFromArray('contracts', (c) => c.id === contractId);
+    if (!contract) return;
+    
+    if (this.selectedContract && this.selectedContract.id === contractId) {
+      this.selectedContract = null;
+      this.negotiation = null;
+      this.gameState.set('selectedContract', null, { silent: true });
     }
+
+    if (this.lanceBuilder && this.lanceBuilder.contractId === contractId) {
+      this.lanceBuilder = null;
+    }
+
+    this.updateContractsList();
+    this.eventBus.emit('contract:expired', { contract });
+    this.logger.info(`Contract offer expired: ${contract.name}`);
   }
 
   /**
    * System update method (called by game loop)
    */
   update(deltaTime) {
-    // Remove expired contracts
-    this.removeExpiredContracts();
-    
-    // Process active contracts
-    // Future implementation will handle contract progression
+    // Offers expire and active contracts progress on the game clock
   }
 
   /**
@@ -1087,6 +2297,7 @@ ${contract.objectives.map(obj => '• ' + obj).join('\n')}`;
     
     // Initialize contracts display
     this.updateContractsList();
+    this.updateActiveContractsList();
   }
 
   /**
@@ -1109,10 +2320,29 @@ ${contract.objectives.map(obj => '• ' + obj).join('\n')}`;
       this.selectedContract = this.getContractById(selectedContractId);
     }
     
+    this.migrateActiveContracts();
     this.updateContractsList();
+    this.updateActiveContractsList();
     this.logger.debug('ContractSystem state loaded');
   }
 
+  /**
+   * Put contracts saved before the lifecycle existed on the ground from today
+   */
+  migrateActiveContracts() {
+    const today = this.getToday();
+
+    (this.gameState.get('activeContracts') || [])
+      .filter((contract) => !ContractLifecycle.TRANSITIONS[contract.status])
+      .forEach((contract) => {
+        this.gameState.updateArrayItem('activeContracts', (c) => c.id === contract.id, {
+          status: ContractLifecycle.DEPLOYED,
+          arrivalDay: today,
+          endDay: today + contract.duration,
+        });
+      });
+  }
+
   /**
    * Shutdown the contract system
    */
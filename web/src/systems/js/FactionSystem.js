@@ -40,6 +40,7 @@ export class FactionSystem {
   setupEventListeners() {
     // Contract completion affects reputation
     this.eventBus.on('contract:completed', this.onContractCompleted.bind(this));
+    this.eventBus.on('contract:breached', this.onContractBreached.bind(this));
     
     // Combat actions can affect faction relationships
     this.eventBus.on('combat:enemyDestroyed', this.onEnemyDestroyed.bind(this));
@@ -399,9 +400,12 @@ export class FactionSystem {
    * Handle contract completion effects
    */
   onContractCompleted(data) {
-    const { contract, success, performance } = data;
+    const {
+      contract, success, performance, outcome,
+    } = data;
     
-    if (!contract) return;
+    // Breaches carry their own penalty
+    if (!contract || outcome === 'Breached') return;
     
     let baseRepGain = contract.rewards.reputation[contract.employer] || 10;
     
@@ -415,6 +419,15 @@ export class FactionSystem {
     this.logger.info(`Contract completed: ${contract.name} for ${contract.employer} - Rep gain: ${baseRepGain}`);
   }
 
+  /**
+   * Employers punish a breach of contract, their allies and enemies take note
+   */
+  onContractBreached(data) {
+    const { contract, penalties } = data;
+
+    this.modifyReputation(contract.employer, -penalties.reputationLoss, `Breach of contract: ${contract.name}`);
+  }
+
   /**
    * Handle enemy destruction in combat
    */
@@ -0,0 +1,235 @@
+/**
+ * Game Clock - In-game calendar and the schedule subsystems book timed events against
+ * The date and pending events live in GameState so timers follow the campaign through saves
+ */
+import { Logger } from '../../utils/Logger';
+
+export class GameClock {
+  static DAY_MS = 24 * 60 * 60 * 1000;
+
+  static MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December',
+  ];
+
+  static DEFAULT_TIME = { year: 3025, month: 1, day: 1 };
+
+  // In-game day numbers for the 31st century are far below real-world epoch milliseconds
+  static EPOCH_THRESHOLD = 1e11;
+
+  constructor(eventBus = null, gameState = null) {
+    this.logger = new Logger('GameClock');
+    this.eventBus = eventBus;
+    this.gameState = gameState;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Migrate saves whose timers still hold real-world timestamps
+   */
+  async initialize() {
+    if (this.eventBus) {
+      this.eventBus.on('gameState:loaded', this.migrate.bind(this));
+    }
+
+    this.isInitialized = true;
+    this.logger.info('GameClock initialized');
+  }
+
+  /**
+   * Absolute day number for an in-game date
+   */
+  static getDayNumber(time) {
+    return Math.floor(Date.UTC(time.year, time.month - 1, time.day) / GameClock.DAY_MS);
+  }
+
+  /**
+   * In-game date for an absolute day number
+   */
+  static fromDayNumber(dayNumber) {
+    const date = new Date(dayNumber * GameClock.DAY_MS);
+    return { day: date.getUTCDate(), month: date.getUTCMonth() + 1, year: date.getUTCFullYear() };
+  }
+
+  static addDays(time, days) {
+    return GameClock.fromDayNumber(GameClock.getDayNumber(time) + days);
+  }
+
+  static formatDate(time) {
+    return `${GameClock.MONTHS[time.month - 1]} ${time.day}, ${time.year}`;
+  }
+
+  static isEpochTimestamp(value) {
+    return typeof value === 'number' && value > GameClock.EPOCH_THRESHOLD;
+  }
+
+  /**
+   * Convert a real-world deadline to the in-game day, keeping the days that were left
+   */
+  static migrateDeadline(timestamp, today, now = Date.now()) {
+    return today + Math.max(0, Math.ceil((timestamp - now) / GameClock.DAY_MS));
+  }
+
+  /**
+   * Convert a real-world past timestamp to the in-game day, keeping the days since
+   */
+  static migrateTimestamp(timestamp, today, now = Date.now()) {
+    return today - Math.max(0, Math.floor((now - timestamp) / GameClock.DAY_MS));
+  }
+
+  getTime() {
+    return this.gameState.get('time') || GameClock.DEFAULT_TIME;
+  }
+
+  /**
+   * Today's absolute day number
+   */
+  today() {
+    return GameClock.getDayNumber(this.getTime());
+  }
+
+  daysUntil(dayNumber) {
+    return dayNumber - this.today();
+  }
+
+  /**
+   * Book an event to be emitted on an in-game day
+   * Returns the schedule entry id
+   */
+  schedule(event, dayNumber, data = {}) {
+    // Numbered from a saved counter so ids replay identically and never repeat across loads
+    const sequence = (this.gameState.get('scheduleSequence') || 0) + 1;
+    this.gameState.set('scheduleSequence', sequence);
+
+    const entry = {
+      id: `schedule_${sequence}`,
+      event,
+      day: dayNumber,
+      data,
+    };
+
+    this.gameState.set('schedule', [...this.getScheduled(), entry]);
+    return entry.id;
+  }
+
+  /**
+   * Book an event a number of days from today
+   */
+  scheduleIn(event, days, data = {}) {
+    return this.schedule(event, this.today() + days, data);
+  }
+
+  /**
+   * Drop scheduled entries by id or predicate
+   */
+  cancel(match) {
+    const predicate = typeof match === 'function' ? match : (entry) => entry.id === match;
+    const schedule = this.getScheduled();
+    const remaining = schedule.filter((entry) => !predicate(entry));
+
+    if (remaining.length !== schedule.length) {
+      this.gameState.set('schedule', remaining);
+    }
+
+    return schedule.length - remaining.length;
+  }
+
+  getScheduled(event = null) {
+    const schedule = this.gameState.get('schedule') || [];
+    return event ? schedule.filter((entry) => entry.event === event) : schedule;
+  }
+
+  /**
+   * Move the calendar forward a day at a time, emitting events as they fall due
+   * Handlers see the date their event was booked for
+   */
+  advance(days) {
+    const previousTime = this.getTime();
+    const start = GameClock.getDayNumber(previousTime);
+
+    for (let dayNumber = start + 1; dayNumber <= start + days; dayNumber++) {
+      this.gameState.set('time', GameClock.fromDayNumber(dayNumber), { silent: dayNumber < start + days });
+      this.fireDue(dayNumber);
+    }
+
+    return { previousTime, newTime: this.getTime() };
+  }
+
+  /**
+   * Emit and clear every event booked on or before a day
+   */
+  fireDue(dayNumber) {
+    const schedule = this.getScheduled();
+    const due = schedule.filter((entry) => entry.day <= dayNumber).sort((a, b) => a.day - b.day);
+    if (due.length === 0) return;
+
+    this.gameState.set('schedule', schedule.filter((entry) => entry.day > dayNumber));
+
+    due.forEach((entry) => {
+      this.logger.debug(`Scheduled event due: ${entry.event}`);
+      this.eventBus.emit(entry.event, { ...entry.data, day: entry.day });
+    });
+  }
+
+  /**
+   * Move real-world timestamps in a loaded save onto the calendar and book their events
+   */
+  migrate() {
+    const today = this.today();
+    const now = Date.now();
+    let migrated = 0;
+
+    const contracts = (this.gameState.get('contracts') || []).map((contract) => {
+      if (!GameClock.isEpochTimestamp(contract.timeLimit)) return contract;
+
+      const { timeLimit, ...rest } = contract;
+      const expiresDay = GameClock.migrateDeadline(timeLimit, today, now);
+      this.schedule('contract:offerExpired', expiresDay, { contractId: contract.id });
+      migrated += 1;
+      return { ...rest, expiresDay };
+    });
+
+    const mechs = (this.gameState.get('mechs') || []).map((mech) => {
+      if (![mech.lastMaintenance, mech.datePurchased, mech.repairEndTime].some(GameClock.isEpochTimestamp)) {
+        return mech;
+      }
+
+      const migratedMech = { ...mech };
+      ['lastMaintenance', 'datePurchased']
+        .filter((field) => GameClock.isEpochTimestamp(mech[field]))
+        .forEach((field) => {
+          migratedMech[field] = GameClock.migrateTimestamp(mech[field], today, now);
+        });
+
+      if (GameClock.isEpochTimestamp(mech.repairEndTime)) {
+        if (mech.status === 'Repairing') {
+          migratedMech.repairDay = GameClock.migrateDeadline(mech.repairEndTime, today, now);
+          this.schedule('mech:repairDue', migratedMech.repairDay, { mechId: mech.id });
+        }
+        delete migratedMech.repairEndTime;
+      }
+
+      migrated += 1;
+      return migratedMech;
+    });
+
+    const contractHistory = (this.gameState.get('contractHistory') || []).map((contract) => {
+      if (!GameClock.isEpochTimestamp(contract.completedAt)) return contract;
+
+      migrated += 1;
+      return { ...contract, completedAt: GameClock.migrateTimestamp(contract.completedAt, today, now) };
+    });
+
+    if (GameClock.isEpochTimestamp(this.gameState.get('company.established'))) {
+      this.gameState.set('company.established', today, { silent: true });
+      migrated += 1;
+    }
+
+    if (migrated > 0) {
+      this.gameState.set('contracts', contracts, { silent: true });
+      this.gameState.set('mechs', mechs, { silent: true });
+      this.gameState.set('contractHistory', contractHistory, { silent: true });
+      this.logger.info(`Moved ${migrated} real-time timers onto the game calendar`);
+    }
+  }
+}
@@ -6,6 +6,8 @@ import { Logger } from '../../utils/Logger.js';
 import { DataManager } from './DataManager.js';
 import { ScreenManager } from './ScreenManager.js';
 import { GameState } from './GameState.js';
+import { RandomService } from './RandomService';
+import { GameClock } from './GameClock';
 
 // Import game systems
 import { CompanySystem } from './CompanySystem.js';
@@ -13,6 +15,7 @@ import { PilotSystem } from './PilotSystem.js';
 import { MechSystem } from './MechSystem.js';
 import { ContractSystem } from './ContractSystem.js';
 import { CombatSystem } from './CombatSystem.js';
+import { SalvageSystem } from './SalvageSystem';
 import { FactionSystem } from './FactionSystem.js';
 import { TutorialSystem } from './TutorialSystem.js';
 import { AudioManager } from './AudioManager.js';
@@ -30,6 +33,8 @@ export class GameEngine {
     this.dataManager = null;
     this.screenManager = null;
     this.gameState = null;
+    this.randomService = null;
+    this.gameClock = null;
     this.audioManager = null;
     this.mobileOptimizer = null;
     
@@ -102,6 +107,14 @@ export class GameEngine {
     this.gameState = new GameState(this.eventBus);
     await this.gameState.initialize();
     
+    // Initialize seeded random streams (campaign seed lives in game state)
+    this.randomService = new RandomService(this.eventBus, this.gameState);
+    await this.randomService.initialize();
+
+    // Initialize the game calendar subsystems schedule timed events against
+    this.gameClock = new GameClock(this.eventBus, this.gameState);
+    await this.gameClock.initialize();
+
     // Initialize audio manager
     this.audioManager = new AudioManager(this.eventBus);
     await this.audioManager.initialize();
@@ -124,7 +137,8 @@ export class GameEngine {
       { name: 'pilot', class: PilotSystem, priority: 3 },
       { name: 'mech', class: MechSystem, priority: 4 },
       { name: 'contract', class: ContractSystem, priority: 5 },
-      { name: 'combat', class: CombatSystem, priority: 6 }
+      { name: 'combat', class: CombatSystem, priority: 6 },
+      { name: 'salvage', class: SalvageSystem, priority: 7 },
     ];
     
     // Sort by priority
@@ -133,7 +147,8 @@ export class GameEngine {
     // Initialize each system
     for (const config of systemConfigs) {
       try {
-        const system = new config.class(this.eventBus, this.gameState);
+        const { class: SystemClass } = config;
+        const system = new SystemClass(this.eventBus, this.gameState, this.randomService, this.gameClock);
         await system.initialize();
         
         this.systems.set(config.name, system);
@@ -442,6 +457,7 @@ export class GameEngine {
    */
   async saveGame(saveName = null) {
     try {
+      this.randomService.saveState();
       const currentState = this.gameState.getCurrentState();
       const saveId = await this.dataManager.saveGame(currentState, saveName);
       
@@ -65,6 +65,7 @@ export class GameState {
         name: "New Company",
         funds: 500000,
         rating: 'Green',
+        medicalStaff: 'Basic', // PilotInjury medical staff rating, sets how fast pilots heal
         reputation: {
           'Steiner': 0,
           'Davion': 0,
@@ -88,10 +89,21 @@ export class GameState {
         year: 3025
       },
       
+      // Campaign seed and RandomService stream positions
+      random: {
+        seed: null,
+        streams: {},
+      },
+
       // Game entities
       pilots: [],
       mechs: [],
       contracts: [],
+      contractHistory: [],
+      employerBlacklist: {}, // employer -> in-game day their offers resume
+      schedule: [], // GameClock events booked on in-game days
+      scheduleSequence: 0, // last GameClock schedule id issued
+      lancePresets: [], // Saved mech and pilot pairings for the lance builder
       
       // Combat state
       combat: {
@@ -0,0 +1,482 @@
+/**
+ * Hex Grid - Headless battlefield model using offset hex coordinates
+ * Columns are flat-topped with odd columns shifted down half a hex (odd-q)
+ */
+export class HexGrid {
+  static TERRAIN_TYPES = {
+    clear: {
+      name: 'Clear', movementCost: 1, woods: 0, height: 0, color: '#5c8a47',
+    },
+    forest: {
+      name: 'Forest', movementCost: 2, woods: 1, height: 2, color: '#2f5e2f',
+    },
+    rough: {
+      name: 'Rough', movementCost: 2, woods: 0, height: 0, color: '#8a7358',
+    },
+    urban: {
+      name: 'Urban', movementCost: 1, woods: 0, height: 1, color: '#8a8a99',
+    },
+    water: {
+      name: 'Water', movementCost: 4, woods: 0, height: 0, color: '#4a74b8',
+    },
+    mountain: {
+      name: 'Mountain', movementCost: 3, woods: 0, height: 0, color: '#75604a',
+    },
+  };
+
+  // Mechs stand two levels tall; climbing more than two levels at once is impossible
+  static UNIT_HEIGHT = 1;
+
+  static MAX_ELEVATION_CHANGE = 2;
+
+  constructor({ width = 20, height = 15, hexSize = 20 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.hexSize = hexSize;
+    this.terrain = new Map();
+
+    this.clearTerrain();
+  }
+
+  /**
+   * Reset every hex to clear, level ground
+   */
+  clearTerrain() {
+    this.terrain.clear();
+
+    for (let x = 0; x < this.width; x++) {
+      for (let y = 0; y < this.height; y++) {
+        this.terrain.set(HexGrid.getKey({ x, y }), { type: 'clear', elevation: 0 });
+      }
+    }
+  }
+
+  /**
+   * Generate random terrain with the same distribution as the Godot HexGrid
+   */
+  generateTerrain(random = Math.random) {
+    for (let x = 0; x < this.width; x++) {
+      for (let y = 0; y < this.height; y++) {
+        const roll = random();
+        let type = 'clear';
+
+        if (roll < 0.4) type = 'clear';
+        else if (roll < 0.6) type = 'forest';
+        else if (roll < 0.75) type = 'rough';
+        else if (roll < 0.85) type = 'urban';
+        else if (roll < 0.95) type = 'water';
+        else type = 'mountain';
+
+        const elevation = type === 'mountain'
+          ? 2 + Math.floor(random() * 2)
+          : Math.floor(random() * 2);
+
+        this.setTerrain({ x, y }, type, type === 'water' ? 0 : elevation);
+      }
+    }
+  }
+
+  /**
+   * Set terrain type and elevation of a hex
+   */
+  setTerrain(hex, type, elevation = 0) {
+    if (!this.isValid(hex)) {
+      return;
+    }
+
+    if (!HexGrid.TERRAIN_TYPES[type]) {
+      throw new Error(`Unknown terrain type: ${type}`);
+    }
+
+    this.terrain.set(HexGrid.getKey(hex), { type, elevation });
+  }
+
+  /**
+   * Encode the map as one type letter and elevation digit per hex, column by column
+   */
+  serializeTerrain() {
+    let encoded = '';
+
+    for (let x = 0; x < this.width; x++) {
+      for (let y = 0; y < this.height; y++) {
+        const { type, elevation } = this.terrain.get(HexGrid.getKey({ x, y }));
+        encoded += `${type[0]}${elevation}`;
+      }
+    }
+
+    return encoded;
+  }
+
+  /**
+   * Restore a map written by serializeTerrain
+   */
+  loadTerrain(encoded) {
+    const types = Object.keys(HexGrid.TERRAIN_TYPES);
+
+    for (let x = 0; x < this.width; x++) {
+      for (let y = 0; y < this.height; y++) {
+        const index = (x * this.height + y) * 2;
+        const type = types.find((name) => name[0] === encoded[index]) || 'clear';
+        this.setTerrain({ x, y }, type, Number(encoded[index + 1]) || 0);
+      }
+    }
+  }
+
+  /**
+   * Get terrain info for a hex
+   */
+  getTerrain(hex) {
+    const data = this.terrain.get(HexGrid.getKey(hex)) || { type: 'clear', elevation: 0 };
+    return { ...HexGrid.TERRAIN_TYPES[data.type], type: data.type, elevation: data.elevation };
+  }
+
+  getElevation(hex) {
+    return this.getTerrain(hex).elevation;
+  }
+
+  /**
+   * Coordinate helpers
+   */
+  static getKey(hex) {
+    return `${hex.x},${hex.y}`;
+  }
+
+  isValid(hex) {
+    return hex.x >= 0 && hex.x < this.width && hex.y >= 0 && hex.y < this.height;
+  }
+
+  static offsetToCube(hex) {
+    const { x } = hex;
+    const z = hex.y - (hex.x - Math.abs(hex.x % 2)) / 2;
+    return { x, y: -x - z, z };
+  }
+
+  static cubeToOffset(cube) {
+    return {
+      x: cube.x,
+      y: cube.z + (cube.x - Math.abs(cube.x % 2)) / 2,
+    };
+  }
+
+  static cubeRound(cube) {
+    let x = Math.round(cube.x);
+    let y = Math.round(cube.y);
+    let z = Math.round(cube.z);
+
+    const dx = Math.abs(x - cube.x);
+    const dy = Math.abs(y - cube.y);
+    const dz = Math.abs(z - cube.z);
+
+    if (dx > dy && dx > dz) {
+      x = -y - z;
+    } else if (dy > dz) {
+      y = -x - z;
+    } else {
+      z = -x - y;
+    }
+
+    return { x, y, z };
+  }
+
+  /**
+   * Get distance in hexes between two hexes
+   */
+  static getDistance(a, b) {
+    const cubeA = HexGrid.offsetToCube(a);
+    const cubeB = HexGrid.offsetToCube(b);
+
+    return Math.max(
+      Math.abs(cubeA.x - cubeB.x),
+      Math.abs(cubeA.y - cubeB.y),
+      Math.abs(cubeA.z - cubeB.z),
+    );
+  }
+
+  /**
+   * Get the compass bearing from one hex to another in degrees clockwise from north
+   */
+  getBearing(from, to) {
+    const a = this.hexToPixel(from);
+    const b = this.hexToPixel(to);
+    const degrees = Math.atan2(b.x - a.x, a.y - b.y) * 180 / Math.PI;
+
+    return (degrees + 360) % 360;
+  }
+
+  /**
+   * Get the hexside (0 = north, clockwise) closest to the bearing toward a hex
+   */
+  getFacingToward(from, to) {
+    return Math.round(this.getBearing(from, to) / 60) % 6;
+  }
+
+  /**
+   * Get the six neighboring hexes that are on the map
+   */
+  getNeighbors(hex) {
+    const directions = [
+      { x: 1, y: -1, z: 0 }, { x: 1, y: 0, z: -1 }, { x: 0, y: 1, z: -1 },
+      { x: -1, y: 1, z: 0 }, { x: -1, y: 0, z: 1 }, { x: 0, y: -1, z: 1 },
+    ];
+    const cube = HexGrid.offsetToCube(hex);
+
+    return directions
+      .map((dir) => HexGrid.cubeToOffset({ x: cube.x + dir.x, y: cube.y + dir.y, z: cube.z + dir.z }))
+      .filter((neighbor) => this.isValid(neighbor));
+  }
+
+  /**
+   * Get all hexes within a range of a center hex
+   */
+  getHexesInRange(center, range) {
+    const hexes = [];
+
+    for (let x = center.x - range; x <= center.x + range; x++) {
+      for (let y = center.y - range; y <= center.y + range; y++) {
+        const hex = { x, y };
+        if (this.isValid(hex) && HexGrid.getDistance(center, hex) <= range) {
+          hexes.push(hex);
+        }
+      }
+    }
+
+    return hexes;
+  }
+
+  /**
+   * Convert hex to pixel center
+   */
+  hexToPixel(hex) {
+    const size = this.hexSize;
+
+    return {
+      x: size + hex.x * size * 1.5,
+      y: (Math.sqrt(3) / 2) * size + Math.sqrt(3) * size * (hex.y + 0.5 * Math.abs(hex.x % 2)),
+    };
+  }
+
+  /**
+   * Convert pixel position to the hex containing it
+   */
+  pixelToHex(x, y) {
+    const size = this.hexSize;
+    const px = x - size;
+    const py = y - (Math.sqrt(3) / 2) * size;
+
+    const q = (2 / 3 * px) / size;
+    const r = (-1 / 3 * px + Math.sqrt(3) / 3 * py) / size;
+    const hex = HexGrid.cubeToOffset(HexGrid.cubeRound({ x: q, y: -q - r, z: r }));
+
+    return this.isValid(hex) ? hex : null;
+  }
+
+  /**
+   * Get pixel corners of a hex for drawing
+   */
+  getHexCorners(hex) {
+    const center = this.hexToPixel(hex);
+    const corners = [];
+
+    for (let i = 0; i < 6; i++) {
+      const angle = Math.PI / 3 * i;
+      corners.push({
+        x: center.x + this.hexSize * Math.cos(angle),
+        y: center.y + this.hexSize * Math.sin(angle),
+      });
+    }
+
+    return corners;
+  }
+
+  /**
+   * Get movement cost of stepping between two adjacent hexes
+   * Returns Infinity when the step is impossible
+   */
+  getMovementCost(from, to) {
+    if (!this.isValid(to)) {
+      return Infinity;
+    }
+
+    const destination = this.getTerrain(to);
+    const elevationChange = Math.abs(destination.elevation - this.getElevation(from));
+
+    if (elevationChange > HexGrid.MAX_ELEVATION_CHANGE) {
+      return Infinity;
+    }
+
+    return destination.movementCost + elevationChange;
+  }
+
+  /**
+   * Find the cheapest path between two hexes with A*
+   * isBlocked(hex) lets callers exclude occupied hexes
+   */
+  findPath(start, goal, { maxCost = Infinity, isBlocked = () => false } = {}) {
+    if (!this.isValid(goal) || isBlocked(goal)) {
+      return null;
+    }
+
+    const startKey = HexGrid.getKey(start);
+    const goalKey = HexGrid.getKey(goal);
+    const open = [{ hex: start, cost: 0, estimate: HexGrid.getDistance(start, goal) }];
+    const costs = new Map([[startKey, 0]]);
+    const cameFrom = new Map();
+
+    while (open.length > 0) {
+      open.sort((a, b) => a.estimate - b.estimate);
+      const current = open.shift();
+      const currentKey = HexGrid.getKey(current.hex);
+
+      if (currentKey === goalKey) {
+        const path = [current.hex];
+        let key = currentKey;
+        while (cameFrom.has(key)) {
+          const previous = cameFrom.get(key);
+          path.unshift(previous);
+          key = HexGrid.getKey(previous);
+        }
+        return { path, cost: current.cost };
+      }
+
+      // Entries left behind by a cheaper route expand nothing
+      const neighbors = current.cost > costs.get(currentKey) ? [] : this.getNeighbors(current.hex);
+      neighbors.forEach((neighbor) => {
+        if (isBlocked(neighbor)) {
+          return;
+        }
+
+        const cost = current.cost + this.getMovementCost(current.hex, neighbor);
+        const key = HexGrid.getKey(neighbor);
+
+        if (cost <= maxCost && cost < (costs.has(key) ? costs.get(key) : Infinity)) {
+          costs.set(key, cost);
+          cameFrom.set(key, current.hex);
+          open.push({ hex: neighbor, cost, estimate: cost + HexGrid.getDistance(neighbor, goal) });
+        }
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Get every hex reachable within a movement budget
+   */
+  getReachableHexes(start, maxCost, { isBlocked = () => false } = {}) {
+    const startKey = HexGrid.getKey(start);
+    const costs = new Map([[startKey, 0]]);
+    const frontier = [{ hex: start, cost: 0 }];
+
+    while (frontier.length > 0) {
+      frontier.sort((a, b) => a.cost - b.cost);
+      const current = frontier.shift();
+
+      // Entries left behind by a cheaper route expand nothing
+      const neighbors = current.cost > costs.get(HexGrid.getKey(current.hex)) ? [] : this.getNeighbors(current.hex);
+      neighbors.forEach((neighbor) => {
+        if (isBlocked(neighbor)) {
+          return;
+        }
+
+        const cost = current.cost + this.getMovementCost(current.hex, neighbor);
+        const key = HexGrid.getKey(neighbor);
+
+        if (cost <= maxCost && cost < (costs.has(key) ? costs.get(key) : Infinity)) {
+          costs.set(key, cost);
+          frontier.push({ hex: neighbor, cost });
+        }
+      });
+    }
+
+    costs.delete(startKey);
+
+    return Array.from(costs.entries()).map(([key, cost]) => {
+      const [x, y] = key.split(',').map(Number);
+      return { x, y, cost };
+    });
+  }
+
+  /**
+   * Get the hexes along a straight line between two hexes (inclusive)
+   */
+  static getLine(a, b) {
+    const distance = HexGrid.getDistance(a, b);
+    const cubeA = HexGrid.offsetToCube(a);
+    const cubeB = HexGrid.offsetToCube(b);
+    const hexes = [];
+
+    // Nudge the line off hex edges so ties resolve consistently
+    const epsilon = 1e-6;
+
+    for (let i = 0; i <= distance; i++) {
+      const t = distance === 0 ? 0 : i / distance;
+      hexes.push(HexGrid.cubeToOffset(HexGrid.cubeRound({
+        x: cubeA.x + (cubeB.x - cubeA.x) * t + epsilon,
+        y: cubeA.y + (cubeB.y - cubeA.y) * t + epsilon,
+        z: cubeA.z + (cubeB.z - cubeA.z) * t - 2 * epsilon,
+      })));
+    }
+
+    return hexes;
+  }
+
+  /**
+   * Check line of sight between two hexes
+   * Intervening terrain higher than the sight line blocks it, woods add to-hit
+   * modifiers (three or more block), and a target behind a one-level rise
+   * gains partial cover
+   */
+  getLineOfSight(from, to) {
+    const line = HexGrid.getLine(from, to);
+    const intervening = line.slice(1, -1);
+    const fromHeight = this.getElevation(from) + HexGrid.UNIT_HEIGHT;
+    const toElevation = this.getElevation(to);
+    const toHeight = toElevation + HexGrid.UNIT_HEIGHT;
+
+    let woods = 0;
+    let partialCover = false;
+
+    for (let i = 0; i < intervening.length; i++) {
+      const hex = intervening[i];
+      const terrain = this.getTerrain(hex);
+      const sightHeight = fromHeight + (toHeight - fromHeight) * ((i + 1) / (line.length - 1));
+
+      if (terrain.elevation > sightHeight) {
+        return {
+          hasLineOfSight: false, blockedBy: hex, woods, partialCover: false, modifier: 0,
+        };
+      }
+
+      if (terrain.elevation + terrain.height > sightHeight) {
+        if (terrain.woods > 0) {
+          woods += terrain.woods;
+        } else {
+          return {
+            hasLineOfSight: false, blockedBy: hex, woods, partialCover: false, modifier: 0,
+          };
+        }
+      }
+
+      // Hex adjacent to the target rising one level shields its legs
+      if (i === intervening.length - 1 && terrain.elevation === toElevation + 1 && fromHeight <= toHeight + 1) {
+        partialCover = true;
+      }
+    }
+
+    if (woods >= 3) {
+      return {
+        hasLineOfSight: false, blockedBy: null, woods, partialCover: false, modifier: 0,
+      };
+    }
+
+    const targetWoods = this.getTerrain(to).woods;
+
+    return {
+      hasLineOfSight: true,
+      blockedBy: null,
+      woods,
+      partialCover,
+      modifier: woods + targetWoods + (partialCover ? 1 : 0),
+    };
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Lance Builder - Rules for choosing the mechs and pilots sent on a contract
+ * A lance is a list of slots, each pairing a mech with the pilot who drives it
+ */
+import { ContractNegotiation } from './ContractNegotiation';
+import { OpForGenerator } from './OpForGenerator';
+
+export class LanceBuilder {
+  // Skills assumed for a slot still waiting on a pilot
+  static DEFAULT_GUNNERY = 4;
+
+  static DEFAULT_PILOTING = 5;
+
+  // Lance battle value against the expected opposition
+  static MATCHUPS = [
+    { name: 'Favourable', minRatio: 1.2 },
+    { name: 'Even', minRatio: 0.8 },
+    { name: 'Outmatched', minRatio: 0 },
+  ];
+
+  /**
+   * Deployed force in the shape contracts store, pilots in the same order as their mechs
+   */
+  static toForce(slots) {
+    return {
+      mechs: slots.map((slot) => slot.mechId),
+      pilots: slots.map((slot) => slot.pilotId),
+    };
+  }
+
+  static fromForce(force) {
+    return force.mechs.map((mechId, index) => ({ mechId, pilotId: force.pilots[index] || null }));
+  }
+
+  /**
+   * Live checks of a lance against the contract and the units free to deploy
+   */
+  static getChecks(contract, slots, roster) {
+    const { minMechs, maxMechs } = contract.requirements;
+    const weightLimit = ContractNegotiation.getWeightLimit(contract);
+    const mechs = slots.map((slot) => roster.mechs.find((mech) => mech.id === slot.mechId));
+    const pilotIds = slots.map((slot) => slot.pilotId).filter(Boolean);
+    const tonnage = mechs.reduce((total, mech) => total + (mech ? mech.tonnage : 0), 0);
+
+    return [
+      {
+        key: 'size',
+        name: 'Lance Size',
+        detail: `${slots.length} of ${minMechs}-${maxMechs} mechs`,
+        met: slots.length >= minMechs && slots.length <= maxMechs,
+      },
+      {
+        key: 'pilots',
+        name: 'Pilots',
+        detail: `${pilotIds.length} of ${slots.length} mechs crewed`,
+        met: pilotIds.length === slots.length && new Set(pilotIds).size === pilotIds.length,
+      },
+      {
+        key: 'tonnage',
+        name: 'Tonnage',
+        detail: `${tonnage} / ${weightLimit} tons`,
+        met: tonnage <= weightLimit,
+      },
+      {
+        key: 'available',
+        name: 'Availability',
+        detail: 'Every unit ready and free to deploy',
+        met: mechs.every(Boolean) && pilotIds.every((id) => roster.pilots.some((pilot) => pilot.id === id)),
+      },
+    ];
+  }
+
+  /**
+   * Reason the lance cannot deploy, or null
+   */
+  static getProblem(contract, slots, roster) {
+    const failed = LanceBuilder.getChecks(contract, slots, roster).find((check) => !check.met);
+    return failed ? `${failed.name}: ${failed.detail}` : null;
+  }
+
+  /**
+   * Battle value of the lance with each mech adjusted for its pilot's skills
+   */
+  static getBattleValue(slots, roster) {
+    return slots.reduce((total, slot) => {
+      const mech = roster.mechs.find((m) => m.id === slot.mechId);
+      const pilot = roster.pilots.find((p) => p.id === slot.pilotId);
+      if (!mech) return total;
+
+      return total + OpForGenerator.getAdjustedBattleValue(
+        mech.battleValue || 0,
+        pilot ? pilot.gunnery : LanceBuilder.DEFAULT_GUNNERY,
+        pilot ? pilot.piloting : LanceBuilder.DEFAULT_PILOTING,
+      );
+    }, 0);
+  }
+
+  /**
+   * Projected matchup against the opposition the contract's intel expects
+   */
+  static getMatchup(contract, slots, roster) {
+    const lance = LanceBuilder.getBattleValue(slots, roster);
+    const opposition = contract.opFor ? OpForGenerator.getIntelReport(contract.opFor).estimatedBattleValue : 0;
+    const ratio = opposition > 0 ? Math.round((lance / opposition) * 100) / 100 : null;
+    const matchup = ratio === null ? null : LanceBuilder.MATCHUPS.find((entry) => ratio >= entry.minRatio);
+
+    return {
+      lance, opposition, ratio, assessment: matchup ? matchup.name : 'Unknown',
+    };
+  }
+
+  static createPreset(id, name, slots) {
+    return { id, name, slots: slots.map((slot) => ({ ...slot })) };
+  }
+
+  /**
+   * Slots from a preset that can still deploy, trimmed to the contract's lance size
+   * Pilots no longer free leave their mech's slot open
+   */
+  static applyPreset(preset, roster, contract) {
+    return preset.slots
+      .filter((slot) => roster.mechs.some((mech) => mech.id === slot.mechId))
+      .slice(0, contract.requirements.maxMechs)
+      .map((slot) => ({
+        mechId: slot.mechId,
+        pilotId: roster.pilots.some((pilot) => pilot.id === slot.pilotId) ? slot.pilotId : null,
+      }));
+  }
+}
@@ -0,0 +1,578 @@
+/**
+ * Mech Catalog - Data-driven chassis and variant definitions
+ * Shared by the mech market, new company setup and generated opposition
+ */
+import { MechDamage } from './MechDamage';
+import { WeaponsCatalog } from './WeaponsCatalog';
+
+export class MechCatalog {
+  static ERAS = {
+    'Star League': { start: 2571, end: 2780 },
+    'Succession Wars': { start: 2781, end: 3049 },
+    'Clan Invasion': { start: 3050, end: 3067 },
+  };
+
+  static WEIGHT_CLASSES = ['Light', 'Medium', 'Heavy', 'Assault'];
+
+  // Designations a new company is founded with
+  static STARTING_LANCE = ['AS7-D'];
+
+  // factions: null means the design is produced or fielded everywhere
+  static CHASSIS = [
+    {
+      id: 'LCT-1V',
+      chassis: 'Locust',
+      variant: 'LCT-1V',
+      tonnage: 20,
+      walkMP: 8,
+      jumpMP: 0,
+      heatSinks: 10,
+      armorPoints: 64,
+      loadout: { centerTorso: ['Medium Laser'], leftArm: ['Machine Gun'], rightArm: ['Machine Gun'] },
+      purchaseCost: 1512000,
+      battleValue: 432,
+      introduced: 2499,
+      factions: null,
+      manufacturer: 'Bergan Industries',
+      description: 'Fast and cheap scout that has served every army in the Inner Sphere for centuries.',
+    },
+    {
+      id: 'COM-2D',
+      chassis: 'Commando',
+      variant: 'COM-2D',
+      tonnage: 25,
+      walkMP: 6,
+      jumpMP: 0,
+      heatSinks: 10,
+      armorPoints: 64,
+      loadout: { centerTorso: ['Medium Laser'], leftArm: ['SRM-6'], rightArm: ['SRM-4'] },
+      purchaseCost: 1971000,
+      battleValue: 541,
+      introduced: 2486,
+      factions: ['Lyran Commonwealth'],
+      manufacturer: 'Coventry Metal Works',
+      description: 'Hard-hitting light mech built for close-range ambushes.',
+    },
+    {
+      id: 'SDR-5V',
+      chassis: 'Spider',
+      variant: 'SDR-5V',
+      tonnage: 30,
+      walkMP: 8,
+      jumpMP: 8,
+      heatSinks: 10,
+      armorPoints: 56,
+      loadout: { centerTorso: ['Medium Laser', 'Medium Laser'] },
+      purchaseCost: 2887000,
+      battleValue: 622,
+      introduced: 2650,
+      factions: null,
+      manufacturer: 'Newhart Industries',
+      description: 'Lightly armed jumper prized for reconnaissance over broken terrain.',
+    },
+    {
+      id: 'JR7-D',
+      chassis: 'Jenner',
+      variant: 'JR7-D',
+      tonnage: 35,
+      walkMP: 7,
+      jumpMP: 5,
+      heatSinks: 10,
+      armorPoints: 64,
+      loadout: {
+        centerTorso: ['SRM-4'],
+        leftArm: ['Medium Laser', 'Medium Laser'],
+        rightArm: ['Medium Laser', 'Medium Laser'],
+      },
+      purchaseCost: 3234000,
+      battleValue: 875,
+      introduced: 2784,
+      factions: ['Draconis Combine'],
+      manufacturer: 'Diplan Mechyards',
+      description: 'Combine raider that trades armor for speed and a heavy laser battery.',
+    },
+    {
+      id: 'PNT-9R',
+      chassis: 'Panther',
+      variant: 'PNT-9R',
+      tonnage: 35,
+      walkMP: 4,
+      jumpMP: 4,
+      heatSinks: 13,
+      armorPoints: 104,
+      loadout: { centerTorso: ['SRM-4'], rightArm: ['PPC'] },
+      purchaseCost: 2925000,
+      battleValue: 769,
+      introduced: 2739,
+      factions: ['Draconis Combine'],
+      manufacturer: 'Alshain Weapons',
+      description: 'Slow, well-armored light mech with the punch of a PPC.',
+    },
+    {
+      id: 'PXH-1',
+      chassis: 'Phoenix Hawk',
+      variant: 'PXH-1',
+      tonnage: 45,
+      walkMP: 6,
+      jumpMP: 6,
+      heatSinks: 10,
+      armorPoints: 128,
+      loadout: {
+        rightArm: ['Large Laser', 'Machine Gun'],
+        leftArm: ['Medium Laser', 'Machine Gun'],
+        centerTorso: ['Medium Laser'],
+      },
+      purchaseCost: 3700000,
+      battleValue: 1041,
+      introduced: 2568,
+      factions: null,
+      manufacturer: 'Orguss Industries',
+      description: 'Agile jump-capable medium mech often used to lead light lances.',
+    },
+    {
+      id: 'CN9-A',
+      chassis: 'Centurion',
+      variant: 'CN9-A',
+      tonnage: 50,
+      walkMP: 4,
+      jumpMP: 0,
+      heatSinks: 10,
+      armorPoints: 144,
+      loadout: { rightArm: ['AC/10'], leftTorso: ['LRM-10'], centerTorso: ['Medium Laser', 'Medium Laser'] },
+      purchaseCost: 3485000,
+      battleValue: 945,
+      introduced: 2801,
+      factions: ['Federated Suns'],
+      manufacturer: 'Corean Enterprises',
+      description: 'Durable line mech with a balanced mix of long and short range weapons.',
+    },
+    {
+      id: 'HBK-4G',
+      chassis: 'Hunchback',
+      variant: 'HBK-4G',
+      tonnage: 50,
+      walkMP: 4,
+      jumpMP: 0,
+      heatSinks: 13,
+      armorPoints: 160,
+      loadout: {
+        rightTorso: ['AC/20'],
+        leftArm: ['Medium Laser'],
+        rightArm: ['Medium Laser'],
+        head: ['Small Laser'],
+      },
+      purchaseCost: 3467000,
+      battleValue: 1041,
+      introduced: 2572,
+      factions: null,
+      manufacturer: 'Komiyaba Type Automotive',
+      description: 'Urban brawler built around a massive shoulder-mounted autocannon.',
+    },
+    {
+      id: 'WVR-6R',
+      chassis: 'Wolverine',
+      variant: 'WVR-6R',
+      tonnage: 55,
+      walkMP: 5,
+      jumpMP: 5,
+      heatSinks: 12,
+      armorPoints: 168,
+      loadout: { rightArm: ['AC/5'], leftTorso: ['SRM-6'], head: ['Medium Laser'] },
+      purchaseCost: 5013000,
+      battleValue: 1101,
+      introduced: 2575,
+      factions: null,
+      manufacturer: 'Kali Yama Weapons',
+      description: 'Versatile jump-capable medium mech favored by mercenary commanders.',
+    },
+    {
+      id: 'GRF-1N',
+      chassis: 'Griffin',
+      variant: 'GRF-1N',
+      tonnage: 55,
+      walkMP: 5,
+      jumpMP: 5,
+      heatSinks: 12,
+      armorPoints: 152,
+      loadout: { rightArm: ['PPC'], rightTorso: ['LRM-10'] },
+      purchaseCost: 5195000,
+      battleValue: 1272,
+      introduced: 2492,
+      factions: null,
+      manufacturer: 'Earthwerks Incorporated',
+      description: 'Long-range fire support mech that keeps the enemy at arm\'s length.',
+    },
+    {
+      id: 'SHD-2H',
+      chassis: 'Shadow Hawk',
+      variant: 'SHD-2H',
+      tonnage: 55,
+      walkMP: 5,
+      jumpMP: 3,
+      heatSinks: 12,
+      armorPoints: 152,
+      loadout: {
+        rightTorso: ['AC/5'],
+        leftTorso: ['LRM-5'],
+        head: ['SRM-2'],
+        leftArm: ['Medium Laser'],
+      },
+      purchaseCost: 4587000,
+      battleValue: 1064,
+      introduced: 2550,
+      factions: ['Free Worlds League', 'Lyran Commonwealth'],
+      manufacturer: 'Lang Industries',
+      description: 'Well-rounded medium mech with a weapon for every range band.',
+    },
+    {
+      id: 'RFL-3N',
+      chassis: 'Rifleman',
+      variant: 'RFL-3N',
+      tonnage: 60,
+      walkMP: 4,
+      jumpMP: 0,
+      heatSinks: 10,
+      armorPoints: 112,
+      loadout: {
+        rightArm: ['Large Laser', 'AC/5'],
+        leftArm: ['Large Laser', 'AC/5'],
+        rightTorso: ['Medium Laser'],
+        leftTorso: ['Medium Laser'],
+      },
+      purchaseCost: 4952000,
+      battleValue: 1039,
+      introduced: 2770,
+      factions: null,
+      manufacturer: 'Kali Yama Weapons',
+      description: 'Anti-aircraft platform notorious for running hot and thin armor.',
+    },
+    {
+      id: 'CPLT-C1',
+      chassis: 'Catapult',
+      variant: 'CPLT-C1',
+      tonnage: 65,
+      walkMP: 4,
+      jumpMP: 4,
+      heatSinks: 15,
+      armorPoints: 160,
+      loadout: {
+        rightArm: ['LRM-15'],
+        leftArm: ['LRM-15'],
+        rightTorso: ['Medium Laser', 'Medium Laser'],
+        leftTorso: ['Medium Laser', 'Medium Laser'],
+      },
+      purchaseCost: 5702000,
+      battleValue: 1399,
+      introduced: 2561,
+      factions: ['Capellan Confederation'],
+      manufacturer: 'Hollis Incorporated',
+      description: 'Missile boat that rains LRM fire from behind the front line.',
+    },
+    {
+      id: 'JM6-S',
+      chassis: 'JagerMech',
+      variant: 'JM6-S',
+      tonnage: 65,
+      walkMP: 4,
+      jumpMP: 0,
+      heatSinks: 10,
+      armorPoints: 96,
+      loadout: {
+        rightArm: ['AC/5', 'AC/2'],
+        leftArm: ['AC/5', 'AC/2'],
+        rightTorso: ['Medium Laser'],
+        leftTorso: ['Medium Laser'],
+      },
+      purchaseCost: 4871000,
+      battleValue: 901,
+      introduced: 2774,
+      factions: ['Federated Suns'],
+      manufacturer: 'Independence Weaponry',
+      description: 'Ballistic fire support mech with long reach and light armor.',
+    },
+    {
+      id: 'TDR-5S',
+      chassis: 'Thunderbolt',
+      variant: 'TDR-5S',
+      tonnage: 65,
+      walkMP: 4,
+      jumpMP: 0,
+      heatSinks: 15,
+      armorPoints: 192,
+      loadout: {
+        rightArm: ['Large Laser'],
+        leftTorso: ['LRM-15', 'SRM-2'],
+        leftArm: ['Medium Laser', 'Medium Laser', 'Medium Laser'],
+        rightTorso: ['Machine Gun', 'Machine Gun'],
+      },
+      purchaseCost: 5387000,
+      battleValue: 1335,
+      introduced: 2505,
+      factions: null,
+      manufacturer: 'Earthwerks-FWL',
+      description: 'Heavily armored line mech built to take punishment.',
+    },
+    {
+      id: 'WHM-6R',
+      chassis: 'Warhammer',
+      variant: 'WHM-6R',
+      tonnage: 70,
+      walkMP: 4,
+      jumpMP: 0,
+      heatSinks: 18,
+      armorPoints: 160,
+      loadout: {
+        rightArm: ['PPC'],
+        leftArm: ['PPC'],
+        rightTorso: ['SRM-6', 'Medium Laser', 'Small Laser', 'Machine Gun'],
+        leftTorso: ['Medium Laser', 'Small Laser', 'Machine Gun'],
+      },
+      purchaseCost: 5798000,
+      battleValue: 1299,
+      introduced: 2515,
+      factions: null,
+      manufacturer: 'StarCorps Industries',
+      description: 'Iconic heavy mech with twin arm-mounted PPCs.',
+    },
+    {
+      id: 'MAD-3R',
+      chassis: 'Marauder',
+      variant: 'MAD-3R',
+      tonnage: 75,
+      walkMP: 4,
+      jumpMP: 0,
+      heatSinks: 16,
+      armorPoints: 184,
+      loadout: { rightArm: ['PPC', 'Medium Laser'], leftArm: ['PPC', 'Medium Laser'], rightTorso: ['AC/5'] },
+      purchaseCost: 6457000,
+      battleValue: 1363,
+      introduced: 2819,
+      factions: null,
+      manufacturer: 'General Motors',
+      description: 'Menacing command mech that anchors many heavy lances.',
+    },
+    {
+      id: 'AWS-8Q',
+      chassis: 'Awesome',
+      variant: 'AWS-8Q',
+      tonnage: 80,
+      walkMP: 3,
+      jumpMP: 0,
+      heatSinks: 28,
+      armorPoints: 240,
+      loadout: {
+        rightTorso: ['PPC'],
+        leftTorso: ['PPC'],
+        leftArm: ['PPC'],
+        head: ['Small Laser'],
+      },
+      purchaseCost: 6784000,
+      battleValue: 1605,
+      introduced: 2665,
+      factions: ['Free Worlds League'],
+      manufacturer: 'Technicron Manufacturing',
+      description: 'Triple-PPC assault mech with enough heat sinks to fire all day.',
+    },
+    {
+      id: 'VTR-9B',
+      chassis: 'Victor',
+      variant: 'VTR-9B',
+      tonnage: 80,
+      walkMP: 4,
+      jumpMP: 4,
+      heatSinks: 15,
+      armorPoints: 200,
+      loadout: { rightArm: ['AC/20'], leftTorso: ['SRM-4'], leftArm: ['Medium Laser', 'Medium Laser'] },
+      purchaseCost: 8057000,
+      battleValue: 1378,
+      introduced: 2508,
+      factions: ['Federated Suns'],
+      manufacturer: 'Majesty Metals',
+      description: 'Rare jump-capable assault mech built around an AC/20.',
+    },
+    {
+      id: 'BLR-1G',
+      chassis: 'BattleMaster',
+      variant: 'BLR-1G',
+      tonnage: 85,
+      walkMP: 4,
+      jumpMP: 0,
+      heatSinks: 18,
+      armorPoints: 240,
+      loadout: {
+        rightArm: ['PPC'],
+        leftTorso: ['SRM-6', 'Medium Laser', 'Machine Gun'],
+        rightTorso: ['Medium Laser', 'Machine Gun'],
+        centerTorso: ['Medium Laser', 'Medium Laser'],
+        leftArm: ['Medium Laser', 'Medium Laser'],
+      },
+      purchaseCost: 8249000,
+      battleValue: 1519,
+      introduced: 2633,
+      factions: null,
+      manufacturer: 'Hollis Incorporated',
+      description: 'Command assault mech with heavy armor and a deep weapon loadout.',
+    },
+    {
+      id: 'STK-3F',
+      chassis: 'Stalker',
+      variant: 'STK-3F',
+      tonnage: 85,
+      walkMP: 3,
+      jumpMP: 0,
+      heatSinks: 20,
+      armorPoints: 216,
+      loadout: {
+        rightTorso: ['LRM-10', 'SRM-6'],
+        leftTorso: ['LRM-10', 'SRM-6'],
+        rightArm: ['Large Laser', 'Medium Laser', 'Medium Laser'],
+        leftArm: ['Large Laser', 'Medium Laser', 'Medium Laser'],
+      },
+      purchaseCost: 7621000,
+      battleValue: 1559,
+      introduced: 2594,
+      factions: null,
+      manufacturer: 'Triad Technologies',
+      description: 'Slow weapons platform with firepower at every range.',
+    },
+    {
+      id: 'AS7-D',
+      chassis: 'Atlas',
+      variant: 'AS7-D',
+      tonnage: 100,
+      walkMP: 3,
+      jumpMP: 0,
+      heatSinks: 20,
+      armorPoints: 304,
+      loadout: {
+        head: ['Medium Laser'],
+        centerTorso: ['AC/20', 'Medium Laser'],
+        leftTorso: ['LRM-20'],
+        rightTorso: ['SRM-6'],
+        leftArm: ['Medium Laser'],
+        rightArm: ['Medium Laser'],
+      },
+      purchaseCost: 9626000,
+      battleValue: 1897,
+      introduced: 2755,
+      factions: null,
+      manufacturer: 'Defiance Industries',
+      description: 'The most feared assault mech in the Inner Sphere.',
+    },
+  ];
+
+  /**
+   * Get weight class for a tonnage
+   */
+  static getWeightClass(tonnage) {
+    if (tonnage <= 35) return 'Light';
+    if (tonnage <= 55) return 'Medium';
+    if (tonnage <= 75) return 'Heavy';
+    return 'Assault';
+  }
+
+  /**
+   * Look up a variant by id ('AS7-D') or full name ('Atlas AS7-D')
+   */
+  static get(idOrName) {
+    return MechCatalog.CHASSIS
+      .find((entry) => entry.id === idOrName || `${entry.chassis} ${entry.variant}` === idOrName) || null;
+  }
+
+  /**
+   * Check whether a variant is fielded in a given year, era and faction
+   */
+  static isAvailable(entry, { year = null, era = null, faction = null } = {}) {
+    const eraRange = era ? MechCatalog.ERAS[era] : null;
+    const latestYear = Math.min(year ?? Infinity, eraRange ? eraRange.end : Infinity);
+
+    if (entry.introduced > latestYear) {
+      return false;
+    }
+
+    return !faction || !entry.factions || entry.factions.includes(faction);
+  }
+
+  /**
+   * Find variants matching weight class, era/year and faction filters
+   */
+  static query({
+    weightClass = null, year = null, era = null, faction = null,
+  } = {}) {
+    return MechCatalog.CHASSIS.filter((entry) => (
+      (!weightClass || MechCatalog.getWeightClass(entry.tonnage) === weightClass)
+      && MechCatalog.isAvailable(entry, { year, era, faction })
+    ));
+  }
+
+  /**
+   * Build mech records grouped by weight class for the market
+   */
+  static getDatabase(filters = {}) {
+    const database = {};
+
+    MechCatalog.WEIGHT_CLASSES.forEach((weightClass) => {
+      database[weightClass.toLowerCase()] = MechCatalog.query({ ...filters, weightClass })
+        .map((entry) => MechCatalog.createMech(entry.id));
+    });
+
+    return database;
+  }
+
+  /**
+   * Share of maximum armor a variant mounts
+   */
+  static getArmorRatio(entry) {
+    const structure = MechDamage.getStructureValues(entry.tonnage);
+    const maxArmor = MechDamage.LOCATIONS
+      .reduce((total, location) => total + MechDamage.getMaxArmor(location, structure[location]), 0);
+
+    return Math.min(1, entry.armorPoints / maxArmor);
+  }
+
+  /**
+   * Create a factory-fresh mech record for a variant
+   */
+  static createMech(idOrName) {
+    const entry = MechCatalog.get(idOrName);
+    if (!entry) {
+      throw new Error(`Unknown mech variant: ${idOrName}`);
+    }
+
+    const loadout = {};
+    MechDamage.LOCATIONS.forEach((location) => {
+      loadout[location] = [...(entry.loadout[location] || [])];
+    });
+    const weapons = MechDamage.LOCATIONS.flatMap((location) => loadout[location]);
+    const runMP = Math.ceil(entry.walkMP * 1.5);
+
+    return {
+      chassisId: entry.id,
+      name: `${entry.chassis} ${entry.variant}`,
+      chassis: entry.chassis,
+      variant: entry.variant,
+      tonnage: entry.tonnage,
+      mechClass: MechCatalog.getWeightClass(entry.tonnage),
+      walkMP: entry.walkMP,
+      runMP,
+      jumpMP: entry.jumpMP,
+      speed: Math.round(runMP * 10.8),
+      jumpJets: entry.jumpMP > 0,
+      heatSinks: entry.heatSinks,
+      weapons,
+      loadout,
+      ammo: WeaponsCatalog.getDefaultAmmo(weapons),
+      armor: 100,
+      structure: 100,
+      heat: 0,
+      locations: MechDamage.createLocations(entry.tonnage, MechCatalog.getArmorRatio(entry)),
+      purchaseCost: entry.purchaseCost,
+      salvageValue: Math.round(entry.purchaseCost * 0.6),
+      maintenanceCost: entry.tonnage * 150,
+      battleValue: entry.battleValue,
+      introduced: entry.introduced,
+      manufacturer: entry.manufacturer,
+      description: entry.description,
+    };
+  }
+}
@@ -0,0 +1,457 @@
+/**
+ * Mech Damage - Location-based armor, internal structure and critical hits
+ * Stateless rules shared by combat, repairs and the mech bay
+ */
+export class MechDamage {
+  static LOCATIONS = [
+    'head',
+    'centerTorso',
+    'leftTorso',
+    'rightTorso',
+    'leftArm',
+    'rightArm',
+    'leftLeg',
+    'rightLeg',
+  ];
+
+  static LOCATION_NAMES = {
+    head: 'Head',
+    centerTorso: 'Center Torso',
+    leftTorso: 'Left Torso',
+    rightTorso: 'Right Torso',
+    leftArm: 'Left Arm',
+    rightArm: 'Right Arm',
+    leftLeg: 'Left Leg',
+    rightLeg: 'Right Leg',
+  };
+
+  // Damage to a destroyed location moves one step toward the center torso
+  static TRANSFER = {
+    head: null,
+    centerTorso: null,
+    leftTorso: 'centerTorso',
+    rightTorso: 'centerTorso',
+    leftArm: 'leftTorso',
+    rightArm: 'rightTorso',
+    leftLeg: 'leftTorso',
+    rightLeg: 'rightTorso',
+  };
+
+  static TORSO_LOCATIONS = ['centerTorso', 'leftTorso', 'rightTorso'];
+
+  // 2d6 front hit location table
+  static HIT_TABLE = {
+    2: 'centerTorso',
+    3: 'rightArm',
+    4: 'rightArm',
+    5: 'rightLeg',
+    6: 'rightTorso',
+    7: 'centerTorso',
+    8: 'leftTorso',
+    9: 'leftLeg',
+    10: 'leftArm',
+    11: 'leftArm',
+    12: 'head',
+  };
+
+  // 2d6 hit location tables for attacks striking a side
+  static SIDE_HIT_TABLES = {
+    left: {
+      2: 'centerTorso',
+      3: 'leftLeg',
+      4: 'leftArm',
+      5: 'leftArm',
+      6: 'leftLeg',
+      7: 'leftTorso',
+      8: 'centerTorso',
+      9: 'rightTorso',
+      10: 'rightArm',
+      11: 'rightLeg',
+      12: 'head',
+    },
+    right: {
+      2: 'centerTorso',
+      3: 'rightLeg',
+      4: 'rightArm',
+      5: 'rightArm',
+      6: 'rightLeg',
+      7: 'rightTorso',
+      8: 'centerTorso',
+      9: 'leftTorso',
+      10: 'leftArm',
+      11: 'leftLeg',
+      12: 'head',
+    },
+  };
+
+  // Internal structure by tonnage: [centerTorso, sideTorso, arm, leg]
+  static STRUCTURE_TABLE = {
+    20: [6, 5, 3, 4],
+    25: [8, 6, 4, 6],
+    30: [10, 7, 5, 7],
+    35: [11, 8, 6, 8],
+    40: [12, 10, 6, 10],
+    45: [14, 11, 7, 11],
+    50: [16, 12, 8, 12],
+    55: [18, 13, 9, 13],
+    60: [20, 14, 10, 14],
+    65: [21, 15, 10, 15],
+    70: [22, 15, 11, 15],
+    75: [23, 16, 12, 16],
+    80: [25, 17, 13, 17],
+    85: [27, 18, 14, 18],
+    90: [29, 19, 15, 19],
+    95: [30, 20, 16, 20],
+    100: [31, 21, 17, 21],
+  };
+
+  static HEAD_STRUCTURE = 3;
+
+  static HEAD_MAX_ARMOR = 9;
+
+  // Share of maximum armor carried by a standard chassis, and share of torso armor on the rear
+  static STANDARD_ARMOR_RATIO = 0.85;
+
+  static REAR_ARMOR_RATIO = 0.25;
+
+  /**
+   * Get maximum internal structure per location for a tonnage
+   */
+  static getStructureValues(tonnage) {
+    const rounded = Math.min(100, Math.max(20, Math.round(tonnage / 5) * 5));
+    const [centerTorso, sideTorso, arm, leg] = MechDamage.STRUCTURE_TABLE[rounded];
+
+    return {
+      head: MechDamage.HEAD_STRUCTURE,
+      centerTorso,
+      leftTorso: sideTorso,
+      rightTorso: sideTorso,
+      leftArm: arm,
+      rightArm: arm,
+      leftLeg: leg,
+      rightLeg: leg,
+    };
+  }
+
+  /**
+   * Get maximum armor a location can mount
+   */
+  static getMaxArmor(location, structure) {
+    return location === 'head' ? MechDamage.HEAD_MAX_ARMOR : structure * 2;
+  }
+
+  /**
+   * Build fresh location data for a chassis
+   * armorRatio is the share of maximum armor mounted
+   */
+  static createLocations(tonnage, armorRatio = MechDamage.STANDARD_ARMOR_RATIO) {
+    const structureValues = MechDamage.getStructureValues(tonnage);
+    const locations = {};
+
+    MechDamage.LOCATIONS.forEach((location) => {
+      const structure = structureValues[location];
+      const totalArmor = Math.round(MechDamage.getMaxArmor(location, structure) * armorRatio);
+      const isTorso = MechDamage.TORSO_LOCATIONS.includes(location);
+      const rearArmor = isTorso ? Math.round(totalArmor * MechDamage.REAR_ARMOR_RATIO) : 0;
+
+      locations[location] = {
+        armor: totalArmor - rearArmor,
+        maxArmor: totalArmor - rearArmor,
+        rearArmor,
+        maxRearArmor: rearArmor,
+        structure,
+        maxStructure: structure,
+        destroyedEquipment: [],
+      };
+    });
+
+    return locations;
+  }
+
+  /**
+   * Deep copy location data
+   */
+  static cloneLocations(locations) {
+    const copy = {};
+
+    Object.entries(locations).forEach(([location, data]) => {
+      copy[location] = { ...data, destroyedEquipment: [...(data.destroyedEquipment || [])] };
+    });
+
+    return copy;
+  }
+
+  /**
+   * Ensure a mech record carries location data, converting legacy percentages
+   */
+  static migrateMech(mech) {
+    if (mech.locations) {
+      return mech;
+    }
+
+    const fresh = MechDamage.createLocations(mech.tonnage || 50);
+    const locations = MechDamage.applyCondition(fresh, mech.armor ?? 100, mech.structure ?? 100);
+    return { ...mech, locations };
+  }
+
+  /**
+   * Wear down fresh locations to overall armor and structure percentages
+   */
+  static applyCondition(locations, armor, structure) {
+    Object.values(locations).forEach((data) => {
+      data.armor = Math.round(data.maxArmor * armor / 100);
+      data.rearArmor = Math.round(data.maxRearArmor * armor / 100);
+      data.structure = Math.max(1, Math.round(data.maxStructure * structure / 100));
+    });
+
+    return locations;
+  }
+
+  /**
+   * Look up a hit location from a 2d6 roll
+   * Front and rear attacks share a table, rear hits strike the torsos' rear armor
+   */
+  static getHitLocation(roll, direction = 'front') {
+    const table = MechDamage.SIDE_HIT_TABLES[direction] || MechDamage.HIT_TABLE;
+    return table[roll] || 'centerTorso';
+  }
+
+  /**
+   * Check whether a location has lost all internal structure
+   */
+  static isLocationDestroyed(locations, location) {
+    return !locations[location] || locations[location].structure <= 0;
+  }
+
+  /**
+   * A mech is destroyed when its head or center torso is gone
+   */
+  static isDestroyed(locations) {
+    return MechDamage.isLocationDestroyed(locations, 'head')
+      || MechDamage.isLocationDestroyed(locations, 'centerTorso');
+  }
+
+  /**
+   * Apply damage to a location, transferring inward through destroyed locations
+   * Mutates the given locations and returns what happened
+   * Internal damage (ammo explosions) bypasses armor
+   */
+  static applyDamage(locations, location, damage, {
+    rear = false, internal = false, loadout = {}, random = Math.random,
+  } = {}) {
+    const result = {
+      hits: [],
+      criticalHits: [],
+      destroyedLocations: [],
+      armorDamage: 0,
+      structureDamage: 0,
+      destroyed: false,
+    };
+
+    let remaining = damage;
+    let current = location;
+
+    while (remaining > 0 && current) {
+      const data = locations[current];
+      const hit = { location: current, armorDamage: 0, structureDamage: 0 };
+
+      if (data.structure > 0) {
+        const armorField = rear && MechDamage.TORSO_LOCATIONS.includes(current) ? 'rearArmor' : 'armor';
+
+        hit.armorDamage = internal ? 0 : Math.min(remaining, data[armorField]);
+        data[armorField] -= hit.armorDamage;
+        remaining -= hit.armorDamage;
+
+        hit.structureDamage = Math.min(remaining, data.structure);
+        data.structure -= hit.structureDamage;
+        remaining -= hit.structureDamage;
+
+        result.armorDamage += hit.armorDamage;
+        result.structureDamage += hit.structureDamage;
+        result.hits.push(hit);
+
+        // Any damage reaching internal structure risks a critical hit
+        if (hit.structureDamage > 0) {
+          result.criticalHits.push(...MechDamage.rollCriticalHits(locations, current, loadout, random));
+        }
+
+        if (data.structure <= 0) {
+          result.destroyedLocations.push(current);
+          result.destroyedLocations.push(...MechDamage.destroyDependentLocations(locations, current));
+        }
+      }
+
+      current = MechDamage.TRANSFER[current];
+    }
+
+    result.destroyed = MechDamage.isDestroyed(locations);
+    return result;
+  }
+
+  /**
+   * Losing a side torso also tears off the arm attached to it
+   */
+  static destroyDependentLocations(locations, location) {
+    const dependents = { leftTorso: 'leftArm', rightTorso: 'rightArm' };
+    const arm = dependents[location];
+
+    if (!arm || locations[arm].structure <= 0) {
+      return [];
+    }
+
+    locations[arm].armor = 0;
+    locations[arm].structure = 0;
+    return [arm];
+  }
+
+  /**
+   * Roll for critical hits in a location and knock out equipment
+   * 8-9: one critical, 10-11: two, 12: three
+   */
+  static rollCriticalHits(locations, location, loadout, random = Math.random) {
+    const roll = Math.floor(random() * 6) + 1 + Math.floor(random() * 6) + 1;
+    let count = 0;
+
+    if (roll >= 12) count = 3;
+    else if (roll >= 10) count = 2;
+    else if (roll >= 8) count = 1;
+
+    const criticalHits = [];
+
+    for (let i = 0; i < count; i++) {
+      const operational = MechDamage.getOperationalEquipment(locations, location, loadout);
+      if (operational.length === 0) {
+        break;
+      }
+
+      const item = operational[Math.floor(random() * operational.length)];
+      locations[location].destroyedEquipment.push(item);
+      criticalHits.push({ location, item });
+    }
+
+    return criticalHits;
+  }
+
+  /**
+   * Get equipment still working in a single location
+   */
+  static getOperationalEquipment(locations, location, loadout) {
+    if (MechDamage.isLocationDestroyed(locations, location)) {
+      return [];
+    }
+
+    const remaining = [...(loadout[location] || [])];
+    (locations[location].destroyedEquipment || []).forEach((item) => {
+      const index = remaining.indexOf(item);
+      if (index !== -1) {
+        remaining.splice(index, 1);
+      }
+    });
+
+    return remaining;
+  }
+
+  /**
+   * Get every working weapon across all locations
+   */
+  static getOperationalWeapons(locations, loadout) {
+    return MechDamage.LOCATIONS.flatMap((location) => MechDamage.getOperationalEquipment(locations, location, loadout));
+  }
+
+  /**
+   * Spread an unplaced weapon list over arm and torso mounts
+   */
+  static distributeWeapons(weapons) {
+    const mounts = ['rightArm', 'leftArm', 'rightTorso', 'leftTorso', 'centerTorso'];
+    const loadout = {};
+
+    MechDamage.LOCATIONS.forEach((location) => {
+      loadout[location] = [];
+    });
+
+    weapons.forEach((weapon, index) => {
+      loadout[mounts[index % mounts.length]].push(weapon);
+    });
+
+    return loadout;
+  }
+
+  /**
+   * Get overall armor and structure as the legacy 0-100 percentages
+   */
+  static getCondition(locations) {
+    let armor = 0;
+    let maxArmor = 0;
+    let structure = 0;
+    let maxStructure = 0;
+
+    Object.values(locations).forEach((data) => {
+      armor += Math.max(0, data.armor) + Math.max(0, data.rearArmor || 0);
+      maxArmor += data.maxArmor + (data.maxRearArmor || 0);
+      structure += Math.max(0, data.structure);
+      maxStructure += data.maxStructure;
+    });
+
+    return {
+      armor: maxArmor > 0 ? Math.round((armor / maxArmor) * 100) : 0,
+      structure: maxStructure > 0 ? Math.round((structure / maxStructure) * 100) : 0,
+    };
+  }
+
+  /**
+   * Count missing armor points, structure points and destroyed equipment
+   */
+  static getDamageSummary(locations) {
+    const summary = {
+      armorPoints: 0, structurePoints: 0, destroyedEquipment: 0, destroyedLocations: [],
+    };
+
+    Object.entries(locations).forEach(([location, data]) => {
+      summary.armorPoints += (data.maxArmor - Math.max(0, data.armor))
+        + ((data.maxRearArmor || 0) - Math.max(0, data.rearArmor || 0));
+      summary.structurePoints += data.maxStructure - Math.max(0, data.structure);
+      summary.destroyedEquipment += (data.destroyedEquipment || []).length;
+
+      if (data.structure <= 0) {
+        summary.destroyedLocations.push(location);
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Restore locations, fully or by a number of armor and structure points
+   */
+  static repairLocations(locations, { armorPoints = Infinity, structurePoints = Infinity, equipment = true } = {}) {
+    const repaired = MechDamage.cloneLocations(locations);
+    let armorBudget = armorPoints;
+    let structureBudget = structurePoints;
+
+    // Structure first, innermost locations first
+    const order = ['centerTorso', 'head', 'leftTorso', 'rightTorso', 'leftLeg', 'rightLeg', 'leftArm', 'rightArm'];
+
+    order.forEach((location) => {
+      const data = repaired[location];
+      const structureFix = Math.min(structureBudget, data.maxStructure - Math.max(0, data.structure));
+      data.structure = Math.max(0, data.structure) + structureFix;
+      structureBudget -= structureFix;
+
+      if (equipment && data.structure >= data.maxStructure) {
+        data.destroyedEquipment = [];
+      }
+    });
+
+    order.forEach((location) => {
+      const data = repaired[location];
+      ['armor', 'rearArmor'].forEach((field) => {
+        const max = field === 'armor' ? data.maxArmor : (data.maxRearArmor || 0);
+        const armorFix = Math.min(armorBudget, max - Math.max(0, data[field] || 0));
+        data[field] = Math.max(0, data[field] || 0) + armorFix;
+        armorBudget -= armorFix;
+      });
+    });
+
+    return repaired;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Mech Heat - Weapon heat, heat sink dissipation and overheating effects
+ * Stateless rules shared by combat units and the mech bay
+ */
+export class MechHeat {
+  static MAX_HEAT = 30;
+
+  static HEAT_CAP = 50;
+
+  static DEFAULT_HEAT_SINKS = 10;
+
+  static WATER_DISSIPATION = 5;
+
+  // Thresholds are checked from the highest down: [heat, value]
+  static MOVEMENT_PENALTIES = [[25, 5], [20, 4], [15, 3], [10, 2], [5, 1]];
+
+  static TO_HIT_PENALTIES = [[24, 4], [17, 3], [13, 2], [8, 1]];
+
+  static SHUTDOWN_TARGETS = [[26, 10], [22, 8], [18, 6], [14, 4]];
+
+  static AMMO_EXPLOSION_TARGETS = [[28, 8], [23, 6], [19, 4]];
+
+  /**
+   * Look up the value for the highest threshold a heat level has crossed
+   */
+  static getThresholdValue(thresholds, heat) {
+    const threshold = thresholds.find(([level]) => heat >= level);
+    return threshold ? threshold[1] : 0;
+  }
+
+  /**
+   * Get heat dissipated per turn, standing in water cools the mech faster
+   */
+  static getDissipation(heatSinks = MechHeat.DEFAULT_HEAT_SINKS, { inWater = false } = {}) {
+    return heatSinks + (inWater ? MechHeat.WATER_DISSIPATION : 0);
+  }
+
+  /**
+   * Get movement, to-hit and avoidance numbers for a heat level
+   * Avoidance numbers are 2d6 targets, 0 means no roll is needed
+   */
+  static getHeatEffects(heat) {
+    return {
+      movementPenalty: MechHeat.getThresholdValue(MechHeat.MOVEMENT_PENALTIES, heat),
+      toHitModifier: MechHeat.getThresholdValue(MechHeat.TO_HIT_PENALTIES, heat),
+      shutdownTarget: heat >= MechHeat.MAX_HEAT
+        ? Infinity
+        : MechHeat.getThresholdValue(MechHeat.SHUTDOWN_TARGETS, heat),
+      ammoExplosionTarget: MechHeat.getThresholdValue(MechHeat.AMMO_EXPLOSION_TARGETS, heat),
+    };
+  }
+
+  /**
+   * Roll 2d6
+   */
+  static roll2d6(random = Math.random) {
+    return Math.floor(random() * 6) + 1 + Math.floor(random() * 6) + 1;
+  }
+
+  /**
+   * Roll to avoid shutting down, true means the mech shuts down
+   */
+  static rollShutdown(heat, random = Math.random) {
+    const { shutdownTarget } = MechHeat.getHeatEffects(heat);
+
+    if (shutdownTarget === 0) {
+      return false;
+    }
+
+    return shutdownTarget === Infinity || MechHeat.roll2d6(random) < shutdownTarget;
+  }
+
+  /**
+   * Roll to avoid cooking off ammunition
+   * Returns the exploding ammo bin and the rounds it held, or null
+   */
+  static rollAmmoExplosion(heat, ammo, random = Math.random) {
+    const { ammoExplosionTarget } = MechHeat.getHeatEffects(heat);
+    const loaded = Object.keys(ammo).filter((weapon) => ammo[weapon] > 0);
+
+    if (ammoExplosionTarget === 0 || loaded.length === 0 || MechHeat.roll2d6(random) >= ammoExplosionTarget) {
+      return null;
+    }
+
+    const weapon = loaded[Math.floor(random() * loaded.length)];
+    const rounds = ammo[weapon];
+    ammo[weapon] = 0;
+
+    return { weapon, rounds };
+  }
+}
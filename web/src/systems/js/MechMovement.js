@@ -0,0 +1,106 @@
+/**
+ * Mech Movement - Walk, run and jump modes, facing and firing arcs
+ * Stateless rules shared by combat units, the enemy AI and the battlefield view
+ */
+export class MechMovement {
+  // heat: built by moving (jumping builds one per hex, at least 3)
+  // attackerModifier: to-hit penalty for firing after moving in this mode
+  static MODES = {
+    walk: {
+      name: 'Walk', verb: 'walks', heat: 1, attackerModifier: 1,
+    },
+    run: {
+      name: 'Run', verb: 'runs', heat: 2, attackerModifier: 2,
+    },
+    jump: {
+      name: 'Jump', verb: 'jumps', heat: 3, attackerModifier: 3,
+    },
+  };
+
+  static RUN_MULTIPLIER = 1.5;
+
+  static JUMP_TARGET_MODIFIER = 1;
+
+  static MAX_TORSO_TWIST = 1;
+
+  // Hexsides clockwise from north, a unit's facing is an index into this list
+  static FACINGS = ['N', 'NE', 'SE', 'S', 'SW', 'NW'];
+
+  // Arcs each mount can fire into, legs use the leg facing and everything else the torso
+  static MOUNT_ARCS = {
+    head: ['front'],
+    centerTorso: ['front'],
+    leftTorso: ['front'],
+    rightTorso: ['front'],
+    leftArm: ['front', 'left'],
+    rightArm: ['front', 'right'],
+    leftLeg: ['front'],
+    rightLeg: ['front'],
+  };
+
+  static LEG_LOCATIONS = ['leftLeg', 'rightLeg'];
+
+  /**
+   * Movement points for a mode, heat slows walking and running but not jump jets
+   */
+  static getMovementPoints(mode, { walkMP, jumpMP = 0, heatPenalty = 0 }) {
+    const walk = Math.max(0, walkMP - heatPenalty);
+
+    switch (mode) {
+      case 'run':
+        return Math.ceil(walk * MechMovement.RUN_MULTIPLIER);
+      case 'jump':
+        return jumpMP;
+      default:
+        return walk;
+    }
+  }
+
+  /**
+   * Heat built by moving a number of hexes in a mode
+   */
+  static getMovementHeat(mode, hexes) {
+    const { heat } = MechMovement.MODES[mode] || MechMovement.MODES.walk;
+    return mode === 'jump' ? Math.max(heat, hexes) : heat;
+  }
+
+  /**
+   * To-hit penalty for attacking after moving in a mode
+   */
+  static getAttackerModifier(mode) {
+    return (MechMovement.MODES[mode] || MechMovement.MODES.walk).attackerModifier;
+  }
+
+  /**
+   * Rotate a facing by a number of hexsides, positive is clockwise
+   */
+  static rotate(facing, steps) {
+    return ((facing + steps) % 6 + 6) % 6;
+  }
+
+  /**
+   * Shortest signed rotation between two facings (-3 to 2)
+   */
+  static getRotation(from, to) {
+    return ((to - from + 9) % 6) - 3;
+  }
+
+  /**
+   * Arc a bearing falls in relative to a facing
+   * Front and rear arcs span 120 degrees, each side 60
+   */
+  static getArc(bearing, facing) {
+    const relative = Math.round(((bearing - facing * 60) % 360 + 540) % 360 - 180);
+
+    if (Math.abs(relative) <= 60) return 'front';
+    if (Math.abs(relative) > 120) return 'rear';
+    return relative > 0 ? 'right' : 'left';
+  }
+
+  /**
+   * Check whether a weapon mounted in a location can fire into an arc
+   */
+  static canFireInto(location, arc) {
+    return (MechMovement.MOUNT_ARCS[location] || ['front']).includes(arc);
+  }
+}
@@ -3,14 +3,32 @@
  * Handles all mech-related game mechanics and UI interactions
  */
 import { Logger } from '../../utils/Logger.js';
+import { GameClock } from './GameClock';
+import { MechDamage } from './MechDamage';
+import { MechCatalog } from './MechCatalog';
+import { MechHeat } from './MechHeat';
+import { RandomService } from './RandomService';
+import { WeaponsCatalog } from './WeaponsCatalog';
 
 export class MechSystem {
-  constructor(eventBus, gameState) {
+  constructor(
+    eventBus,
+    gameState,
+    randomService = new RandomService(),
+    gameClock = new GameClock(eventBus, gameState),
+  ) {
     this.logger = new Logger('MechSystem');
     this.eventBus = eventBus;
     this.gameState = gameState;
     this.isInitialized = false;
+
+    // Seeded streams for the mech market and mech ids
+    this.random = randomService.stream('market');
+    this.ids = randomService.stream('ids');
+    this.clock = gameClock;
+
     this.selectedMech = null;
+    this.marketMechs = [];
   }
 
   /**
@@ -42,8 +60,9 @@ export class MechSystem {
     // Mech management events
     this.eventBus.on('mech:select', this.selectMech.bind(this));
     this.eventBus.on('mech:repair', this.repairMech.bind(this));
-    this.eventBus.on('mech:upgrade', this.upgradeMech.bind(this));
     this.eventBus.on('mech:sell', this.sellMech.bind(this));
+    this.eventBus.on('mech:rearm', this.rearmMechs.bind(this));
+    this.eventBus.on('mech:repairDue', this.completeRepair.bind(this));
     
     // UI update events
     this.eventBus.on('gameState:changed', this.onGameStateChanged.bind(this));
@@ -60,44 +79,49 @@ export class MechSystem {
     window.selectMech = (index) => {
       this.eventBus.emit('mech:select', { index });
     };
+
+    // Mech market handlers
+    window.showMechMarket = () => {
+      this.showMechMarket();
+    };
+
+    window.purchaseMech = (mechId, price) => {
+      this.purchaseMech(mechId, price);
+    };
+
+    window.closeMechMarket = () => {
+      this.closeMechMarket();
+    };
   }
 
   /**
    * Create default mech roster for new companies
    */
   createDefaultMechs() {
-    const defaultMechs = [
-      {
-        name: 'Atlas AS7-D',
-        tonnage: 100,
-        status: 'Ready',
-        weapons: 'AC/20, LRM-20, SRM-6, Medium Laser x4',
-        id: this.generateMechId(),
-        pilot: null,
-        armor: 100,
-        structure: 100,
-        heat: 0,
-        ammo: {
-          'AC/20': 15,
-          'LRM-20': 12,
-          'SRM-6': 15
-        },
-        loadout: {
-          head: ['Medium Laser'],
-          centerTorso: ['AC/20', 'Medium Laser'],
-          leftTorso: ['LRM-20'],
-          rightTorso: ['SRM-6'],
-          leftArm: ['Medium Laser'],
-          rightArm: ['Medium Laser'],
-          leftLeg: [],
-          rightLeg: []
-        },
-        maintenanceCost: 15000,
-        lastMaintenance: Date.now()
-      }
-    ];
+    const defaultMechs = MechCatalog.STARTING_LANCE.map((chassisId) => ({
+      ...MechCatalog.createMech(chassisId),
+      id: this.generateMechId(),
+      status: 'Ready',
+      pilot: null,
+      lastMaintenance: this.clock.today(),
+    }));
     
-    return defaultMechs;
+    return defaultMechs.map((mech) => MechSystem.migrateMech(mech));
+  }
+
+  /**
+   * Get catalog mech records grouped by weight class
+   * Filters: weightClass, era, faction; defaults to designs fielded in the current game year
+   */
+  getMechDatabase(filters = {}) {
+    return MechCatalog.getDatabase({ year: this.gameState.get('time.year'), ...filters });
+  }
+
+  /**
+   * Bring a mech record up to the current format: catalog weapons and location damage
+   */
+  static migrateMech(mech) {
+    return MechDamage.migrateMech(WeaponsCatalog.migrateMech(mech));
   }
 
   /**
@@ -137,16 +161,40 @@ export class MechSystem {
         <h3>${mech.name}</h3>
         <div class="stat-line"><span>Tonnage:</span><span>${mech.tonnage} tons</span></div>
         <div class="stat-line"><span>Status:</span><span>${mech.status}</span></div>
-        <div class="stat-line"><span>Weapons:</span><span>${mech.weapons}</span></div>
+        <div class="stat-line"><span>Weapons:</span><span>${WeaponsCatalog.formatWeaponList(mech.weapons)}</span></div>
         <div class="stat-line"><span>Armor:</span><span>${armorPercent}%</span></div>
         <div class="stat-line"><span>Structure:</span><span>${structurePercent}%</span></div>
-        <div class="stat-line"><span>Heat:</span><span>${mech.heat}%</span></div>
+        <div class="stat-line"><span>Heat Sinks:</span><span>${mech.heatSinks || MechHeat.DEFAULT_HEAT_SINKS}</span></div>
+        ${mech.ammo && Object.keys(mech.ammo).length > 0 ? `<div class="stat-line"><span>Ammo:</span><span>${Object.entries(mech.ammo).map(([weapon, rounds]) => `${weapon}: ${rounds}`).join(', ')}</span></div>` : ''}
         ${mech.pilot ? `<div class="stat-line"><span>Pilot:</span><span>${mech.pilot}</span></div>` : '<div class="stat-line"><span>Pilot:</span><span>Unassigned</span></div>'}
         <div class="stat-line"><span>Monthly Maintenance:</span><span>${mech.maintenanceCost.toLocaleString()} C-Bills</span></div>
+        ${MechSystem.renderLocationDamage(mech)}
       `;
     }
   }
 
+  /**
+   * Render per-location armor, structure and destroyed equipment
+   */
+  static renderLocationDamage(mech) {
+    if (!mech.locations) {
+      return '';
+    }
+
+    const lines = MechDamage.LOCATIONS.map((location) => {
+      const data = mech.locations[location];
+      const armor = `${data.armor + (data.rearArmor || 0)}/${data.maxArmor + (data.maxRearArmor || 0)} armor`;
+      const status = data.structure <= 0 ? 'Destroyed' : `${armor}, ${data.structure}/${data.maxStructure} structure`;
+      const lost = data.destroyedEquipment.length > 0 ? ` (lost: ${data.destroyedEquipment.join(', ')})` : '';
+      return `<div class="stat-line"><span>${MechDamage.LOCATION_NAMES[location]}:</span><span>${status}${lost}</span></div>`;
+    });
+
+    return `
+      <h4>Damage Report</h4>
+      ${lines.join('')}
+    `;
+  }
+
   /**
    * Update mech roster display
    */
@@ -207,39 +255,84 @@ export class MechSystem {
     // Deduct funds
     this.gameState.set('company.funds', companyFunds - repairInfo.cost);
     
-    // Update mech status
+    // Restore locations: everything for a full repair, a share of each for a field patch
+    const current = MechDamage.migrateMech(mech).locations;
+    const locations = repairType === 'full'
+      ? MechDamage.repairLocations(current)
+      : MechDamage.repairLocations(current, MechSystem.getPartialRepairBudget(current));
+    const condition = MechDamage.getCondition(locations);
+
+    // Update mech status, the mech is back in service when the repair day comes round
+    const repairDay = this.clock.today() + repairInfo.days;
     this.updateMech({
       mechId,
       updates: {
         status: 'Repairing',
-        repairEndTime: Date.now() + repairInfo.time,
-        armor: repairType === 'full' ? 100 : Math.min(100, mech.armor + 25),
-        structure: repairType === 'full' ? 100 : Math.min(100, mech.structure + 15)
-      }
+        repairDay,
+        locations,
+        armor: condition.armor,
+        structure: condition.structure,
+      },
     });
+    this.clock.schedule('mech:repairDue', repairDay, { mechId });
     
     this.eventBus.emit('mech:repairStarted', { mech, repairInfo });
   }
 
+  /**
+   * Refill ammunition bins between missions
+   */
+  rearmMechs(data = {}) {
+    const { mechIds = [] } = data;
+
+    mechIds.forEach((mechId) => {
+      const mech = this.getMechById(mechId);
+      if (!mech) return;
+
+      const weapons = mech.loadout ? Object.values(mech.loadout).flat() : mech.weapons;
+      this.updateMech({ mechId, updates: { ammo: WeaponsCatalog.getDefaultAmmo(weapons) } });
+    });
+  }
+
+  /**
+   * Get armor and structure points restored by a partial repair
+   */
+  static getPartialRepairBudget(locations) {
+    const totals = Object.values(locations).reduce((sum, data) => ({
+      armor: sum.armor + data.maxArmor + (data.maxRearArmor || 0),
+      structure: sum.structure + data.maxStructure,
+    }), { armor: 0, structure: 0 });
+
+    return {
+      armorPoints: Math.round(totals.armor * 0.25),
+      structurePoints: Math.round(totals.structure * 0.15),
+      equipment: false,
+    };
+  }
+
   /**
    * Calculate repair cost for a mech
    */
   calculateRepairCost(mech, repairType = 'partial') {
     const baseCost = mech.tonnage * 1000;
-    const armorDamage = (100 - mech.armor) / 100;
-    const structureDamage = (100 - mech.structure) / 100;
+    const condition = mech.locations ? MechDamage.getCondition(mech.locations) : mech;
+    const armorDamage = (100 - condition.armor) / 100;
+    const structureDamage = (100 - condition.structure) / 100;
+    const lostEquipment = mech.locations ? MechDamage.getDamageSummary(mech.locations).destroyedEquipment : 0;
     
-    let cost, time;
+    let cost;
+    let days;
     
     if (repairType === 'full') {
-      cost = Math.round(baseCost * (armorDamage + structureDamage * 2));
-      time = (armorDamage + structureDamage) * 24 * 60 * 60 * 1000; // hours to milliseconds
+      // Replacing destroyed weapons adds parts cost and half a day each
+      cost = Math.round(baseCost * (armorDamage + structureDamage * 2) + lostEquipment * 10000);
+      days = armorDamage + structureDamage + lostEquipment * 0.5;
     } else {
       cost = Math.round(baseCost * 0.5 * (armorDamage + structureDamage));
-      time = (armorDamage + structureDamage) * 12 * 60 * 60 * 1000; // half time for partial repair
+      days = (armorDamage + structureDamage) * 0.5; // half time for partial repair
     }
     
-    return { cost: Math.max(cost, 1000), time: Math.max(time, 60 * 60 * 1000) }; // minimum cost and time
+    return { cost: Math.max(cost, 1000), days: Math.max(Math.ceil(days), 1) }; // minimum cost and a day in the bay
   }
 
   /**
@@ -299,7 +392,7 @@ export class MechSystem {
    * Generate unique mech ID
    */
   generateMechId() {
-    return `mech_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return this.ids.id('mech');
   }
 
   /**
@@ -322,12 +415,19 @@ export class MechSystem {
    * Assign pilot to mech
    */
   assignPilotToMech(mechId, pilotId, pilotName) {
+    const mech = this.getMechById(mechId);
+    if (mech && mech.deployment) {
+      this.logger.warn(`Cannot reassign ${mech.name} while it is deployed on a contract`);
+      return false;
+    }
+
     this.updateMech({
       mechId,
       updates: { pilot: pilotName }
     });
     
     this.eventBus.emit('mech:pilotAssigned', { mechId, pilotId, pilotName });
+    return true;
   }
 
   /**
@@ -351,37 +451,29 @@ export class MechSystem {
   }
 
   /**
-   * Process time-based repairs
+   * Return a mech to service when its scheduled repair day arrives
    */
-  processRepairs() {
-    const mechs = this.gameState.get('mechs') || [];
-    const now = Date.now();
-    let repairsCompleted = [];
-    
-    mechs.forEach(mech => {
-      if (mech.status === 'Repairing' && mech.repairEndTime && now >= mech.repairEndTime) {
-        this.updateMech({
-          mechId: mech.id,
-          updates: {
-            status: 'Ready',
-            repairEndTime: null
-          }
-        });
-        repairsCompleted.push(mech);
+  completeRepair(data) {
+    const { mechId } = data;
+    const mech = this.getMechById(mechId);
+    if (!mech || mech.status !== 'Repairing') return;
+
+    this.updateMech({
+      mechId,
+      updates: {
+        status: 'Ready',
+        repairDay: null,
       }
     });
     
-    if (repairsCompleted.length > 0) {
-      this.eventBus.emit('mech:repairsCompleted', { mechs: repairsCompleted });
-    }
+    this.eventBus.emit('mech:repairsCompleted', { mechs: [mech] });
   }
 
   /**
    * System update method (called by game loop)
    */
   update(deltaTime) {
-    // Process ongoing repairs
-    this.processRepairs();
+    // Repairs finish on the game clock
     
     // Future features might include:
     // - Heat dissipation
@@ -413,6 +505,12 @@ export class MechSystem {
   onStateLoaded(gameState) {
     this.selectedMech = null;
     
+    // Older saves only track overall armor and structure percentages and free-text weapons
+    const mechs = this.gameState.get('mechs') || [];
+    if (mechs.some((mech) => !mech.locations || typeof mech.weapons === 'string')) {
+      this.gameState.set('mechs', mechs.map((mech) => MechSystem.migrateMech(mech)), { silent: true });
+    }
+
     // Find selected mech if there is one
     const selectedMechId = gameState.selectedMech;
     if (selectedMechId) {
@@ -435,24 +533,26 @@ export class MechSystem {
     // Filter mechs based on company rating and market availability
     let availableMechs = allMechs.filter(mechData => {
       const availability = this.getMechAvailability(mechData, companyRating, reputation);
-      return Math.random() < availability;
+      return this.random.next() < availability;
     });
 
     // Limit market size (5-10 mechs available at any time)
-    availableMechs = availableMechs.sort(() => Math.random() - 0.5).slice(0, Math.floor(Math.random() * 6) + 5);
+    const shuffled = availableMechs.sort(() => this.random.next() - 0.5);
+    availableMechs = shuffled.slice(0, Math.floor(this.random.next() * 6) + 5);
     
     // Add market-specific data
     availableMechs.forEach(mechData => {
       mechData.id = this.generateMechId();
       mechData.status = 'For Sale';
       mechData.pilot = null;
-      mechData.armor = Math.floor(Math.random() * 40) + 60; // 60-100% armor
-      mechData.structure = Math.floor(Math.random() * 20) + 80; // 80-100% structure
+      mechData.armor = Math.floor(this.random.next() * 40) + 60; // 60-100% armor
+      mechData.structure = Math.floor(this.random.next() * 20) + 80; // 80-100% structure
+      mechData.locations = MechDamage.applyCondition(mechData.locations, mechData.armor, mechData.structure);
       mechData.heat = 0;
       mechData.condition = this.determineMechCondition(mechData.armor, mechData.structure);
       mechData.marketPrice = this.calculateMarketPrice(mechData);
-      mechData.lastMaintenance = Date.now() - (Math.floor(Math.random() * 90) * 24 * 60 * 60 * 1000); // 0-90 days ago
-      mechData.marketDeadline = Date.now() + (Math.floor(Math.random() * 21 + 7) * 24 * 60 * 60 * 1000); // 7-28 days
+      mechData.lastMaintenance = this.clock.today() - Math.floor(this.random.next() * 90); // 0-90 days ago
+      mechData.marketDeadline = this.clock.today() + Math.floor(this.random.next() * 21 + 7); // 7-28 days
       
       // Initialize ammo based on weapons
       mechData.ammo = this.generateAmmoLoadout(mechData.weapons);
@@ -506,7 +606,7 @@ export class MechSystem {
     const conditionModifier = avgCondition / 100;
     
     // Market variance
-    const marketVariance = 0.8 + Math.random() * 0.4; // ±20%
+    const marketVariance = 0.8 + this.random.next() * 0.4; // ±20%
     
     // Weight class demand modifier
     const demandModifier = {
@@ -521,23 +621,14 @@ export class MechSystem {
 
   /**
    * Generate ammo loadout based on weapons
+   * Market mechs come with their bins between half and completely full
    */
-  generateAmmoLoadout(weaponsString) {
-    const ammo = {};
-    
-    // Parse weapons string to determine ammo needs
-    if (weaponsString.includes('AC/20')) ammo['AC/20'] = Math.floor(Math.random() * 10) + 10;
-    if (weaponsString.includes('AC/10')) ammo['AC/10'] = Math.floor(Math.random() * 15) + 15;
-    if (weaponsString.includes('AC/5')) ammo['AC/5'] = Math.floor(Math.random() * 15) + 15;
-    if (weaponsString.includes('AC/2')) ammo['AC/2'] = Math.floor(Math.random() * 20) + 25;
-    if (weaponsString.includes('LRM-20')) ammo['LRM-20'] = Math.floor(Math.random() * 8) + 8;
-    if (weaponsString.includes('LRM-15')) ammo['LRM-15'] = Math.floor(Math.random() * 12) + 12;
-    if (weaponsString.includes('LRM-10')) ammo['LRM-10'] = Math.floor(Math.random() * 15) + 15;
-    if (weaponsString.includes('LRM-5')) ammo['LRM-5'] = Math.floor(Math.random() * 20) + 20;
-    if (weaponsString.includes('SRM-6')) ammo['SRM-6'] = Math.floor(Math.random() * 10) + 10;
-    if (weaponsString.includes('SRM-4')) ammo['SRM-4'] = Math.floor(Math.random() * 15) + 15;
-    if (weaponsString.includes('SRM-2')) ammo['SRM-2'] = Math.floor(Math.random() * 25) + 25;
-    if (weaponsString.includes('Machine Gun')) ammo['Machine Gun'] = Math.floor(Math.random() * 100) + 100;
+  generateAmmoLoadout(weapons) {
+    const ammo = WeaponsCatalog.getDefaultAmmo(weapons);
+
+    Object.keys(ammo).forEach((weapon) => {
+      ammo[weapon] = Math.ceil(ammo[weapon] * (0.5 + this.random.next() * 0.5));
+    });
     
     return ammo;
   }
@@ -547,6 +638,7 @@ export class MechSystem {
    */
   showMechMarket() {
     const availableMechs = this.generateMechMarket();
+    this.marketMechs = availableMechs;
     this.displayMechMarket(availableMechs);
     this.eventBus.emit('mech:marketShown', { mechs: availableMechs });
   }
@@ -579,7 +671,7 @@ export class MechSystem {
   generateMechMarketCard(mech) {
     const companyFunds = this.gameState.get('company.funds') || 0;
     const canAfford = companyFunds >= mech.marketPrice;
-    const daysRemaining = Math.ceil((mech.marketDeadline - Date.now()) / (24 * 60 * 60 * 1000));
+    const daysRemaining = this.clock.daysUntil(mech.marketDeadline);
     
     return `
       <div class="mech-market-card" style="border: 1px solid #555; margin-bottom: 15px; padding: 15px; background: #333; border-radius: 5px;">
@@ -614,7 +706,7 @@ export class MechSystem {
               <span style="margin-left: 5px; font-size: 12px; width: 30px;">${mech.structure}%</span>
             </div>
           </div>
-          <p style="color: #ddd; font-size: 14px; margin: 5px 0;"><strong>Weapons:</strong> ${mech.weapons}</p>
+          <p style="color: #ddd; font-size: 14px; margin: 5px 0;"><strong>Weapons:</strong> ${WeaponsCatalog.formatWeaponList(mech.weapons)}</p>
           <p style="color: #ddd; font-size: 14px; margin: 5px 0;"><strong>Manufacturer:</strong> ${mech.manufacturer}</p>
           <p style="color: #ddd; font-size: 13px; margin: 5px 0; font-style: italic;">${mech.description}</p>
         </div>
@@ -661,9 +753,8 @@ export class MechSystem {
       return;
     }
 
-    // Find mech in market (this would normally be stored somewhere)
-    const availableMechs = this.generateMechMarket();
-    const mech = availableMechs.find(m => m.id === mechId);
+    // Find mech in the market currently on display
+    const mech = this.marketMechs.find((m) => m.id === mechId);
     
     if (!mech) {
       alert('Mech no longer available.');
@@ -675,18 +766,19 @@ export class MechSystem {
     
     // Add mech to roster
     const currentMechs = this.gameState.get('mechs') || [];
-    const newMech = {
+    const newMech = MechSystem.migrateMech({
       ...mech,
       id: this.generateMechId(),
       status: mech.condition === 'Excellent' || mech.condition === 'Good' ? 'Ready' : 'Repair Needed',
       pilot: null,
-      datePurchased: Date.now()
-    };
+      datePurchased: this.clock.today(),
+    });
     
     currentMechs.push(newMech);
     this.gameState.set('mechs', currentMechs);
     
     // Close market interface
+    this.marketMechs = this.marketMechs.filter((m) => m.id !== mechId);
     this.closeMechMarket();
     
     this.eventBus.emit('mech:purchased', { mech: newMech, price });
@@ -710,6 +802,11 @@ export class MechSystem {
       return;
     }
 
+    if (mech.deployment) {
+      alert('Cannot sell mech while it is deployed on a contract.');
+      return;
+    }
+
     const sellPrice = Math.round(mech.salvageValue * 0.8); // 80% of salvage value
     
     const confirmed = confirm(`Sell ${mech.name}?\n\nSale Price: ${sellPrice.toLocaleString()} C-Bills\n\nThis action cannot be undone.`);
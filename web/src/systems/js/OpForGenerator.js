@@ -0,0 +1,215 @@
+/**
+ * OpFor Generator - Builds enemy force rosters for contracts
+ * Picks the opposing faction from the employer's enemies and fills a battle value budget with catalog chassis
+ */
+import { MechCatalog } from './MechCatalog';
+
+export class OpForGenerator {
+  static GREAT_HOUSES = [
+    'Federated Suns',
+    'Lyran Commonwealth',
+    'Capellan Confederation',
+    'Free Worlds League',
+    'Draconis Combine',
+  ];
+
+  static DIFFICULTY_SETTINGS = {
+    Easy: {
+      battleValue: 2000, gunnery: 5, piloting: 6, weightClasses: ['Light', 'Medium'],
+    },
+    Moderate: {
+      battleValue: 3500, gunnery: 4, piloting: 5, weightClasses: ['Light', 'Medium', 'Heavy'],
+    },
+    Hard: {
+      battleValue: 5500, gunnery: 3, piloting: 4, weightClasses: ['Medium', 'Heavy', 'Assault'],
+    },
+    Extreme: {
+      battleValue: 7500, gunnery: 2, piloting: 3, weightClasses: ['Heavy', 'Assault'],
+    },
+  };
+
+  // Share of the difficulty budget the defenders commit for each mission type
+  static TYPE_MODIFIERS = {
+    'Training Exercise': 0.7,
+    Garrison: 0.8,
+    Patrol: 0.8,
+    Escort: 0.8,
+    'Cargo Protection': 0.8,
+    Recon: 0.9,
+    'Deep Recon': 0.9,
+    'Facility Defense': 1.1,
+    'Deep Strike': 1.2,
+    'Strategic Strike': 1.3,
+    'Planetary Assault': 1.4,
+  };
+
+  // Opposition descriptions from ContractSystem.generateOpposition that shape the roster
+  static OPPOSITION_WEIGHTS = [
+    ['Light security forces', ['Light']],
+    ['Mixed light and medium', ['Light', 'Medium']],
+    ['Heavy mech support', ['Heavy']],
+    ['Assault mech formations', ['Assault']],
+  ];
+
+  static MIN_UNITS = 2;
+
+  static MAX_UNITS = 6;
+
+  static PILOT_CALLSIGNS = [
+    'Viper', 'Hammer', 'Ghost', 'Talon', 'Rook', 'Blaze', 'Jackal', 'Raven',
+    'Onyx', 'Striker', 'Wraith', 'Cobra', 'Bishop', 'Hex', 'Sabre', 'Dagger',
+  ];
+
+  /**
+   * Choose the enemy faction for a contract from the employer's enemies
+   */
+  static selectFaction(contract, factions = {}, random = Math.random) {
+    if (contract.type === 'Anti-Piracy') {
+      return 'Pirate Kingdoms';
+    }
+
+    const employer = factions[contract.employer];
+    let candidates = (employer && employer.enemies) || [];
+
+    if (candidates.includes('All Great Houses')) {
+      candidates = OpForGenerator.GREAT_HOUSES;
+    }
+
+    const isKnown = (faction) => factions[faction] || OpForGenerator.GREAT_HOUSES.includes(faction);
+    candidates = candidates.filter((faction) => faction !== contract.employer && isKnown(faction));
+
+    // Corporate and local employers fight whoever holds the target world
+    if (candidates.length === 0) {
+      candidates = OpForGenerator.GREAT_HOUSES.filter((faction) => faction !== contract.employer);
+    }
+
+    return candidates[Math.floor(random() * candidates.length)];
+  }
+
+  /**
+   * Difficulty settings for a contract, Moderate when the difficulty is unknown
+   */
+  static getSettings(contract) {
+    return OpForGenerator.DIFFICULTY_SETTINGS[contract.difficulty] || OpForGenerator.DIFFICULTY_SETTINGS.Moderate;
+  }
+
+  /**
+   * Battle value budget for a contract
+   */
+  static getBattleValueBudget(contract) {
+    const settings = OpForGenerator.getSettings(contract);
+    return Math.round(settings.battleValue * (OpForGenerator.TYPE_MODIFIERS[contract.type] || 1));
+  }
+
+  /**
+   * Weight classes the opposition fields, narrowed by the opposition intel
+   */
+  static getWeightClasses(contract) {
+    const settings = OpForGenerator.getSettings(contract);
+    const opposition = contract.opposition || [];
+    const hinted = OpForGenerator.OPPOSITION_WEIGHTS
+      .filter(([text]) => opposition.some((description) => description.includes(text)))
+      .flatMap(([, weightClasses]) => weightClasses);
+
+    return hinted.length > 0 ? [...new Set([...hinted, settings.weightClasses[0]])] : settings.weightClasses;
+  }
+
+  /**
+   * Battle value adjusted for pilot skill (lower skills are better)
+   */
+  static getAdjustedBattleValue(battleValue, gunnery, piloting) {
+    return Math.round(battleValue * (1 + (4 - gunnery) * 0.15 + (5 - piloting) * 0.05));
+  }
+
+  /**
+   * Generate the enemy force for a contract
+   * Options: factions (FactionSystem data), year, random
+   */
+  static generate(contract, { factions = {}, year = 3025, random = Math.random } = {}) {
+    const settings = OpForGenerator.getSettings(contract);
+    const faction = OpForGenerator.selectFaction(contract, factions, random);
+    const budget = OpForGenerator.getBattleValueBudget(contract);
+    const weightClasses = OpForGenerator.getWeightClasses(contract);
+
+    // Pirates field whatever they can steal
+    const factionFilter = OpForGenerator.GREAT_HOUSES.includes(faction) ? faction : null;
+    let pool = MechCatalog.query({ year, faction: factionFilter })
+      .filter((entry) => weightClasses.includes(MechCatalog.getWeightClass(entry.tonnage)));
+    if (pool.length === 0) {
+      pool = MechCatalog.query({ year });
+    }
+
+    const units = [];
+    let totalBattleValue = 0;
+
+    while (units.length < OpForGenerator.MAX_UNITS) {
+      const remaining = budget - totalBattleValue;
+      if (units.length >= OpForGenerator.MIN_UNITS && remaining <= 0) {
+        break;
+      }
+
+      // Prefer chassis that fit the remaining budget, fall back to the cheapest
+      const affordable = pool.filter((entry) => entry.battleValue <= Math.max(remaining, 0) * 1.2);
+      const cheapest = pool.reduce((a, b) => (a.battleValue <= b.battleValue ? a : b));
+      const choices = affordable.length > 0 ? affordable : [cheapest];
+      const entry = choices[Math.floor(random() * choices.length)];
+
+      const unit = OpForGenerator.createUnit(entry, settings, random);
+      units.push(unit);
+      totalBattleValue += unit.battleValue;
+    }
+
+    // Reinforcements join the fight after it starts
+    if ((contract.specialConditions || []).includes('Enemy reinforcements inbound')) {
+      const reinforcement = OpForGenerator.createUnit(pool[Math.floor(random() * pool.length)], settings, random);
+      units.push({ ...reinforcement, reinforcement: true });
+      totalBattleValue += reinforcement.battleValue;
+    }
+
+    return {
+      faction,
+      budget,
+      totalBattleValue,
+      totalTonnage: units.reduce((total, unit) => total + unit.tonnage, 0),
+      units,
+    };
+  }
+
+  /**
+   * Roster entry for a chassis with a pilot around the difficulty's skill level
+   */
+  static createUnit(entry, settings, random = Math.random) {
+    const gunnery = Math.max(1, Math.min(6, settings.gunnery + Math.floor(random() * 3) - 1));
+    const piloting = Math.max(1, Math.min(7, settings.piloting + Math.floor(random() * 3) - 1));
+    const callsign = OpForGenerator.PILOT_CALLSIGNS[Math.floor(random() * OpForGenerator.PILOT_CALLSIGNS.length)];
+
+    return {
+      chassisId: entry.id,
+      name: `${entry.chassis} ${entry.variant}`,
+      tonnage: entry.tonnage,
+      mechClass: MechCatalog.getWeightClass(entry.tonnage),
+      battleValue: OpForGenerator.getAdjustedBattleValue(entry.battleValue, gunnery, piloting),
+      pilot: { name: callsign, gunnery, piloting },
+    };
+  }
+
+  /**
+   * Summarize an enemy force for the pre-acceptance briefing
+   * Intel is deliberately approximate: counts as a range and battle value rounded
+   */
+  static getIntelReport(opFor) {
+    const weightClasses = {};
+    opFor.units.forEach((unit) => {
+      weightClasses[unit.mechClass] = (weightClasses[unit.mechClass] || 0) + 1;
+    });
+
+    const count = opFor.units.length;
+
+    return {
+      faction: opFor.faction,
+      estimatedUnits: count > OpForGenerator.MIN_UNITS ? `${count - 1}-${count + 1}` : `${count}-${count + 1}`,
+      weightClasses: MechCatalog.WEIGHT_CLASSES.filter((weightClass) => weightClasses[weightClass]),
+      estimatedBattleValue: Math.round(opFor.totalBattleValue / 500) * 500,
+    };
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Pilot Advancement - Experience earned in the field and spent on skill training
+ * Stateless rules for XP awards, the skill cost curve and experience tiers
+ */
+export class PilotAdvancement {
+  // XP for each engagement fought, with extra for a win and each enemy destroyed
+  static ENGAGEMENT_XP = 100;
+
+  static VICTORY_XP = 50;
+
+  static KILL_XP = 75;
+
+  // Lower skills are better; each step below the standard level doubles the cost
+  static SKILLS = {
+    gunnery: { name: 'Gunnery', baseCost: 200, standard: 5 },
+    piloting: { name: 'Piloting', baseCost: 150, standard: 6 },
+  };
+
+  static MIN_SKILL = 0;
+
+  // Tiers by combined gunnery and piloting, best first
+  static TIERS = [
+    { name: 'Elite', maxTotal: 5 },
+    { name: 'Veteran', maxTotal: 7 },
+    { name: 'Regular', maxTotal: 9 },
+    { name: 'Green', maxTotal: Infinity },
+  ];
+
+  /**
+   * Experience tier that follows from a pilot's skills
+   */
+  static getTier(pilot) {
+    const total = pilot.gunnery + pilot.piloting;
+    return PilotAdvancement.TIERS.find((tier) => total <= tier.maxTotal).name;
+  }
+
+  /**
+   * XP a pilot earns from one engagement
+   */
+  static getEngagementXP(kills = 0, victory = false) {
+    const victoryXP = victory ? PilotAdvancement.VICTORY_XP : 0;
+    return PilotAdvancement.ENGAGEMENT_XP + victoryXP + kills * PilotAdvancement.KILL_XP;
+  }
+
+  /**
+   * XP needed to improve a skill by one from its current level, or null at the limit
+   */
+  static getAdvanceCost(skill, current) {
+    const rules = PilotAdvancement.SKILLS[skill];
+    if (!rules || current <= PilotAdvancement.MIN_SKILL) {
+      return null;
+    }
+
+    return rules.baseCost * 2 ** Math.max(0, rules.standard - current);
+  }
+
+  /**
+   * Pilot updates for spending XP on a skill, or the reason it cannot be trained
+   */
+  static advance(pilot, skill) {
+    const cost = PilotAdvancement.getAdvanceCost(skill, pilot[skill]);
+    if (cost === null) {
+      return { error: PilotAdvancement.SKILLS[skill] ? `${pilot.name} has mastered ${PilotAdvancement.SKILLS[skill].name}` : `Unknown skill: ${skill}` };
+    }
+
+    const xp = pilot.xp || 0;
+    if (xp < cost) {
+      return { error: `${pilot.name} needs ${cost} XP to improve ${PilotAdvancement.SKILLS[skill].name} (has ${xp})` };
+    }
+
+    const improved = { ...pilot, [skill]: pilot[skill] - 1 };
+    return {
+      cost,
+      updates: { [skill]: improved[skill], xp: xp - cost, experience: PilotAdvancement.getTier(improved) },
+    };
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Pilot Generator - Builds MechWarriors for the hiring market from weighted tables
+ * Experience sets skills, age, record and pay; origin sets names, ranks and backstory
+ * The hand-written legends turn up now and then as famous hires
+ */
+import { PilotAdvancement } from './PilotAdvancement';
+import { PilotTraits } from './PilotTraits';
+
+export class PilotGenerator {
+  // Skills are [best, worst] ranges, traits and specialties are how many a pilot brings
+  static EXPERIENCE = [
+    {
+      name: 'Green', gunnery: [4, 5], piloting: [5, 6], age: [19, 26], missions: [0, 8], traits: 1, specialties: 1,
+    },
+    {
+      name: 'Regular', gunnery: [3, 4], piloting: [4, 5], age: [23, 35], missions: [8, 35], traits: 2, specialties: 1,
+    },
+    {
+      name: 'Veteran', gunnery: [2, 3], piloting: [3, 4], age: [28, 42], missions: [30, 80], traits: 2, specialties: 2,
+    },
+    {
+      name: 'Elite', gunnery: [1, 2], piloting: [2, 3], age: [33, 50], missions: [70, 140], traits: 3, specialties: 2,
+    },
+  ];
+
+  // Chance of each experience level, in EXPERIENCE order, by company rating
+  static RATING_WEIGHTS = {
+    Green: [60, 35, 5, 0],
+    Regular: [30, 45, 20, 5],
+    Veteran: [15, 40, 35, 10],
+    Elite: [5, 30, 40, 25],
+  };
+
+  // Ranks in EXPERIENCE order
+  static ORIGINS = {
+    'Federated Suns': {
+      weight: 8,
+      ranks: ['Cadet', 'Lieutenant', 'Captain', 'Major'],
+      firstNames: ['James', 'Sarah', 'Morgan', 'Ardan', 'Ellen', 'Thomas', 'Kathleen', 'Ian', 'Rachel', 'Patrick'],
+      lastNames: ['Hasek', 'Sortek', 'Harrison', 'Brennan', 'Calloway', 'Duncan', 'Whitfield', 'Ramsey', 'Ortega', 'Lang'],
+      units: ['Davion Guards', 'Crucis Lancers', 'Avalon Hussars', 'Deneb Light Cavalry', 'Robinson Rangers'],
+      academy: 'New Avalon Military Academy',
+    },
+    'Lyran Commonwealth': {
+      weight: 8,
+      ranks: ['Kadett', 'Leutnant', 'Hauptmann', 'Kommandant'],
+      firstNames: ['Greta', 'Klaus', 'Dieter', 'Ingrid', 'Heinrich', 'Liesl', 'Werner', 'Anika', 'Friedrich', 'Katrin'],
+      lastNames: ['Zimmerman', 'Weber', 'Brandt', 'Vogel', 'Kessler', 'Hoffmann', 'Richter', 'Lang', 'Becker', 'Steinmetz'],
+      units: ['Lyran Guards', 'Donegal Guards', 'Skye Rangers', 'Tenth Lyran Guards', 'Arcturan Guards'],
+      academy: 'Nagelring',
+    },
+    'Draconis Combine': {
+      weight: 5,
+      ranks: ['Gunso', 'Chu-i', 'Tai-i', 'Sho-sa'],
+      firstNames: ['Kenji', 'Yuki', 'Hiro', 'Akira', 'Michiko', 'Takeshi', 'Aiko', 'Ryo', 'Sakura', 'Daisuke'],
+      lastNames: ['Nakamura', 'Tanaka', 'Yamamoto', 'Sato', 'Kurita', 'Ishikawa', 'Mori', 'Fujimoto', 'Hayashi', 'Ogawa'],
+      units: ['Sword of Light', 'Genyosha', 'Ryuken', 'Otomo', 'Night Stalkers'],
+      academy: 'Sun Zhang MechWarrior Academy',
+    },
+    'Capellan Confederation': {
+      weight: 5,
+      ranks: ['Ban-zhang', 'Sao-wei', 'Sang-wei', 'Sao-shao'],
+      firstNames: ['Chen', 'Mei', 'Wei', 'Lin', 'Jian', 'Xiu', 'Tao', 'Hua', 'Zhen', 'Li'],
+      lastNames: ['Liu', 'Zhang', 'Wang', 'Sun', 'Ho', 'Tsen', 'Kwan', 'Deng', 'Yao', 'Ma'],
+      units: ['Death Commandos', 'Capellan Hussars', 'Red Lancers', 'Warrior House Imarra', 'McCarron\'s Armored Cavalry'],
+      academy: 'Sian Center for Martial Discipline',
+    },
+    'Free Worlds League': {
+      weight: 5,
+      ranks: ['Cadet', 'Leftenant', 'Kapitan', 'Major'],
+      firstNames: ['Marco', 'Elena', 'Viktor', 'Anya', 'Luca', 'Sofia', 'Dimitri', 'Irina', 'Nikos', 'Giulia'],
+      lastNames: ['Petrov', 'Volkov', 'Marik', 'Rossi', 'Kovac', 'Andreou', 'Bianchi', 'Novak', 'Esposito', 'Dragan'],
+      units: ['Knights of the Inner Sphere', 'Atrean Dragoons', 'Silver Hawk Irregulars', 'Fusiliers of Oriente', 'Marik Militia'],
+      academy: 'Allison MechWarrior Institute',
+    },
+    Mercenary: {
+      weight: 2,
+      ranks: ['Recruit', 'Lieutenant', 'Captain', 'Major'],
+      firstNames: ['Rex', 'Diana', 'Jake', 'Rosa', 'Eddie', 'Maya', 'Ben', 'Nadia', 'Cole', 'Tess'],
+      lastNames: ['Morrison', 'Cross', 'Miller', 'Silva', 'Baker', 'Singh', 'Porter', 'Reyes', 'Hale', 'Quinn'],
+      units: ['Gray Death Legion', 'Kell Hounds', 'Eridani Light Horse', 'Northwind Highlanders', 'Wolf\'s Dragoons'],
+      academy: 'Outreach training cadre',
+    },
+  };
+
+  static CALLSIGNS = [
+    'Viper', 'Hammer', 'Ghost', 'Talon', 'Rook', 'Blaze', 'Jackal', 'Raven', 'Onyx', 'Striker',
+    'Wraith', 'Cobra', 'Bishop', 'Hex', 'Sabre', 'Dagger', 'Longbow', 'Anvil', 'Mongoose', 'Comet',
+  ];
+
+  // Traits and specialties with no battlefield effect, drawn alongside the PilotTraits registry
+  static FLAVOR_TRAITS = ['Combat Veteran', 'Technical Aptitude', 'Determined', 'Loner', 'Superstitious', 'By the Book'];
+
+  static FLAVOR_SPECIALTIES = ['Tactical Planning', 'Field Repairs', 'Reconnaissance', 'Stealth Operations', 'Fire Support'];
+
+  static BACKSTORY_EVENTS = [
+    'survived the loss of a whole lance in a border raid',
+    'spent years hunting pirates along the Periphery border',
+    'was cashiered after refusing a dishonourable order',
+    'walked away from a dropship crash with nothing but a neurohelmet',
+    'served out a long garrison posting on a forgotten world',
+    'lost a family holding when the Succession Wars came through',
+  ];
+
+  static BACKSTORY_MOTIVES = [
+    'now looking for steady pay',
+    'hoping to earn a mech to call their own',
+    'seeking a unit that keeps its word',
+    'out to settle an old debt',
+    'chasing a reputation worth the name',
+  ];
+
+  // Monthly salary of a pilot with combined skills of SALARY_SKILL_TOTAL, rising by SALARY_STEP per point better
+  static BASE_SALARY = 6500;
+
+  static SALARY_SKILL_TOTAL = 10;
+
+  static SALARY_STEP = 1.3;
+
+  // Hiring fee as months of salary by experience tier
+  static HIRE_FEE_MONTHS = {
+    Green: 0.4, Regular: 0.6, Veteran: 0.8, Elite: 1.1,
+  };
+
+  // Chance each market slot goes to one of the hand-written legends
+  static FAMOUS_CHANCE = 0.05;
+
+  static pick(list, random = Math.random) {
+    return list[Math.floor(random() * list.length)];
+  }
+
+  /**
+   * Entry from a list in proportion to the matching weights
+   */
+  static pickWeighted(list, weights, random = Math.random) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const roll = random() * total;
+    let cumulative = 0;
+    const index = weights.findIndex((weight) => {
+      cumulative += weight;
+      return roll < cumulative;
+    });
+    return list[index === -1 ? list.length - 1 : index];
+  }
+
+  static rollRange([min, max], random = Math.random) {
+    return min + Math.floor(random() * (max - min + 1));
+  }
+
+  /**
+   * Distinct entries drawn from a list
+   */
+  static pickSeveral(list, count, random = Math.random) {
+    const remaining = [...list];
+    const picked = [];
+    while (picked.length < count && remaining.length > 0) {
+      picked.push(remaining.splice(Math.floor(random() * remaining.length), 1)[0]);
+    }
+    return picked;
+  }
+
+  static getSalary(gunnery, piloting) {
+    const steps = PilotGenerator.SALARY_SKILL_TOTAL - gunnery - piloting;
+    const salary = PilotGenerator.BASE_SALARY * PilotGenerator.SALARY_STEP ** steps;
+    return Math.round(salary / 500) * 500;
+  }
+
+  static getHireCost(pilot) {
+    const months = PilotGenerator.HIRE_FEE_MONTHS[PilotAdvancement.getTier(pilot)];
+    return Math.round((PilotGenerator.getSalary(pilot.gunnery, pilot.piloting) * months) / 500) * 500;
+  }
+
+  static getBackstory(origin, experience, random = Math.random) {
+    const tables = PilotGenerator.ORIGINS[origin];
+    const motive = PilotGenerator.pick(PilotGenerator.BACKSTORY_MOTIVES, random);
+
+    if (experience.name === 'Green') {
+      return `${tables.academy} graduate ${motive}`;
+    }
+
+    const unit = PilotGenerator.pick(tables.units, random);
+    const event = PilotGenerator.pick(PilotGenerator.BACKSTORY_EVENTS, random);
+    return `Former ${unit} MechWarrior who ${event}, ${motive}`;
+  }
+
+  /**
+   * A new pilot for the hiring market, in the shape of the hand-written pool
+   */
+  static generate({ rating = 'Green', random = Math.random } = {}) {
+    const weights = PilotGenerator.RATING_WEIGHTS[rating] || PilotGenerator.RATING_WEIGHTS.Green;
+    const rolled = PilotGenerator.pickWeighted(PilotGenerator.EXPERIENCE, weights, random);
+
+    const origins = Object.keys(PilotGenerator.ORIGINS);
+    const originWeights = origins.map((name) => PilotGenerator.ORIGINS[name].weight);
+    const origin = PilotGenerator.pickWeighted(origins, originWeights, random);
+    const tables = PilotGenerator.ORIGINS[origin];
+
+    const first = PilotGenerator.pick(tables.firstNames, random);
+    const last = PilotGenerator.pick(tables.lastNames, random);
+    const callsign = PilotGenerator.pick(PilotGenerator.CALLSIGNS, random);
+    const gunnery = PilotGenerator.rollRange(rolled.gunnery, random);
+    const piloting = PilotGenerator.rollRange(rolled.piloting, random);
+
+    // Rank, record and backstory follow the tier the skills actually land in
+    const tier = PilotAdvancement.getTier({ gunnery, piloting });
+    const level = PilotGenerator.EXPERIENCE.findIndex((entry) => entry.name === tier);
+    const experience = PilotGenerator.EXPERIENCE[level];
+
+    const specialties = [...Object.keys(PilotTraits.SPECIALTIES), ...PilotGenerator.FLAVOR_SPECIALTIES];
+    const traits = [...Object.keys(PilotTraits.TRAITS), ...PilotGenerator.FLAVOR_TRAITS];
+
+    const pilot = {
+      name: `${tables.ranks[level]} ${first} "${callsign}" ${last}`,
+      gunnery,
+      piloting,
+      salary: PilotGenerator.getSalary(gunnery, piloting),
+      backstory: PilotGenerator.getBackstory(origin, experience, random),
+      specialties: PilotGenerator.pickSeveral(specialties, experience.specialties, random),
+      origin,
+      traits: PilotGenerator.pickSeveral(traits, experience.traits, random),
+      age: PilotGenerator.rollRange(experience.age, random),
+      combatMissions: PilotGenerator.rollRange(experience.missions, random),
+    };
+
+    return { ...pilot, hireCost: PilotGenerator.getHireCost(pilot), experience: tier };
+  }
+
+  /**
+   * Pilots for a market of the given size, each slot a rare chance at a legend not already taken
+   */
+  static generateMarket(count, { rating = 'Green', legends = [], random = Math.random } = {}) {
+    const unclaimed = [...legends];
+    const market = [];
+
+    for (let i = 0; i < count; i++) {
+      if (unclaimed.length > 0 && random() < PilotGenerator.FAMOUS_CHANCE) {
+        const legend = unclaimed.splice(Math.floor(random() * unclaimed.length), 1)[0];
+        market.push({ ...legend, famous: true });
+      } else {
+        market.push(PilotGenerator.generate({ rating, random }));
+      }
+    }
+
+    return market;
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Pilot Injury - Wounds taken in combat and recovery in the medical bay
+ * Stateless rules for hit counts, the chance of death or lasting harm and healing time
+ */
+export class PilotInjury {
+  // A sixth hit is fatal
+  static MAX_HITS = 6;
+
+  // Chance a pilot dies of their wounds by hits carried after an engagement
+  static DEATH_CHANCE = { 3: 0.05, 4: 0.15, 5: 0.3 };
+
+  // Chance each new hit leaves a permanent mark on a skill
+  static PERMANENT_INJURY_CHANCE = 0.05;
+
+  // Days to heal one hit, by the company's medical staff
+  static MEDICAL_STAFF = {
+    Basic: { name: 'Basic Medics', daysPerHit: 14, upgradeCost: 0 },
+    Standard: { name: 'Field Hospital', daysPerHit: 10, upgradeCost: 150000 },
+    Advanced: { name: 'Trauma Centre', daysPerHit: 7, upgradeCost: 400000 },
+    Elite: { name: 'Military Hospital', daysPerHit: 4, upgradeCost: 900000 },
+  };
+
+  static DEFAULT_MEDICAL_STAFF = 'Basic';
+
+  static isInjured(pilot) {
+    return (pilot.injuries || 0) > 0 && pilot.status !== 'KIA';
+  }
+
+  /**
+   * Skill penalty while wounded, each hit worsens gunnery and piloting by one
+   */
+  static getWoundPenalty(hits) {
+    return Math.min(hits, PilotInjury.MAX_HITS);
+  }
+
+  static getDeathChance(hits) {
+    if (hits >= PilotInjury.MAX_HITS) return 1;
+    return PilotInjury.DEATH_CHANCE[hits] || 0;
+  }
+
+  static getMedicalStaff(rating) {
+    return PilotInjury.MEDICAL_STAFF[rating] || PilotInjury.MEDICAL_STAFF[PilotInjury.DEFAULT_MEDICAL_STAFF];
+  }
+
+  /**
+   * Next medical staff rating and what it costs, or null at the best staff
+   */
+  static getUpgrade(rating) {
+    const ratings = Object.keys(PilotInjury.MEDICAL_STAFF);
+    const next = ratings[ratings.indexOf(rating) + 1];
+    return next ? { rating: next, ...PilotInjury.MEDICAL_STAFF[next] } : null;
+  }
+
+  static getRecoveryDays(hits, rating) {
+    return hits * PilotInjury.getMedicalStaff(rating).daysPerHit;
+  }
+
+  /**
+   * Hits from an engagement's combat units, for pilots who took any
+   */
+  static getCombatInjuries(units) {
+    return units
+      .filter((unit) => unit.pilotId && unit.pilotHits > 0)
+      .map((unit) => ({
+        pilotId: unit.pilotId,
+        name: unit.pilotName,
+        injuries: Math.min(PilotInjury.MAX_HITS, unit.pilotHits),
+      }));
+  }
+
+  /**
+   * Outcome of new hits on a pilot, rolling for death and permanent injury
+   * Returns the pilot updates with whether they died and any skill permanently lost
+   */
+  static applyHits(pilot, hits, random = Math.random) {
+    const injuries = Math.min(PilotInjury.MAX_HITS, (pilot.injuries || 0) + hits);
+    const died = random() < PilotInjury.getDeathChance(injuries);
+
+    if (died) {
+      return { died, permanentInjury: null, updates: { injuries, status: 'KIA', mechAssignment: null } };
+    }
+
+    const updates = { injuries, status: 'Injured' };
+    let permanentInjury = null;
+
+    if (Array.from({ length: hits }).some(() => random() < PilotInjury.PERMANENT_INJURY_CHANCE)) {
+      permanentInjury = random() < 0.5 ? 'gunnery' : 'piloting';
+      updates[permanentInjury] = pilot[permanentInjury] + 1;
+      updates.permanentInjuries = [...(pilot.permanentInjuries || []), permanentInjury];
+    }
+
+    return { died, permanentInjury, updates };
+  }
+}
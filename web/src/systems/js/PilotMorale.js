@@ -0,0 +1,113 @@
+/**
+ * Pilot Morale - How each pilot feels about the company and what they will do about it
+ * Stateless rules for morale changes, combat effects, loyalty perks and departures
+ */
+export class PilotMorale {
+  static DEFAULT_MORALE = 60;
+
+  static MIN_MORALE = 0;
+
+  static MAX_MORALE = 100;
+
+  // Morale levels, best first, with the modifier each puts on combat rolls
+  static LEVELS = [
+    { name: 'Loyal', minMorale: 80, combatModifier: 0 },
+    { name: 'Content', minMorale: 60, combatModifier: 0 },
+    { name: 'Steady', minMorale: 40, combatModifier: 0 },
+    { name: 'Disgruntled', minMorale: 20, combatModifier: 1 },
+    { name: 'Mutinous', minMorale: 0, combatModifier: 2 },
+  ];
+
+  static CHANGES = {
+    missedPayroll: -15,
+    comradeKilled: -10,
+    idle: -3, // each week past the idle limit
+    victory: 5,
+    bonus: 3,
+    timeOff: 2, // each week of rest after a deployment
+  };
+
+  // Weekly review of idle time, rest and departures
+  static REVIEW_DAYS = 7;
+
+  static REST_DAYS = 21;
+
+  static IDLE_DAYS = 60;
+
+  // Mutinous pilots may quit each week, the worst take their mech with them
+  static LEAVE_MORALE = 20;
+
+  static DESERTION_MORALE = 10;
+
+  static LEAVE_CHANCE = 0.25;
+
+  static PERKS = [
+    {
+      key: 'steadfast', name: 'Steadfast', minMorale: 80, description: 'Takes half the morale loss from missed payroll',
+    },
+    {
+      key: 'devoted', name: 'Devoted', minMorale: 90, description: 'Earns 25% more experience',
+    },
+  ];
+
+  static DEVOTED_XP_MULTIPLIER = 1.25;
+
+  static getMorale(pilot) {
+    return typeof pilot.morale === 'number' ? pilot.morale : PilotMorale.DEFAULT_MORALE;
+  }
+
+  static getLevel(pilot) {
+    const morale = PilotMorale.getMorale(pilot);
+    return PilotMorale.LEVELS.find((level) => morale >= level.minMorale);
+  }
+
+  /**
+   * Gunnery and piloting penalty from poor morale
+   */
+  static getCombatModifier(pilot) {
+    return PilotMorale.getLevel(pilot).combatModifier;
+  }
+
+  static getPerks(pilot) {
+    const morale = PilotMorale.getMorale(pilot);
+    return PilotMorale.PERKS.filter((perk) => morale >= perk.minMorale);
+  }
+
+  static hasPerk(pilot, key) {
+    return PilotMorale.getPerks(pilot).some((perk) => perk.key === key);
+  }
+
+  /**
+   * Morale after a change for a reason in CHANGES, perks softening what they cover
+   */
+  static adjust(pilot, reason, weeks = 1) {
+    let change = PilotMorale.CHANGES[reason] * weeks;
+    if (reason === 'missedPayroll' && PilotMorale.hasPerk(pilot, 'steadfast')) {
+      change = Math.ceil(change / 2);
+    }
+
+    return Math.max(PilotMorale.MIN_MORALE, Math.min(PilotMorale.MAX_MORALE, PilotMorale.getMorale(pilot) + change));
+  }
+
+  /**
+   * Weekly change from time spent away from contracts
+   * Rest after a deployment lifts morale, sitting idle too long wears it down
+   */
+  static getIdleReason(idleDays) {
+    if (idleDays > PilotMorale.IDLE_DAYS) return 'idle';
+    if (idleDays <= PilotMorale.REST_DAYS) return 'timeOff';
+    return null;
+  }
+
+  /**
+   * Whether a pilot quits at the weekly review: 'resign', 'desert' with their mech, or null
+   */
+  static rollDeparture(pilot, random = Math.random) {
+    const morale = PilotMorale.getMorale(pilot);
+    if (morale >= PilotMorale.LEAVE_MORALE || random() >= PilotMorale.LEAVE_CHANCE) {
+      return null;
+    }
+
+    return morale < PilotMorale.DESERTION_MORALE && pilot.mechAssignment ? 'desert' : 'resign';
+  }
+}
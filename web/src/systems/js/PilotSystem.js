@@ -3,14 +3,36 @@
  * Handles all pilot-related game mechanics and UI interactions
  */
 import { Logger } from '../../utils/Logger.js';
+import { GameClock } from './GameClock';
+import { PilotAdvancement } from './PilotAdvancement';
+import { PilotGenerator } from './PilotGenerator';
+import { PilotInjury } from './PilotInjury';
+import { PilotMorale } from './PilotMorale';
+import { PilotTraits } from './PilotTraits';
+import { RandomService } from './RandomService';
 
 export class PilotSystem {
-  constructor(eventBus, gameState) {
+  constructor(
+    eventBus,
+    gameState,
+    randomService = new RandomService(),
+    gameClock = new GameClock(eventBus, gameState),
+  ) {
     this.logger = new Logger('PilotSystem');
     this.eventBus = eventBus;
     this.gameState = gameState;
     this.isInitialized = false;
+
+    // Seeded streams for the pilot hiring pool, morale departures and pilot ids
+    this.random = randomService.stream('pilots');
+    this.moraleRandom = randomService.stream('morale');
+    this.ids = randomService.stream('ids');
+    this.clock = gameClock;
+
     this.selectedPilot = null;
+
+    // Pilots on offer in the open hiring interface
+    this.hiringPool = [];
   }
 
   /**
@@ -26,6 +48,8 @@ export class PilotSystem {
       // Initialize UI handlers
       this.setupUIHandlers();
       
+      this.scheduleMoraleReview();
+
       this.isInitialized = true;
       this.logger.info('PilotSystem initialized successfully');
       
@@ -44,7 +68,21 @@ export class PilotSystem {
     this.eventBus.on('pilot:hire', this.hirePilot.bind(this));
     this.eventBus.on('pilot:fire', this.firePilot.bind(this));
     this.eventBus.on('pilot:update', this.updatePilot.bind(this));
+    this.eventBus.on('pilot:advanceSkill', (data) => this.advanceSkill(data.pilotId, data.skill));
+
+    // Experience from engagements and training contracts
+    this.eventBus.on('combat:ended', this.onCombatEnded.bind(this));
+    this.eventBus.on('contract:completed', this.onContractCompleted.bind(this));
     
+    // Wounded pilots heal one hit at a time on the game calendar
+    this.eventBus.on('pilot:injured', this.onPilotInjured.bind(this));
+    this.eventBus.on('pilot:recoveryDue', this.onRecoveryDue.bind(this));
+
+    // Morale follows pay, losses and time between contracts
+    this.eventBus.on('company:financialCrisis', this.onFinancialCrisis.bind(this));
+    this.eventBus.on('pilot:killed', this.onPilotKilled.bind(this));
+    this.eventBus.on('pilot:moraleReview', this.reviewMorale.bind(this));
+
     // UI update events
     this.eventBus.on('gameState:changed', this.onGameStateChanged.bind(this));
     this.eventBus.on('screen:changed', this.onScreenChanged.bind(this));
@@ -74,6 +112,14 @@ export class PilotSystem {
       this.closePilotHiring();
     };
     
+    window.advancePilotSkill = (pilotId, skill) => {
+      this.advanceSkill(pilotId, skill);
+    };
+
+    window.upgradeMedicalStaff = () => {
+      this.upgradeMedicalStaff();
+    };
+
     // Negotiation functions (placeholder for future implementation)
     window.negotiateWithPilot = (pilotId) => {
       alert('Pilot negotiation system not yet implemented. This will allow you to negotiate salary and contract terms.');
@@ -89,7 +135,6 @@ export class PilotSystem {
         name: 'Marcus "Reaper" Kane', 
         gunnery: 2, 
         piloting: 3, 
-        experience: 'Elite', 
         salary: 25000,
         id: this.generatePilotId(),
         status: 'Active',
@@ -105,7 +150,6 @@ export class PilotSystem {
         name: 'Lisa "Razor" Williams', 
         gunnery: 3, 
         piloting: 4, 
-        experience: 'Veteran', 
         salary: 18000,
         id: this.generatePilotId(),
         status: 'Active',
@@ -121,7 +165,6 @@ export class PilotSystem {
         name: 'Chen "Thunderbolt" Liu', 
         gunnery: 3, 
         piloting: 3, 
-        experience: 'Veteran', 
         salary: 20000,
         id: this.generatePilotId(),
         status: 'Active',
@@ -137,7 +180,6 @@ export class PilotSystem {
         name: 'Sarah "Phoenix" Martinez', 
         gunnery: 4, 
         piloting: 3, 
-        experience: 'Regular', 
         salary: 15000,
         id: this.generatePilotId(),
         status: 'Active',
@@ -151,20 +193,19 @@ export class PilotSystem {
       }
     ];
     
-    return defaultPilots;
+    return defaultPilots.map((pilot) => ({ ...pilot, xp: 0, experience: PilotAdvancement.getTier(pilot) }));
   }
 
   /**
-   * Generate comprehensive pilot pool for hiring
+   * Hand-written legends that turn up on the hiring market as famous hires
    */
   generatePilotPool() {
     const pilotPool = [
-      // Elite Pilots (3 total)
+      // Elite Pilots
       {
         name: 'Colonel James "Iron Wolf" Harrison',
         gunnery: 1,
         piloting: 2,
-        experience: 'Elite',
         salary: 45000,
         backstory: 'Legendary former Davion Guards commander with over 100 successful missions',
         specialties: ['Command', 'Assault Mechs', 'Tactical Planning'],
@@ -179,7 +220,6 @@ export class PilotSystem {
         name: 'Kommandant Greta "Steel Fist" Zimmerman',
         gunnery: 2,
         piloting: 1,
-        experience: 'Elite',
         salary: 42000,
         backstory: 'Former Lyran Commonwealth elite pilot known for precision strikes',
         specialties: ['Assault Mechs', 'Marksmanship', 'Urban Combat'],
@@ -194,7 +234,6 @@ export class PilotSystem {
         name: 'Sao-shao Kenji "Ghost Walker" Nakamura',
         gunnery: 2,
         piloting: 2,
-        experience: 'Elite',
         salary: 40000,
         backstory: 'Ex-Sword of Light regiment member, master of stealth tactics',
         specialties: ['Light Mechs', 'Stealth Operations', 'Night Combat'],
@@ -206,12 +245,11 @@ export class PilotSystem {
         availability: 'Rare'
       },
 
-      // Veteran Pilots (8 total)
+      // Veteran Pilots
       {
         name: 'Captain Rex "Bulldog" Morrison',
         gunnery: 3,
         piloting: 2,
-        experience: 'Veteran',
         salary: 28000,
         backstory: 'Former Davion regular army officer with extensive combat experience',
         specialties: ['Heavy Mechs', 'Direct Assault', 'Leadership'],
@@ -226,7 +264,6 @@ export class PilotSystem {
         name: 'Lieutenant Maya "Viper" Singh',
         gunnery: 2,
         piloting: 4,
-        experience: 'Veteran',
         salary: 24000,
         backstory: 'Skilled light mech pilot from the Capellan Confederation',
         specialties: ['Light Mechs', 'Hit and Run', 'Reconnaissance'],
@@ -241,7 +278,6 @@ export class PilotSystem {
         name: 'Sergeant Klaus "Hammer" Weber',
         gunnery: 3,
         piloting: 3,
-        experience: 'Veteran',
         salary: 26000,
         backstory: 'Lyran Commonwealth veteran specializing in fire support',
         specialties: ['Heavy Mechs', 'Long Range Combat', 'Fire Support'],
@@ -256,7 +292,6 @@ export class PilotSystem {
         name: 'Senior Tech Elena "Wrench" Volkov',
         gunnery: 4,
         piloting: 3,
-        experience: 'Veteran',
         salary: 22000,
         backstory: 'Free Worlds League tech turned pilot with deep mechanical knowledge',
         specialties: ['Medium Mechs', 'Maintenance', 'Salvage Operations'],
@@ -271,7 +306,6 @@ export class PilotSystem {
         name: 'Chu-i Yuki "Snow Fox" Tanaka',
         gunnery: 3,
         piloting: 3,
-        experience: 'Veteran',
         salary: 25000,
         backstory: 'Former DCMS regular seeking honor in mercenary service',
         specialties: ['Medium Mechs', 'Honor Combat', 'Discipline'],
@@ -286,7 +320,6 @@ export class PilotSystem {
         name: 'Captain Diana "Wildfire" Cross',
         gunnery: 2,
         piloting: 4,
-        experience: 'Veteran',
         salary: 27000,
         backstory: 'Mercenary veteran with a reputation for daring tactics',
         specialties: ['Light Mechs', 'Flanking', 'Pursuit'],
@@ -301,7 +334,6 @@ export class PilotSystem {
         name: 'Major Viktor "Stone Wall" Petrov',
         gunnery: 4,
         piloting: 2,
-        experience: 'Veteran',
         salary: 29000,
         backstory: 'Former Lyran assault pilot known for defensive expertise',
         specialties: ['Assault Mechs', 'Defensive Operations', 'Endurance'],
@@ -316,7 +348,6 @@ export class PilotSystem {
         name: 'Lieutenant Jake "Longshot" Miller',
         gunnery: 2,
         piloting: 4,
-        experience: 'Veteran',
         salary: 23000,
         backstory: 'Federated Suns sniper specialist with exceptional marksmanship',
         specialties: ['Long Range Combat', 'Precision Strikes', 'Patience'],
@@ -328,12 +359,11 @@ export class PilotSystem {
         availability: 'Common'
       },
 
-      // Regular Pilots (10 total)
+      // Regular Pilots
       {
         name: 'Sergeant Tim "Steady" Brooks',
         gunnery: 4,
         piloting: 3,
-        experience: 'Regular',
         salary: 16000,
         backstory: 'Reliable Davion army sergeant with solid fundamentals',
         specialties: ['Medium Mechs', 'Standard Operations', 'Teamwork'],
@@ -348,7 +378,6 @@ export class PilotSystem {
         name: 'Corporal Lisa "Bolt" Henderson',
         gunnery: 3,
         piloting: 4,
-        experience: 'Regular',
         salary: 17000,
         backstory: 'Fast-moving scout from the Lyran Commonwealth',
         specialties: ['Light Mechs', 'Scouting', 'Communications'],
@@ -363,7 +392,6 @@ export class PilotSystem {
         name: 'Private Alex "Tank" Rodriguez',
         gunnery: 4,
         piloting: 4,
-        experience: 'Regular',
         salary: 15000,
         backstory: 'Capellan militia member seeking better opportunities',
         specialties: ['Heavy Mechs', 'Endurance', 'Basic Tactics'],
@@ -378,7 +406,6 @@ export class PilotSystem {
         name: 'Technician Maria "Sparks" Gutierrez',
         gunnery: 5,
         piloting: 3,
-        experience: 'Regular',
         salary: 14000,
         backstory: 'Former tech learning to pilot with mechanical expertise',
         specialties: ['Medium Mechs', 'Technical Knowledge', 'Maintenance'],
@@ -393,7 +420,6 @@ export class PilotSystem {
         name: 'Lance Corporal David "Scout" Kim',
         gunnery: 4,
         piloting: 3,
-        experience: 'Regular',
         salary: 16000,
         backstory: 'Draconis Combine regular army reconnaissance specialist',
         specialties: ['Light Mechs', 'Information Gathering', 'Stealth'],
@@ -408,7 +434,6 @@ export class PilotSystem {
         name: 'Corporal Jenny "Firebrand" O\'Connor',
         gunnery: 3,
         piloting: 4,
-        experience: 'Regular',
         salary: 17500,
         backstory: 'Aggressive young pilot from the Federated Suns periphery',
         specialties: ['Medium Mechs', 'Close Combat', 'Aggression'],
@@ -423,7 +448,6 @@ export class PilotSystem {
         name: 'Sergeant Paul "Fortress" Anderson',
         gunnery: 4,
         piloting: 3,
-        experience: 'Regular',
         salary: 18000,
         backstory: 'Lyran defensive specialist with methodical approach',
         specialties: ['Heavy Mechs', 'Defensive Tactics', 'Patience'],
@@ -438,7 +462,6 @@ export class PilotSystem {
         name: 'Private Rosa "Quickdraw" Silva',
         gunnery: 3,
         piloting: 4,
-        experience: 'Regular',
         salary: 16500,
         backstory: 'Capellan fast-attack specialist with natural reflexes',
         specialties: ['Light Mechs', 'Quick Strike', 'Evasion'],
@@ -453,7 +476,6 @@ export class PilotSystem {
         name: 'Corporal Mike "Steady Hand" Thompson',
         gunnery: 3,
         piloting: 4,
-        experience: 'Regular',
         salary: 17000,
         backstory: 'Free Worlds League veteran with solid fundamentals',
         specialties: ['Medium Mechs', 'Gunnery', 'Reliability'],
@@ -468,7 +490,6 @@ export class PilotSystem {
         name: 'Lance Corporal Aki "Precision" Sato',
         gunnery: 3,
         piloting: 4,
-        experience: 'Regular',
         salary: 16000,
         backstory: 'Draconis Combine precision-focused pilot',
         specialties: ['Medium Mechs', 'Accuracy', 'Discipline'],
@@ -480,12 +501,11 @@ export class PilotSystem {
         availability: 'Common'
       },
 
-      // Green Pilots (8 total)
+      // Green Pilots
       {
         name: 'Cadet Tommy "Greenhorn" Wilson',
         gunnery: 5,
         piloting: 4,
-        experience: 'Green',
         salary: 8000,
         backstory: 'Fresh Davion academy graduate eager to prove himself',
         specialties: ['Basic Operations', 'Enthusiasm', 'Learning'],
@@ -500,7 +520,6 @@ export class PilotSystem {
         name: 'Recruit Sarah "Newbie" Clark',
         gunnery: 4,
         piloting: 5,
-        experience: 'Green',
         salary: 9000,
         backstory: 'Young Lyran pilot with good reflexes but little experience',
         specialties: ['Light Mechs', 'Basic Piloting', 'Quick Learning'],
@@ -515,7 +534,6 @@ export class PilotSystem {
         name: 'Private Danny "Rookie" Martinez',
         gunnery: 5,
         piloting: 5,
-        experience: 'Green',
         salary: 7500,
         backstory: 'Capellan militia recruit with basic training only',
         specialties: ['Basic Operations', 'Following Orders', 'Potential'],
@@ -530,7 +548,6 @@ export class PilotSystem {
         name: 'Cadet Emma "Fresh" Johnson',
         gunnery: 4,
         piloting: 5,
-        experience: 'Green',
         salary: 8500,
         backstory: 'Free Worlds League academy graduate with theoretical knowledge',
         specialties: ['Theory', 'Basic Tactics', 'Study'],
@@ -545,7 +562,6 @@ export class PilotSystem {
         name: 'Recruit Hiro "Student" Yamamoto',
         gunnery: 5,
         piloting: 4,
-        experience: 'Green',
         salary: 9000,
         backstory: 'Draconis Combine student pilot with disciplined training',
         specialties: ['Discipline', 'Basic Combat', 'Honor'],
@@ -560,7 +576,6 @@ export class PilotSystem {
         name: 'Noble heir Lady Catherine "Silver Spoon" Steiner',
         gunnery: 4,
         piloting: 4,
-        experience: 'Green',
         salary: 12000,
         backstory: 'Wealthy Lyran noble seeking adventure and glory',
         specialties: ['Resources', 'Social Connections', 'Potential'],
@@ -575,7 +590,6 @@ export class PilotSystem {
         name: 'Tech Apprentice Ben "Grease Monkey" Porter',
         gunnery: 5,
         piloting: 5,
-        experience: 'Green',
         salary: 7000,
         backstory: 'Former tech apprentice transitioning to pilot training',
         specialties: ['Technical Knowledge', 'Maintenance', 'Learning'],
@@ -590,7 +604,6 @@ export class PilotSystem {
         name: 'Washout Eddie "Second Chance" Baker',
         gunnery: 5,
         piloting: 5,
-        experience: 'Green',
         salary: 6500,
         backstory: 'Failed military academy student seeking redemption',
         specialties: ['Determination', 'Second Chances', 'Motivation'],
@@ -603,7 +616,7 @@ export class PilotSystem {
       }
     ];
 
-    return pilotPool;
+    return pilotPool.map((pilot) => ({ ...pilot, experience: PilotAdvancement.getTier(pilot) }));
   }
 
   /**
@@ -641,14 +654,78 @@ export class PilotSystem {
         <div class="stat-line"><span>Experience:</span><span>${pilot.experience}</span></div>
         <div class="stat-line"><span>Gunnery:</span><span>${pilot.gunnery}</span></div>
         <div class="stat-line"><span>Piloting:</span><span>${pilot.piloting}</span></div>
+        <div class="stat-line"><span>Unspent XP:</span><span>${(pilot.xp || 0).toLocaleString()}</span></div>
         <div class="stat-line"><span>Salary:</span><span>${pilot.salary.toLocaleString()} C-Bills/month</span></div>
         <div class="stat-line"><span>Status:</span><span>${pilot.status}</span></div>
+        <div class="stat-line"><span>Morale:</span><span>${PilotMorale.getLevel(pilot).name} (${PilotMorale.getMorale(pilot)})</span></div>
+        ${PilotMorale.getPerks(pilot).map((perk) => `<div class="stat-line"><span>${perk.name}:</span><span>${perk.description}</span></div>`).join('')}
+        ${this.renderInjuries(pilot)}
         ${pilot.mechAssignment ? `<div class="stat-line"><span>Assigned Mech:</span><span>${pilot.mechAssignment}</span></div>` : ''}
+        ${pilot.traits ? `<div class="stat-line"><span>Traits:</span><span>${pilot.traits.join(', ')}</span></div>` : ''}
         ${pilot.specialties ? `<div class="stat-line"><span>Specialties:</span><span>${pilot.specialties.join(', ')}</span></div>` : ''}
+        ${PilotSystem.renderTraitEffects(pilot)}
+        <div class="pilot-training">
+          <h4>Training</h4>
+          ${Object.entries(PilotAdvancement.SKILLS).map(([skill, rules]) => PilotSystem.generateTrainingLine(pilot, skill, rules)).join('')}
+        </div>
       `;
     }
   }
 
+  /**
+   * Generate HTML line for training one pilot skill
+   */
+  static generateTrainingLine(pilot, skill, rules) {
+    const cost = PilotAdvancement.getAdvanceCost(skill, pilot[skill]);
+    if (cost === null) {
+      return `<div class="stat-line"><span>${rules.name} ${pilot[skill]}</span><span>Mastered</span></div>`;
+    }
+
+    return `<div class="stat-line">
+            <span>${rules.name} ${pilot[skill]} → ${pilot[skill] - 1}</span>
+            <span><button class="btn btn-sm" onclick="advancePilotSkill('${pilot.id}', '${skill}')" ${(pilot.xp || 0) < cost ? 'disabled' : ''}>${cost.toLocaleString()} XP</button></span>
+          </div>`;
+  }
+
+  /**
+   * Render what the pilot's traits and specialties do in combat
+   */
+  static renderTraitEffects(pilot) {
+    const effects = PilotTraits.describe(pilot);
+    if (effects.length === 0) {
+      return '';
+    }
+
+    return `<div class="pilot-trait-effects">
+          <h4>Combat Effects</h4>
+          ${effects.map((effect) => `<div class="stat-line"><span>${effect.name}:</span><span>${effect.description}</span></div>`).join('')}
+        </div>`;
+  }
+
+  /**
+   * Render a pilot's wounds, lasting injuries and time left in the medical bay
+   */
+  renderInjuries(pilot) {
+    const lines = [];
+
+    if (PilotInjury.isInjured(pilot)) {
+      const staff = PilotInjury.getMedicalStaff(this.getMedicalStaff());
+      const upgrade = PilotInjury.getUpgrade(this.getMedicalStaff());
+
+      lines.push(`<div class="stat-line"><span>Injuries:</span><span>${pilot.injuries} hit${pilot.injuries > 1 ? 's' : ''}</span></div>`);
+      lines.push(`<div class="stat-line"><span>Recovery:</span><span>${Math.max(0, this.clock.daysUntil(pilot.recoveryDay))} days (${staff.name})</span></div>`);
+      if (upgrade) {
+        lines.push(`<div class="stat-line"><span></span><span><button class="btn btn-sm" onclick="upgradeMedicalStaff()">Hire ${upgrade.name} (${upgrade.upgradeCost.toLocaleString()} C-Bills)</button></span></div>`);
+      }
+    }
+
+    if (pilot.permanentInjuries && pilot.permanentInjuries.length > 0) {
+      lines.push(`<div class="stat-line"><span>Lasting Injuries:</span><span>${pilot.permanentInjuries.map((skill) => PilotAdvancement.SKILLS[skill].name).join(', ')} +1</span></div>`);
+    }
+
+    return lines.join('');
+  }
+
   /**
    * Update pilot roster display
    */
@@ -677,35 +754,30 @@ export class PilotSystem {
   }
 
   /**
-   * Generate available pilots for hiring based on company reputation and location
+   * Generate available pilots for hiring, better companies attracting more experienced pilots
+   * Legends already on the roster do not come back to the market
    */
   generateAvailablePilots() {
-    const pilotPool = this.generatePilotPool();
     const companyRating = this.gameState.get('company.rating') || 'Green';
-    const companyFunds = this.gameState.get('company.funds') || 0;
+    const rosterNames = (this.gameState.get('pilots') || []).map((pilot) => pilot.name);
+    const legends = this.generatePilotPool().filter((pilot) => !rosterNames.includes(pilot.name));
     
-    // Filter pilots based on availability and company rating
-    let availablePilots = pilotPool.filter(pilot => {
-      // Elite companies attract more elite pilots
-      if (companyRating === 'Elite' && Math.random() < 0.8) return true;
-      if (companyRating === 'Veteran' && pilot.experience !== 'Elite' && Math.random() < 0.9) return true;
-      if (companyRating === 'Regular' && pilot.experience === 'Green' || pilot.experience === 'Regular' && Math.random() < 0.8) return true;
-      if (companyRating === 'Green' && (pilot.experience === 'Green' || (pilot.experience === 'Regular' && Math.random() < 0.3))) return true;
-      
-      return false;
+    // Limit to 5-8 available pilots at any time
+    const availablePilots = PilotGenerator.generateMarket(Math.floor(this.random.next() * 4) + 5, {
+      rating: companyRating,
+      legends,
+      random: this.random.next,
     });
 
-    // Limit to 5-8 available pilots at any time
-    availablePilots = availablePilots.sort(() => Math.random() - 0.5).slice(0, Math.floor(Math.random() * 4) + 5);
-    
     // Add status and current availability
     availablePilots.forEach(pilot => {
       pilot.id = this.generatePilotId();
       pilot.status = 'Available';
       pilot.mechAssignment = null;
-      pilot.hiringDeadline = Date.now() + (Math.floor(Math.random() * 14 + 7) * 24 * 60 * 60 * 1000); // 7-21 days
+      pilot.hiringDeadline = this.clock.today() + Math.floor(this.random.next() * 14 + 7); // 7-21 days
     });
 
+    this.hiringPool = availablePilots;
     return availablePilots;
   }
 
@@ -739,12 +811,12 @@ export class PilotSystem {
   generatePilotHiringCard(pilot) {
     const companyFunds = this.gameState.get('company.funds') || 0;
     const canAfford = companyFunds >= pilot.hireCost;
-    const daysRemaining = Math.ceil((pilot.hiringDeadline - Date.now()) / (24 * 60 * 60 * 1000));
+    const daysRemaining = this.clock.daysUntil(pilot.hiringDeadline);
     
     return `
       <div class="pilot-hiring-card" style="border: 1px solid #555; margin-bottom: 15px; padding: 15px; background: #333; border-radius: 5px;">
         <div class="pilot-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
-          <h3 style="color: #fff; margin: 0;">${pilot.name}</h3>
+          <h3 style="color: #fff; margin: 0;">${pilot.name}${pilot.famous ? ' <span style="color: #fc3; font-size: 12px;">Famous</span>' : ''}</h3>
           <span class="experience-badge ${pilot.experience.toLowerCase()}" style="padding: 3px 8px; border-radius: 3px; font-size: 12px; background: ${this.getExperienceColor(pilot.experience)};">${pilot.experience}</span>
         </div>
         
@@ -804,9 +876,7 @@ export class PilotSystem {
       return;
     }
 
-    // Find pilot in available pool (this would normally be stored somewhere)
-    const pilotPool = this.generatePilotPool();
-    const pilot = pilotPool.find(p => p.id === pilotId || p.name === pilotId); // Fallback for name matching
+    const pilot = this.hiringPool.find((p) => p.id === pilotId);
     
     if (!pilot) {
       alert('Pilot no longer available.');
@@ -823,11 +893,13 @@ export class PilotSystem {
       id: this.generatePilotId(),
       status: 'Active',
       mechAssignment: null,
+      xp: 0,
       dateHired: Date.now()
     };
     
     currentPilots.push(newPilot);
     this.gameState.set('pilots', currentPilots);
+    this.hiringPool = this.hiringPool.filter((p) => p.id !== pilotId);
     
     // Update company expenses
     const currentSalaries = this.gameState.get('company.expenses.salaries') || 0;
@@ -863,6 +935,11 @@ export class PilotSystem {
     if (pilotIndex !== -1) {
       const pilot = pilots[pilotIndex];
       
+      if (pilot.deployment) {
+        alert(`Cannot release ${pilot.name} while deployed on a contract.`);
+        return;
+      }
+
       // Remove pilot from roster
       this.gameState.removeFromArray('pilots', p => p.id === pilotId);
       
@@ -903,6 +980,277 @@ export class PilotSystem {
     }
   }
 
+  /**
+   * Add XP to a pilot's unspent total
+   */
+  awardXP(pilotId, amount, source) {
+    const pilot = this.getPilotById(pilotId);
+    if (!pilot || pilot.status === 'KIA' || amount <= 0) {
+      return false;
+    }
+
+    const earned = PilotMorale.hasPerk(pilot, 'devoted') ? Math.round(amount * PilotMorale.DEVOTED_XP_MULTIPLIER) : amount;
+    const xp = (pilot.xp || 0) + earned;
+    this.updatePilot({ pilotId, updates: { xp } });
+
+    this.eventBus.emit('pilot:xpGained', {
+      pilotId, amount: earned, source, xp,
+    });
+    return true;
+  }
+
+  /**
+   * Spend XP to improve a pilot's gunnery or piloting by one
+   */
+  advanceSkill(pilotId, skill) {
+    const pilot = this.getPilotById(pilotId);
+    if (!pilot) {
+      this.logger.warn(`Pilot not found: ${pilotId}`);
+      return false;
+    }
+
+    const { error, cost, updates } = PilotAdvancement.advance(pilot, skill);
+    if (error) {
+      alert(error);
+      return false;
+    }
+
+    this.updatePilot({ pilotId, updates });
+
+    this.eventBus.emit('pilot:skillAdvanced', {
+      pilotId, skill, value: updates[skill], cost, experience: updates.experience,
+    });
+    this.logger.info(`${pilot.name} trained ${skill} to ${updates[skill]} for ${cost} XP`);
+    return true;
+  }
+
+  /**
+   * Every pilot who fought earns XP, more for a win and for each kill
+   */
+  onCombatEnded(data) {
+    const { playerUnits = [], victory } = data;
+
+    playerUnits.filter((unit) => unit.pilotId).forEach((unit) => {
+      this.awardXP(unit.pilotId, PilotAdvancement.getEngagementXP(unit.kills || 0, !!victory), 'engagement');
+      if (victory) {
+        this.adjustMorale(unit.pilotId, 'victory');
+      }
+    });
+  }
+
+  /**
+   * Contracts with a pilot XP reward pay it to each pilot deployed on them
+   */
+  onContractCompleted(data) {
+    const { contract, success, bonuses } = data;
+    const pilotXP = contract.rewards && contract.rewards.pilotXP;
+    if (!success || !contract.deployedForce) {
+      return;
+    }
+
+    contract.deployedForce.pilots.forEach((pilotId) => {
+      if (pilotXP) {
+        this.awardXP(pilotId, pilotXP, 'contract');
+      }
+      if (bonuses > 0) {
+        this.adjustMorale(pilotId, 'bonus');
+      }
+    });
+  }
+
+  /**
+   * Move a pilot's morale for a reason in PilotMorale.CHANGES
+   */
+  adjustMorale(pilotId, reason, weeks = 1) {
+    const pilot = this.getPilotById(pilotId);
+    if (!pilot || pilot.status === 'KIA') {
+      return null;
+    }
+
+    const morale = PilotMorale.adjust(pilot, reason, weeks);
+    if (morale !== PilotMorale.getMorale(pilot)) {
+      this.updatePilot({ pilotId, updates: { morale } });
+      this.eventBus.emit('pilot:moraleChanged', {
+        pilotId, reason, morale, level: PilotMorale.getLevel({ morale }).name,
+      });
+    }
+
+    return morale;
+  }
+
+  /**
+   * Missed payroll hits every pilot on the roster
+   */
+  onFinancialCrisis() {
+    (this.gameState.get('pilots') || []).forEach((pilot) => this.adjustMorale(pilot.id, 'missedPayroll'));
+  }
+
+  /**
+   * Losing a comrade weighs on everyone who survived them
+   */
+  onPilotKilled(data) {
+    (this.gameState.get('pilots') || [])
+      .filter((pilot) => pilot.id !== data.pilot.id)
+      .forEach((pilot) => this.adjustMorale(pilot.id, 'comradeKilled'));
+  }
+
+  /**
+   * Book the next weekly morale review unless one is already on the calendar
+   */
+  scheduleMoraleReview() {
+    if (this.clock.getScheduled('pilot:moraleReview').length === 0) {
+      this.clock.scheduleIn('pilot:moraleReview', PilotMorale.REVIEW_DAYS);
+    }
+  }
+
+  /**
+   * Weekly review: rest and idleness move morale, mutinous pilots may walk out
+   * Pilots away on a contract or in the medical bay are left alone
+   */
+  reviewMorale() {
+    const today = this.clock.today();
+
+    [...(this.gameState.get('pilots') || [])].forEach((pilot) => {
+      if (pilot.deployment || pilot.lastDeployedDay === undefined) {
+        this.updatePilot({ pilotId: pilot.id, updates: { lastDeployedDay: today } });
+        return;
+      }
+
+      if (pilot.status !== 'Active') {
+        return;
+      }
+
+      const reason = PilotMorale.getIdleReason(today - pilot.lastDeployedDay);
+      const morale = reason ? this.adjustMorale(pilot.id, reason) : PilotMorale.getMorale(pilot);
+      const departure = PilotMorale.rollDeparture({ ...pilot, morale }, this.moraleRandom.next);
+
+      if (departure) {
+        this.departPilot(pilot.id, departure);
+      }
+    });
+
+    this.scheduleMoraleReview();
+  }
+
+  /**
+   * A pilot quits the company, deserters take their assigned mech with them
+   */
+  departPilot(pilotId, departure) {
+    const pilot = this.gameState.removeFromArray('pilots', (p) => p.id === pilotId);
+    if (!pilot) return null;
+
+    const currentSalaries = this.gameState.get('company.expenses.salaries') || 0;
+    this.gameState.set('company.expenses.salaries', Math.max(0, currentSalaries - (pilot.salary || 0)));
+
+    const mech = departure === 'desert'
+      ? this.gameState.removeFromArray('mechs', (m) => m.id === pilot.mechAssignment && !m.deployment)
+      : null;
+
+    if (this.selectedPilot && this.selectedPilot.id === pilotId) {
+      this.selectedPilot = null;
+      this.gameState.set('selectedPilot', null);
+    }
+
+    if (mech) {
+      this.eventBus.emit('pilot:deserted', { pilot, mech });
+      alert(`${pilot.name} has deserted the company, taking the ${mech.name} with them.`);
+    } else {
+      this.eventBus.emit('pilot:resigned', { pilot });
+      alert(`${pilot.name} has resigned, fed up with life in the company.`);
+    }
+
+    this.logger.info(`Pilot ${mech ? 'deserted' : 'resigned'}: ${pilot.name}`);
+    return { pilot, mech };
+  }
+
+  getMedicalStaff() {
+    return this.gameState.get('company.medicalStaff') || PilotInjury.DEFAULT_MEDICAL_STAFF;
+  }
+
+  /**
+   * Hire better medical staff so wounded pilots heal faster
+   * Pilots already in the medical bay move to the new healing schedule
+   */
+  upgradeMedicalStaff() {
+    const upgrade = PilotInjury.getUpgrade(this.getMedicalStaff());
+    if (!upgrade) {
+      alert('Your medical staff is already the best money can buy.');
+      return false;
+    }
+
+    const funds = this.gameState.get('company.funds') || 0;
+    if (funds < upgrade.upgradeCost) {
+      alert(`Insufficient funds to hire a ${upgrade.name}.\nCost: ${upgrade.upgradeCost.toLocaleString()} C-Bills`);
+      return false;
+    }
+
+    this.gameState.set('company.funds', funds - upgrade.upgradeCost);
+    this.gameState.set('company.medicalStaff', upgrade.rating);
+
+    (this.gameState.get('pilots') || []).filter(PilotInjury.isInjured).forEach((pilot) => this.scheduleRecovery(pilot.id));
+
+    this.eventBus.emit('pilot:medicalStaffUpgraded', { rating: upgrade.rating, cost: upgrade.upgradeCost });
+    this.logger.info(`Medical staff upgraded to ${upgrade.name}`);
+    return true;
+  }
+
+  /**
+   * Book the next healed hit for a wounded pilot, replacing any earlier booking
+   */
+  scheduleRecovery(pilotId) {
+    const pilot = this.getPilotById(pilotId);
+    this.clock.cancel((entry) => entry.event === 'pilot:recoveryDue' && entry.data.pilotId === pilotId);
+    if (!pilot || !PilotInjury.isInjured(pilot)) {
+      return null;
+    }
+
+    const rating = this.getMedicalStaff();
+    const recoveryDay = this.clock.today() + PilotInjury.getRecoveryDays(pilot.injuries, rating);
+    this.updatePilot({ pilotId, updates: { recoveryDay } });
+
+    return this.clock.scheduleIn('pilot:recoveryDue', PilotInjury.getRecoveryDays(1, rating), { pilotId });
+  }
+
+  /**
+   * Send a wounded pilot to the medical bay, lasting injuries change their tier
+   */
+  onPilotInjured(data) {
+    const { pilotId, died, permanentInjury } = data;
+    const pilot = this.getPilotById(pilotId);
+    if (!pilot) return;
+
+    if (died) {
+      this.clock.cancel((entry) => entry.event === 'pilot:recoveryDue' && entry.data.pilotId === pilotId);
+      this.eventBus.emit('pilot:killed', { pilot });
+      return;
+    }
+
+    if (permanentInjury) {
+      this.updatePilot({ pilotId, updates: { experience: PilotAdvancement.getTier(pilot) } });
+    }
+
+    this.scheduleRecovery(pilotId);
+  }
+
+  /**
+   * Heal one hit, returning the pilot to duty once the last one mends
+   */
+  onRecoveryDue(data) {
+    const pilot = this.getPilotById(data.pilotId);
+    if (!pilot || !PilotInjury.isInjured(pilot)) return;
+
+    const injuries = pilot.injuries - 1;
+    if (injuries > 0) {
+      this.updatePilot({ pilotId: pilot.id, updates: { injuries } });
+      this.clock.scheduleIn('pilot:recoveryDue', PilotInjury.getRecoveryDays(1, this.getMedicalStaff()), { pilotId: pilot.id });
+      return;
+    }
+
+    this.updatePilot({ pilotId: pilot.id, updates: { injuries: 0, status: 'Active', recoveryDay: null } });
+    this.eventBus.emit('pilot:recovered', { pilotId: pilot.id });
+    this.logger.info(`${pilot.name} has recovered and is fit for duty`);
+  }
+
   /**
    * Handle game state changes
    */
@@ -942,7 +1290,7 @@ export class PilotSystem {
    * Generate unique pilot ID
    */
   generatePilotId() {
-    return `pilot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return this.ids.id('pilot');
   }
 
   /**
@@ -965,12 +1313,19 @@ export class PilotSystem {
    * Assign pilot to mech
    */
   assignPilotToMech(pilotId, mechId) {
+    const pilot = this.getPilotById(pilotId);
+    if (pilot && pilot.deployment) {
+      this.logger.warn(`Cannot reassign ${pilot.name} while deployed on a contract`);
+      return false;
+    }
+
     this.updatePilot({
       pilotId,
       updates: { mechAssignment: mechId }
     });
     
     this.eventBus.emit('pilot:assigned', { pilotId, mechId });
+    return true;
   }
 
   /**
@@ -999,9 +1354,7 @@ export class PilotSystem {
   update(deltaTime) {
     // Currently no time-based pilot updates needed
     // Future features might include:
-    // - Experience gain over time
-    // - Morale changes
-    // - Skill degradation/improvement
+    // - Skill degradation
   }
 
   /**
@@ -1034,6 +1387,22 @@ export class PilotSystem {
       this.selectedPilot = this.getPilotById(selectedPilotId);
     }
     
+    // Tiers follow from skills, older saves stored them as fixed labels
+    (this.gameState.get('pilots') || []).forEach((pilot) => {
+      const experience = PilotAdvancement.getTier(pilot);
+      if (pilot.experience !== experience) {
+        this.gameState.updateArrayItem('pilots', (p) => p.id === pilot.id, { experience });
+      }
+    });
+
+    this.scheduleMoraleReview();
+
+    // Older saves left wounded pilots with no recovery booked
+    const recovering = this.clock.getScheduled('pilot:recoveryDue').map((entry) => entry.data.pilotId);
+    (this.gameState.get('pilots') || [])
+      .filter((pilot) => PilotInjury.isInjured(pilot) && !recovering.includes(pilot.id))
+      .forEach((pilot) => this.scheduleRecovery(pilot.id));
+
     this.updatePilotRoster();
     this.logger.debug('PilotSystem state loaded');
   }
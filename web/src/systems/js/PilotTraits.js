@@ -0,0 +1,125 @@
+/**
+ * Pilot Traits - Registry of what pilot traits and specialties do on the battlefield
+ * Traits always apply, specialties only when their mech class, terrain or condition matches
+ * Traits missing from the registry remain flavor
+ */
+export class PilotTraits {
+  // Effects: toHit and piloting modify target numbers (negative is better), initiative is added to the
+  // pilot's own roll, lanceInitiative to every ally's, rerolls are missed shots that may be rolled again
+  static TRAITS = {
+    Marksman: { toHit: -1 },
+    'Weapon Specialist': { toHit: -1 },
+    'Fast Reflexes': { initiative: 2 },
+    'Quick Draw': { initiative: 1 },
+    Aggressive: { initiative: 1 },
+    'Hot Headed': { initiative: 1, toHit: 1 },
+    Cautious: { initiative: -1, piloting: -1 },
+    Nervous: { initiative: -1 },
+    Nimble: { piloting: -1 },
+    'Steady Nerves': { piloting: -1 },
+    'Steady Under Fire': { piloting: -1 },
+    Lucky: { rerolls: 1 },
+    'Natural Leader': { lanceInitiative: 1 },
+    Inspiring: { lanceInitiative: 1 },
+  };
+
+  static SPECIALTIES = {
+    'Light Mechs': { when: { mechClass: 'Light' }, effects: { initiative: 1, piloting: -1 } },
+    'Medium Mechs': { when: { mechClass: 'Medium' }, effects: { toHit: -1 } },
+    'Heavy Mechs': { when: { mechClass: 'Heavy' }, effects: { toHit: -1 } },
+    'Assault Mechs': { when: { mechClass: 'Assault' }, effects: { toHit: -1 } },
+    'Urban Combat': { when: { terrain: 'Urban' }, effects: { toHit: -1 } },
+    'Night Combat': { when: { condition: 'Night operations required' }, effects: { toHit: -1 } },
+    Evasion: { effects: { piloting: -1 } },
+    Marksmanship: { effects: { toHit: -1 } },
+    Leadership: { effects: { lanceInitiative: 1 } },
+  };
+
+  static EFFECT_NAMES = {
+    toHit: 'to-hit',
+    piloting: 'piloting rolls',
+    initiative: 'initiative',
+    lanceInitiative: 'lance initiative',
+    rerolls: 'reroll of a missed shot per battle',
+  };
+
+  static emptyEffects() {
+    return {
+      toHit: 0, piloting: 0, initiative: 0, lanceInitiative: 0, rerolls: 0,
+    };
+  }
+
+  /**
+   * Whether a specialty's condition holds for the mech and battlefield
+   */
+  static matches(when = {}, { mechClass = null, terrain = [], specialConditions = [] } = {}) {
+    return (!when.mechClass || when.mechClass === mechClass)
+      && (!when.terrain || [].concat(terrain).some((description) => description.includes(when.terrain)))
+      && (!when.condition || specialConditions.includes(when.condition));
+  }
+
+  /**
+   * Combined effects of a pilot's traits and matching specialties
+   */
+  static getEffects(pilot, context = {}) {
+    const effects = PilotTraits.emptyEffects();
+    if (!pilot) return effects;
+
+    const sources = [
+      ...(pilot.traits || []).map((trait) => PilotTraits.TRAITS[trait]),
+      ...(pilot.specialties || [])
+        .map((specialty) => PilotTraits.SPECIALTIES[specialty])
+        .filter((specialty) => specialty && PilotTraits.matches(specialty.when, context))
+        .map((specialty) => specialty.effects),
+    ];
+
+    sources.filter(Boolean).forEach((source) => {
+      Object.entries(source).forEach(([key, value]) => {
+        effects[key] += value;
+      });
+    });
+
+    return effects;
+  }
+
+  /**
+   * Initiative bonus for a unit, the best leader among its active allies lifts the whole lance
+   */
+  static getInitiativeBonus(unit, allies = []) {
+    const own = unit.traitEffects ? unit.traitEffects.initiative : 0;
+    const lanceInitiative = (ally) => (ally.traitEffects ? ally.traitEffects.lanceInitiative : 0);
+    const leadership = Math.max(0, ...allies.map(lanceInitiative));
+    return own + leadership;
+  }
+
+  static formatEffects(effects) {
+    return Object.entries(effects)
+      .map(([key, value]) => (key === 'rerolls' ? `${value} ${PilotTraits.EFFECT_NAMES[key]}` : `${value > 0 ? '+' : ''}${value} ${PilotTraits.EFFECT_NAMES[key]}`))
+      .join(', ');
+  }
+
+  static formatCondition(when = {}) {
+    if (when.mechClass) return `in ${when.mechClass} mechs`;
+    if (when.terrain) return `in ${when.terrain} terrain`;
+    if (when.condition) return `when ${when.condition.toLowerCase()}`;
+    return '';
+  }
+
+  /**
+   * What each of a pilot's traits and specialties does, for the pilot details panel
+   */
+  static describe(pilot) {
+    const traits = (pilot.traits || [])
+      .filter((trait) => PilotTraits.TRAITS[trait])
+      .map((trait) => ({ name: trait, description: PilotTraits.formatEffects(PilotTraits.TRAITS[trait]) }));
+
+    const specialties = (pilot.specialties || [])
+      .filter((specialty) => PilotTraits.SPECIALTIES[specialty])
+      .map((specialty) => {
+        const { when, effects } = PilotTraits.SPECIALTIES[specialty];
+        return { name: specialty, description: `${PilotTraits.formatEffects(effects)} ${PilotTraits.formatCondition(when)}`.trim() };
+      });
+
+    return [...traits, ...specialties];
+  }
+}
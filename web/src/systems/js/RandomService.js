@@ -0,0 +1,112 @@
+/**
+ * Random Service - Seeded random number streams for procedural generation and combat
+ * The campaign seed and stream positions live in GameState so a save replays the same rolls
+ */
+import { Logger } from '../../utils/Logger';
+import { RandomStream } from './RandomStream';
+
+export class RandomService {
+  constructor(eventBus = null, gameState = null, { seed = null } = {}) {
+    this.logger = new Logger('RandomService');
+    this.eventBus = eventBus;
+    this.gameState = gameState;
+    this.isInitialized = false;
+
+    this.streams = new Map();
+    this.pendingStates = {};
+    this.seed = seed === null ? RandomService.generateSeed() : RandomStream.toUint32(seed);
+    this.fixedSeed = seed !== null;
+  }
+
+  /**
+   * Adopt the campaign seed from game state, or store a new one
+   */
+  async initialize() {
+    if (this.eventBus) {
+      this.eventBus.on('gameState:loaded', this.restoreState.bind(this));
+      this.eventBus.on('gameState:reset', this.onStateReset.bind(this));
+    }
+
+    this.restoreState();
+
+    this.isInitialized = true;
+    this.logger.info(`RandomService initialized with seed ${this.seed}`);
+  }
+
+  /**
+   * Fresh seed for a new campaign, the only place the platform RNG is used
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Starting state of a named stream for the current seed
+   */
+  getInitialState(name) {
+    return RandomStream.hash(`${this.seed}:${name}`);
+  }
+
+  /**
+   * Get a named stream, creating it on first use
+   * Subsystems keep the returned stream, reseeding updates it in place
+   */
+  stream(name) {
+    if (!this.streams.has(name)) {
+      const state = name in this.pendingStates ? this.pendingStates[name] : this.getInitialState(name);
+      this.streams.set(name, new RandomStream(name, state));
+    }
+
+    return this.streams.get(name);
+  }
+
+  /**
+   * Reseed every stream, saved positions override the initial state
+   */
+  setSeed(seed, streamStates = {}) {
+    this.seed = RandomStream.toUint32(seed);
+
+    this.streams.forEach((stream, name) => {
+      stream.state = name in streamStates ? RandomStream.toUint32(streamStates[name]) : this.getInitialState(name);
+    });
+
+    this.pendingStates = { ...streamStates };
+    this.saveState();
+  }
+
+  /**
+   * Write the seed and stream positions into game state ahead of a save
+   */
+  saveState() {
+    if (!this.gameState) {
+      return;
+    }
+
+    const streams = { ...this.pendingStates };
+    this.streams.forEach((stream, name) => {
+      streams[name] = stream.state;
+    });
+
+    this.gameState.set('random', { seed: this.seed, streams }, { silent: true });
+  }
+
+  /**
+   * Pick up the seed and stream positions from loaded game state
+   */
+  restoreState() {
+    const saved = this.gameState ? this.gameState.get('random') : null;
+
+    if (saved && saved.seed !== null && saved.seed !== undefined && !this.fixedSeed) {
+      this.setSeed(saved.seed, saved.streams || {});
+    } else {
+      this.setSeed(this.seed);
+    }
+  }
+
+  /**
+   * New campaigns roll a new seed
+   */
+  onStateReset() {
+    this.setSeed(this.fixedSeed ? this.seed : RandomService.generateSeed());
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Random Stream - A single named stream of deterministic random numbers (mulberry32)
+ * next is bound so it can be passed wherever a Math.random style function is expected
+ */
+
+export class RandomStream {
+  static UINT32_RANGE = 4294967296;
+
+  static INCREMENT = 0x6D2B79F5;
+
+  constructor(name, state) {
+    this.name = name;
+    this.state = RandomStream.toUint32(state);
+    this.next = this.next.bind(this);
+  }
+
+  /**
+   * Wrap any integer into the unsigned 32-bit range streams and seeds live in
+   */
+  static toUint32(value) {
+    return ((value % RandomStream.UINT32_RANGE) + RandomStream.UINT32_RANGE) % RandomStream.UINT32_RANGE;
+  }
+
+  /* eslint-disable no-bitwise -- mulberry32 and FNV-1a are defined on 32-bit integers */
+
+  /**
+   * mulberry32 output for a generator state
+   */
+  static mix(state) {
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  }
+
+  /**
+   * FNV-1a hash of a string, used to derive independent stream seeds
+   */
+  static hash(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /* eslint-enable no-bitwise */
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = RandomStream.toUint32(this.state + RandomStream.INCREMENT);
+    return RandomStream.mix(this.state) / RandomStream.UINT32_RANGE;
+  }
+
+  /**
+   * Integer between min and max inclusive
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Random element of an array
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * True with the given probability
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Identifier with a prefix and nine base-36 characters ('mech_k3j9x0a2b')
+   */
+  id(prefix) {
+    const suffix = Array.from({ length: 9 }, () => this.int(0, 35).toString(36)).join('');
+    return `${prefix}_${suffix}`;
+  }
+
+  /**
+   * Sum of a number of six-sided dice
+   */
+  roll(count) {
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      total += this.int(1, 6);
+    }
+    return total;
+  }
+}
@@ -0,0 +1,376 @@
+/**
+ * Salvage System - Post-battle salvage phase
+ * Builds the salvage pool from destroyed enemy mechs and splits it with the employer by contract salvage rights
+ */
+import { Logger } from '../../utils/Logger';
+import { GameClock } from './GameClock';
+import { MechCatalog } from './MechCatalog';
+import { MechDamage } from './MechDamage';
+import { RandomService } from './RandomService';
+import { WeaponsCatalog } from './WeaponsCatalog';
+
+export class SalvageSystem {
+  static ARMOR_POINTS_PER_TON = 16;
+
+  static ARMOR_TON_VALUE = 10000;
+
+  constructor(
+    eventBus,
+    gameState,
+    randomService = new RandomService(),
+    gameClock = new GameClock(eventBus, gameState),
+  ) {
+    this.logger = new Logger('SalvageSystem');
+    this.eventBus = eventBus;
+    this.gameState = gameState;
+    this.isInitialized = false;
+
+    // Seeded streams for salvage and salvaged mech ids
+    this.random = randomService.stream('salvage');
+    this.ids = randomService.stream('ids');
+    this.clock = gameClock;
+    this.pendingSalvage = null;
+  }
+
+  /**
+   * Initialize the salvage system
+   */
+  async initialize() {
+    try {
+      this.logger.info('Initializing SalvageSystem...');
+
+      this.setupEventListeners();
+      this.setupUIHandlers();
+
+      this.isInitialized = true;
+      this.logger.info('SalvageSystem initialized successfully');
+    } catch (error) {
+      this.logger.error('Failed to initialize SalvageSystem:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on('contract:completed', this.onContractCompleted.bind(this));
+    this.eventBus.on('contract:missionCompleted', this.onContractCompleted.bind(this));
+
+    this.logger.debug('SalvageSystem event listeners setup complete');
+  }
+
+  /**
+   * Setup UI event handlers for direct DOM interaction compatibility
+   */
+  setupUIHandlers() {
+    window.toggleSalvageItem = (itemId) => {
+      this.toggleItem(itemId);
+      this.displaySalvageScreen();
+    };
+
+    window.confirmSalvage = () => {
+      this.confirmSalvage();
+    };
+  }
+
+  /**
+   * Open the salvage phase for successful contracts, or campaign missions, that grant salvage rights
+   */
+  onContractCompleted(data) {
+    const { contract, success, combatResult } = data;
+
+    if (!success || !combatResult || !contract.rewards || !(contract.rewards.salvage > 0)) {
+      return;
+    }
+
+    this.startSalvage(contract, combatResult);
+  }
+
+  /**
+   * Build the salvage pool and show the salvage screen
+   */
+  startSalvage(contract, combatResult) {
+    const items = SalvageSystem.buildSalvagePool(combatResult.enemyUnits || []);
+
+    if (items.length === 0) {
+      this.logger.info(`No salvage recovered for ${contract.name}`);
+      return null;
+    }
+
+    const totalValue = items.reduce((total, item) => total + item.value, 0);
+
+    this.pendingSalvage = {
+      contractId: contract.id,
+      contractName: contract.name,
+      employer: contract.employer,
+      share: contract.rewards.salvage,
+      allowance: Math.floor(totalValue * contract.rewards.salvage),
+      totalValue,
+      items,
+      selected: [],
+    };
+
+    this.displaySalvageScreen();
+    this.eventBus.emit('salvage:started', {
+      contractId: contract.id,
+      items,
+      allowance: this.pendingSalvage.allowance,
+    });
+
+    return this.pendingSalvage;
+  }
+
+  /**
+   * List recoverable wrecks, weapons and armor from destroyed enemy mechs
+   * A wreck is only recoverable whole if its center torso survived, taking it includes its parts
+   */
+  static buildSalvagePool(enemyUnits) {
+    const items = [];
+
+    enemyUnits.filter((unit) => unit.destroyed && unit.chassisId).forEach((unit) => {
+      const entry = MechCatalog.get(unit.chassisId);
+      if (!entry) {
+        return;
+      }
+
+      const condition = MechDamage.getCondition(unit.locations);
+
+      if (!MechDamage.isLocationDestroyed(unit.locations, 'centerTorso')) {
+        items.push({
+          id: `${unit.id}_mech`,
+          type: 'mech',
+          sourceId: unit.id,
+          chassisId: unit.chassisId,
+          name: `${entry.chassis} ${entry.variant}`,
+          tonnage: entry.tonnage,
+          condition,
+          locations: MechDamage.cloneLocations(unit.locations),
+          value: Math.round(entry.purchaseCost * 0.6 * condition.structure / 100),
+        });
+      }
+
+      MechDamage.getOperationalWeapons(unit.locations, entry.loadout)
+        .filter((item) => WeaponsCatalog.has(item))
+        .forEach((weapon, index) => {
+          items.push({
+            id: `${unit.id}_weapon_${index}`,
+            type: 'weapon',
+            sourceId: unit.id,
+            name: weapon,
+            tonnage: WeaponsCatalog.get(weapon).tonnage,
+            value: WeaponsCatalog.getCost(weapon),
+          });
+        });
+
+      const armorPoints = Object.values(unit.locations)
+        .reduce((total, data) => total + Math.max(0, data.armor) + Math.max(0, data.rearArmor || 0), 0);
+      const armorTons = Math.floor(armorPoints / SalvageSystem.ARMOR_POINTS_PER_TON);
+
+      if (armorTons > 0) {
+        items.push({
+          id: `${unit.id}_armor`,
+          type: 'armor',
+          sourceId: unit.id,
+          name: `Armor plating (${entry.chassis})`,
+          tonnage: armorTons,
+          value: armorTons * SalvageSystem.ARMOR_TON_VALUE,
+        });
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * Value of the items picked so far
+   */
+  getSelectedValue() {
+    if (!this.pendingSalvage) {
+      return 0;
+    }
+
+    return this.pendingSalvage.items
+      .filter((item) => this.pendingSalvage.selected.includes(item.id))
+      .reduce((total, item) => total + item.value, 0);
+  }
+
+  /**
+   * Pick or drop a salvage item, returns false when it breaks the salvage rules
+   */
+  toggleItem(itemId) {
+    const salvage = this.pendingSalvage;
+    const item = salvage ? salvage.items.find((i) => i.id === itemId) : null;
+
+    if (!item) {
+      return false;
+    }
+
+    if (salvage.selected.includes(itemId)) {
+      salvage.selected = salvage.selected.filter((id) => id !== itemId);
+      return true;
+    }
+
+    // A whole wreck and its separate parts cannot both be claimed
+    const claimedFromWreck = salvage.items
+      .filter((i) => i.sourceId === item.sourceId && salvage.selected.includes(i.id));
+    if (claimedFromWreck.some((i) => i.type === 'mech' || item.type === 'mech')) {
+      this.logger.warn(`${item.name} conflicts with salvage already claimed from the same wreck`);
+      return false;
+    }
+
+    if (this.getSelectedValue() + item.value > salvage.allowance) {
+      this.logger.warn(`${item.name} exceeds the salvage allowance`);
+      return false;
+    }
+
+    salvage.selected.push(itemId);
+    return true;
+  }
+
+  /**
+   * Move picked items into the mech bay and parts inventory, the employer keeps the rest
+   */
+  confirmSalvage() {
+    const salvage = this.pendingSalvage;
+    if (!salvage) {
+      return null;
+    }
+
+    const claimed = salvage.items.filter((item) => salvage.selected.includes(item.id));
+    const employerItems = salvage.items.filter((item) => !salvage.selected.includes(item.id));
+    const parts = this.gameState.get('company.parts') || { weapons: {}, armor: 0 };
+    const weapons = { ...parts.weapons };
+    let armor = parts.armor || 0;
+    const mechs = [];
+
+    claimed.forEach((item) => {
+      if (item.type === 'mech') {
+        mechs.push(this.createSalvagedMech(item));
+      } else if (item.type === 'weapon') {
+        weapons[item.name] = (weapons[item.name] || 0) + 1;
+      } else if (item.type === 'armor') {
+        armor += item.tonnage;
+      }
+    });
+
+    this.gameState.set('company.parts', { ...parts, weapons, armor });
+    mechs.forEach((mech) => this.gameState.addToArray('mechs', mech));
+
+    const value = claimed.reduce((total, item) => total + item.value, 0);
+    this.recordStatistics(claimed.length, value, mechs.length);
+
+    this.pendingSalvage = null;
+    SalvageSystem.closeSalvageScreen();
+
+    const result = {
+      contractId: salvage.contractId,
+      items: claimed,
+      employerItems,
+      value,
+      mechs: mechs.map((mech) => mech.id),
+    };
+
+    this.eventBus.emit('salvage:completed', result);
+    this.logger.info(`Salvage claimed for ${salvage.contractName}: ${claimed.length} items worth ${value.toLocaleString()} C-Bills`);
+
+    return result;
+  }
+
+  /**
+   * Roster record for a recovered wreck, it arrives without ammo and needs repairs
+   */
+  createSalvagedMech(item) {
+    const mech = MechCatalog.createMech(item.chassisId);
+
+    return {
+      ...mech,
+      id: this.ids.id('mech'),
+      status: 'Repair Needed',
+      pilot: null,
+      lastMaintenance: this.clock.today(),
+      locations: MechDamage.cloneLocations(item.locations),
+      armor: item.condition.armor,
+      structure: item.condition.structure,
+      ammo: Object.fromEntries(Object.keys(mech.ammo).map((weapon) => [weapon, 0])),
+      salvaged: true,
+    };
+  }
+
+  /**
+   * Record claimed salvage in the company statistics
+   */
+  recordStatistics(items, value, mechs) {
+    const stats = this.gameState.get('company.statistics') || {};
+
+    this.gameState.set('company.statistics', {
+      ...stats,
+      salvageItems: (stats.salvageItems || 0) + items,
+      salvageValue: (stats.salvageValue || 0) + value,
+      mechsSalvaged: (stats.mechsSalvaged || 0) + mechs,
+    });
+  }
+
+  /**
+   * Display the salvage screen
+   */
+  displaySalvageScreen() {
+    const salvage = this.pendingSalvage;
+    if (!salvage) {
+      return;
+    }
+
+    SalvageSystem.closeSalvageScreen();
+
+    const selectedValue = this.getSelectedValue();
+    const salvageHTML = `
+      <div id="salvage-overlay" class="modal-overlay" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.8); z-index: 1000; display: flex; justify-content: center; align-items: center;">
+        <div class="salvage-interface" style="background: #2a2a2a; border: 2px solid #555; border-radius: 8px; max-width: 90%; max-height: 90%; overflow-y: auto; padding: 20px; color: white;">
+          <div class="salvage-header">
+            <h2 style="color: #fff; margin-bottom: 10px;">Salvage - ${salvage.contractName}</h2>
+            <p style="color: #ccc;">Salvage Rights: ${Math.round(salvage.share * 100)}% — ${salvage.employer} claims everything left unpicked</p>
+            <p style="color: #ccc; margin-bottom: 20px;">Claimed: ${selectedValue.toLocaleString()} / ${salvage.allowance.toLocaleString()} C-Bills</p>
+          </div>
+          <div class="salvage-list">
+            ${salvage.items.map((item) => SalvageSystem.generateSalvageCard(item, salvage.selected.includes(item.id))).join('')}
+          </div>
+          <button onclick="confirmSalvage()" style="background: #4a7c59; color: white; border: none; padding: 8px 16px; cursor: pointer;">Confirm Salvage</button>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', salvageHTML);
+  }
+
+  /**
+   * Generate HTML row for a salvage item
+   */
+  static generateSalvageCard(item, selected) {
+    const details = item.type === 'mech'
+      ? `${item.tonnage} tons — Armor ${item.condition.armor}% / Structure ${item.condition.structure}%`
+      : `${item.tonnage} tons`;
+
+    return `
+      <div class="salvage-item" style="display: flex; justify-content: space-between; align-items: center; border: 1px solid ${selected ? '#4a7c59' : '#555'}; margin-bottom: 8px; padding: 10px; background: #333; border-radius: 5px;">
+        <div>
+          <strong>${item.name}</strong> <span style="color: #999;">(${item.type})</span>
+          <div style="color: #ccc; font-size: 12px;">${details}</div>
+        </div>
+        <div>
+          <span style="margin-right: 10px;">${item.value.toLocaleString()} C-Bills</span>
+          <button onclick="toggleSalvageItem('${item.id}')" style="background: ${selected ? '#8b3a3a' : '#555'}; color: white; border: none; padding: 5px 10px; cursor: pointer;">${selected ? 'Drop' : 'Claim'}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Close the salvage screen
+   */
+  static closeSalvageScreen() {
+    const overlay = document.getElementById('salvage-overlay');
+    if (overlay) {
+      overlay.remove();
+    }
+  }
+}
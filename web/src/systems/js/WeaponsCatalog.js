@@ -0,0 +1,440 @@
+/**
+ * Weapons Catalog - Structured weapon data for combat, heat, ammo and the mech bay
+ * Also converts the legacy free-text weapon strings into catalog names
+ */
+export class WeaponsCatalog {
+  // Ranges are in hexes, cluster weapons deal damage per missile, cost is in C-Bills
+  static WEAPONS = {
+    'Small Laser': {
+      type: 'energy',
+      damage: 3,
+      minRange: 0,
+      shortRange: 1,
+      mediumRange: 2,
+      longRange: 3,
+      heat: 1,
+      tonnage: 0.5,
+      criticalSlots: 1,
+      cost: 11250,
+      ammoPerTon: null,
+      cluster: null,
+    },
+    'Medium Laser': {
+      type: 'energy',
+      damage: 5,
+      minRange: 0,
+      shortRange: 3,
+      mediumRange: 6,
+      longRange: 9,
+      heat: 3,
+      tonnage: 1,
+      criticalSlots: 1,
+      cost: 40000,
+      ammoPerTon: null,
+      cluster: null,
+    },
+    'Large Laser': {
+      type: 'energy',
+      damage: 8,
+      minRange: 0,
+      shortRange: 5,
+      mediumRange: 10,
+      longRange: 15,
+      heat: 8,
+      tonnage: 5,
+      criticalSlots: 2,
+      cost: 100000,
+      ammoPerTon: null,
+      cluster: null,
+    },
+    PPC: {
+      type: 'energy',
+      damage: 10,
+      minRange: 3,
+      shortRange: 6,
+      mediumRange: 12,
+      longRange: 18,
+      heat: 10,
+      tonnage: 7,
+      criticalSlots: 3,
+      cost: 200000,
+      ammoPerTon: null,
+      cluster: null,
+    },
+    Flamer: {
+      type: 'energy',
+      damage: 2,
+      minRange: 0,
+      shortRange: 1,
+      mediumRange: 2,
+      longRange: 3,
+      heat: 3,
+      tonnage: 1,
+      criticalSlots: 1,
+      cost: 7500,
+      ammoPerTon: null,
+      cluster: null,
+    },
+    'Machine Gun': {
+      type: 'ballistic',
+      damage: 2,
+      minRange: 0,
+      shortRange: 1,
+      mediumRange: 2,
+      longRange: 3,
+      heat: 0,
+      tonnage: 0.5,
+      criticalSlots: 1,
+      cost: 5000,
+      ammoPerTon: 200,
+      cluster: null,
+    },
+    'AC/2': {
+      type: 'ballistic',
+      damage: 2,
+      minRange: 4,
+      shortRange: 8,
+      mediumRange: 16,
+      longRange: 24,
+      heat: 1,
+      tonnage: 6,
+      criticalSlots: 1,
+      cost: 75000,
+      ammoPerTon: 45,
+      cluster: null,
+    },
+    'AC/5': {
+      type: 'ballistic',
+      damage: 5,
+      minRange: 3,
+      shortRange: 6,
+      mediumRange: 12,
+      longRange: 18,
+      heat: 1,
+      tonnage: 8,
+      criticalSlots: 4,
+      cost: 125000,
+      ammoPerTon: 20,
+      cluster: null,
+    },
+    'AC/10': {
+      type: 'ballistic',
+      damage: 10,
+      minRange: 0,
+      shortRange: 5,
+      mediumRange: 10,
+      longRange: 15,
+      heat: 3,
+      tonnage: 12,
+      criticalSlots: 7,
+      cost: 200000,
+      ammoPerTon: 10,
+      cluster: null,
+    },
+    'AC/20': {
+      type: 'ballistic',
+      damage: 20,
+      minRange: 0,
+      shortRange: 3,
+      mediumRange: 6,
+      longRange: 9,
+      heat: 7,
+      tonnage: 14,
+      criticalSlots: 10,
+      cost: 300000,
+      ammoPerTon: 5,
+      cluster: null,
+    },
+    'LRM-5': {
+      type: 'missile',
+      damage: 1,
+      minRange: 6,
+      shortRange: 7,
+      mediumRange: 14,
+      longRange: 21,
+      heat: 2,
+      tonnage: 2,
+      criticalSlots: 1,
+      cost: 30000,
+      ammoPerTon: 24,
+      cluster: { size: 5, groupSize: 5 },
+    },
+    'LRM-10': {
+      type: 'missile',
+      damage: 1,
+      minRange: 6,
+      shortRange: 7,
+      mediumRange: 14,
+      longRange: 21,
+      heat: 4,
+      tonnage: 5,
+      criticalSlots: 2,
+      cost: 100000,
+      ammoPerTon: 12,
+      cluster: { size: 10, groupSize: 5 },
+    },
+    'LRM-15': {
+      type: 'missile',
+      damage: 1,
+      minRange: 6,
+      shortRange: 7,
+      mediumRange: 14,
+      longRange: 21,
+      heat: 5,
+      tonnage: 7,
+      criticalSlots: 3,
+      cost: 175000,
+      ammoPerTon: 8,
+      cluster: { size: 15, groupSize: 5 },
+    },
+    'LRM-20': {
+      type: 'missile',
+      damage: 1,
+      minRange: 6,
+      shortRange: 7,
+      mediumRange: 14,
+      longRange: 21,
+      heat: 6,
+      tonnage: 10,
+      criticalSlots: 5,
+      cost: 250000,
+      ammoPerTon: 6,
+      cluster: { size: 20, groupSize: 5 },
+    },
+    'SRM-2': {
+      type: 'missile',
+      damage: 2,
+      minRange: 0,
+      shortRange: 3,
+      mediumRange: 6,
+      longRange: 9,
+      heat: 2,
+      tonnage: 1,
+      criticalSlots: 1,
+      cost: 10000,
+      ammoPerTon: 50,
+      cluster: { size: 2, groupSize: 1 },
+    },
+    'SRM-4': {
+      type: 'missile',
+      damage: 2,
+      minRange: 0,
+      shortRange: 3,
+      mediumRange: 6,
+      longRange: 9,
+      heat: 3,
+      tonnage: 2,
+      criticalSlots: 1,
+      cost: 60000,
+      ammoPerTon: 25,
+      cluster: { size: 4, groupSize: 1 },
+    },
+    'SRM-6': {
+      type: 'missile',
+      damage: 2,
+      minRange: 0,
+      shortRange: 3,
+      mediumRange: 6,
+      longRange: 9,
+      heat: 4,
+      tonnage: 3,
+      criticalSlots: 2,
+      cost: 80000,
+      ammoPerTon: 15,
+      cluster: { size: 6, groupSize: 1 },
+    },
+  };
+
+  // Missiles that hit by launcher size, indexed by 2d6 roll - 2
+  static CLUSTER_TABLE = {
+    2: [1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 2],
+    4: [1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4],
+    5: [1, 2, 2, 3, 3, 3, 3, 4, 4, 5, 5],
+    6: [2, 2, 3, 3, 4, 4, 4, 5, 5, 6, 6],
+    10: [3, 3, 4, 6, 6, 6, 6, 8, 8, 10, 10],
+    15: [5, 5, 6, 9, 9, 9, 9, 12, 12, 15, 15],
+    20: [6, 6, 9, 12, 12, 12, 12, 16, 16, 20, 20],
+  };
+
+  // Stand-in profile for weapons the catalog does not know yet
+  static UNKNOWN_WEAPON = {
+    type: 'energy',
+    damage: 3,
+    minRange: 0,
+    shortRange: 2,
+    mediumRange: 4,
+    longRange: 6,
+    heat: 2,
+    tonnage: 1,
+    criticalSlots: 1,
+    cost: 20000,
+    ammoPerTon: null,
+    cluster: null,
+  };
+
+  /**
+   * Reduce a weapon name to a lookup key ('LRM 20', 'lrm-20' and 'LRM20' all match)
+   */
+  static getKey(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '').replace(/s$/, '');
+  }
+
+  /**
+   * Resolve free-text weapon names to their catalog name
+   */
+  static normalizeName(name) {
+    const key = WeaponsCatalog.getKey(name);
+    const match = Object.keys(WeaponsCatalog.WEAPONS).find((weapon) => WeaponsCatalog.getKey(weapon) === key);
+    return match || String(name).trim();
+  }
+
+  /**
+   * Get a weapon's catalog entry, unknown weapons fall back to a generic profile
+   */
+  static get(name) {
+    const weaponName = WeaponsCatalog.normalizeName(name);
+    const data = WeaponsCatalog.WEAPONS[weaponName] || WeaponsCatalog.UNKNOWN_WEAPON;
+    return { name: weaponName, ...data };
+  }
+
+  /**
+   * Check whether a weapon is in the catalog
+   */
+  static has(name) {
+    return WeaponsCatalog.normalizeName(name) in WeaponsCatalog.WEAPONS;
+  }
+
+  /**
+   * Parse a weapon list into catalog names
+   * Accepts arrays or legacy strings like 'AC/20, LRM-20, Medium Laser x4' and '2x SRM-6'
+   */
+  static parseWeaponList(weapons) {
+    if (Array.isArray(weapons)) {
+      return weapons.map(WeaponsCatalog.normalizeName);
+    }
+
+    return String(weapons || '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .flatMap((entry) => {
+        const match = entry.match(/^(?:(\d+)\s*x\s+)?(.+?)(?:\s+x\s*(\d+))?$/i);
+        const count = parseInt(match[1] || match[3] || '1', 10);
+        return Array(count).fill(WeaponsCatalog.normalizeName(match[2]));
+      });
+  }
+
+  /**
+   * Format a weapon list for display, grouping duplicates ('Medium Laser x4')
+   */
+  static formatWeaponList(weapons) {
+    const counts = new Map();
+    WeaponsCatalog.parseWeaponList(weapons).forEach((weapon) => {
+      counts.set(weapon, (counts.get(weapon) || 0) + 1);
+    });
+
+    return [...counts].map(([weapon, count]) => (count > 1 ? `${weapon} x${count}` : weapon)).join(', ');
+  }
+
+  /**
+   * Convert a mech record's legacy weapons string into catalog names
+   */
+  static migrateMech(mech) {
+    if (Array.isArray(mech.weapons) || mech.weapons === undefined) {
+      return mech;
+    }
+
+    return { ...mech, weapons: WeaponsCatalog.parseWeaponList(mech.weapons) };
+  }
+
+  /**
+   * Ammunition helpers
+   */
+  static usesAmmo(name) {
+    return WeaponsCatalog.get(name).ammoPerTon !== null;
+  }
+
+  /**
+   * Build one ton of ammo per ammo-fed weapon
+   */
+  static getDefaultAmmo(weapons) {
+    const ammo = {};
+
+    WeaponsCatalog.parseWeaponList(weapons).filter(WeaponsCatalog.usesAmmo).forEach((weapon) => {
+      ammo[weapon] = (ammo[weapon] || 0) + WeaponsCatalog.get(weapon).ammoPerTon;
+    });
+
+    return ammo;
+  }
+
+  static getHeat(name) {
+    return WeaponsCatalog.get(name).heat;
+  }
+
+  static getCost(name) {
+    return WeaponsCatalog.get(name).cost;
+  }
+
+  /**
+   * Damage of a full volley, used for ammo explosions and threat estimates
+   */
+  static getMaxDamage(name) {
+    const weapon = WeaponsCatalog.get(name);
+    return weapon.cluster ? weapon.damage * weapon.cluster.size : weapon.damage;
+  }
+
+  /**
+   * Range helpers
+   */
+  static isInRange(name, distance) {
+    return distance <= WeaponsCatalog.get(name).longRange;
+  }
+
+  /**
+   * Get the to-hit modifier for firing at a distance, null when out of range
+   * Short +0, medium +2, long +4, plus one per hex inside minimum range
+   */
+  static getRangeModifier(name, distance) {
+    const weapon = WeaponsCatalog.get(name);
+
+    if (distance > weapon.longRange) {
+      return null;
+    }
+
+    let modifier = 0;
+    if (distance > weapon.mediumRange) {
+      modifier = 4;
+    } else if (distance > weapon.shortRange) {
+      modifier = 2;
+    }
+
+    if (weapon.minRange > 0 && distance <= weapon.minRange) {
+      modifier += weapon.minRange - distance + 1;
+    }
+
+    return modifier;
+  }
+
+  /**
+   * Split a hit into damage groups that each roll their own hit location
+   * Cluster weapons use the 2d6 cluster roll to see how many missiles land
+   */
+  static getDamageClusters(name, clusterRoll = 7) {
+    const weapon = WeaponsCatalog.get(name);
+
+    if (!weapon.cluster) {
+      return [weapon.damage];
+    }
+
+    const table = WeaponsCatalog.CLUSTER_TABLE[weapon.cluster.size];
+    const roll = Math.max(2, Math.min(12, clusterRoll));
+    const missiles = table ? table[roll - 2] : weapon.cluster.size;
+    const clusters = [];
+
+    for (let landed = 0; landed < missiles; landed += weapon.cluster.groupSize) {
+      clusters.push(Math.min(weapon.cluster.groupSize, missiles - landed) * weapon.damage);
+    }
+
+    return clusters;
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * AutoResolver Tests
+ * Battlefield conditions, simulated engagements and after-action results
+ */
+
+import { AutoResolver } from '@systems/js/AutoResolver';
+import { CombatAI } from '@systems/js/CombatAI';
+import { CombatUnit } from '@systems/js/CombatUnit';
+import { MechCatalog } from '@systems/js/MechCatalog';
+import { MechHeat } from '@systems/js/MechHeat';
+
+describe('AutoResolver', () => {
+  const createUnit = (chassisId, index, isPlayer, skill = 4) => new CombatUnit({
+    mech: { ...MechCatalog.createMech(chassisId), id: `${isPlayer ? 'mech' : 'enemy'}_${index}` },
+    pilot: { id: `pilot_${isPlayer ? '' : 'enemy_'}${index}`, name: `Pilot ${index}`, gunnery: skill, piloting: skill + 1 },
+    isPlayer
+  });
+
+  const contract = {
+    difficulty: 'Moderate',
+    terrain: ['Dense forest with limited visibility', 'Natural cover and concealment'],
+    specialConditions: ['Night operations required', 'Communications jamming expected'],
+    objectives: ['Destroy the enemy lance', 'Recover the data core', 'Avoid civilian casualties']
+  };
+
+  test('should combine terrain and special conditions', () => {
+    expect(AutoResolver.getBattlefieldConditions(contract)).toEqual({
+      range: 4,
+      toHit: 3,
+      playerToHit: 1,
+      airStrike: 0
+    });
+
+    expect(AutoResolver.getBattlefieldConditions({}).range).toBe(AutoResolver.DEFAULT_RANGE);
+  });
+
+  test('should let an overwhelming force win and recover salvage', () => {
+    const playerUnits = [0, 1, 2, 3].map(i => createUnit('AS7-D', i, true, 2));
+    const enemyUnits = [0, 1].map(i => createUnit('LCT-1V', i, false, 5));
+
+    const result = AutoResolver.resolve(contract, { playerUnits, enemyUnits });
+
+    expect(result.victory).toBe(true);
+    expect(result.autoResolved).toBe(true);
+    expect(result.unitsLost).toBe(0);
+    expect(result.salvage).toHaveLength(result.enemiesDestroyed);
+    result.salvage.forEach(entry => expect(entry.chassisId).toBe('LCT-1V'));
+    expect(result.objectives[0]).toEqual({ objective: 'Destroy the enemy lance', met: true });
+  });
+
+  test('should damage mech locations and spend ammunition', () => {
+    const playerUnits = [createUnit('CPLT-C1', 0, true)];
+    const enemyUnits = [0, 1, 2].map(i => createUnit('AS7-D', i, false, 2));
+
+    const result = AutoResolver.resolve(contract, { playerUnits, enemyUnits });
+
+    expect(result.victory).toBe(false);
+    expect(result.objectives.every(objective => !objective.met)).toBe(true);
+    expect(result.salvage).toEqual([]);
+    expect(result.damage[0].mechId).toBe('mech_0');
+    expect(result.damage[0].armorPoints + result.damage[0].structurePoints).toBeGreaterThan(0);
+    expect(result.ammoSpent.mech_0['LRM-15']).toBeGreaterThan(0);
+    expect(playerUnits[0].ammo['LRM-15']).toBe(MechCatalog.createMech('CPLT-C1').ammo['LRM-15'] - result.ammoSpent.mech_0['LRM-15']);
+  });
+
+  test('should bring in reinforcements partway through', () => {
+    const playerUnits = [0, 1].map(i => createUnit('MAD-3R', i, true));
+    const enemyUnits = [0, 1].map(i => createUnit('MAD-3R', i, false));
+    const reinforcements = [createUnit('LCT-1V', 9, false)];
+
+    const result = AutoResolver.resolve(contract, { playerUnits, enemyUnits, reinforcements });
+
+    expect(result.enemyUnits).toHaveLength(result.turns >= AutoResolver.REINFORCEMENT_ROUND ? 3 : 2);
+  });
+
+  test('should shut down overheated mechs for the next round', () => {
+    const playerUnits = [createUnit('CPLT-C1', 0, true)];
+    const enemyUnits = [createUnit('LCT-1V', 0, false)];
+    playerUnits[0].heat = MechHeat.HEAT_CAP;
+    playerUnits[0].ammo = {};
+    const selectWeapons = jest.spyOn(CombatAI.prototype, 'selectWeapons');
+
+    const result = AutoResolver.resolve(contract, { playerUnits, enemyUnits, random: () => 0 });
+
+    const rounds = unit => selectWeapons.mock.calls.filter(([shooter]) => shooter === unit).length;
+    expect(result.report).toContain(`Round 1: ${playerUnits[0].name} shuts down from excess heat`);
+    expect(rounds(playerUnits[0])).toBeLessThan(rounds(enemyUnits[0]));
+    selectWeapons.mockRestore();
+  });
+
+  test('should cook off ammunition in overheated mechs', () => {
+    const playerUnits = [createUnit('CPLT-C1', 0, true)];
+    const enemyUnits = [createUnit('LCT-1V', 0, false)];
+    playerUnits[0].heat = MechHeat.HEAT_CAP;
+
+    const result = AutoResolver.resolve(contract, { playerUnits, enemyUnits, random: () => 0 });
+
+    expect(result.report.some(line => line.includes('LRM-15 ammo explodes'))).toBe(true);
+    expect(playerUnits[0].pilotHits).toBeGreaterThanOrEqual(2);
+  });
+
+  test('should add the target movement modifier to every shot', () => {
+    const unit = createUnit('LCT-1V', 0, true);
+    const targetNumber = AutoResolver.getTargetNumber(unit, 'Medium Laser', 3);
+
+    expect(AutoResolver.TARGET_MOVEMENT_MODIFIER).toBe(1);
+    expect(targetNumber).toBe(5);
+
+    // A gunnery 4 pilot at short range hits on 5+, 30 of the 36 2d6 rolls
+    let hits = 0;
+    for (let first = 1; first <= 6; first++) {
+      for (let second = 1; second <= 6; second++) {
+        hits += first + second >= targetNumber ? 1 : 0;
+      }
+    }
+    expect(hits / 36).toBeCloseTo(30 / 36);
+  });
+
+  test('should decide which side breaks', () => {
+    const units = count => Array.from({ length: count }, () => ({}));
+    const sides = { player: { units: units(4) }, enemy: { units: units(4) } };
+    const active = counts => side => units(counts[side]);
+
+    expect(AutoResolver.checkOutcome(sides, active({ player: 3, enemy: 0 }))).toBe('victory');
+    expect(AutoResolver.checkOutcome(sides, active({ player: 0, enemy: 2 }))).toBe('defeat');
+    expect(AutoResolver.checkOutcome(sides, active({ player: 3, enemy: 2 }))).toBe('victory');
+    expect(AutoResolver.checkOutcome(sides, active({ player: 2, enemy: 3 }))).toBe('withdrawal');
+    expect(AutoResolver.checkOutcome(sides, active({ player: 3, enemy: 3 }))).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * CombatAI Tests
+ * Archetype selection, targeting, heat discipline, retreat and cover
+ */
+
+import { CombatAI } from '@systems/js/CombatAI';
+import { CombatUnit } from '@systems/js/CombatUnit';
+import { HexGrid } from '@systems/js/HexGrid';
+
+describe('CombatAI', () => {
+  let hexGrid;
+
+  const createUnit = (id, position, overrides = {}) => new CombatUnit({
+    mech: { id, name: id, tonnage: 50, weapons: ['Medium Laser', 'Medium Laser'], ...overrides },
+    pilot: { id: `${id}_pilot`, name: id, gunnery: 4, piloting: 5 },
+    isPlayer: id.startsWith('player'),
+    position
+  });
+
+  const createView = (enemies) => ({
+    hexGrid,
+    allies: [],
+    enemies,
+    getReachableHexes: unit => hexGrid.getReachableHexes(unit.position, unit.movementPoints)
+  });
+
+  beforeEach(() => {
+    hexGrid = new HexGrid({ width: 20, height: 15 });
+  });
+
+  test('should pick archetypes from opposition and difficulty', () => {
+    expect(CombatAI.forContract({ difficulty: 'Easy' }).archetype).toBe('militia');
+    expect(CombatAI.forContract({ difficulty: 'Hard' }).archetype).toBe('elite');
+    expect(CombatAI.forContract({ difficulty: 'Moderate', opposition: ['Irregular raider tactics'] }).archetype).toBe('raider');
+    expect(CombatAI.forContract({ difficulty: 'Extreme', opposition: ['Expert tactical commanders'] }).archetype).toBe('commander');
+    expect(CombatAI.forContract({}).archetype).toBe('regular');
+  });
+
+  test('should focus fire on damaged targets', () => {
+    const unit = createUnit('enemy_1', { x: 5, y: 5 });
+    const near = createUnit('player_1', { x: 5, y: 7 });
+    const damaged = createUnit('player_2', { x: 5, y: 9 });
+    Object.values(damaged.locations).forEach(data => {
+      data.armor = 0;
+      data.rearArmor = 0;
+      data.structure = Math.ceil(data.structure / 2);
+    });
+
+    expect(new CombatAI('militia').selectTarget(unit, [near, damaged], hexGrid)).toBe(near);
+    expect(new CombatAI('elite').selectTarget(unit, [near, damaged], hexGrid)).toBe(damaged);
+  });
+
+  test('should hold back weapons that would overheat the unit', () => {
+    const unit = createUnit('enemy_1', { x: 5, y: 5 }, { weapons: ['PPC', 'PPC', 'Medium Laser'] });
+    unit.heat = 6;
+
+    expect(new CombatAI('militia').selectWeapons(unit, 5)).toHaveLength(3);
+    expect(new CombatAI('elite').selectWeapons(unit, 5)).toEqual(['Medium Laser', 'PPC']);
+    expect(new CombatAI('commander').selectWeapons(unit, 5)).toEqual(['Medium Laser']);
+  });
+
+  test('should retreat badly damaged units away from the enemy', () => {
+    const unit = createUnit('enemy_1', { x: 10, y: 7 });
+    const player = createUnit('player_1', { x: 10, y: 10 });
+    Object.values(unit.locations).forEach(data => {
+      data.structure = 1;
+    });
+    unit.startTurn();
+
+    const plan = new CombatAI('regular').planMovement(unit, createView([player]));
+
+    expect(plan.retreating).toBe(true);
+    expect(HexGrid.getDistance(plan.destination, player.position)).toBeGreaterThan(3);
+  });
+
+  test('should seek cover when closing on a target', () => {
+    const unit = createUnit('enemy_1', { x: 10, y: 2 });
+    const player = createUnit('player_1', { x: 10, y: 9 });
+    hexGrid.setTerrain({ x: 10, y: 6 }, 'forest');
+    unit.startTurn();
+
+    const plan = new CombatAI('commander').planMovement(unit, createView([player]));
+
+    expect(plan.target).toBe(player);
+    expect(hexGrid.getTerrain(plan.destination).type).toBe('forest');
+  });
+
+  test('should run to close distance and walk once in range', () => {
+    const unit = createUnit('enemy_1', { x: 10, y: 0 });
+    unit.startTurn();
+
+    expect(CombatAI.selectMovementMode(unit, createUnit('player_1', { x: 10, y: 14 }), hexGrid)).toBe('run');
+    expect(CombatAI.selectMovementMode(unit, createUnit('player_1', { x: 10, y: 4 }), hexGrid)).toBe('walk');
+  });
+
+  test('should turn and twist to bring a target into the front arc', () => {
+    const unit = createUnit('enemy_1', { x: 5, y: 5 });
+    const behind = createUnit('player_1', { x: 5, y: 8 });
+    unit.startTurn();
+
+    expect(CombatAI.planFacing(unit, behind, hexGrid)).toEqual({ turn: -3, twist: 0 });
+
+    unit.movementPoints = 1;
+    expect(CombatAI.planFacing(unit, behind, hexGrid)).toEqual({ turn: -1, twist: -1 });
+    expect(CombatAI.planFacing(unit, createUnit('player_2', { x: 5, y: 2 }), hexGrid)).toEqual({ turn: 0, twist: 0 });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * CombatReplay Tests
+ * Action log capture through the EventBus and frame reconstruction
+ */
+
+import { CombatRecorder } from '@systems/js/CombatRecorder';
+import { CombatReplay } from '@systems/js/CombatReplay';
+import { CombatUnit } from '@systems/js/CombatUnit';
+import { HexGrid } from '@systems/js/HexGrid';
+import { EventBus } from '@utils/EventBus';
+
+describe('CombatReplay', () => {
+  let eventBus;
+  let recorder;
+  let units;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    recorder = new CombatRecorder(eventBus);
+    units = [
+      new CombatUnit({ mech: { id: 'player_1', name: 'Hunchback', tonnage: 50, weapons: 'Medium Laser x2' }, isPlayer: true, position: { x: 1, y: 1 } }),
+      new CombatUnit({ mech: { id: 'enemy_1', name: 'Locust', tonnage: 20, weapons: 'Machine Gun x2' }, position: { x: 5, y: 5 } })
+    ];
+
+    const hexGrid = new HexGrid({ width: 8, height: 8 });
+    hexGrid.setTerrain({ x: 2, y: 3 }, 'forest', 1);
+    recorder.start({ contractId: 'contract_1', seed: 42, hexGrid, units });
+  });
+
+  const recordSkirmish = () => {
+    eventBus.emit('combat:turnStarted', { turn: 1 });
+    eventBus.emit('combat:unitMoved', { unit: { id: 'player_1' }, from: { x: 1, y: 1 }, to: { x: 2, y: 2 }, cost: 2 });
+    eventBus.emit('combat:attackResolved', {
+      attacker: { id: 'player_1' },
+      target: { id: 'enemy_1', armor: 60, structure: 90 },
+      heatGenerated: 6,
+      shots: [
+        { weapon: 'Medium Laser', targetNumber: 7, roll: 9, hit: true, clusters: [{ location: 'leftArm', damage: 5 }] },
+        { weapon: 'Medium Laser', targetNumber: 7, roll: 4, hit: false, clusters: [] }
+      ]
+    });
+    eventBus.emit('combat:heatResolved', { units: [{ unitId: 'player_1', heat: 1, shutdown: false }] });
+    eventBus.emit('combat:unitDestroyed', { unit: { id: 'enemy_1' }, destroyedBy: 'player_1' });
+    return recorder.finish({ victory: true, turns: 1 });
+  };
+
+  test('should record the battle header and compact actions', () => {
+    eventBus.emit('ui:notification', { message: 'ignored' });
+    const log = recordSkirmish();
+
+    expect(log).toMatchObject({ contractId: 'contract_1', seed: 42, width: 8, height: 8 });
+    expect(log.terrain).toHaveLength(8 * 8 * 2);
+    expect(log.units[0]).toMatchObject({ id: 'player_1', isPlayer: true, position: [1, 1], armor: 100 });
+    expect(log.actions.map(action => action.t)).toEqual(['turn', 'move', 'attack', 'heat', 'destroyed', 'end']);
+    expect(log.actions[2].shots[0]).toEqual(['Medium Laser', 7, 9, 1, [['leftArm', 5]]]);
+  });
+
+  test('should stop listening once the battle is finished', () => {
+    const log = recordSkirmish();
+    eventBus.emit('combat:turnStarted', { turn: 2 });
+
+    expect(log.actions).toHaveLength(6);
+    expect(recorder.finish({ victory: false, turns: 2 })).toBeNull();
+  });
+
+  test('should rebuild unit state after every action', () => {
+    const replay = new CombatReplay(recordSkirmish());
+
+    expect(replay.length).toBe(7);
+    expect(replay.getFrame(0).units[0].position).toEqual({ x: 1, y: 1 });
+    expect(replay.getFrame(2).units[0].position).toEqual({ x: 2, y: 2 });
+    expect(replay.getFrame(3).units[1]).toMatchObject({ armor: 60, structure: 90 });
+    expect(replay.getFrame(3).description).toContain('1/2 hits, 5 damage');
+    expect(replay.getFrame(4).units[0].heat).toBe(1);
+    expect(replay.getFrame(5).units[1].destroyed).toBe(true);
+
+    // Earlier frames are not mutated by later actions
+    expect(replay.getFrame(1).units[1].destroyed).toBe(false);
+  });
+
+  test('should clamp steps to the recording', () => {
+    const replay = new CombatReplay(recordSkirmish());
+
+    expect(replay.getFrame(-3).step).toBe(0);
+    expect(replay.getFrame(99).description).toBe('Victory after 1 turns');
+  });
+});
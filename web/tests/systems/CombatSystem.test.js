@@ -0,0 +1,471 @@
+/**
+ * CombatSystem Tests
+ * Turn flow, attack resolution and combat outcome events
+ */
+
+import { AutoResolver } from '@systems/js/AutoResolver';
+import { CombatSystem } from '@systems/js/CombatSystem';
+import { CombatUnit } from '@systems/js/CombatUnit';
+import { GameState } from '@systems/js/GameState';
+import { EventBus } from '@utils/EventBus';
+
+describe('CombatSystem', () => {
+  let eventBus;
+  let gameState;
+  let combatSystem;
+
+  const createMech = (id, overrides = {}) => ({
+    id,
+    name: `Test Mech ${id}`,
+    tonnage: 50,
+    status: 'Ready',
+    armor: 100,
+    structure: 100,
+    weapons: 'Medium Laser x2',
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    eventBus = new EventBus();
+    gameState = new GameState(eventBus);
+    await gameState.initialize();
+
+    gameState.set('mechs', [createMech('mech_1'), createMech('mech_2')]);
+    gameState.set('pilots', [
+      { id: 'pilot_1', name: 'Ace', gunnery: 2, piloting: 3, status: 'Active' },
+      { id: 'pilot_2', name: 'Rookie', gunnery: 5, piloting: 5, status: 'Active' }
+    ]);
+    gameState.set('activeContracts', [{
+      id: 'contract_1',
+      name: 'Test Contract',
+      location: 'Hesperus II',
+      difficulty: 'Moderate',
+      payment: 100000,
+      deployedForce: { mechs: ['mech_1', 'mech_2'], pilots: ['pilot_1', 'pilot_2'] }
+    }]);
+
+    combatSystem = new CombatSystem(eventBus, gameState);
+    await combatSystem.initialize();
+  });
+
+  describe('Combat Start', () => {
+    test('should build player units from the deployed force', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+
+      expect(combatSystem.combatActive).toBe(true);
+      expect(combatSystem.playerUnits).toHaveLength(2);
+      expect(combatSystem.playerUnits[0].pilotName).toBe('Ace');
+      expect(combatSystem.playerUnits[0].weapons).toEqual(['Medium Laser', 'Medium Laser']);
+      expect(combatSystem.enemyUnits.length).toBeGreaterThanOrEqual(2);
+    });
+
+    test('should refuse to start without a deployed contract', () => {
+      expect(combatSystem.startCombat({ contractId: 'missing' })).toBe(false);
+      expect(combatSystem.combatActive).toBe(false);
+    });
+
+    test('should order units by initiative', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+
+      const initiatives = combatSystem.turnOrder.map(unit => unit.initiative);
+      expect(initiatives).toEqual([...initiatives].sort((a, b) => b - a));
+    });
+
+    test('should bring enemy reinforcements in on the auto-resolve round', () => {
+      const entry = (chassisId, reinforcement = false) => ({
+        chassisId, pilot: { name: chassisId, gunnery: 4, piloting: 5 }, reinforcement
+      });
+      gameState.updateArrayItem('activeContracts', c => c.id === 'contract_1', {
+        opFor: { units: [entry('LCT-1V'), entry('WVR-6R'), entry('AS7-D', true)] }
+      });
+      const arrived = jest.fn();
+      eventBus.on('combat:reinforcementsArrived', arrived);
+
+      combatSystem.startCombat({ contractId: 'contract_1' });
+      expect(combatSystem.enemyUnits).toHaveLength(2);
+
+      while (combatSystem.currentTurn < AutoResolver.REINFORCEMENT_ROUND) {
+        expect(combatSystem.enemyUnits).toHaveLength(2);
+        combatSystem.endCombatTurn();
+      }
+
+      expect(combatSystem.enemyUnits).toHaveLength(3);
+      expect(combatSystem.turnOrder.map(unit => unit.chassisId)).toContain('AS7-D');
+      expect(arrived).toHaveBeenCalledTimes(1);
+      expect(combatSystem.recorder.log.actions.some(action => action.t === 'arrive')).toBe(true);
+    });
+  });
+
+  describe('Combat Resolution', () => {
+    test('should resolve hits against location armor then structure', () => {
+      const unit = new CombatUnit({ mech: createMech('mech_3'), isPlayer: true });
+      const leftTorso = unit.locations.leftTorso;
+      const armor = leftTorso.armor;
+
+      const result = unit.takeDamage(armor + 2, 'leftTorso', { random: () => 0 });
+
+      expect(result.armorDamage).toBe(armor);
+      expect(result.structureDamage).toBe(2);
+      expect(leftTorso.structure).toBe(leftTorso.maxStructure - 2);
+      expect(unit.isDestroyed()).toBe(false);
+    });
+
+    test('should emit unit destroyed and combat ended on victory', () => {
+      const destroyedListener = jest.fn();
+      const endedListener = jest.fn();
+      eventBus.on('combat:unitDestroyed', destroyedListener);
+      eventBus.on('combat:ended', endedListener);
+
+      combatSystem.startCombat({ contractId: 'contract_1' });
+
+      // Leave a single crippled enemy next to the first player unit
+      const attacker = combatSystem.playerUnits[0];
+      const [target, ...others] = combatSystem.enemyUnits;
+      others.forEach(unit => { unit.locations.centerTorso.structure = 0; });
+      ['head', 'centerTorso'].forEach(location => {
+        target.locations[location].armor = 0;
+        target.locations[location].structure = 1;
+      });
+      target.position = { x: attacker.position.x, y: attacker.position.y - 1 };
+
+      combatSystem.selectedUnit = attacker;
+      attacker.startTurn();
+
+      // Every roll hits
+      jest.spyOn(combatSystem, 'rollDice').mockReturnValue(12);
+      expect(combatSystem.attackUnit(attacker, target)).toBe(true);
+
+      expect(destroyedListener.mock.calls[0][0]).toMatchObject({ destroyedBy: attacker.id });
+      expect(endedListener.mock.calls[0][0]).toMatchObject({
+        contractId: 'contract_1',
+        victory: true
+      });
+      expect(combatSystem.combatActive).toBe(false);
+    });
+
+    test('should record a withdrawal as a defeat', () => {
+      const endedListener = jest.fn();
+      eventBus.on('combat:ended', endedListener);
+
+      combatSystem.startCombat({ contractId: 'contract_1' });
+      combatSystem.endCombat();
+
+      expect(endedListener.mock.calls[0][0]).toMatchObject({
+        victory: false,
+        withdrawn: true
+      });
+    });
+
+    test('should persist location damage to the roster after combat', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+
+      const unit = combatSystem.playerUnits[0];
+      unit.takeDamage(unit.locations.rightArm.armor + 3, 'rightArm', { random: () => 0 });
+      combatSystem.endCombat();
+
+      const mech = gameState.get('mechs').find(m => m.id === unit.mechId);
+      expect(mech.locations.rightArm.structure).toBe(unit.locations.rightArm.maxStructure - 3);
+      expect(mech.armor).toBeLessThan(100);
+      expect(mech.status).toBe('Repair Needed');
+    });
+  });
+
+  describe('Heat', () => {
+    test('should build heat and spend ammo when firing', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+      combatSystem.hexGrid.clearTerrain();
+
+      const attacker = combatSystem.playerUnits[0];
+      const target = combatSystem.enemyUnits[0];
+      attacker.loadout = { ...attacker.loadout, rightArm: ['AC/20'] };
+      attacker.ammo = { 'AC/20': 1 };
+      target.position = { x: attacker.position.x, y: attacker.position.y - 2 };
+      attacker.startTurn();
+
+      jest.spyOn(combatSystem, 'endUnitActivation').mockImplementation(() => {});
+      expect(combatSystem.attackUnit(attacker, target)).toBe(true);
+
+      expect(attacker.ammo['AC/20']).toBe(0);
+      expect(attacker.heat).toBe(3 + 7);
+      expect(attacker.getReadyWeapons()).not.toContain('AC/20');
+    });
+
+    test('should dissipate heat and shut down overheated mechs', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+      combatSystem.hexGrid.clearTerrain();
+
+      const [hot, cool] = combatSystem.playerUnits;
+      hot.heat = 40;
+      cool.heat = 8;
+
+      const results = combatSystem.resolveHeatPhase();
+
+      expect(cool.heat).toBe(0);
+      expect(hot.heat).toBe(30);
+      expect(hot.hasStatusEffect('shutdown')).toBe(true);
+      expect(hot.canAct()).toBe(false);
+      expect(results.find(result => result.unitId === hot.id)).toMatchObject({ dissipated: 10, shutdown: true });
+    });
+
+    test('should apply ammo explosions to internal structure', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+
+      const unit = combatSystem.playerUnits[0];
+      unit.loadout = { ...unit.loadout, rightTorso: ['SRM-2'] };
+      const armor = unit.locations.rightTorso.armor;
+
+      combatSystem.resolveAmmoExplosion(unit, { weapon: 'SRM-2', rounds: 1 });
+
+      expect(unit.locations.rightTorso.armor).toBe(armor);
+      expect(unit.locations.rightTorso.structure).toBe(unit.locations.rightTorso.maxStructure - 4);
+    });
+  });
+
+  describe('Rendering', () => {
+    test('should ring the highlighted unit on its own path', () => {
+      const calls = [];
+      const ctx = Object.fromEntries(['beginPath', 'arc', 'fill', 'moveTo', 'lineTo', 'stroke']
+        .map(method => [method, jest.fn(() => calls.push(method))]));
+      const unit = { isPlayer: true, position: { x: 2, y: 2 }, facing: 0 };
+
+      CombatSystem.drawUnitMarker(ctx, combatSystem.hexGrid, unit, true);
+
+      expect(calls).toEqual([
+        'beginPath', 'arc', 'fill',
+        'beginPath', 'moveTo', 'lineTo', 'stroke',
+        'beginPath', 'arc', 'stroke'
+      ]);
+    });
+  });
+
+  describe('Hex Movement', () => {
+    test('should only move units within their movement points', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+      combatSystem.hexGrid.clearTerrain();
+
+      const unit = combatSystem.playerUnits[0];
+      unit.startTurn();
+      const start = { ...unit.position };
+
+      expect(combatSystem.moveUnit(unit, { x: start.x, y: start.y - 10 })).toBe(false);
+      expect(combatSystem.moveUnit(unit, { x: start.x, y: start.y - 2 })).toBe(true);
+      expect(unit.position).toEqual({ x: start.x, y: start.y - 2 });
+      expect(unit.hexesMoved).toBe(2);
+      expect(unit.canMove()).toBe(false);
+    });
+
+    test('should pay terrain costs when moving', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+      combatSystem.hexGrid.clearTerrain();
+
+      const unit = combatSystem.playerUnits[0];
+      unit.startTurn();
+      const { x, y } = unit.position;
+      combatSystem.hexGrid.setTerrain({ x, y: y - 1 }, 'water');
+      combatSystem.hexGrid.setTerrain({ x, y: y - 2 }, 'water');
+
+      // Straight through the water costs 8 MP, so the route goes around
+      expect(combatSystem.moveUnit(unit, { x, y: y - 3 })).toBe(true);
+      expect(unit.hexesMoved).toBe(4);
+    });
+
+    test('should not fire without line of sight', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+      combatSystem.hexGrid.clearTerrain();
+
+      const attacker = combatSystem.playerUnits[0];
+      const target = combatSystem.enemyUnits[0];
+      attacker.startTurn();
+      target.position = { x: attacker.position.x, y: attacker.position.y - 4 };
+      combatSystem.hexGrid.setTerrain({ x: attacker.position.x, y: attacker.position.y - 2 }, 'mountain', 3);
+
+      expect(combatSystem.attackUnit(attacker, target)).toBe(false);
+      expect(attacker.canAct()).toBe(true);
+    });
+
+    test('should let enemy units act from the game loop', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+
+      const turnEndSpy = jest.spyOn(combatSystem, 'endUnitActivation');
+      const enemy = combatSystem.enemyUnits[0];
+      combatSystem.activateUnit(enemy);
+
+      combatSystem.update(combatSystem.aiTurnDelay / 2);
+      expect(turnEndSpy).not.toHaveBeenCalled();
+
+      combatSystem.update(combatSystem.aiTurnDelay / 2);
+      expect(turnEndSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('Movement Modes and Facing', () => {
+    test('should run further for more heat', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+      combatSystem.hexGrid.clearTerrain();
+
+      const unit = combatSystem.playerUnits[0];
+      unit.startTurn();
+      const start = { ...unit.position };
+
+      expect(unit.setMovementMode('run')).toBe(true);
+      expect(unit.movementPoints).toBe(8);
+      expect(combatSystem.moveUnit(unit, { x: start.x, y: start.y - 7 })).toBe(true);
+      expect(unit.heat).toBe(2);
+      expect(unit.getAttackerMovementModifier()).toBe(2);
+    });
+
+    test('should jump over impassable terrain', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+      combatSystem.hexGrid.clearTerrain();
+
+      const [jumper, walker] = combatSystem.playerUnits;
+      jumper.jumpMP = 4;
+      jumper.startTurn();
+      walker.startTurn();
+      const { x, y } = jumper.position;
+      combatSystem.hexGrid.setTerrain({ x, y: y - 1 }, 'mountain', 3);
+
+      expect(walker.setMovementMode('jump')).toBe(false);
+      expect(jumper.setMovementMode('jump')).toBe(true);
+      expect(combatSystem.moveUnit(jumper, { x, y: y - 3 })).toBe(true);
+      expect(jumper.heat).toBe(3);
+      expect(jumper.facing).toBe(0);
+    });
+
+    test('should only fire weapons that bear on the target arc', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+      combatSystem.hexGrid.clearTerrain();
+
+      const attacker = combatSystem.playerUnits[0];
+      const target = combatSystem.enemyUnits[0];
+      target.position = { x: attacker.position.x + 3, y: attacker.position.y };
+      jest.spyOn(combatSystem, 'endUnitActivation').mockImplementation(() => {});
+      jest.spyOn(combatSystem, 'rollDice').mockReturnValue(12);
+      const attackListener = jest.fn();
+      eventBus.on('combat:attackResolved', attackListener);
+
+      // Off to the right only the right arm laser bears
+      attacker.startTurn();
+      expect(combatSystem.attackUnit(attacker, target)).toBe(true);
+      expect(attackListener.mock.calls[0][0].shots).toHaveLength(1);
+
+      // Twisting toward the target brings the torso and left arm around
+      attacker.startTurn();
+      expect(combatSystem.twistTorso(attacker, 1)).toBe(true);
+      expect(attacker.twistTorso(1)).toBe(false);
+      expect(combatSystem.attackUnit(attacker, target)).toBe(true);
+      expect(attackListener.mock.calls[1][0].shots).toHaveLength(2);
+    });
+
+    test('should strike rear armor when attacking from behind', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+      combatSystem.hexGrid.clearTerrain();
+
+      const attacker = combatSystem.playerUnits[0];
+      const target = combatSystem.enemyUnits[0];
+      target.position = { x: attacker.position.x, y: attacker.position.y - 2 };
+      target.facing = 0;
+      const { armor, rearArmor } = target.locations.centerTorso;
+      attacker.startTurn();
+      jest.spyOn(combatSystem, 'endUnitActivation').mockImplementation(() => {});
+      jest.spyOn(combatSystem, 'rollDice').mockReturnValue(7);
+      const attackListener = jest.fn();
+      eventBus.on('combat:attackResolved', attackListener);
+
+      expect(combatSystem.attackUnit(attacker, target)).toBe(true);
+
+      expect(attackListener.mock.calls[0][0].attackDirection).toBe('rear');
+      expect(target.locations.centerTorso.armor).toBe(armor);
+      expect(target.locations.centerTorso.rearArmor).toBeLessThan(rearArmor);
+    });
+
+    test('should charge a movement point per hexside turned', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+
+      const unit = combatSystem.playerUnits[0];
+      unit.startTurn();
+
+      expect(combatSystem.turnUnit(unit, 2)).toBe(true);
+      expect(unit.facing).toBe(2);
+      expect(unit.movementPoints).toBe(3);
+      expect(unit.setMovementMode('run')).toBe(false);
+      expect(unit.getAttackerMovementModifier()).toBe(1);
+    });
+  });
+
+  describe('Replay', () => {
+    test('should store the action log with the contract and open it after the battle', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+      combatSystem.endTurn();
+      combatSystem.endCombat();
+
+      const contract = gameState.get('activeContracts')[0];
+      expect(contract.replay.contractId).toBe('contract_1');
+      expect(contract.replay.units).toHaveLength(combatSystem.playerUnits.length + combatSystem.enemyUnits.length);
+      expect(contract.replay.actions[contract.replay.actions.length - 1]).toMatchObject({ t: 'end', victory: false });
+
+      expect(combatSystem.openReplay('contract_1')).toBe(true);
+      combatSystem.setReplayStep(1000);
+      expect(combatSystem.replayStep).toBe(combatSystem.replay.length - 1);
+
+      combatSystem.closeReplay();
+      expect(combatSystem.replay).toBeNull();
+    });
+
+    test('should not open a replay during an engagement', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+
+      expect(combatSystem.openReplay()).toBe(false);
+    });
+  });
+
+  describe('Auto-Resolve', () => {
+    test('should resolve a contract through the combat outcome pipeline', () => {
+      const endedSpy = jest.fn();
+      eventBus.on('combat:ended', endedSpy);
+
+      const result = combatSystem.autoResolveContract('contract_1');
+
+      expect(result.autoResolved).toBe(true);
+      expect(result.playerUnits).toHaveLength(2);
+      expect(endedSpy).toHaveBeenCalledTimes(1);
+      expect(endedSpy.mock.calls[0][0].contractId).toBe('contract_1');
+
+      const mech = gameState.get('mechs').find(m => m.id === 'mech_1');
+      expect(mech.locations).toEqual(result.playerUnits[0].locations);
+      expect(gameState.get('activeContracts')[0].combatResult).toBe(result);
+      CombatSystem.closeAfterActionReport();
+    });
+
+    test('should render the after-action report in a closable overlay', () => {
+      const result = combatSystem.autoResolveContract('contract_1');
+
+      const overlay = document.getElementById('after-action-overlay');
+      expect(overlay).not.toBeNull();
+      expect(overlay.textContent).toContain('After-Action Report - Test Contract');
+      expect(overlay.querySelector('.after-action-result').textContent)
+        .toBe(`${result.victory ? 'VICTORY' : 'DEFEAT'} after ${result.turns} rounds`);
+
+      const sections = [...overlay.querySelectorAll('.after-action-section h3')].map(title => title.textContent);
+      expect(sections).toEqual(['Damage', 'Ammunition Expended', 'Pilot Injuries', 'Salvage Recovered', 'Objectives']);
+      expect(overlay.querySelector('.after-action-section li').textContent).toContain(result.playerUnits[0].name);
+
+      window.closeAfterActionReport();
+      expect(document.getElementById('after-action-overlay')).toBeNull();
+    });
+
+    test('should not auto-resolve during a tactical engagement', () => {
+      combatSystem.startCombat({ contractId: 'contract_1' });
+
+      expect(combatSystem.autoResolveContract('contract_1')).toBeNull();
+    });
+
+    test('should record pilot injuries on the roster', () => {
+      combatSystem.applyPilotInjuries([{ pilotId: 'pilot_2', injuries: 2 }]);
+      expect(gameState.get('pilots')[1]).toMatchObject({ injuries: 2, status: 'Injured' });
+
+      combatSystem.applyPilotInjuries([{ pilotId: 'pilot_2', injuries: 5 }]);
+      expect(gameState.get('pilots')[1]).toMatchObject({ injuries: 6, status: 'KIA' });
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * ContractBoard Tests
+ * Board filters, sorting and requirement checks against the available force
+ */
+
+import { ContractBoard } from '@systems/js/ContractBoard';
+import { ContractSystem } from '@systems/js/ContractSystem';
+import { GameState } from '@systems/js/GameState';
+import { RandomService } from '@systems/js/RandomService';
+import { EventBus } from '@utils/EventBus';
+
+describe('ContractBoard', () => {
+  const offer = (id, overrides = {}) => ({
+    id,
+    name: `Contract ${id}`,
+    employer: 'Federated Suns',
+    type: 'Raid',
+    difficulty: 'Moderate',
+    location: 'Sheratan',
+    payment: 100000,
+    duration: 20,
+    expiresDay: 10,
+    requirements: { minMechs: 1, maxMechs: 2, weightLimit: 100 },
+    rewards: { payment: 100000, salvage: 0.2, reputation: {} },
+    ...overrides
+  });
+
+  const contracts = [
+    offer('a', { payment: 90000, duration: 10, expiresDay: 12, requirements: { minMechs: 1, maxMechs: 2, weightLimit: 50 } }),
+    offer('b', { payment: 150000, duration: 60, expiresDay: 5, employer: 'Lyran Commonwealth',
+      requirements: { minMechs: 1, maxMechs: 2, weightLimit: 200 }, rewards: { salvage: 0.4 } }),
+    offer('c', { payment: 120000, duration: 30, expiresDay: 8, requirements: { minMechs: 3, maxMechs: 4, weightLimit: 300 } })
+  ];
+
+  const force = {
+    mechs: [{ id: 'mech_1', tonnage: 55 }, { id: 'mech_2', tonnage: 60 }],
+    pilots: [{ id: 'pilot_1' }, { id: 'pilot_2' }]
+  };
+
+  test('should sort by pay, pay per day and deadline', () => {
+    expect(ContractBoard.sort(contracts, 'pay').map(c => c.id)).toEqual(['b', 'c', 'a']);
+    expect(ContractBoard.sort(contracts, 'payPerDay').map(c => c.id)).toEqual(['a', 'c', 'b']);
+    expect(ContractBoard.sort(contracts, 'deadline').map(c => c.id)).toEqual(['b', 'c', 'a']);
+    expect(ContractBoard.sort(contracts, '').map(c => c.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should combine filters on terms and the current roster', () => {
+    expect(ContractBoard.filter(contracts, { employer: 'Federated Suns' }, force).map(c => c.id)).toEqual(['a', 'c']);
+    expect(ContractBoard.filter(contracts, { minSalvage: 30 }, force).map(c => c.id)).toEqual(['b']);
+    expect(ContractBoard.filter(contracts, { minPayment: 100000, employer: 'Federated Suns' }, force).map(c => c.id)).toEqual(['c']);
+    expect(ContractBoard.filter(contracts, { fitsRoster: true }, force).map(c => c.id)).toEqual(['b']);
+    expect(ContractBoard.getOptions(contracts).employer).toEqual(['Federated Suns', 'Lyran Commonwealth']);
+  });
+
+  test('should report each requirement against the available force', () => {
+    expect(ContractBoard.assessForce(contracts[0], force)).toEqual([
+      { key: 'mechs', name: 'Mechs', required: 1, available: 2, met: true },
+      { key: 'pilots', name: 'Pilots', required: 1, available: 2, met: true },
+      { key: 'tonnage', name: 'Tonnage', required: 50, available: 55, met: false }
+    ]);
+    expect(ContractBoard.assessForce(offer('d'), force).find(check => check.key === 'tonnage'))
+      .toEqual({ key: 'tonnage', name: 'Tonnage', required: 100, available: 55, met: true });
+    expect(ContractBoard.assessForce(contracts[2], force).filter(check => !check.met).map(check => check.key))
+      .toEqual(['mechs', 'pilots']);
+  });
+
+  describe('ContractSystem board', () => {
+    let eventBus;
+    let gameState;
+    let contractSystem;
+
+    beforeEach(async () => {
+      eventBus = new EventBus();
+      gameState = new GameState(eventBus);
+      await gameState.initialize();
+      window.alert = jest.fn();
+
+      contractSystem = new ContractSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }));
+      await contractSystem.initialize();
+
+      gameState.set('mechs', force.mechs.map(mech => ({ ...mech, name: mech.id, status: 'Ready' })));
+      gameState.set('pilots', force.pilots.map(pilot => ({ ...pilot, name: pilot.id, status: 'Active' })));
+      gameState.set('contracts', contracts.map(contract => ({ ...contract })));
+    });
+
+    test('should apply filters and sorting to the board', () => {
+      contractSystem.setBoardFilter('minPayment', '100000');
+      contractSystem.setBoardSort('deadline');
+
+      expect(contractSystem.boardFilters.minPayment).toBe(100000);
+      expect(contractSystem.getBoardContracts().map(c => c.id)).toEqual(['b', 'c']);
+
+      contractSystem.setBoardFilter('fitsRoster', true);
+      expect(contractSystem.getBoardContracts().map(c => c.id)).toEqual(['b']);
+    });
+
+    test('should reject the same contracts the board flags as unfit', () => {
+      expect(contractSystem.checkDeploymentRequirements(gameState.get('contracts')[0])).toMatch(/weight limit/);
+      expect(contractSystem.checkDeploymentRequirements(gameState.get('contracts')[1])).toBeNull();
+      expect(contractSystem.checkDeploymentRequirements(gameState.get('contracts')[2])).toMatch(/Insufficient mechs/);
+    });
+
+    test('should deploy only the mechs that fit under the weight limit', () => {
+      const contract = offer('d', { requirements: { minMechs: 1, maxMechs: 2, weightLimit: 100 } });
+
+      expect(contractSystem.checkDeploymentRequirements(contract)).toBeNull();
+      expect(contractSystem.selectDeployedForce(contract)).toEqual({ mechs: ['mech_1'], pilots: ['pilot_1'] });
+      expect(contractSystem.selectDeployedForce(gameState.get('contracts')[1]))
+        .toEqual({ mechs: ['mech_1', 'mech_2'], pilots: ['pilot_1', 'pilot_2'] });
+    });
+
+    test('should compare up to three offers still on the board', () => {
+      gameState.set('contracts', [...gameState.get('contracts'), offer('d')]);
+
+      ['a', 'b', 'c'].forEach(id => expect(contractSystem.toggleComparison(id)).toBe(true));
+      expect(contractSystem.toggleComparison('d')).toBe(false);
+
+      contractSystem.toggleComparison('b');
+      gameState.removeFromArray('contracts', c => c.id === 'c');
+      expect(contractSystem.getComparedContracts().map(c => c.id)).toEqual(['a']);
+      expect(contractSystem.showComparison()).toBe(false);
+    });
+
+    test('should show why each compared offer would be rejected', () => {
+      document.body.innerHTML = '<div id="contract-details"></div>';
+      contractSystem.toggleComparison('b');
+      contractSystem.toggleComparison('c');
+
+      expect(contractSystem.showComparison()).toBe(true);
+
+      const details = document.getElementById('contract-details').textContent;
+      expect(details).toContain('Can accept');
+      expect(details).toContain('Short on mechs, pilots');
+    });
+  });
+});
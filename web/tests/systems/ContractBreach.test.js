@@ -0,0 +1,172 @@
+/**
+ * ContractBreach Tests
+ * Signing advances, breach penalties and employer blacklists
+ */
+
+import { CompanySystem } from '@systems/js/CompanySystem';
+import { ContractBreach } from '@systems/js/ContractBreach';
+import { ContractSystem } from '@systems/js/ContractSystem';
+import { GameState } from '@systems/js/GameState';
+import { RandomService } from '@systems/js/RandomService';
+import { EventBus } from '@utils/EventBus';
+
+describe('ContractBreach', () => {
+  const contract = {
+    id: 'contract_1',
+    name: 'Pirate Hunt',
+    employer: 'Federated Suns',
+    type: 'Raid',
+    payment: 100000,
+    difficulty: 'Hard',
+    duration: 20,
+    transitDays: 5,
+    location: 'Sheratan',
+    requirements: { minMechs: 2, maxMechs: 2, weightLimit: 200 },
+    rewards: { payment: 100000, salvage: 0, reputation: { 'Federated Suns': 8 } },
+    objectives: ['Destroy the pirate lance']
+  };
+
+  test('should forfeit the advance and scale reputation loss with the contract reward', () => {
+    expect(ContractBreach.getAdvance(contract)).toBe(25000);
+    expect(ContractBreach.getPenalties({ ...contract, advancePaid: 25000 })).toEqual({
+      forfeitedAdvance: 25000,
+      reputationLoss: 16,
+      blacklistDays: 120
+    });
+    expect(ContractBreach.getPenalties({ ...contract, rewards: { reputation: {} } }).reputationLoss)
+      .toBe(ContractBreach.MIN_REPUTATION_LOSS);
+  });
+
+  test('should count only intact mechs that are free or on the contract', () => {
+    const mechs = [
+      { id: 'mech_1', status: 'Ready', deployment: contract.id },
+      { id: 'mech_2', status: 'Destroyed', deployment: contract.id },
+      { id: 'mech_3', status: 'Ready', deployment: 'contract_2' }
+    ];
+
+    expect(ContractBreach.hasLostMinimumForce(contract, mechs)).toBe(true);
+    expect(ContractBreach.hasLostMinimumForce(contract, [...mechs, { id: 'mech_4', status: 'Damaged' }])).toBe(false);
+  });
+
+  test('should blacklist an employer until the recorded day', () => {
+    const blacklist = { 'Federated Suns': 120 };
+
+    expect(ContractBreach.isBlacklisted(blacklist, 'Federated Suns', 119)).toBe(true);
+    expect(ContractBreach.isBlacklisted(blacklist, 'Federated Suns', 120)).toBe(false);
+    expect(ContractBreach.isBlacklisted(blacklist, 'Draconis Combine', 0)).toBe(false);
+  });
+
+  describe('ContractSystem breaches', () => {
+    let eventBus;
+    let gameState;
+    let contractSystem;
+
+    beforeEach(async () => {
+      eventBus = new EventBus();
+      gameState = new GameState(eventBus);
+      await gameState.initialize();
+      window.alert = jest.fn();
+      window.confirm = jest.fn(() => false);
+
+      contractSystem = new ContractSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }));
+      await contractSystem.initialize();
+
+      gameState.set('time', { year: 3025, month: 1, day: 1 });
+      gameState.set('mechs', [
+        { id: 'mech_1', name: 'Wolverine', tonnage: 55, status: 'Ready' },
+        { id: 'mech_2', name: 'Locust', tonnage: 20, status: 'Ready' }
+      ]);
+      gameState.set('pilots', [
+        { id: 'pilot_1', name: 'Ace', status: 'Active' },
+        { id: 'pilot_2', name: 'Rookie', status: 'Active' }
+      ]);
+      gameState.set('contracts', [
+        { ...contract },
+        { ...contract, id: 'contract_2', name: 'Border Patrol' },
+        { ...contract, id: 'contract_5', name: 'Convoy Escort' },
+        { ...contract, id: 'contract_3', employer: 'Lyran Commonwealth' }
+      ]);
+      gameState.set('activeContracts', []);
+    });
+
+    test('should pay an advance on signing', () => {
+      const accepted = jest.fn();
+      eventBus.on('contract:accepted', accepted);
+
+      contractSystem.acceptContract(contract.id);
+
+      expect(gameState.get('activeContracts')[0].advancePaid).toBe(25000);
+      expect(accepted).toHaveBeenCalledWith(expect.objectContaining({ advance: 25000 }), 'contract:accepted');
+    });
+
+    test('should only withdraw once the penalties are confirmed', () => {
+      const breached = jest.fn();
+      eventBus.on('contract:breached', breached);
+      contractSystem.acceptContract(contract.id);
+
+      expect(contractSystem.withdrawFromContract(contract.id)).toBe(false);
+      expect(gameState.get('activeContracts')).toHaveLength(1);
+
+      window.confirm = jest.fn(() => true);
+      expect(contractSystem.withdrawFromContract(contract.id)).toBe(true);
+
+      expect(breached).toHaveBeenCalledWith(expect.objectContaining({
+        reason: 'withdrawn',
+        penalties: { forfeitedAdvance: 25000, reputationLoss: 16, blacklistDays: 120 }
+      }), 'contract:breached');
+      expect(gameState.get('activeContracts')).toHaveLength(0);
+      expect(gameState.get('contractHistory')[0].status).toBe('Breached');
+      expect(gameState.get('mechs').some(mech => mech.deployment)).toBe(false);
+    });
+
+    test('should leave reputation to the breach penalty alone', async () => {
+      const companySystem = new CompanySystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }));
+      await companySystem.initialize();
+      gameState.set('company.reputation', { 'Federated Suns': 10, 'Lyran Commonwealth': 10 });
+      window.confirm = jest.fn(() => true);
+
+      contractSystem.acceptContract(contract.id);
+      contractSystem.withdrawFromContract(contract.id);
+
+      expect(gameState.get('company.reputation')).toEqual({ 'Federated Suns': 10, 'Lyran Commonwealth': 10 });
+      expect(gameState.get('statistics.contractsFailed')).toBe(1);
+    });
+
+    test('should stop the employer offering work after a breach', () => {
+      window.confirm = jest.fn(() => true);
+      contractSystem.acceptContract(contract.id);
+      contractSystem.withdrawFromContract(contract.id);
+
+      expect(gameState.get('employerBlacklist')['Federated Suns']).toBe(contractSystem.getToday() + 120);
+      expect(gameState.get('contracts').map(c => c.id)).toEqual(['contract_3']);
+      expect(contractSystem.getOfferingEmployers()).not.toContain('Federated Suns');
+
+      gameState.set('contracts', [{ ...contract, id: 'contract_4' }]);
+      contractSystem.acceptContract('contract_4');
+      expect(gameState.get('activeContracts')).toHaveLength(0);
+    });
+
+    test('should breach when the deployed force falls below the minimum', () => {
+      const breached = jest.fn();
+      eventBus.on('contract:breached', breached);
+
+      const missions = [
+        { index: 0, name: 'Recon', day: 0, status: 'Pending' },
+        { index: 1, name: 'Assault', day: 10, status: 'Pending' }
+      ];
+      gameState.set('activeContracts', [{
+        ...contract, type: 'Garrison', missions, currentMission: 0, failures: 0,
+        status: 'Deployed', arrivalDay: 0, endDay: 90, advancePaid: 25000
+      }]);
+      gameState.set('mechs', [
+        { id: 'mech_1', status: 'Ready', deployment: contract.id },
+        { id: 'mech_2', status: 'Destroyed', deployment: contract.id }
+      ]);
+
+      eventBus.emit('combat:ended', { contractId: contract.id, victory: true, turns: 5, unitsLost: 1 });
+
+      expect(breached).toHaveBeenCalledWith(expect.objectContaining({ reason: 'forces_lost' }), 'contract:breached');
+      expect(gameState.get('contractHistory')[0].status).toBe('Breached');
+    });
+  });
+});
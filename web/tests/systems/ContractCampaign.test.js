@@ -0,0 +1,176 @@
+/**
+ * ContractCampaign Tests
+ * Mission planning, setbacks and proportional payouts for long contracts
+ */
+
+import { ContractCampaign } from '@systems/js/ContractCampaign';
+import { ContractLifecycle } from '@systems/js/ContractLifecycle';
+import { ContractSystem } from '@systems/js/ContractSystem';
+import { RandomService } from '@systems/js/RandomService';
+import { EventBus } from '@utils/EventBus';
+import { GameState } from '@systems/js/GameState';
+
+describe('ContractCampaign', () => {
+  const contract = {
+    id: 'contract_1',
+    name: 'Hold Hesperus',
+    type: 'Garrison',
+    difficulty: 'Moderate',
+    duration: 90,
+    payment: 400000,
+    requirements: { minMechs: 1, maxMechs: 4, weightLimit: 400 },
+    specialConditions: []
+  };
+
+  const campaign = (overrides = {}) => ({
+    ...contract,
+    missions: ContractCampaign.plan(contract, { random: () => 0 }),
+    currentMission: 0,
+    failures: 0,
+    ...overrides
+  });
+
+  test('should only expand long contract types into campaigns', () => {
+    expect(ContractCampaign.isCampaign(contract)).toBe(true);
+    expect(ContractCampaign.isCampaign({ type: 'Raid' })).toBe(false);
+  });
+
+  test('should spread missions over the contract duration with the finale last', () => {
+    const missions = ContractCampaign.plan(contract, { random: () => 0 });
+
+    expect(missions).toHaveLength(4);
+    expect(missions.map(mission => mission.day)).toEqual([0, 23, 45, 68]);
+    expect(missions[3].name).toBe(ContractCampaign.TEMPLATES.defense.finale.name);
+    expect(missions.every(mission => mission.status === 'Pending')).toBe(true);
+  });
+
+  test('should leave downtime between missions after a success', () => {
+    const outcome = ContractCampaign.recordResult(campaign(), true, { unitsLost: 0 });
+    const next = { ...campaign(), ...outcome };
+
+    expect(outcome.finished).toBe(false);
+    expect(outcome.currentMission).toBe(1);
+    expect(outcome.missions[0].status).toBe('Completed');
+    expect(ContractCampaign.getDowntime(next)).toBe(23);
+  });
+
+  test('should escalate later missions after a failure', () => {
+    const outcome = ContractCampaign.recordResult(campaign(), false);
+
+    expect(outcome.failures).toBe(1);
+    expect(outcome.finished).toBe(false);
+    expect(outcome.missions[1].name).toBe(ContractCampaign.TEMPLATES.defense.recovery.name);
+    expect(outcome.missions.slice(1).every(mission =>
+      mission.escalated && mission.difficulty === 'Hard' &&
+      mission.specialConditions.includes(ContractCampaign.SETBACK_CONDITION))).toBe(true);
+    expect(outcome.missions[3].name).toBe(ContractCampaign.TEMPLATES.defense.finale.name);
+  });
+
+  test('should end the campaign after a second failure and pay for completed missions', () => {
+    let state = campaign();
+    [true, false, false].forEach(success => {
+      state = { ...state, ...ContractCampaign.recordResult(state, success) };
+    });
+
+    expect(state.finished).toBe(true);
+    expect(state.missions.map(mission => mission.status)).toEqual(['Completed', 'Failed', 'Failed', 'Cancelled']);
+    expect(ContractCampaign.isSuccessful(state)).toBe(false);
+    expect(ContractCampaign.getPayout(state)).toBe(100000);
+  });
+
+  test('should succeed when the finale is won despite one setback', () => {
+    let state = campaign();
+    [true, false, true, true].forEach(success => {
+      state = { ...state, ...ContractCampaign.recordResult(state, success) };
+    });
+
+    expect(state.finished).toBe(true);
+    expect(ContractCampaign.isSuccessful(state)).toBe(true);
+    expect(ContractCampaign.getPayout(state)).toBe(300000);
+    expect(ContractCampaign.ratePerformance(state)).toBe('poor');
+  });
+
+  describe('ContractSystem campaigns', () => {
+    let eventBus;
+    let gameState;
+    let contractSystem;
+
+    beforeEach(async () => {
+      eventBus = new EventBus();
+      gameState = new GameState(eventBus);
+      await gameState.initialize();
+      window.alert = jest.fn();
+
+      contractSystem = new ContractSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }));
+      await contractSystem.initialize();
+    });
+
+    test('should plan missions with their own enemy forces when generating long contracts', () => {
+      const generated = contractSystem.generateContract('Garrison', 'Regular', {});
+
+      expect(generated.missions.length).toBeGreaterThanOrEqual(ContractCampaign.MIN_MISSIONS);
+      expect(generated.missions[0].opFor).toBe(generated.opFor);
+      expect(generated.missions.every(mission => mission.opFor && mission.opFor.units.length > 0)).toBe(true);
+    });
+
+    test('should stand the force down between missions and pay proportionally when the campaign ends', () => {
+      const completed = jest.fn();
+      const missionCompleted = jest.fn();
+      eventBus.on('contract:completed', completed);
+      eventBus.on('contract:missionCompleted', missionCompleted);
+
+      gameState.set('mechs', [{ id: 'mech_1', name: 'Wolverine', tonnage: 55, status: 'Ready', deployment: contract.id }]);
+
+      // The last two missions of the plan make a short campaign
+      const missions = campaign().missions.slice(2).map((mission, index) => ({ ...mission, index }));
+      gameState.set('activeContracts', [{ ...campaign({ missions }), status: 'Deployed', arrivalDay: 0, endDay: 90 }]);
+
+      eventBus.emit('combat:ended', { contractId: contract.id, victory: true, turns: 5, unitsLost: 1 });
+
+      const active = gameState.get('activeContracts')[0];
+      expect(active.status).toBe('Deployed');
+      expect(active.currentMission).toBe(1);
+      expect(missionCompleted).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        downtime: 23,
+        mission: expect.objectContaining({ index: 0, status: 'Completed' })
+      }), 'contract:missionCompleted');
+      expect(completed).not.toHaveBeenCalled();
+
+      eventBus.emit('combat:ended', { contractId: contract.id, victory: false, turns: 3, unitsLost: 0 });
+
+      expect(gameState.get('activeContracts')).toHaveLength(0);
+      expect(completed).toHaveBeenCalledWith(expect.objectContaining({
+        success: false,
+        outcome: 'Failed',
+        payment: 200000
+      }), 'contract:completed');
+    });
+
+    test('should cancel the next mission when the contract ends during downtime', () => {
+      const launched = jest.fn();
+      const combat = jest.fn();
+      eventBus.on('contract:missionLaunched', launched);
+      eventBus.on('combat:start', combat);
+      eventBus.on('combat:autoResolve', combat);
+      window.confirm = jest.fn(() => true);
+      jest.spyOn(contractSystem, 'checkDeploymentRequirements').mockReturnValue(null);
+
+      gameState.set('activeContracts', [{
+        ...campaign({ currentMission: 1 }),
+        status: ContractLifecycle.DEPLOYED,
+        arrivalDay: contractSystem.getToday()
+      }]);
+
+      // The employer walks away while the lance is standing down
+      eventBus.on('company:advanceTime', () => {
+        gameState.set('activeContracts', []);
+      });
+
+      expect(contractSystem.engageContract(contract.id)).toBe(false);
+      expect(launched).not.toHaveBeenCalled();
+      expect(combat).not.toHaveBeenCalled();
+      expect(window.confirm).not.toHaveBeenCalled();
+    });
+  });
+});
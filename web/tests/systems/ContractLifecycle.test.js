@@ -0,0 +1,148 @@
+/**
+ * ContractLifecycle Tests
+ * Active contract states driven by in-game time, force locking and outcomes
+ */
+
+import { ContractLifecycle } from '@systems/js/ContractLifecycle';
+import { ContractSystem } from '@systems/js/ContractSystem';
+import { GameState } from '@systems/js/GameState';
+import { RandomService } from '@systems/js/RandomService';
+import { EventBus } from '@utils/EventBus';
+
+describe('ContractLifecycle', () => {
+  test('should count in-game days across months and years', () => {
+    const first = ContractLifecycle.getDayNumber({ year: 3025, month: 1, day: 1 });
+
+    expect(ContractLifecycle.getDayNumber({ year: 3025, month: 2, day: 1 }) - first).toBe(31);
+    expect(ContractLifecycle.getDayNumber({ year: 3026, month: 1, day: 1 }) - first).toBe(365);
+  });
+
+  test('should only allow forward transitions', () => {
+    expect(ContractLifecycle.canTransition('Accepted', 'In Transit')).toBe(true);
+    expect(ContractLifecycle.canTransition('In Transit', 'Deployed')).toBe(true);
+    expect(ContractLifecycle.canTransition('Deployed', 'Completed')).toBe(true);
+    expect(ContractLifecycle.canTransition('Deployed', 'In Transit')).toBe(false);
+    expect(ContractLifecycle.canTransition('Completed', 'Failed')).toBe(false);
+    expect(ContractLifecycle.isActive('In Transit')).toBe(true);
+    expect(ContractLifecycle.isActive('Breached')).toBe(false);
+  });
+
+  test('should schedule transit and pass through every state a time jump covers', () => {
+    const schedule = ContractLifecycle.schedule({ duration: 30, transitDays: 5 }, 100);
+    const contract = { ...schedule, status: 'Accepted' };
+
+    expect(schedule).toEqual({ acceptedDay: 100, departureDay: 101, arrivalDay: 106, endDay: 136 });
+    expect(ContractLifecycle.getTransitions(contract, 100)).toEqual([]);
+    expect(ContractLifecycle.getTransitions(contract, 103)).toEqual(['In Transit']);
+    expect(ContractLifecycle.getTransitions(contract, 106)).toEqual(['In Transit', 'Deployed']);
+    expect(ContractLifecycle.getTransitions({ ...contract, status: 'Deployed' }, 137)).toEqual(['Breached']);
+  });
+
+  describe('ContractSystem lifecycle', () => {
+    let eventBus;
+    let gameState;
+    let contractSystem;
+
+    const contract = {
+      id: 'contract_1',
+      name: 'Pirate Hunt',
+      employer: 'Federated Suns',
+      type: 'Raid',
+      payment: 100000,
+      difficulty: 'Easy',
+      duration: 20,
+      transitDays: 5,
+      location: 'Sheratan',
+      requirements: { minMechs: 1, maxMechs: 2, weightLimit: 200 },
+      rewards: { payment: 100000, salvage: 0, reputation: {} },
+      objectives: ['Destroy the pirate lance']
+    };
+
+    const advanceTo = day => {
+      gameState.set('time', { year: 3025, month: 1, day });
+      eventBus.emit('company:timeAdvanced', {});
+    };
+
+    beforeEach(async () => {
+      eventBus = new EventBus();
+      gameState = new GameState(eventBus);
+      await gameState.initialize();
+      window.alert = jest.fn();
+      window.confirm = jest.fn(() => false);
+
+      contractSystem = new ContractSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }));
+      await contractSystem.initialize();
+
+      gameState.set('time', { year: 3025, month: 1, day: 1 });
+      gameState.set('mechs', [
+        { id: 'mech_1', name: 'Wolverine', tonnage: 55, status: 'Ready' },
+        { id: 'mech_2', name: 'Locust', tonnage: 20, status: 'Ready' },
+        { id: 'mech_3', name: 'Atlas', tonnage: 100, status: 'Repairing' }
+      ]);
+      gameState.set('pilots', [
+        { id: 'pilot_1', name: 'Ace', status: 'Active' },
+        { id: 'pilot_2', name: 'Rookie', status: 'Active' }
+      ]);
+      gameState.set('contracts', [{ ...contract }]);
+      gameState.set('activeContracts', []);
+    });
+
+    test('should lock the deployed force and travel to the contract as days pass', () => {
+      const statusChanged = jest.fn();
+      eventBus.on('contract:statusChanged', statusChanged);
+
+      contractSystem.acceptContract(contract.id);
+
+      expect(gameState.get('activeContracts')[0].status).toBe('Accepted');
+      expect(gameState.get('mechs').filter(mech => mech.deployment === contract.id).map(mech => mech.id))
+        .toEqual(['mech_1', 'mech_2']);
+      expect(gameState.get('pilots').every(pilot => pilot.deployment === contract.id)).toBe(true);
+      expect(contractSystem.getDeployableForces().mechs).toHaveLength(0);
+      expect(contractSystem.engageContract(contract.id)).toBe(false);
+
+      advanceTo(4);
+      expect(gameState.get('activeContracts')[0].status).toBe('In Transit');
+
+      advanceTo(8);
+      expect(gameState.get('activeContracts')[0].status).toBe('Deployed');
+      expect(statusChanged.mock.calls.map(([data]) => data.to)).toEqual(['In Transit', 'Deployed']);
+    });
+
+    test('should complete with the outcome and free the force after the engagement', () => {
+      const completed = jest.fn();
+      const autoResolve = jest.fn();
+      eventBus.on('contract:completed', completed);
+      eventBus.on('combat:autoResolve', autoResolve);
+
+      contractSystem.acceptContract(contract.id);
+      advanceTo(8);
+
+      expect(contractSystem.engageContract(contract.id)).toBe(true);
+      expect(autoResolve).toHaveBeenCalledWith({ contractId: contract.id }, 'combat:autoResolve');
+
+      eventBus.emit('combat:ended', { contractId: contract.id, victory: true, unitsLost: 0 });
+
+      expect(completed).toHaveBeenCalledWith(expect.objectContaining({ success: true, outcome: 'Completed' }), 'contract:completed');
+      expect(gameState.get('activeContracts')).toHaveLength(0);
+      expect(gameState.get('contractHistory')[0].status).toBe('Completed');
+      expect(gameState.get('contractHistory')[0].completedAt).toBe(contractSystem.getToday());
+      expect(gameState.get('mechs').some(mech => mech.deployment)).toBe(false);
+    });
+
+    test('should breach a contract whose term runs out without an engagement', () => {
+      const completed = jest.fn();
+      eventBus.on('contract:completed', completed);
+
+      contractSystem.acceptContract(contract.id);
+      advanceTo(8);
+      advanceTo(27);
+      expect(gameState.get('activeContracts')).toHaveLength(1);
+
+      advanceTo(28);
+      expect(gameState.get('activeContracts')).toHaveLength(0);
+      expect(gameState.get('contractHistory')[0].status).toBe('Breached');
+      expect(completed).toHaveBeenCalledWith(expect.objectContaining({ success: false, outcome: 'Breached' }), 'contract:completed');
+      expect(gameState.get('pilots').some(pilot => pilot.deployment)).toBe(false);
+    });
+  });
+});
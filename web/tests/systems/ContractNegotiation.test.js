@@ -0,0 +1,134 @@
+/**
+ * ContractNegotiation Tests
+ * Negotiation points, term trades and walk-aways before a contract is accepted
+ */
+
+import { CompanySystem } from '@systems/js/CompanySystem';
+import { ContractNegotiation } from '@systems/js/ContractNegotiation';
+import { ContractSystem } from '@systems/js/ContractSystem';
+import { GameState } from '@systems/js/GameState';
+import { RandomService } from '@systems/js/RandomService';
+import { EventBus } from '@utils/EventBus';
+
+describe('ContractNegotiation', () => {
+  const contract = {
+    id: 'contract_1',
+    name: 'Pirate Hunt',
+    employer: 'Federated Suns',
+    payment: 100000,
+    duration: 60,
+    requirements: { minMechs: 1, maxMechs: 4, weightLimit: 200 },
+    rewards: { payment: 100000, salvage: 0.3, reputation: { 'Federated Suns': 10 } }
+  };
+
+  test('should scale points with mercenary reputation and employer standing', () => {
+    expect(ContractNegotiation.getPoints({ mercenaryReputation: 25, employerStanding: 0 })).toBe(4);
+    expect(ContractNegotiation.getPoints({ mercenaryReputation: 75, employerStanding: 40 })).toBe(8);
+    expect(ContractNegotiation.getPoints({ mercenaryReputation: 0, employerStanding: -30 })).toBe(1);
+    expect(ContractNegotiation.getPoints({ mercenaryReputation: 0, employerStanding: -100 })).toBe(0);
+    expect(ContractNegotiation.willNegotiate(-20)).toBe(true);
+    expect(ContractNegotiation.willNegotiate(-40)).toBe(false);
+  });
+
+  test('should let lowering one term pay for raising another', () => {
+    expect(ContractNegotiation.validate(contract, { payment: 3, salvage: -2 }, 1)).toBeNull();
+    expect(ContractNegotiation.validate(contract, { payment: 3 }, 2)).toMatch(/negotiation points/);
+    expect(ContractNegotiation.validate(contract, { payment: 5 }, 10)).toMatch(/Base Pay/);
+    expect(ContractNegotiation.validate(contract, { salvage: -4 }, 0)).toBeNull();
+    expect(ContractNegotiation.validate({ ...contract, rewards: { salvage: 0.1 } }, { salvage: -3 }, 0)).toMatch(/Salvage/);
+  });
+
+  test('should apply agreed terms to payment, salvage, support and command', () => {
+    const agreed = ContractNegotiation.applyTerms(contract, { payment: 2, salvage: -1, support: 2, command: 2 });
+
+    expect(agreed.payment).toBe(110000);
+    expect(agreed.rewards.payment).toBe(110000);
+    expect(agreed.rewards.salvage).toBe(0.25);
+    expect(agreed.terms).toEqual({ support: 0.5, command: 'Independent' });
+    expect(agreed.negotiated).toBe(true);
+    expect(ContractNegotiation.getWeightLimit(agreed)).toBe(250);
+    expect(ContractNegotiation.getSupportPayment(agreed, 40000)).toBe(40000);
+    expect(ContractNegotiation.getWeightLimit(contract)).toBe(200);
+    expect(ContractNegotiation.getCommandRights(contract).name).toBe('House');
+  });
+
+  describe('ContractSystem negotiation', () => {
+    let eventBus;
+    let gameState;
+    let contractSystem;
+
+    beforeEach(async () => {
+      eventBus = new EventBus();
+      gameState = new GameState(eventBus);
+      await gameState.initialize();
+      window.alert = jest.fn();
+
+      contractSystem = new ContractSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }));
+      await contractSystem.initialize();
+      gameState.set('contracts', [{ ...contract }]);
+    });
+
+    test('should sign negotiated terms into the available contract', () => {
+      gameState.set('company.reputation', { Mercenary: 25, 'Federated Suns': 0 });
+
+      const negotiation = contractSystem.openNegotiation(contract.id);
+      expect(negotiation.points).toBe(4);
+
+      expect(contractSystem.adjustTerm('payment', 4)).toBe(true);
+      expect(contractSystem.adjustTerm('support', 1)).toBe(false);
+      expect(contractSystem.adjustTerm('salvage', -1)).toBe(true);
+      expect(contractSystem.adjustTerm('command', -1)).toBe(true);
+      expect(contractSystem.adjustTerm('support', 2)).toBe(true);
+
+      const agreed = contractSystem.confirmNegotiation();
+      expect(agreed.payment).toBe(120000);
+      expect(agreed.terms).toEqual({ support: 0.5, command: 'Integrated' });
+      expect(gameState.get('contracts')[0].negotiated).toBe(true);
+      expect(contractSystem.openNegotiation(contract.id)).toBeNull();
+    });
+
+    test('should withdraw the offer when the employer will not negotiate', () => {
+      const withdrawn = jest.fn();
+      eventBus.on('contract:withdrawn', withdrawn);
+      gameState.set('company.reputation', { Mercenary: 25, 'Federated Suns': -50 });
+
+      expect(contractSystem.openNegotiation(contract.id)).toBeNull();
+      expect(gameState.get('contracts')).toHaveLength(0);
+      expect(withdrawn).toHaveBeenCalledWith(expect.objectContaining({ reason: 'employer_standing' }), 'contract:withdrawn');
+    });
+  });
+
+  describe('CompanySystem support coverage', () => {
+    let eventBus;
+    let gameState;
+    let companySystem;
+
+    beforeEach(async () => {
+      eventBus = new EventBus();
+      gameState = new GameState(eventBus);
+      await gameState.initialize();
+
+      companySystem = new CompanySystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }));
+      await companySystem.initialize();
+      gameState.set('pilots', [{ id: 'pilot_1', name: 'Ace', salary: 6000, status: 'Active' }]);
+      gameState.set('company.expenses', { monthly: 45000, salaries: 0, maintenance: 0, insurance: 25000, overhead: 20000 });
+      gameState.set('company.funds', 500000);
+    });
+
+    const agreed = ContractNegotiation.applyTerms(contract, { support: 2 });
+
+    test('should cover support costs on a failed deployment', () => {
+      eventBus.emit('contract:completed', { contract: agreed, success: false, payment: 0, outcome: 'Failed' });
+
+      // Half of two months of the 51,000 C-Bill monthly expenses
+      expect(companySystem.calculateTotalExpenses()).toBe(51000);
+      expect(gameState.get('company.funds')).toBe(551000);
+    });
+
+    test('should not cover support costs after a breach', () => {
+      eventBus.emit('contract:completed', { contract: agreed, success: false, payment: 0, outcome: 'Breached' });
+
+      expect(gameState.get('company.funds')).toBe(500000);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * GameClock Tests
+ * In-game calendar, scheduled events and migration of real-time timers
+ */
+
+import { GameClock } from '@systems/js/GameClock';
+import { CompanySystem } from '@systems/js/CompanySystem';
+import { ContractSystem } from '@systems/js/ContractSystem';
+import { MechSystem } from '@systems/js/MechSystem';
+import { GameState } from '@systems/js/GameState';
+import { RandomService } from '@systems/js/RandomService';
+import { EventBus } from '@utils/EventBus';
+
+describe('GameClock', () => {
+  let eventBus;
+  let gameState;
+  let clock;
+
+  beforeEach(async () => {
+    eventBus = new EventBus();
+    gameState = new GameState(eventBus);
+    await gameState.initialize();
+    gameState.set('time', { year: 3025, month: 1, day: 1 });
+    window.alert = jest.fn();
+
+    clock = new GameClock(eventBus, gameState);
+  });
+
+  test('should convert between dates and day numbers across month and leap-year boundaries', () => {
+    const start = GameClock.getDayNumber({ year: 3028, month: 2, day: 27 });
+
+    expect(GameClock.fromDayNumber(start + 2)).toEqual({ year: 3028, month: 2, day: 29 });
+    expect(GameClock.addDays({ year: 3025, month: 12, day: 25 }, 10)).toEqual({ year: 3026, month: 1, day: 4 });
+    expect(GameClock.formatDate({ year: 3025, month: 3, day: 9 })).toBe('March 9, 3025');
+  });
+
+  test('should fire scheduled events on the day they fall due', () => {
+    const fired = jest.fn();
+    eventBus.on('test:due', fired);
+    const today = clock.today();
+
+    clock.schedule('test:due', today + 3, { name: 'third' });
+    clock.schedule('test:due', today + 1, { name: 'first' });
+    const cancelled = clock.schedule('test:due', today + 2, { name: 'cancelled' });
+    clock.cancel(cancelled);
+
+    clock.advance(2);
+    expect(fired.mock.calls.map(([data]) => data.name)).toEqual(['first']);
+    expect(fired).toHaveBeenCalledWith({ name: 'first', day: today + 1 }, 'test:due');
+    expect(gameState.get('time')).toEqual({ year: 3025, month: 1, day: 3 });
+
+    clock.advance(5);
+    expect(fired.mock.calls.map(([data]) => data.name)).toEqual(['first', 'third']);
+    expect(clock.getScheduled()).toHaveLength(0);
+  });
+
+  test('should number schedule entries from the saved counter', () => {
+    const first = clock.schedule('test:due', clock.today() + 1);
+    const second = clock.scheduleIn('test:due', 2);
+
+    expect([first, second]).toEqual(['schedule_1', 'schedule_2']);
+    expect(gameState.get('scheduleSequence')).toBe(2);
+
+    const reloaded = new GameClock(eventBus, gameState);
+    expect(reloaded.scheduleIn('test:due', 3)).toBe('schedule_3');
+  });
+
+  test('should move epoch timestamps from older saves onto the calendar', () => {
+    const now = Date.now();
+    const day = GameClock.DAY_MS;
+    gameState.set('contracts', [{ id: 'contract_1', name: 'Pirate Hunt', timeLimit: now + 5 * day + 1000 }]);
+    gameState.set('mechs', [
+      { id: 'mech_1', status: 'Repairing', repairEndTime: now + 2 * day, lastMaintenance: now - 10 * day - 1000 },
+      { id: 'mech_2', status: 'Ready', lastMaintenance: clock.today(), datePurchased: now - 3 * day - 1000 }
+    ]);
+    gameState.set('contractHistory', [{ id: 'contract_0', status: 'Completed', completedAt: now - 4 * day - 1000 }]);
+
+    clock.migrate();
+
+    const today = clock.today();
+    expect(gameState.get('contracts')[0]).toEqual({ id: 'contract_1', name: 'Pirate Hunt', expiresDay: today + 6 });
+    expect(gameState.get('mechs')[0]).toEqual({ id: 'mech_1', status: 'Repairing', repairDay: today + 2, lastMaintenance: today - 10 });
+    expect(gameState.get('mechs')[1]).toEqual({ id: 'mech_2', status: 'Ready', lastMaintenance: today, datePurchased: today - 3 });
+    expect(gameState.get('contractHistory')[0].completedAt).toBe(today - 4);
+    expect(clock.getScheduled().map(entry => [entry.event, entry.day])).toEqual([
+      ['contract:offerExpired', today + 6],
+      ['mech:repairDue', today + 2]
+    ]);
+  });
+
+  describe('subsystem timers', () => {
+    let companySystem;
+
+    beforeEach(async () => {
+      companySystem = new CompanySystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }), clock);
+      await companySystem.initialize();
+    });
+
+    test('should expire contract offers when advancing time reaches their deadline', async () => {
+      const contractSystem = new ContractSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }), clock);
+      await contractSystem.initialize();
+      const expired = jest.fn();
+      eventBus.on('contract:expired', expired);
+
+      contractSystem.refreshContracts();
+      const contracts = gameState.get('contracts');
+      const firstDeadline = Math.min(...contracts.map(contract => contract.expiresDay));
+
+      companySystem.advanceTime({ days: firstDeadline - clock.today() - 1 });
+      expect(gameState.get('contracts')).toHaveLength(contracts.length);
+
+      companySystem.advanceTime({ days: 1 });
+      expect(gameState.get('contracts').every(contract => contract.expiresDay > firstDeadline)).toBe(true);
+      expect(expired).toHaveBeenCalled();
+    });
+
+    test('should finish mech repairs on the in-game day they are due', async () => {
+      const mechSystem = new MechSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }), clock);
+      await mechSystem.initialize();
+      gameState.set('company.funds', 1000000);
+      gameState.set('mechs', [{ id: 'mech_1', name: 'Wolverine', tonnage: 55, status: 'Damaged', armor: 40, structure: 70 }]);
+
+      const { days } = mechSystem.calculateRepairCost(gameState.get('mechs')[0], 'full');
+      mechSystem.repairMech({ mechId: 'mech_1', repairType: 'full' });
+      expect(gameState.get('mechs')[0].status).toBe('Repairing');
+
+      companySystem.advanceTime({ days: days - 1 });
+      expect(gameState.get('mechs')[0].status).toBe('Repairing');
+
+      companySystem.advanceTime({ days: 1 });
+      expect(gameState.get('mechs')[0].status).toBe('Ready');
+    });
+
+    test('should pay expenses on a scheduled payday', () => {
+      const paid = jest.spyOn(companySystem, 'payMonthlyExpenses').mockImplementation(() => {});
+
+      companySystem.advanceTime({ days: 29 });
+      expect(paid).not.toHaveBeenCalled();
+
+      companySystem.advanceTime({ days: 1 });
+      expect(paid).toHaveBeenCalledTimes(1);
+      expect(clock.getScheduled('company:expensesDue')[0].day).toBe(clock.today() + 30);
+    });
+  });
+});
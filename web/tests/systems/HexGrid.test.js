@@ -0,0 +1,151 @@
+/**
+ * HexGrid Tests
+ * Coordinates, pathfinding and line of sight on the headless hex map
+ */
+
+import { HexGrid } from '@systems/js/HexGrid';
+
+describe('HexGrid', () => {
+  let grid;
+
+  beforeEach(() => {
+    grid = new HexGrid({ width: 20, height: 15, hexSize: 20 });
+  });
+
+  describe('Coordinates', () => {
+    test('should measure distance on offset coordinates', () => {
+      expect(HexGrid.getDistance({ x: 0, y: 0 }, { x: 0, y: 3 })).toBe(3);
+      expect(HexGrid.getDistance({ x: 0, y: 0 }, { x: 3, y: 0 })).toBe(3);
+      expect(HexGrid.getDistance({ x: 1, y: 1 }, { x: 2, y: 1 })).toBe(1);
+      expect(HexGrid.getDistance({ x: 2, y: 2 }, { x: 2, y: 2 })).toBe(0);
+    });
+
+    test('should return six neighbors one hex away', () => {
+      [{ x: 4, y: 4 }, { x: 5, y: 4 }].forEach(center => {
+        const neighbors = grid.getNeighbors(center);
+
+        expect(neighbors).toHaveLength(6);
+        neighbors.forEach(neighbor => expect(HexGrid.getDistance(center, neighbor)).toBe(1));
+      });
+    });
+
+    test('should measure bearings and facings between hexes', () => {
+      expect(grid.getBearing({ x: 4, y: 4 }, { x: 4, y: 1 })).toBeCloseTo(0);
+      expect(grid.getBearing({ x: 4, y: 4 }, { x: 4, y: 6 })).toBeCloseTo(180);
+      expect(grid.getFacingToward({ x: 4, y: 4 }, { x: 5, y: 3 })).toBe(1);
+      expect(grid.getFacingToward({ x: 4, y: 4 }, { x: 3, y: 4 })).toBe(4);
+      expect(grid.getFacingToward({ x: 4, y: 4 }, { x: 9, y: 4 })).toBe(2);
+    });
+
+    test('should clip neighbors at the map edge', () => {
+      expect(grid.getNeighbors({ x: 0, y: 0 })).toHaveLength(2);
+    });
+
+    test('should round-trip encoded terrain', () => {
+      grid.setTerrain({ x: 3, y: 2 }, 'forest', 1);
+      grid.setTerrain({ x: 7, y: 9 }, 'mountain', 3);
+
+      const copy = new HexGrid({ width: 20, height: 15 });
+      copy.loadTerrain(grid.serializeTerrain());
+
+      expect(copy.getTerrain({ x: 3, y: 2 })).toMatchObject({ type: 'forest', elevation: 1 });
+      expect(copy.getTerrain({ x: 7, y: 9 })).toMatchObject({ type: 'mountain', elevation: 3 });
+      expect(copy.serializeTerrain()).toBe(grid.serializeTerrain());
+    });
+
+    test('should round-trip hex to pixel conversion', () => {
+      for (let x = 0; x < grid.width; x++) {
+        for (let y = 0; y < grid.height; y++) {
+          const center = grid.hexToPixel({ x, y });
+          expect(grid.pixelToHex(center.x, center.y)).toEqual({ x, y });
+        }
+      }
+    });
+
+    test('should return null for pixels outside the map', () => {
+      expect(grid.pixelToHex(-50, -50)).toBeNull();
+    });
+  });
+
+  describe('Movement', () => {
+    test('should charge terrain and elevation costs', () => {
+      grid.setTerrain({ x: 1, y: 0 }, 'forest', 0);
+      grid.setTerrain({ x: 2, y: 0 }, 'clear', 2);
+
+      expect(grid.getMovementCost({ x: 0, y: 0 }, { x: 1, y: 0 })).toBe(2);
+      expect(grid.getMovementCost({ x: 1, y: 0 }, { x: 2, y: 0 })).toBe(3);
+    });
+
+    test('should not allow climbing more than two levels', () => {
+      grid.setTerrain({ x: 1, y: 0 }, 'mountain', 3);
+
+      expect(grid.getMovementCost({ x: 0, y: 0 }, { x: 1, y: 0 })).toBe(Infinity);
+    });
+
+    test('should find the cheapest path around expensive terrain', () => {
+      grid.setTerrain({ x: 5, y: 4 }, 'water');
+      grid.setTerrain({ x: 5, y: 5 }, 'water');
+
+      const result = grid.findPath({ x: 5, y: 3 }, { x: 5, y: 6 });
+
+      expect(result.cost).toBe(4);
+      expect(result.path[0]).toEqual({ x: 5, y: 3 });
+      expect(result.path[result.path.length - 1]).toEqual({ x: 5, y: 6 });
+      expect(result.path).not.toContainEqual({ x: 5, y: 4 });
+    });
+
+    test('should respect blocked hexes and movement budget', () => {
+      const blocked = { x: 3, y: 3 };
+      const isBlocked = hex => hex.x === blocked.x && hex.y === blocked.y;
+
+      expect(grid.findPath({ x: 3, y: 2 }, blocked, { isBlocked })).toBeNull();
+      expect(grid.findPath({ x: 0, y: 0 }, { x: 0, y: 5 }, { maxCost: 4 })).toBeNull();
+    });
+
+    test('should list reachable hexes with their cost', () => {
+      const reachable = grid.getReachableHexes({ x: 5, y: 5 }, 2);
+
+      expect(reachable).toHaveLength(18);
+      expect(reachable.every(hex => hex.cost <= 2)).toBe(true);
+    });
+  });
+
+  describe('Line of Sight', () => {
+    test('should see across open ground', () => {
+      const los = grid.getLineOfSight({ x: 2, y: 2 }, { x: 2, y: 8 });
+
+      expect(los.hasLineOfSight).toBe(true);
+      expect(los.modifier).toBe(0);
+    });
+
+    test('should be blocked by high ground between units', () => {
+      grid.setTerrain({ x: 2, y: 5 }, 'mountain', 3);
+
+      const los = grid.getLineOfSight({ x: 2, y: 2 }, { x: 2, y: 8 });
+
+      expect(los.hasLineOfSight).toBe(false);
+      expect(los.blockedBy).toEqual({ x: 2, y: 5 });
+    });
+
+    test('should add woods modifiers and block through three woods', () => {
+      grid.setTerrain({ x: 2, y: 4 }, 'forest');
+      grid.setTerrain({ x: 2, y: 5 }, 'forest');
+
+      expect(grid.getLineOfSight({ x: 2, y: 2 }, { x: 2, y: 8 }).modifier).toBe(2);
+
+      grid.setTerrain({ x: 2, y: 6 }, 'forest');
+
+      expect(grid.getLineOfSight({ x: 2, y: 2 }, { x: 2, y: 8 }).hasLineOfSight).toBe(false);
+    });
+
+    test('should grant partial cover behind a one-level rise', () => {
+      grid.setTerrain({ x: 2, y: 7 }, 'rough', 1);
+
+      const los = grid.getLineOfSight({ x: 2, y: 2 }, { x: 2, y: 8 });
+
+      expect(los.hasLineOfSight).toBe(true);
+      expect(los.partialCover).toBe(true);
+      expect(los.modifier).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * LanceBuilder Tests
+ * Lance requirement checks, battle value matchup and saved presets
+ */
+
+import { LanceBuilder } from '@systems/js/LanceBuilder';
+import { ContractSystem } from '@systems/js/ContractSystem';
+import { GameState } from '@systems/js/GameState';
+import { RandomService } from '@systems/js/RandomService';
+import { EventBus } from '@utils/EventBus';
+
+describe('LanceBuilder', () => {
+  const contract = {
+    id: 'contract_1',
+    name: 'Border Raid',
+    employer: 'Federated Suns',
+    type: 'Raid',
+    location: 'Sheratan',
+    payment: 100000,
+    duration: 20,
+    expiresDay: 10,
+    requirements: { minMechs: 2, maxMechs: 3, weightLimit: 150 },
+    rewards: { payment: 100000, salvage: 0.2, reputation: {} },
+    objectives: ['Destroy the supply depot'],
+    opFor: { faction: 'Capellan Confederation', totalBattleValue: 2000, units: [] }
+  };
+
+  const roster = {
+    mechs: [
+      { id: 'mech_1', name: 'Wolverine', tonnage: 55, battleValue: 1000, status: 'Ready' },
+      { id: 'mech_2', name: 'Griffin', tonnage: 55, battleValue: 1000, status: 'Ready' },
+      { id: 'mech_3', name: 'Atlas', tonnage: 100, battleValue: 2000, status: 'Ready' }
+    ],
+    pilots: [
+      { id: 'pilot_1', name: 'Ace', gunnery: 3, piloting: 4, status: 'Active' },
+      { id: 'pilot_2', name: 'Rookie', gunnery: 4, piloting: 5, status: 'Active' }
+    ]
+  };
+
+  test('should check lance size, crews, tonnage and availability', () => {
+    const lance = [{ mechId: 'mech_1', pilotId: 'pilot_1' }, { mechId: 'mech_2', pilotId: 'pilot_2' }];
+    expect(LanceBuilder.getChecks(contract, lance, roster).every(check => check.met)).toBe(true);
+    expect(LanceBuilder.getProblem(contract, lance, roster)).toBeNull();
+
+    const failing = checks => checks.filter(check => !check.met).map(check => check.key);
+    expect(failing(LanceBuilder.getChecks(contract, [lance[0]], roster))).toEqual(['size']);
+    expect(failing(LanceBuilder.getChecks(contract, [lance[0], { mechId: 'mech_3', pilotId: 'pilot_1' }], roster)))
+      .toEqual(['pilots', 'tonnage']);
+    expect(failing(LanceBuilder.getChecks(contract, [lance[0], { mechId: 'mech_9', pilotId: 'pilot_2' }], roster)))
+      .toEqual(['available']);
+    expect(LanceBuilder.getProblem(contract, [lance[0], { mechId: 'mech_2', pilotId: null }], roster))
+      .toBe('Pilots: 1 of 2 mechs crewed');
+  });
+
+  test('should weigh the lance battle value against the expected opposition', () => {
+    const lance = [{ mechId: 'mech_1', pilotId: 'pilot_1' }, { mechId: 'mech_2', pilotId: null }];
+
+    expect(LanceBuilder.getBattleValue(lance, roster)).toBe(1200 + 1000);
+    expect(LanceBuilder.getMatchup(contract, lance, roster)).toEqual({
+      lance: 2200, opposition: 2000, ratio: 1.1, assessment: 'Even'
+    });
+    expect(LanceBuilder.getMatchup(contract, [...lance, { mechId: 'mech_3', pilotId: 'pilot_2' }], roster).assessment)
+      .toBe('Favourable');
+    expect(LanceBuilder.getMatchup({ ...contract, opFor: null }, lance, roster).assessment).toBe('Unknown');
+  });
+
+  test('should load presets without units that can no longer deploy', () => {
+    const preset = LanceBuilder.createPreset('preset_1', 'Strike Lance', [
+      { mechId: 'mech_9', pilotId: 'pilot_1' },
+      { mechId: 'mech_1', pilotId: 'pilot_9' },
+      { mechId: 'mech_2', pilotId: 'pilot_2' },
+      { mechId: 'mech_3', pilotId: 'pilot_1' }
+    ]);
+
+    expect(LanceBuilder.applyPreset(preset, roster, { ...contract, requirements: { ...contract.requirements, maxMechs: 2 } }))
+      .toEqual([{ mechId: 'mech_1', pilotId: null }, { mechId: 'mech_2', pilotId: 'pilot_2' }]);
+  });
+
+  describe('ContractSystem lance builder', () => {
+    let eventBus;
+    let gameState;
+    let contractSystem;
+
+    beforeEach(async () => {
+      eventBus = new EventBus();
+      gameState = new GameState(eventBus);
+      await gameState.initialize();
+      window.alert = jest.fn();
+      document.body.innerHTML = '<div id="contract-details"></div>';
+
+      contractSystem = new ContractSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }));
+      await contractSystem.initialize();
+
+      gameState.set('mechs', roster.mechs.map(mech => ({ ...mech })));
+      gameState.set('pilots', roster.pilots.map(pilot => ({ ...pilot })));
+      gameState.set('contracts', [{ ...contract }]);
+    });
+
+    test('should build a lance with live checks and deploy it as chosen', () => {
+      contractSystem.openLanceBuilder('contract_1');
+      expect(contractSystem.lanceBuilder.slots).toEqual([
+        { mechId: 'mech_1', pilotId: 'pilot_1' },
+        { mechId: 'mech_2', pilotId: 'pilot_2' }
+      ]);
+      expect(document.getElementById('contract-details').textContent).toContain('110 / 150 tons');
+
+      contractSystem.toggleLanceMech('mech_3');
+      expect(contractSystem.lanceBuilder.slots[2]).toEqual({ mechId: 'mech_3', pilotId: null });
+      expect(document.getElementById('contract-details').textContent).toContain('210 / 150 tons');
+
+      contractSystem.toggleLanceMech('mech_1');
+      contractSystem.setLancePilot('mech_3', 'pilot_2');
+      expect(contractSystem.lanceBuilder.slots).toEqual([
+        { mechId: 'mech_2', pilotId: null },
+        { mechId: 'mech_3', pilotId: 'pilot_2' }
+      ]);
+      expect(contractSystem.confirmLance()).toBe(false);
+
+      contractSystem.toggleLanceMech('mech_3');
+      contractSystem.toggleLanceMech('mech_1');
+      contractSystem.setLancePilot('mech_2', 'pilot_1');
+      expect(contractSystem.lanceBuilder.slots).toEqual([
+        { mechId: 'mech_2', pilotId: 'pilot_1' },
+        { mechId: 'mech_1', pilotId: null }
+      ]);
+
+      contractSystem.setLancePilot('mech_1', 'pilot_2');
+      expect(contractSystem.confirmLance()).toBe(true);
+
+      const active = gameState.get('activeContracts')[0];
+      expect(active.deployedForce).toEqual({ mechs: ['mech_2', 'mech_1'], pilots: ['pilot_1', 'pilot_2'] });
+      expect(gameState.get('mechs').find(mech => mech.id === 'mech_3').deployment).toBeUndefined();
+      expect(contractSystem.lanceBuilder).toBeNull();
+    });
+
+    test('should save, load and delete lance presets', () => {
+      contractSystem.openLanceBuilder('contract_1');
+      contractSystem.toggleLanceMech('mech_3');
+
+      const preset = contractSystem.saveLancePreset(' Strike Lance ');
+      expect(preset.name).toBe('Strike Lance');
+      expect(preset.id).toMatch(/^preset_[0-9a-z]{9}$/);
+      expect(contractSystem.saveLancePreset('')).toBeNull();
+      expect(gameState.get('lancePresets')).toHaveLength(1);
+
+      contractSystem.toggleLanceMech('mech_1');
+      expect(contractSystem.applyLancePreset(preset.id)).toBe(true);
+      expect(contractSystem.lanceBuilder.slots).toEqual(preset.slots);
+
+      contractSystem.deleteLancePreset(preset.id);
+      expect(gameState.get('lancePresets')).toEqual([]);
+    });
+  });
+});
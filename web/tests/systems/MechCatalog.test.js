@@ -0,0 +1,71 @@
+/**
+ * MechCatalog Tests
+ * Chassis lookups, availability filters and mech record creation
+ */
+
+import { MechCatalog } from '@systems/js/MechCatalog';
+import { MechDamage } from '@systems/js/MechDamage';
+
+describe('MechCatalog', () => {
+  test('should look up variants by id or full name', () => {
+    expect(MechCatalog.get('AS7-D').chassis).toBe('Atlas');
+    expect(MechCatalog.get('Catapult CPLT-C1').id).toBe('CPLT-C1');
+    expect(MechCatalog.get('Timber Wolf Prime')).toBeNull();
+  });
+
+  test('should filter by weight class', () => {
+    const lights = MechCatalog.query({ weightClass: 'Light' });
+
+    expect(lights.length).toBeGreaterThan(0);
+    expect(lights.every(entry => entry.tonnage <= 35)).toBe(true);
+  });
+
+  test('should filter by year and era', () => {
+    expect(MechCatalog.query({ year: 2600 }).map(entry => entry.id)).not.toContain('MAD-3R');
+    expect(MechCatalog.query({ year: 3025 }).map(entry => entry.id)).toContain('MAD-3R');
+    expect(MechCatalog.query({ era: 'Star League' }).map(entry => entry.id)).not.toContain('JR7-D');
+  });
+
+  test('should filter by faction availability', () => {
+    const lyran = MechCatalog.query({ faction: 'Lyran Commonwealth' }).map(entry => entry.id);
+
+    expect(lyran).toContain('COM-2D');
+    expect(lyran).toContain('AS7-D');
+    expect(lyran).not.toContain('JR7-D');
+  });
+
+  test('should create complete mech records', () => {
+    const mech = MechCatalog.createMech('HBK-4G');
+
+    expect(mech).toMatchObject({
+      name: 'Hunchback HBK-4G',
+      tonnage: 50,
+      mechClass: 'Medium',
+      walkMP: 4,
+      runMP: 6,
+      heatSinks: 13,
+      ammo: { 'AC/20': 5 }
+    });
+    expect(mech.weapons).toEqual(['Small Laser', 'AC/20', 'Medium Laser', 'Medium Laser']);
+    expect(mech.loadout.rightTorso).toEqual(['AC/20']);
+    expect(MechDamage.getCondition(mech.locations)).toEqual({ armor: 100, structure: 100 });
+    expect(() => MechCatalog.createMech('missing')).toThrow('Unknown mech variant');
+  });
+
+  test('should scale location armor to the variant armor points', () => {
+    const atlas = MechCatalog.createMech('AS7-D');
+    const locust = MechCatalog.createMech('LCT-1V');
+    const totalArmor = mech => Object.values(mech.locations).reduce((total, data) => total + data.maxArmor + data.maxRearArmor, 0);
+
+    expect(Math.abs(totalArmor(atlas) - 304)).toBeLessThanOrEqual(8);
+    expect(Math.abs(totalArmor(locust) - 64)).toBeLessThanOrEqual(8);
+  });
+
+  test('should group market records by weight class', () => {
+    const database = MechCatalog.getDatabase({ year: 3025 });
+
+    expect(Object.keys(database)).toEqual(['light', 'medium', 'heavy', 'assault']);
+    expect(database.assault.every(mech => mech.mechClass === 'Assault')).toBe(true);
+    expect(database.light[0].purchaseCost).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * MechDamage Tests
+ * Location armor, damage transfer, critical hits and repairs
+ */
+
+import { MechDamage } from '@systems/js/MechDamage';
+
+describe('MechDamage', () => {
+  const loadout = {
+    head: [],
+    centerTorso: ['AC/20'],
+    leftTorso: ['LRM-20'],
+    rightTorso: ['SRM-6'],
+    leftArm: ['Medium Laser', 'Medium Laser'],
+    rightArm: ['Medium Laser'],
+    leftLeg: [],
+    rightLeg: []
+  };
+
+  // Always rolls 6s: guaranteed triple critical, picks the last equipment entry
+  const maxRoll = () => 0.99;
+  const minRoll = () => 0;
+
+  test('should build structure from the tonnage table', () => {
+    const locations = MechDamage.createLocations(100);
+
+    expect(locations.head.maxStructure).toBe(3);
+    expect(locations.centerTorso.maxStructure).toBe(31);
+    expect(locations.leftArm.maxStructure).toBe(17);
+    expect(locations.head.maxArmor).toBeLessThanOrEqual(9);
+    expect(locations.centerTorso.maxRearArmor).toBeGreaterThan(0);
+  });
+
+  test('should map 2d6 rolls to hit locations', () => {
+    expect(MechDamage.getHitLocation(7)).toBe('centerTorso');
+    expect(MechDamage.getHitLocation(12)).toBe('head');
+    expect(MechDamage.getHitLocation(10)).toBe('leftArm');
+    expect(MechDamage.getHitLocation(7, 'rear')).toBe('centerTorso');
+    expect(MechDamage.getHitLocation(7, 'left')).toBe('leftTorso');
+    expect(MechDamage.getHitLocation(4, 'right')).toBe('rightArm');
+  });
+
+  test('should transfer damage inward from a destroyed arm', () => {
+    const locations = MechDamage.createLocations(50);
+    const arm = locations.leftArm;
+    const overflow = 5;
+
+    const result = MechDamage.applyDamage(locations, 'leftArm', arm.armor + arm.structure + overflow, { random: minRoll });
+
+    expect(arm.structure).toBe(0);
+    expect(result.destroyedLocations).toContain('leftArm');
+    expect(result.hits[1]).toMatchObject({ location: 'leftTorso', armorDamage: overflow });
+  });
+
+  test('should tear off the arm when its side torso is destroyed', () => {
+    const locations = MechDamage.createLocations(50);
+    const torso = locations.rightTorso;
+
+    const result = MechDamage.applyDamage(locations, 'rightTorso', torso.armor + torso.structure, { random: minRoll });
+
+    expect(result.destroyedLocations).toEqual(['rightTorso', 'rightArm']);
+    expect(result.destroyed).toBe(false);
+  });
+
+  test('should destroy the mech when the center torso is gone', () => {
+    const locations = MechDamage.createLocations(50);
+    const torso = locations.centerTorso;
+
+    const result = MechDamage.applyDamage(locations, 'centerTorso', torso.armor + torso.structure, { random: minRoll });
+
+    expect(result.destroyed).toBe(true);
+  });
+
+  test('should use rear armor for rear torso hits', () => {
+    const locations = MechDamage.createLocations(50);
+    const frontArmor = locations.centerTorso.armor;
+
+    MechDamage.applyDamage(locations, 'centerTorso', 2, { rear: true });
+
+    expect(locations.centerTorso.armor).toBe(frontArmor);
+    expect(locations.centerTorso.rearArmor).toBe(locations.centerTorso.maxRearArmor - 2);
+  });
+
+  test('should knock out weapons in the location on critical hits', () => {
+    const locations = MechDamage.createLocations(100);
+    locations.leftArm.armor = 0;
+
+    const result = MechDamage.applyDamage(locations, 'leftArm', 1, { loadout, random: maxRoll });
+
+    expect(result.criticalHits).toHaveLength(2);
+    expect(locations.leftArm.destroyedEquipment).toEqual(['Medium Laser', 'Medium Laser']);
+    expect(MechDamage.getOperationalWeapons(locations, loadout)).toEqual(['AC/20', 'LRM-20', 'SRM-6', 'Medium Laser']);
+  });
+
+  test('should migrate legacy percentage damage', () => {
+    const mech = MechDamage.migrateMech({ id: 'm1', tonnage: 50, armor: 50, structure: 100 });
+    const condition = MechDamage.getCondition(mech.locations);
+
+    expect(condition.armor).toBeGreaterThanOrEqual(48);
+    expect(condition.armor).toBeLessThanOrEqual(52);
+    expect(condition.structure).toBe(100);
+  });
+
+  test('should repair locations fully or partially', () => {
+    const damaged = MechDamage.createLocations(50);
+    const arm = damaged.leftArm;
+    MechDamage.applyDamage(damaged, 'leftArm', arm.armor + 1, { loadout, random: maxRoll });
+
+    const patched = MechDamage.repairLocations(damaged, { armorPoints: 0, structurePoints: 2, equipment: false });
+    expect(patched.leftArm.structure).toBe(arm.maxStructure);
+    expect(patched.leftArm.armor).toBe(0);
+    expect(patched.leftArm.destroyedEquipment.length).toBeGreaterThan(0);
+
+    const repaired = MechDamage.repairLocations(damaged);
+    expect(MechDamage.getCondition(repaired)).toEqual({ armor: 100, structure: 100 });
+    expect(MechDamage.getDamageSummary(repaired).destroyedEquipment).toBe(0);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * MechHeat Tests
+ * Heat thresholds, dissipation, shutdown and ammo explosion rolls
+ */
+
+import { MechHeat } from '@systems/js/MechHeat';
+
+describe('MechHeat', () => {
+  const alwaysOnes = () => 0;
+  const alwaysSixes = () => 0.99;
+
+  test('should scale penalties with heat thresholds', () => {
+    expect(MechHeat.getHeatEffects(4)).toEqual({
+      movementPenalty: 0,
+      toHitModifier: 0,
+      shutdownTarget: 0,
+      ammoExplosionTarget: 0
+    });
+    expect(MechHeat.getHeatEffects(15)).toMatchObject({ movementPenalty: 3, toHitModifier: 2, shutdownTarget: 4 });
+    expect(MechHeat.getHeatEffects(30).shutdownTarget).toBe(Infinity);
+  });
+
+  test('should dissipate more heat in water', () => {
+    expect(MechHeat.getDissipation(10)).toBe(10);
+    expect(MechHeat.getDissipation(12, { inWater: true })).toBe(17);
+  });
+
+  test('should roll shutdown avoidance against the heat target', () => {
+    expect(MechHeat.rollShutdown(10, alwaysOnes)).toBe(false);
+    expect(MechHeat.rollShutdown(20, alwaysOnes)).toBe(true);
+    expect(MechHeat.rollShutdown(20, alwaysSixes)).toBe(false);
+    expect(MechHeat.rollShutdown(35, alwaysSixes)).toBe(true);
+  });
+
+  test('should empty the exploding ammo bin', () => {
+    const ammo = { 'AC/20': 4, 'SRM-6': 0 };
+
+    expect(MechHeat.rollAmmoExplosion(15, ammo, alwaysOnes)).toBeNull();
+    expect(MechHeat.rollAmmoExplosion(25, ammo, alwaysSixes)).toBeNull();
+
+    const explosion = MechHeat.rollAmmoExplosion(25, ammo, alwaysOnes);
+    expect(explosion).toEqual({ weapon: 'AC/20', rounds: 4 });
+    expect(ammo['AC/20']).toBe(0);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * MechMovement Tests
+ * Movement modes, facing rotation and firing arcs
+ */
+
+import { MechMovement } from '@systems/js/MechMovement';
+
+describe('MechMovement', () => {
+  test('should derive run and jump movement points', () => {
+    expect(MechMovement.getMovementPoints('walk', { walkMP: 5 })).toBe(5);
+    expect(MechMovement.getMovementPoints('run', { walkMP: 5 })).toBe(8);
+    expect(MechMovement.getMovementPoints('jump', { walkMP: 5, jumpMP: 5, heatPenalty: 2 })).toBe(5);
+    expect(MechMovement.getMovementPoints('run', { walkMP: 5, heatPenalty: 2 })).toBe(5);
+  });
+
+  test('should charge more heat and attack penalties for faster modes', () => {
+    expect(MechMovement.getMovementHeat('walk', 4)).toBe(1);
+    expect(MechMovement.getMovementHeat('run', 7)).toBe(2);
+    expect(MechMovement.getMovementHeat('jump', 2)).toBe(3);
+    expect(MechMovement.getMovementHeat('jump', 6)).toBe(6);
+    expect(['walk', 'run', 'jump'].map(mode => MechMovement.getAttackerModifier(mode))).toEqual([1, 2, 3]);
+  });
+
+  test('should rotate facings through all six hexsides', () => {
+    expect(MechMovement.rotate(0, -1)).toBe(5);
+    expect(MechMovement.rotate(5, 2)).toBe(1);
+    expect(MechMovement.getRotation(0, 5)).toBe(-1);
+    expect(MechMovement.getRotation(1, 3)).toBe(2);
+    expect(Math.abs(MechMovement.getRotation(0, 3))).toBe(3);
+  });
+
+  test('should split bearings into front, side and rear arcs', () => {
+    expect(MechMovement.getArc(0, 0)).toBe('front');
+    expect(MechMovement.getArc(60, 0)).toBe('front');
+    expect(MechMovement.getArc(90, 0)).toBe('right');
+    expect(MechMovement.getArc(270, 0)).toBe('left');
+    expect(MechMovement.getArc(180, 0)).toBe('rear');
+    expect(MechMovement.getArc(0, 3)).toBe('rear');
+    expect(MechMovement.getArc(330, 1)).toBe('left');
+  });
+
+  test('should let arm mounts cover their side arc', () => {
+    expect(MechMovement.canFireInto('rightArm', 'right')).toBe(true);
+    expect(MechMovement.canFireInto('rightArm', 'left')).toBe(false);
+    expect(MechMovement.canFireInto('centerTorso', 'right')).toBe(false);
+    expect(MechMovement.canFireInto('leftTorso', 'rear')).toBe(false);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * MechSystem Tests
+ * Mech market generation and purchases
+ */
+
+import { MechSystem } from '@systems/js/MechSystem';
+import { MechCatalog } from '@systems/js/MechCatalog';
+import { GameState } from '@systems/js/GameState';
+import { EventBus } from '@utils/EventBus';
+
+describe('MechSystem', () => {
+  let eventBus;
+  let gameState;
+  let mechSystem;
+
+  beforeEach(async () => {
+    eventBus = new EventBus();
+    gameState = new GameState(eventBus);
+    await gameState.initialize();
+    gameState.set('company.funds', 50000000);
+
+    mechSystem = new MechSystem(eventBus, gameState);
+    await mechSystem.initialize();
+  });
+
+  afterEach(() => {
+    mechSystem.closeMechMarket();
+  });
+
+  describe('Starting Lance', () => {
+    test('should build the default mechs from the catalog designations', () => {
+      const mechs = mechSystem.createDefaultMechs();
+
+      expect(mechs.map(mech => mech.chassisId)).toEqual(MechCatalog.STARTING_LANCE);
+      mechs.forEach(mech => {
+        expect(mech).toMatchObject(MechCatalog.createMech(mech.chassisId));
+        expect(mech.status).toBe('Ready');
+      });
+    });
+  });
+
+  describe('Mech Market', () => {
+    test('should build the market from the mech catalog', () => {
+      const market = mechSystem.generateMechMarket();
+
+      expect(market.length).toBeGreaterThan(0);
+      market.forEach(mech => {
+        expect(mech.purchaseCost).toBeGreaterThan(0);
+        expect(mech.marketPrice).toBeGreaterThan(0);
+        expect(Array.isArray(mech.weapons)).toBe(true);
+        expect(mech.locations).toBeDefined();
+      });
+    });
+
+    test('should only offer designs available in the current year', () => {
+      gameState.set('time.year', 2600);
+      const database = mechSystem.getMechDatabase();
+
+      expect(database.heavy.map(mech => mech.name)).not.toContain('Marauder MAD-3R');
+    });
+
+    test('should purchase a mech from the displayed market', () => {
+      window.alert = jest.fn();
+      mechSystem.showMechMarket();
+
+      const [offer] = mechSystem.marketMechs;
+      mechSystem.purchaseMech(offer.id, offer.marketPrice);
+
+      const mechs = gameState.get('mechs');
+      expect(mechs).toHaveLength(1);
+      expect(mechs[0].name).toBe(offer.name);
+      expect(mechs[0].datePurchased).toBe(mechSystem.clock.today());
+      expect(gameState.get('company.funds')).toBe(50000000 - offer.marketPrice);
+      expect(mechSystem.marketMechs).not.toContainEqual(offer);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * OpForGenerator Tests
+ * Enemy faction selection, battle value budgets and briefing intel
+ */
+
+import { OpForGenerator } from '@systems/js/OpForGenerator';
+import { MechCatalog } from '@systems/js/MechCatalog';
+
+const factions = {
+  'Federated Suns': { enemies: ['Capellan Confederation', 'Draconis Combine'] },
+  'Pirate Kingdoms': { enemies: ['All Great Houses', 'Mercenary Organizations'] },
+  'ComStar': { enemies: [] }
+};
+
+const createContract = (overrides = {}) => ({
+  employer: 'Federated Suns',
+  type: 'Raid',
+  difficulty: 'Moderate',
+  opposition: [],
+  ...overrides
+});
+
+describe('OpForGenerator', () => {
+  test('should pick the enemy faction from the employer\'s enemies', () => {
+    expect(OpForGenerator.selectFaction(createContract(), factions, () => 0)).toBe('Capellan Confederation');
+    expect(OpForGenerator.selectFaction(createContract(), factions, () => 0.99)).toBe('Draconis Combine');
+    expect(OpForGenerator.selectFaction(createContract({ type: 'Anti-Piracy' }), factions)).toBe('Pirate Kingdoms');
+  });
+
+  test('should fall back to a Great House for employers without enemies', () => {
+    const pirateTarget = OpForGenerator.selectFaction(createContract({ employer: 'Pirate Kingdoms' }), factions, () => 0);
+    const corporate = OpForGenerator.selectFaction(createContract({ employer: 'Defiance Industries' }), factions, () => 0.5);
+
+    expect(OpForGenerator.GREAT_HOUSES).toContain(pirateTarget);
+    expect(OpForGenerator.GREAT_HOUSES).toContain(corporate);
+    expect(OpForGenerator.GREAT_HOUSES).toContain(OpForGenerator.selectFaction(createContract({ employer: 'ComStar' }), factions));
+  });
+
+  test('should scale the battle value budget with difficulty and mission type', () => {
+    const easy = OpForGenerator.getBattleValueBudget(createContract({ difficulty: 'Easy' }));
+    const extreme = OpForGenerator.getBattleValueBudget(createContract({ difficulty: 'Extreme' }));
+    const assault = OpForGenerator.getBattleValueBudget(createContract({ type: 'Planetary Assault' }));
+
+    expect(extreme).toBeGreaterThan(easy);
+    expect(assault).toBeGreaterThan(OpForGenerator.getBattleValueBudget(createContract()));
+  });
+
+  test('should build a roster of catalog chassis fielded by the enemy faction', () => {
+    const opFor = OpForGenerator.generate(createContract({ difficulty: 'Hard' }), { factions, year: 3025 });
+
+    expect(['Capellan Confederation', 'Draconis Combine']).toContain(opFor.faction);
+    expect(opFor.units.length).toBeGreaterThanOrEqual(OpForGenerator.MIN_UNITS);
+    expect(opFor.units.length).toBeLessThanOrEqual(OpForGenerator.MAX_UNITS);
+
+    opFor.units.forEach(unit => {
+      const entry = MechCatalog.get(unit.chassisId);
+      expect(MechCatalog.isAvailable(entry, { year: 3025, faction: opFor.faction })).toBe(true);
+      expect(unit.pilot.gunnery).toBeGreaterThanOrEqual(2);
+      expect(unit.pilot.gunnery).toBeLessThanOrEqual(4);
+    });
+
+    expect(opFor.totalBattleValue).toBe(opFor.units.reduce((total, unit) => total + unit.battleValue, 0));
+  });
+
+  test('should follow opposition intel for weight classes', () => {
+    const contract = createContract({ difficulty: 'Easy', opposition: ['Light security forces'] });
+    const opFor = OpForGenerator.generate(contract, { factions, year: 3025 });
+
+    expect(OpForGenerator.getWeightClasses(contract)).toEqual(['Light']);
+    expect(opFor.units.every(unit => unit.mechClass === 'Light')).toBe(true);
+  });
+
+  test('should summarize the force as approximate briefing intel', () => {
+    const opFor = {
+      faction: 'Draconis Combine',
+      totalBattleValue: 3320,
+      units: [
+        { mechClass: 'Heavy' },
+        { mechClass: 'Light' },
+        { mechClass: 'Light' }
+      ]
+    };
+
+    expect(OpForGenerator.getIntelReport(opFor)).toEqual({
+      faction: 'Draconis Combine',
+      estimatedUnits: '2-4',
+      weightClasses: ['Light', 'Heavy'],
+      estimatedBattleValue: 3500
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * PilotAdvancement Tests
+ * XP awards, the skill cost curve and experience tiers derived from skills
+ */
+
+import { PilotAdvancement } from '@systems/js/PilotAdvancement';
+import { PilotSystem } from '@systems/js/PilotSystem';
+import { GameState } from '@systems/js/GameState';
+import { RandomService } from '@systems/js/RandomService';
+import { EventBus } from '@utils/EventBus';
+
+describe('PilotAdvancement', () => {
+  test('should derive experience tiers from combined skills', () => {
+    expect(PilotAdvancement.getTier({ gunnery: 5, piloting: 6 })).toBe('Green');
+    expect(PilotAdvancement.getTier({ gunnery: 4, piloting: 5 })).toBe('Regular');
+    expect(PilotAdvancement.getTier({ gunnery: 3, piloting: 4 })).toBe('Veteran');
+    expect(PilotAdvancement.getTier({ gunnery: 2, piloting: 3 })).toBe('Elite');
+  });
+
+  test('should raise the cost of each step below the standard skill level', () => {
+    expect([5, 4, 3, 2, 1].map(level => PilotAdvancement.getAdvanceCost('gunnery', level))).toEqual([200, 400, 800, 1600, 3200]);
+    expect(PilotAdvancement.getAdvanceCost('piloting', 7)).toBe(150);
+    expect(PilotAdvancement.getAdvanceCost('gunnery', 0)).toBeNull();
+    expect(PilotAdvancement.getAdvanceCost('tactics', 4)).toBeNull();
+  });
+
+  test('should spend XP on a skill and move the pilot up a tier', () => {
+    const pilot = { name: 'Razor', gunnery: 4, piloting: 4, xp: 500, experience: 'Regular' };
+
+    expect(PilotAdvancement.advance(pilot, 'gunnery')).toEqual({
+      cost: 400,
+      updates: { gunnery: 3, xp: 100, experience: 'Veteran' }
+    });
+    expect(PilotAdvancement.advance({ ...pilot, xp: 100 }, 'gunnery').error).toMatch(/needs 400 XP/);
+    expect(PilotAdvancement.getEngagementXP(2, true)).toBe(100 + 50 + 150);
+  });
+
+  describe('PilotSystem experience', () => {
+    let eventBus;
+    let gameState;
+    let pilotSystem;
+
+    beforeEach(async () => {
+      eventBus = new EventBus();
+      gameState = new GameState(eventBus);
+      await gameState.initialize();
+      window.alert = jest.fn();
+
+      pilotSystem = new PilotSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }));
+      await pilotSystem.initialize();
+
+      gameState.set('pilots', [
+        { id: 'pilot_1', name: 'Reaper', gunnery: 4, piloting: 5, xp: 0, experience: 'Regular', status: 'Active' },
+        { id: 'pilot_2', name: 'Razor', gunnery: 5, piloting: 6, xp: 0, experience: 'Green', status: 'Active' },
+        { id: 'pilot_3', name: 'Ghost', gunnery: 3, piloting: 4, xp: 0, experience: 'Veteran', status: 'KIA' }
+      ]);
+    });
+
+    const pilot = id => gameState.get('pilots').find(p => p.id === id);
+
+    test('should award XP for engagements, kills and training contracts', () => {
+      eventBus.emit('combat:ended', {
+        victory: true,
+        playerUnits: [{ pilotId: 'pilot_1', kills: 2 }, { pilotId: 'pilot_2', kills: 0 }, { pilotId: 'pilot_3', kills: 1 }]
+      });
+
+      expect(pilot('pilot_1').xp).toBe(300);
+      expect(pilot('pilot_2').xp).toBe(150);
+      expect(pilot('pilot_3').xp).toBe(0);
+
+      eventBus.emit('contract:completed', {
+        success: true,
+        contract: { rewards: { pilotXP: 250 }, deployedForce: { mechs: ['mech_1'], pilots: ['pilot_2'] } }
+      });
+      expect(pilot('pilot_2').xp).toBe(400);
+    });
+
+    test('should train a skill when the pilot has the XP', () => {
+      const advanced = jest.fn();
+      eventBus.on('pilot:skillAdvanced', advanced);
+      gameState.updateArrayItem('pilots', p => p.id === 'pilot_1', { xp: 500 });
+
+      expect(pilotSystem.advanceSkill('pilot_1', 'gunnery')).toBe(true);
+      expect(pilot('pilot_1')).toMatchObject({ gunnery: 3, xp: 100, experience: 'Regular' });
+      expect(advanced).toHaveBeenCalledWith(
+        { pilotId: 'pilot_1', skill: 'gunnery', value: 3, cost: 400, experience: 'Regular' }, 'pilot:skillAdvanced');
+
+      expect(pilotSystem.advanceSkill('pilot_1', 'piloting')).toBe(false);
+      expect(window.alert).toHaveBeenCalledWith(expect.stringMatching(/needs 300 XP/));
+    });
+
+    test('should derive tiers for hiring candidates and older saves', () => {
+      expect(pilotSystem.generatePilotPool().every(p => p.experience === PilotAdvancement.getTier(p))).toBe(true);
+
+      gameState.updateArrayItem('pilots', p => p.id === 'pilot_1', { experience: 'Elite' });
+      pilotSystem.onStateLoaded(gameState.state);
+      expect(pilot('pilot_1').experience).toBe('Regular');
+    });
+  });
+});
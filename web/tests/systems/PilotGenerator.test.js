@@ -0,0 +1,104 @@
+/**
+ * PilotGenerator Tests
+ * Procedural hiring candidates, pay derived from skills and famous legends on the market
+ */
+
+import { PilotGenerator } from '@systems/js/PilotGenerator';
+import { PilotAdvancement } from '@systems/js/PilotAdvancement';
+import { PilotSystem } from '@systems/js/PilotSystem';
+import { GameState } from '@systems/js/GameState';
+import { RandomService } from '@systems/js/RandomService';
+import { EventBus } from '@utils/EventBus';
+
+describe('PilotGenerator', () => {
+  const random = () => new RandomService(null, null, { seed: 3 }).stream('pilots').next;
+
+  test('should build pilots from the tables for their origin and experience', () => {
+    const next = random();
+
+    for (let i = 0; i < 50; i++) {
+      const pilot = PilotGenerator.generate({ rating: 'Veteran', random: next });
+      const tables = PilotGenerator.ORIGINS[pilot.origin];
+      const level = PilotGenerator.EXPERIENCE.findIndex(entry => entry.name === pilot.experience);
+
+      expect(pilot.name.startsWith(`${tables.ranks[level]} `)).toBe(true);
+      expect(tables.lastNames.some(name => pilot.name.endsWith(` ${name}`))).toBe(true);
+      expect(pilot.experience).toBe(PilotAdvancement.getTier(pilot));
+      expect(pilot.salary).toBe(PilotGenerator.getSalary(pilot.gunnery, pilot.piloting));
+      expect(pilot.hireCost).toBe(PilotGenerator.getHireCost(pilot));
+      expect(new Set(pilot.traits).size).toBe(pilot.traits.length);
+      expect(pilot.backstory.startsWith(tables.academy)).toBe(pilot.experience === 'Green');
+    }
+  });
+
+  test('should derive pay from skills', () => {
+    expect(PilotGenerator.getSalary(5, 5)).toBe(6500);
+    expect(PilotGenerator.getSalary(1, 2)).toBe(41000);
+    expect(PilotGenerator.getHireCost({ gunnery: 5, piloting: 5 })).toBe(2500);
+    expect(PilotGenerator.getHireCost({ gunnery: 1, piloting: 2 })).toBe(45000);
+  });
+
+  test('should offer better pilots to better rated companies', () => {
+    const averageSkills = rating => {
+      const market = PilotGenerator.generateMarket(100, { rating, random: random() });
+      return market.reduce((total, pilot) => total + pilot.gunnery + pilot.piloting, 0) / market.length;
+    };
+
+    expect(averageSkills('Elite')).toBeLessThan(averageSkills('Green') - 1.5);
+    expect(PilotGenerator.generateMarket(100, { rating: 'Green', random: random() })
+      .every(pilot => pilot.gunnery + pilot.piloting >= 5)).toBe(true);
+  });
+
+  test('should draw each legend at most once as a famous hire', () => {
+    const legends = [{ name: 'Legend One' }, { name: 'Legend Two' }];
+    const market = PilotGenerator.generateMarket(4, { legends, random: () => 0 });
+
+    expect(market.slice(0, 2)).toEqual([{ name: 'Legend One', famous: true }, { name: 'Legend Two', famous: true }]);
+    expect(market.slice(2).every(pilot => !pilot.famous && pilot.origin)).toBe(true);
+    expect(legends).toHaveLength(2);
+  });
+
+  describe('PilotSystem hiring', () => {
+    let eventBus;
+    let gameState;
+    let pilotSystem;
+
+    beforeEach(async () => {
+      eventBus = new EventBus();
+      gameState = new GameState(eventBus);
+      await gameState.initialize();
+      window.alert = jest.fn();
+
+      pilotSystem = new PilotSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }));
+      await pilotSystem.initialize();
+
+      gameState.set('company.funds', 1000000);
+      gameState.set('pilots', [{ id: 'pilot_1', name: 'Colonel James "Iron Wolf" Harrison', gunnery: 1, piloting: 2, status: 'Active' }]);
+    });
+
+    test('should hire from the market that was offered', () => {
+      const market = pilotSystem.generateAvailablePilots();
+      const candidate = market[0];
+
+      expect(market.length).toBeGreaterThanOrEqual(5);
+      expect(market.length).toBeLessThanOrEqual(8);
+
+      pilotSystem.hirePilot(candidate.id, candidate.hireCost, candidate.salary);
+
+      expect(gameState.get('pilots').map(pilot => pilot.name)).toContain(candidate.name);
+      expect(gameState.get('company.funds')).toBe(1000000 - candidate.hireCost);
+      expect(pilotSystem.hiringPool.map(pilot => pilot.id)).not.toContain(candidate.id);
+    });
+
+    test('should keep legends already on the roster off the market', () => {
+      const generateMarket = jest.spyOn(PilotGenerator, 'generateMarket');
+
+      pilotSystem.generateAvailablePilots();
+
+      const { legends } = generateMarket.mock.calls[0][1];
+      expect(legends.length).toBe(pilotSystem.generatePilotPool().length - 1);
+      expect(legends.map(pilot => pilot.name)).not.toContain('Colonel James "Iron Wolf" Harrison');
+      generateMarket.mockRestore();
+    });
+  });
+});
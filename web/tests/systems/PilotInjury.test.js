@@ -0,0 +1,142 @@
+/**
+ * PilotInjury Tests
+ * Wound penalties, death and lasting injury rolls and recovery on the game calendar
+ */
+
+import { PilotInjury } from '@systems/js/PilotInjury';
+import { CombatSystem } from '@systems/js/CombatSystem';
+import { CombatUnit } from '@systems/js/CombatUnit';
+import { ContractSystem } from '@systems/js/ContractSystem';
+import { GameClock } from '@systems/js/GameClock';
+import { MechCatalog } from '@systems/js/MechCatalog';
+import { PilotSystem } from '@systems/js/PilotSystem';
+import { GameState } from '@systems/js/GameState';
+import { RandomService } from '@systems/js/RandomService';
+import { EventBus } from '@utils/EventBus';
+
+describe('PilotInjury', () => {
+  const pilot = { id: 'pilot_1', name: 'Reaper', gunnery: 3, piloting: 4, injuries: 0, status: 'Active' };
+
+  test('should roll for death only once wounds are serious', () => {
+    expect(PilotInjury.applyHits(pilot, 2, () => 0.01)).toEqual({
+      died: false,
+      permanentInjury: 'gunnery',
+      updates: { injuries: 2, status: 'Injured', gunnery: 4, permanentInjuries: ['gunnery'] }
+    });
+    expect(PilotInjury.applyHits({ ...pilot, injuries: 2 }, 2, () => 0.1).died).toBe(true);
+    expect(PilotInjury.applyHits({ ...pilot, injuries: 2 }, 2, () => 0.2)).toEqual({
+      died: false, permanentInjury: null, updates: { injuries: 4, status: 'Injured' }
+    });
+    expect(PilotInjury.applyHits({ ...pilot, injuries: 5 }, 3, () => 0.99).updates).toMatchObject({ injuries: 6, status: 'KIA' });
+  });
+
+  test('should heal faster with better medical staff', () => {
+    expect(PilotInjury.getRecoveryDays(3, 'Basic')).toBe(42);
+    expect(PilotInjury.getRecoveryDays(3, 'Advanced')).toBe(21);
+    expect(PilotInjury.getUpgrade('Basic')).toMatchObject({ rating: 'Standard', upgradeCost: 150000 });
+    expect(PilotInjury.getUpgrade('Elite')).toBeNull();
+  });
+
+  test('should apply wound penalties to a unit for the rest of the fight', () => {
+    const unit = new CombatUnit({ mech: { ...MechCatalog.createMech('WVR-6R'), id: 'mech_1' }, pilot, isPlayer: true });
+
+    unit.injurePilot(2);
+    expect(unit).toMatchObject({ pilotHits: 2, gunnery: 5, piloting: 6 });
+    expect(PilotInjury.getCombatInjuries([unit])).toEqual([{ pilotId: 'pilot_1', name: 'Reaper', injuries: 2 }]);
+  });
+
+  describe('medical bay', () => {
+    let eventBus;
+    let gameState;
+    let clock;
+    let pilotSystem;
+    let combatSystem;
+
+    beforeEach(async () => {
+      eventBus = new EventBus();
+      gameState = new GameState(eventBus);
+      await gameState.initialize();
+      gameState.set('time', { year: 3025, month: 1, day: 1 });
+      window.alert = jest.fn();
+
+      clock = new GameClock(eventBus, gameState);
+      pilotSystem = new PilotSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }), clock);
+      await pilotSystem.initialize();
+      combatSystem = new CombatSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }));
+      combatSystem.random.next = () => 0.99;
+
+      gameState.set('pilots', [{ ...pilot }, { ...pilot, id: 'pilot_2', name: 'Razor' }]);
+    });
+
+    const roster = id => gameState.get('pilots').find(p => p.id === id);
+
+    test('should heal one hit at a time and return the pilot to duty', () => {
+      const recovered = jest.fn();
+      eventBus.on('pilot:recovered', recovered);
+
+      combatSystem.applyPilotInjuries([{ pilotId: 'pilot_1', injuries: 2 }]);
+      expect(roster('pilot_1')).toMatchObject({ injuries: 2, status: 'Injured', recoveryDay: clock.today() + 28 });
+
+      clock.advance(14);
+      expect(roster('pilot_1')).toMatchObject({ injuries: 1, status: 'Injured' });
+
+      clock.advance(14);
+      expect(roster('pilot_1')).toMatchObject({ injuries: 0, status: 'Active' });
+      expect(recovered).toHaveBeenCalledWith({ pilotId: 'pilot_1' }, 'pilot:recovered');
+    });
+
+    test('should move pilots in the medical bay onto faster staff', () => {
+      gameState.set('company.funds', 200000);
+      combatSystem.applyPilotInjuries([{ pilotId: 'pilot_1', injuries: 1 }]);
+
+      expect(pilotSystem.upgradeMedicalStaff()).toBe(true);
+      expect(gameState.get('company')).toMatchObject({ funds: 50000, medicalStaff: 'Standard' });
+      expect(roster('pilot_1').recoveryDay).toBe(clock.today() + 10);
+      expect(clock.getScheduled('pilot:recoveryDue')).toHaveLength(1);
+      expect(pilotSystem.upgradeMedicalStaff()).toBe(false);
+    });
+
+    test('should count pilots killed by their wounds', () => {
+      const killed = jest.fn();
+      eventBus.on('pilot:killed', killed);
+
+      combatSystem.applyPilotInjuries([{ pilotId: 'pilot_2', injuries: 6 }]);
+
+      expect(roster('pilot_2')).toMatchObject({ status: 'KIA', injuries: 6 });
+      expect(gameState.get('statistics.pilotDeaths')).toBe(1);
+      expect(killed).toHaveBeenCalled();
+      expect(clock.getScheduled('pilot:recoveryDue')).toHaveLength(0);
+    });
+
+    test('should keep wounded pilots out of a contract lance', async () => {
+      const contractSystem = new ContractSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }), clock);
+      await contractSystem.initialize();
+      gameState.set('mechs', [{ id: 'mech_1', name: 'Wolverine', tonnage: 55, status: 'Ready' }]);
+      gameState.set('contracts', [{
+        id: 'contract_1', name: 'Pirate Hunt', employer: 'Federated Suns', payment: 100000, duration: 20, expiresDay: 10,
+        requirements: { minMechs: 1, maxMechs: 1, weightLimit: 100 }, rewards: { salvage: 0.2, reputation: {} }, objectives: []
+      }]);
+      combatSystem.applyPilotInjuries([{ pilotId: 'pilot_1', injuries: 1 }]);
+
+      expect(contractSystem.acceptContract('contract_1', { mechs: ['mech_1'], pilots: ['pilot_1'] })).toBe(false);
+      expect(window.alert).toHaveBeenCalledWith('Reaper cannot deploy while recovering from injuries.');
+      expect(contractSystem.selectDeployedForce(gameState.get('contracts')[0]).pilots).toEqual(['pilot_2']);
+    });
+
+    test('should check the default lance for wounded pilots too', async () => {
+      const contractSystem = new ContractSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }), clock);
+      await contractSystem.initialize();
+      gameState.set('mechs', [{ id: 'mech_1', name: 'Wolverine', tonnage: 55, status: 'Ready' }]);
+      gameState.set('contracts', [{
+        id: 'contract_1', name: 'Pirate Hunt', employer: 'Federated Suns', payment: 100000, duration: 20, expiresDay: 10,
+        requirements: { minMechs: 1, maxMechs: 1, weightLimit: 100 }, rewards: { salvage: 0.2, reputation: {} }, objectives: []
+      }]);
+      gameState.updateArrayItem('pilots', pilot => pilot.id === 'pilot_1', { injuries: 2 });
+
+      expect(contractSystem.selectDeployedForce(gameState.get('contracts')[0]).pilots).toEqual(['pilot_1']);
+      expect(contractSystem.acceptContract('contract_1')).toBe(false);
+      expect(window.alert).toHaveBeenCalledWith('Reaper cannot deploy while recovering from injuries.');
+      expect(gameState.get('contracts')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * PilotMorale Tests
+ * Morale changes from pay, losses and deployments, combat effects, perks and departures
+ */
+
+import { PilotMorale } from '@systems/js/PilotMorale';
+import { CombatUnit } from '@systems/js/CombatUnit';
+import { GameClock } from '@systems/js/GameClock';
+import { MechCatalog } from '@systems/js/MechCatalog';
+import { PilotSystem } from '@systems/js/PilotSystem';
+import { GameState } from '@systems/js/GameState';
+import { RandomService } from '@systems/js/RandomService';
+import { EventBus } from '@utils/EventBus';
+
+describe('PilotMorale', () => {
+  test('should map morale to levels, combat penalties and perks', () => {
+    expect(PilotMorale.getLevel({}).name).toBe('Content');
+    expect(PilotMorale.getCombatModifier({ morale: 15 })).toBe(2);
+    expect(PilotMorale.getPerks({ morale: 92 }).map(perk => perk.key)).toEqual(['steadfast', 'devoted']);
+
+    const unit = new CombatUnit({ mech: { ...MechCatalog.createMech('WVR-6R'), id: 'mech_1' }, pilot: { id: 'pilot_1', gunnery: 4, piloting: 5, morale: 30 } });
+    expect(unit).toMatchObject({ gunnery: 5, piloting: 6 });
+  });
+
+  test('should clamp changes and soften missed payroll for steadfast pilots', () => {
+    expect(PilotMorale.adjust({ morale: 50 }, 'missedPayroll')).toBe(35);
+    expect(PilotMorale.adjust({ morale: 85 }, 'missedPayroll')).toBe(78);
+    expect(PilotMorale.adjust({ morale: 98 }, 'victory')).toBe(100);
+    expect(PilotMorale.adjust({ morale: 5 }, 'comradeKilled')).toBe(0);
+  });
+
+  test('should only let mutinous pilots walk out', () => {
+    expect(PilotMorale.rollDeparture({ morale: 25, mechAssignment: 'mech_1' }, () => 0)).toBeNull();
+    expect(PilotMorale.rollDeparture({ morale: 15, mechAssignment: 'mech_1' }, () => 0)).toBe('resign');
+    expect(PilotMorale.rollDeparture({ morale: 5, mechAssignment: 'mech_1' }, () => 0)).toBe('desert');
+    expect(PilotMorale.rollDeparture({ morale: 5, mechAssignment: null }, () => 0)).toBe('resign');
+    expect(PilotMorale.rollDeparture({ morale: 5 }, () => 0.5)).toBeNull();
+  });
+
+  describe('PilotSystem morale', () => {
+    let eventBus;
+    let gameState;
+    let clock;
+    let pilotSystem;
+
+    beforeEach(async () => {
+      eventBus = new EventBus();
+      gameState = new GameState(eventBus);
+      await gameState.initialize();
+      gameState.set('time', { year: 3025, month: 1, day: 1 });
+      window.alert = jest.fn();
+
+      clock = new GameClock(eventBus, gameState);
+      pilotSystem = new PilotSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }), clock);
+      await pilotSystem.initialize();
+
+      gameState.set('pilots', [
+        { id: 'pilot_1', name: 'Reaper', gunnery: 3, piloting: 4, salary: 10000, status: 'Active', morale: 60 },
+        { id: 'pilot_2', name: 'Razor', gunnery: 4, piloting: 5, salary: 8000, status: 'Active', morale: 60, mechAssignment: 'mech_1' }
+      ]);
+      gameState.set('mechs', [{ id: 'mech_1', name: 'Wolverine', status: 'Ready' }]);
+      gameState.set('company.expenses.salaries', 18000);
+    });
+
+    const roster = id => gameState.get('pilots').find(p => p.id === id);
+
+    test('should react to missed payroll, losses, victories and bonuses', () => {
+      eventBus.emit('company:financialCrisis', { deficit: 10000 });
+      expect(roster('pilot_1').morale).toBe(45);
+
+      eventBus.emit('pilot:killed', { pilot: roster('pilot_2') });
+      expect(roster('pilot_1').morale).toBe(35);
+      expect(roster('pilot_2').morale).toBe(45);
+
+      eventBus.emit('combat:ended', { victory: true, playerUnits: [{ pilotId: 'pilot_1', kills: 0 }] });
+      eventBus.emit('contract:completed', { success: true, bonuses: 5000, contract: { rewards: {}, deployedForce: { pilots: ['pilot_1'] } } });
+      expect(roster('pilot_1').morale).toBe(43);
+    });
+
+    test('should reward rest after a deployment and wear down idle pilots', () => {
+      clock.advance(7);
+      expect(roster('pilot_1')).toMatchObject({ morale: 60, lastDeployedDay: clock.today() });
+
+      clock.advance(21);
+      expect(roster('pilot_1').morale).toBe(66);
+
+      clock.advance(70);
+      expect(roster('pilot_1').morale).toBeLessThan(66);
+      expect(clock.getScheduled('pilot:moraleReview')).toHaveLength(1);
+    });
+
+    test('should let a mutinous pilot desert with their mech', () => {
+      const deserted = jest.fn();
+      eventBus.on('pilot:deserted', deserted);
+      gameState.updateArrayItem('pilots', p => p.id === 'pilot_2', { morale: 5, lastDeployedDay: clock.today() });
+      pilotSystem.moraleRandom.next = () => 0;
+
+      pilotSystem.reviewMorale();
+
+      expect(gameState.get('pilots').map(p => p.id)).toEqual(['pilot_1']);
+      expect(gameState.get('mechs')).toEqual([]);
+      expect(gameState.get('company.expenses.salaries')).toBe(10000);
+      expect(deserted).toHaveBeenCalledWith(expect.objectContaining({ mech: expect.objectContaining({ id: 'mech_1' }) }), 'pilot:deserted');
+    });
+
+    test('should grant devoted pilots extra experience', () => {
+      gameState.updateArrayItem('pilots', p => p.id === 'pilot_1', { morale: 95, xp: 0 });
+
+      pilotSystem.awardXP('pilot_1', 100, 'engagement');
+      expect(roster('pilot_1').xp).toBe(125);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * PilotTraits Tests
+ * Trait and specialty effects in combat, auto-resolve and the pilot details panel
+ */
+
+import { PilotTraits } from '@systems/js/PilotTraits';
+import { AutoResolver } from '@systems/js/AutoResolver';
+import { CombatSystem } from '@systems/js/CombatSystem';
+import { CombatUnit } from '@systems/js/CombatUnit';
+import { MechCatalog } from '@systems/js/MechCatalog';
+import { GameState } from '@systems/js/GameState';
+import { RandomService } from '@systems/js/RandomService';
+import { EventBus } from '@utils/EventBus';
+
+describe('PilotTraits', () => {
+  const pilot = {
+    id: 'pilot_1',
+    name: 'Hawk',
+    gunnery: 4,
+    piloting: 5,
+    traits: ['Marksman', 'Lucky', 'Natural Leader', 'Fast Learner'],
+    specialties: ['Light Mechs', 'Urban Combat', 'Night Combat', 'Reconnaissance']
+  };
+
+  const createUnit = (chassisId, id, unitPilot, isPlayer, battlefield = {}) => new CombatUnit({
+    mech: { ...MechCatalog.createMech(chassisId), id },
+    pilot: unitPilot,
+    isPlayer,
+    battlefield
+  });
+
+  test('should apply specialties only where their conditions hold', () => {
+    expect(PilotTraits.getEffects(pilot, { mechClass: 'Heavy' })).toEqual({
+      toHit: -1, piloting: 0, initiative: 0, lanceInitiative: 1, rerolls: 1
+    });
+    expect(PilotTraits.getEffects(pilot, {
+      mechClass: 'Light',
+      terrain: ['Urban environment with tall buildings'],
+      specialConditions: ['Night operations required']
+    })).toEqual({ toHit: -3, piloting: -1, initiative: 1, lanceInitiative: 1, rerolls: 1 });
+    expect(PilotTraits.getEffects(null)).toEqual(PilotTraits.emptyEffects());
+  });
+
+  test('should describe the effects of known traits and specialties', () => {
+    expect(PilotTraits.describe(pilot)).toEqual([
+      { name: 'Marksman', description: '-1 to-hit' },
+      { name: 'Lucky', description: '1 reroll of a missed shot per battle' },
+      { name: 'Natural Leader', description: '+1 lance initiative' },
+      { name: 'Light Mechs', description: '+1 initiative, -1 piloting rolls in Light mechs' },
+      { name: 'Urban Combat', description: '-1 to-hit in Urban terrain' },
+      { name: 'Night Combat', description: '-1 to-hit when night operations required' }
+    ]);
+  });
+
+  test('should fold trait effects into combat unit skills, rerolls and lance initiative', () => {
+    const leader = createUnit('LCT-1V', 'mech_1', pilot, true, { terrain: ['Urban environment with tall buildings'] });
+    const wingman = createUnit('WVR-6R', 'mech_2', { id: 'pilot_2', name: 'Wing', gunnery: 4, piloting: 5 }, true);
+
+    expect(leader).toMatchObject({ gunnery: 2, piloting: 4, rerolls: 1 });
+    expect(PilotTraits.getInitiativeBonus(leader, [leader, wingman])).toBe(2);
+    expect(PilotTraits.getInitiativeBonus(wingman, [leader, wingman])).toBe(1);
+
+    expect(leader.useReroll()).toBe(true);
+    expect(leader.useReroll()).toBe(false);
+  });
+
+  test('should reroll missed shots in auto-resolve', () => {
+    const lucky = createUnit('AS7-D', 'mech_1', { ...pilot, traits: ['Lucky'], specialties: [] }, true);
+    const enemies = [createUnit('LCT-1V', 'enemy_1', { id: 'enemy_pilot', name: 'Enemy', gunnery: 5, piloting: 6 }, false)];
+
+    AutoResolver.resolve({ difficulty: 'Moderate', objectives: ['Win'] }, { playerUnits: [lucky], enemyUnits: enemies, random: () => 0 });
+    expect(lucky.rerolls).toBe(0);
+  });
+
+  test('should build deployed units with the contract battlefield', async () => {
+    const eventBus = new EventBus();
+    const gameState = new GameState(eventBus);
+    await gameState.initialize();
+    gameState.set('mechs', [{ ...MechCatalog.createMech('LCT-1V'), id: 'mech_1', status: 'Ready' }]);
+    gameState.set('pilots', [{ ...pilot, status: 'Active' }]);
+
+    const combatSystem = new CombatSystem(eventBus, gameState, new RandomService(null, null, { seed: 7 }));
+    const [unit] = combatSystem.createPlayerUnits({ mechs: ['mech_1'], pilots: ['pilot_1'] }, {
+      terrain: ['Urban environment with tall buildings'],
+      specialConditions: []
+    });
+
+    expect(unit.traitEffects).toMatchObject({ toHit: -2, piloting: -1, initiative: 1 });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * RandomService Tests
+ * Seeded streams, save/restore through GameState and reproducible generation
+ */
+
+import { RandomService } from '@systems/js/RandomService';
+import { ContractSystem } from '@systems/js/ContractSystem';
+import { GameState } from '@systems/js/GameState';
+import { EventBus } from '@utils/EventBus';
+
+describe('RandomService', () => {
+  const draw = (stream, count = 5) => Array.from({ length: count }, () => stream.next());
+
+  test('should replay the same sequence for the same seed', () => {
+    const first = new RandomService(null, null, { seed: 1234 });
+    const second = new RandomService(null, null, { seed: 1234 });
+    const other = new RandomService(null, null, { seed: 4321 });
+
+    const values = draw(first.stream('combat'));
+    expect(draw(second.stream('combat'))).toEqual(values);
+    expect(draw(other.stream('combat'))).not.toEqual(values);
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('should keep named streams independent', () => {
+    const service = new RandomService(null, null, { seed: 99 });
+    const reference = draw(new RandomService(null, null, { seed: 99 }).stream('contracts'));
+
+    draw(service.stream('combat'), 50);
+    expect(draw(service.stream('contracts'))).toEqual(reference);
+  });
+
+  test('should provide dice and range helpers', () => {
+    const stream = new RandomService(null, null, { seed: 7 }).stream('dice');
+
+    for (let i = 0; i < 50; i++) {
+      const roll = stream.roll(2);
+      const value = stream.int(3, 5);
+      expect(roll).toBeGreaterThanOrEqual(2);
+      expect(roll).toBeLessThanOrEqual(12);
+      expect(value).toBeGreaterThanOrEqual(3);
+      expect(value).toBeLessThanOrEqual(5);
+    }
+    expect(['a', 'b']).toContain(stream.pick(['a', 'b']));
+  });
+
+  test('should draw reproducible ids', () => {
+    const ids = new RandomService(null, null, { seed: 5 }).stream('ids');
+    const replay = new RandomService(null, null, { seed: 5 }).stream('ids');
+
+    const id = ids.id('mech');
+    expect(id).toMatch(/^mech_[0-9a-z]{9}$/);
+    expect(replay.id('mech')).toBe(id);
+    expect(ids.id('mech')).not.toBe(id);
+  });
+
+  test('should resume streams from saved game state', async () => {
+    const eventBus = new EventBus();
+    const gameState = new GameState(eventBus);
+    await gameState.initialize();
+
+    const service = new RandomService(eventBus, gameState);
+    await service.initialize();
+    const stream = service.stream('market');
+    draw(stream, 3);
+    service.saveState();
+
+    const saved = JSON.parse(gameState.exportState());
+    const expected = draw(stream);
+
+    const restoredState = new GameState(new EventBus());
+    await restoredState.initialize();
+    await restoredState.loadState(saved);
+
+    const restored = new RandomService(null, restoredState);
+    await restored.initialize();
+
+    expect(restored.seed).toBe(service.seed);
+    expect(draw(restored.stream('market'))).toEqual(expected);
+  });
+
+  test('should let injected seeds reproduce generated contracts', async () => {
+    const generate = async () => {
+      const eventBus = new EventBus();
+      const gameState = new GameState(eventBus);
+      await gameState.initialize();
+
+      const contractSystem = new ContractSystem(eventBus, gameState, new RandomService(null, null, { seed: 2024 }));
+      return contractSystem.generateContract('Raid', 'Regular', {});
+    };
+
+    expect(await generate()).toEqual(await generate());
+  });
+});
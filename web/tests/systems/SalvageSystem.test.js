@@ -0,0 +1,114 @@
+/**
+ * SalvageSystem Tests
+ * Salvage pool, salvage rights allowance and claimed items
+ */
+
+import { SalvageSystem } from '@systems/js/SalvageSystem';
+import { CombatUnit } from '@systems/js/CombatUnit';
+import { GameState } from '@systems/js/GameState';
+import { MechCatalog } from '@systems/js/MechCatalog';
+import { EventBus } from '@utils/EventBus';
+
+describe('SalvageSystem', () => {
+  let eventBus;
+  let gameState;
+  let salvageSystem;
+
+  const createWreck = (chassisId, id, location = 'head') => {
+    const unit = new CombatUnit({ mech: { ...MechCatalog.createMech(chassisId), id } });
+    unit.locations[location].armor = 0;
+    unit.locations[location].structure = 0;
+    return unit.getStatusSummary();
+  };
+
+  const contract = {
+    id: 'contract_1',
+    name: 'Salvage Run',
+    employer: 'Lyran Commonwealth',
+    rewards: { salvage: 0.5 }
+  };
+
+  beforeEach(async () => {
+    eventBus = new EventBus();
+    gameState = new GameState(eventBus);
+    await gameState.initialize();
+    gameState.set('company.parts', { weapons: {}, armor: 0 });
+
+    salvageSystem = new SalvageSystem(eventBus, gameState);
+    await salvageSystem.initialize();
+  });
+
+  afterEach(() => {
+    SalvageSystem.closeSalvageScreen();
+  });
+
+  test('should list wrecks, intact weapons and armor from destroyed enemies', () => {
+    const headshot = createWreck('HBK-4G', 'enemy_1');
+    const cored = createWreck('LCT-1V', 'enemy_2', 'centerTorso');
+    const survivor = { ...createWreck('AS7-D', 'enemy_3'), destroyed: false };
+
+    const items = SalvageSystem.buildSalvagePool([headshot, cored, survivor]);
+
+    expect(items.filter(item => item.type === 'mech').map(item => item.chassisId)).toEqual(['HBK-4G']);
+    expect(items.some(item => item.sourceId === 'enemy_3')).toBe(false);
+    expect(items.filter(item => item.sourceId === 'enemy_1' && item.type === 'weapon').map(item => item.name))
+      .toEqual(expect.arrayContaining(['AC/20', 'Medium Laser']));
+    expect(items.find(item => item.id === 'enemy_1_armor').tonnage).toBeGreaterThan(0);
+  });
+
+  test('should start the salvage phase only for successful contracts with salvage rights', () => {
+    const combatResult = { enemyUnits: [createWreck('HBK-4G', 'enemy_1')] };
+
+    eventBus.emit('contract:completed', { contract, success: false, combatResult });
+    expect(salvageSystem.pendingSalvage).toBeNull();
+
+    eventBus.emit('contract:completed', { contract: { ...contract, rewards: { salvage: 0 } }, success: true, combatResult });
+    expect(salvageSystem.pendingSalvage).toBeNull();
+
+    eventBus.emit('contract:completed', { contract, success: true, combatResult });
+    expect(salvageSystem.pendingSalvage.allowance).toBe(Math.floor(salvageSystem.pendingSalvage.totalValue * 0.5));
+    expect(document.getElementById('salvage-overlay')).not.toBeNull();
+  });
+
+  test('should enforce the salvage allowance and whole-wreck claims', () => {
+    salvageSystem.startSalvage(contract, { enemyUnits: [createWreck('HBK-4G', 'enemy_1')] });
+    const { items } = salvageSystem.pendingSalvage;
+    const mech = items.find(item => item.type === 'mech');
+    const weapon = items.find(item => item.type === 'weapon');
+
+    expect(salvageSystem.toggleItem(weapon.id)).toBe(true);
+    expect(salvageSystem.toggleItem(mech.id)).toBe(false);
+    expect(salvageSystem.toggleItem(weapon.id)).toBe(true);
+
+    salvageSystem.pendingSalvage.allowance = mech.value - 1;
+    expect(salvageSystem.toggleItem(mech.id)).toBe(false);
+    expect(salvageSystem.getSelectedValue()).toBe(0);
+  });
+
+  test('should move claimed salvage to the mech bay and parts inventory', () => {
+    const completedSpy = jest.fn();
+    eventBus.on('salvage:completed', completedSpy);
+
+    salvageSystem.startSalvage(contract, {
+      enemyUnits: [createWreck('HBK-4G', 'enemy_1'), createWreck('WHM-6R', 'enemy_2')]
+    });
+    const { items } = salvageSystem.pendingSalvage;
+    salvageSystem.pendingSalvage.allowance = Infinity;
+
+    const mech = items.find(item => item.type === 'mech' && item.sourceId === 'enemy_1');
+    const weapon = items.find(item => item.type === 'weapon' && item.sourceId === 'enemy_2');
+    const armor = items.find(item => item.type === 'armor' && item.sourceId === 'enemy_2');
+    [mech, weapon, armor].forEach(item => salvageSystem.toggleItem(item.id));
+
+    const result = salvageSystem.confirmSalvage();
+
+    const salvaged = gameState.get('mechs').find(m => m.chassisId === 'HBK-4G');
+    expect(salvaged.status).toBe('Repair Needed');
+    expect(salvaged.locations.head.structure).toBe(0);
+    expect(gameState.get('company.parts')).toEqual({ weapons: { [weapon.name]: 1 }, armor: armor.tonnage });
+    expect(gameState.get('company.statistics')).toMatchObject({ salvageItems: 3, mechsSalvaged: 1, salvageValue: result.value });
+    expect(result.employerItems).toHaveLength(items.length - 3);
+    expect(completedSpy).toHaveBeenCalledTimes(1);
+    expect(salvageSystem.pendingSalvage).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * WeaponsCatalog Tests
+ * Legacy weapon string parsing, range bands, ammo and cluster damage
+ */
+
+import { WeaponsCatalog } from '@systems/js/WeaponsCatalog';
+
+describe('WeaponsCatalog', () => {
+  test('should parse legacy weapon strings into catalog names', () => {
+    expect(WeaponsCatalog.parseWeaponList('AC/20, LRM 20, 2x srm-6, Medium Lasers x2')).toEqual([
+      'AC/20', 'LRM-20', 'SRM-6', 'SRM-6', 'Medium Laser', 'Medium Laser'
+    ]);
+  });
+
+  test('should keep unknown weapons with a generic profile', () => {
+    expect(WeaponsCatalog.has('Gauss Rifle')).toBe(false);
+    expect(WeaponsCatalog.get('Gauss Rifle')).toMatchObject({ name: 'Gauss Rifle', damage: 3, longRange: 6 });
+  });
+
+  test('should format duplicate weapons compactly', () => {
+    expect(WeaponsCatalog.formatWeaponList(['PPC', 'Medium Laser', 'Medium Laser'])).toBe('PPC, Medium Laser x2');
+  });
+
+  test('should migrate legacy mech records', () => {
+    const mech = WeaponsCatalog.migrateMech({ id: 'm1', weapons: 'PPC, Medium Laser x2' });
+    expect(mech.weapons).toEqual(['PPC', 'Medium Laser', 'Medium Laser']);
+    expect(WeaponsCatalog.migrateMech(mech)).toBe(mech);
+  });
+
+  test('should load one ton of ammo per ammo-fed weapon', () => {
+    expect(WeaponsCatalog.getDefaultAmmo(['AC/20', 'LRM-15', 'LRM-15', 'Medium Laser'])).toEqual({
+      'AC/20': 5,
+      'LRM-15': 16
+    });
+    expect(WeaponsCatalog.usesAmmo('Large Laser')).toBe(false);
+  });
+
+  test('should apply range bands and minimum range', () => {
+    expect(WeaponsCatalog.getRangeModifier('Medium Laser', 3)).toBe(0);
+    expect(WeaponsCatalog.getRangeModifier('Medium Laser', 5)).toBe(2);
+    expect(WeaponsCatalog.getRangeModifier('Medium Laser', 9)).toBe(4);
+    expect(WeaponsCatalog.getRangeModifier('Medium Laser', 10)).toBeNull();
+    expect(WeaponsCatalog.getRangeModifier('LRM-10', 2)).toBe(5);
+    expect(WeaponsCatalog.getRangeModifier('PPC', 3)).toBe(1);
+  });
+
+  test('should split missile hits into clusters', () => {
+    expect(WeaponsCatalog.getDamageClusters('AC/10')).toEqual([10]);
+    expect(WeaponsCatalog.getDamageClusters('LRM-20', 12)).toEqual([5, 5, 5, 5]);
+    expect(WeaponsCatalog.getDamageClusters('LRM-15', 2)).toEqual([5]);
+    expect(WeaponsCatalog.getDamageClusters('SRM-6', 7)).toEqual([2, 2, 2, 2]);
+    expect(WeaponsCatalog.getMaxDamage('SRM-6')).toBe(12);
+  });
+});